@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import AccessToken from "../models/accessToken.model.js";
+import { ACCESS_TOKEN_SCOPES, createAccessToken } from "../lib/accessTokens.js";
+
+const MAX_TOKENS_PER_USER = 25;
+const MAX_EXPIRY_DAYS = 365;
+const DAY = 24 * 60 * 60 * 1000;
+
+const toTokenResponse = (accessToken) => ({
+	_id: accessToken._id,
+	name: accessToken.name,
+	prefix: accessToken.prefix,
+	scopes: accessToken.scopes,
+	expiresAt: accessToken.expiresAt,
+	lastUsedAt: accessToken.lastUsedAt,
+	createdAt: accessToken.createdAt,
+});
+
+export const getAccessTokens = async (req, res) => {
+	try {
+		const accessTokens = await AccessToken.find({ user: req.user._id, revokedAt: null }).sort({ createdAt: -1 });
+
+		res.json({
+			scopes: ACCESS_TOKEN_SCOPES,
+			tokens: accessTokens.map(toTokenResponse),
+		});
+	} catch (error) {
+		console.error("Error in getAccessTokens controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const createAccessTokenForUser = async (req, res) => {
+	try {
+		const { name, scopes, expiresInDays } = req.body;
+
+		if (!name?.trim()) {
+			return res.status(400).json({ message: "Token name is required" });
+		}
+
+		if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((scope) => ACCESS_TOKEN_SCOPES.includes(scope))) {
+			return res.status(400).json({ message: `Scopes must be chosen from: ${ACCESS_TOKEN_SCOPES.join(", ")}` });
+		}
+
+		// null or missing means no expiry
+		let expiresAt = null;
+		if (expiresInDays !== undefined && expiresInDays !== null) {
+			const days = Number(expiresInDays);
+			if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+				return res.status(400).json({ message: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` });
+			}
+			expiresAt = new Date(Date.now() + days * DAY);
+		}
+
+		const activeCount = await AccessToken.countDocuments({ user: req.user._id, revokedAt: null });
+		if (activeCount >= MAX_TOKENS_PER_USER) {
+			return res.status(400).json({ message: `You can have at most ${MAX_TOKENS_PER_USER} access tokens` });
+		}
+
+		const { accessToken, token } = await createAccessToken(req.user._id, {
+			name: name.trim(),
+			scopes: [...new Set(scopes)],
+			expiresAt,
+		});
+
+		// the plain token is only ever returned here
+		res.status(201).json({ ...toTokenResponse(accessToken), token });
+	} catch (error) {
+		console.error("Error in createAccessTokenForUser controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const revokeAccessToken = async (req, res) => {
+	try {
+		if (!mongoose.isValidObjectId(req.params.id)) {
+			return res.status(404).json({ message: "Access token not found" });
+		}
+
+		const result = await AccessToken.updateOne(
+			{ _id: req.params.id, user: req.user._id, revokedAt: null },
+			{ $set: { revokedAt: new Date() } }
+		);
+
+		if (result.matchedCount === 0) {
+			return res.status(404).json({ message: "Access token not found" });
+		}
+
+		res.json({ message: "Access token revoked" });
+	} catch (error) {
+		console.error("Error in revokeAccessToken controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
@@ -0,0 +1,144 @@
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import { ROLES } from "../lib/roles.js";
+import { revokeSessions } from "../lib/session.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const ADMIN_USER_FIELDS = "name username email profilePicture headline role isVerified suspendedAt suspensionReason createdAt";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// loads the target user, refusing unknown ids and admins acting on themselves
+const findTargetUser = async (req, res) => {
+	if (!mongoose.isValidObjectId(req.params.id)) {
+		res.status(404).json({ message: "User not found" });
+		return null;
+	}
+
+	if (req.params.id === req.user._id.toString()) {
+		res.status(400).json({ message: "You cannot change your own account" });
+		return null;
+	}
+
+	const user = await User.findById(req.params.id);
+	if (!user) {
+		res.status(404).json({ message: "User not found" });
+		return null;
+	}
+
+	return user;
+};
+
+const toAdminUser = (user) => ({
+	_id: user._id,
+	name: user.name,
+	username: user.username,
+	email: user.email,
+	profilePicture: user.profilePicture,
+	headline: user.headline,
+	role: user.role,
+	isVerified: user.isVerified,
+	suspendedAt: user.suspendedAt,
+	suspensionReason: user.suspensionReason,
+	createdAt: user.createdAt,
+});
+
+export const listUsers = async (req, res) => {
+	try {
+		const { search, role, status } = req.query;
+		const page = Math.max(1, parseInt(req.query.page) || 1);
+		const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || DEFAULT_PAGE_SIZE));
+
+		const filter = {};
+		if (search) {
+			const pattern = new RegExp(escapeRegex(search.trim()), "i");
+			filter.$or = [{ name: pattern }, { username: pattern }, { email: pattern }];
+		}
+		if (ROLES.includes(role)) {
+			filter.role = role;
+		}
+		if (status === "suspended") {
+			filter.suspendedAt = { $ne: null };
+		} else if (status === "active") {
+			filter.suspendedAt = null;
+		}
+
+		const [users, total] = await Promise.all([
+			User.find(filter)
+				.select(ADMIN_USER_FIELDS)
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit),
+			User.countDocuments(filter),
+		]);
+
+		res.json({ users, total, page, pages: Math.ceil(total / limit) });
+	} catch (error) {
+		console.error("Error in listUsers controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const suspendUser = async (req, res) => {
+	try {
+		const user = await findTargetUser(req, res);
+		if (!user) {
+			return;
+		}
+
+		user.suspendedAt = new Date();
+		user.suspensionReason = req.body.reason?.trim() || undefined;
+		user.suspendedBy = req.user._id;
+		await user.save();
+
+		// kick them out everywhere right away instead of waiting for tokens to expire
+		await revokeSessions({ user: user._id });
+
+		res.json({ message: "User suspended", user: toAdminUser(user) });
+	} catch (error) {
+		console.error("Error in suspendUser controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const unsuspendUser = async (req, res) => {
+	try {
+		const user = await findTargetUser(req, res);
+		if (!user) {
+			return;
+		}
+
+		user.suspendedAt = undefined;
+		user.suspensionReason = undefined;
+		user.suspendedBy = undefined;
+		await user.save();
+
+		res.json({ message: "User unsuspended", user: toAdminUser(user) });
+	} catch (error) {
+		console.error("Error in unsuspendUser controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const updateUserRole = async (req, res) => {
+	try {
+		const { role } = req.body;
+		if (!ROLES.includes(role)) {
+			return res.status(400).json({ message: `Role must be one of: ${ROLES.join(", ")}` });
+		}
+
+		const user = await findTargetUser(req, res);
+		if (!user) {
+			return;
+		}
+
+		user.role = role;
+		await user.save();
+
+		res.json({ message: "Role updated", user: toAdminUser(user) });
+	} catch (error) {
+		console.error("Error in updateUserRole controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
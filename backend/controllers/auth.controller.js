@@ -1,6 +1,53 @@
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
 import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
+import { sendPasswordResetEmail, sendVerificationEmail } from "../emails/emailHandlers.js";
+import { generateToken, hashToken } from "../lib/tokens.js";
+import { getAccountLockoutPolicy } from "../lib/rateLimitPolicies.js";
+import { sendTooManyRequests } from "../middleware/rateLimit.middleware.js";
+import {
+	clearAuthCookies,
+	getSessionIdFromRequest,
+	isTwoFactorPending,
+	revokeSessions,
+	rotateSession,
+	startSession,
+	TWO_FACTOR_REQUIRED,
+} from "../lib/session.js";
+
+const EMAIL_VERIFICATION_PURPOSE = "email-verification";
+const PASSWORD_RESET_TTL = 60 * 60 * 1000;
+
+const createEmailVerificationToken = (user) =>
+	jwt.sign(
+		{ userId: user._id, email: user.email, purpose: EMAIL_VERIFICATION_PURPOSE },
+		process.env.JWT_SECRET,
+		{ expiresIn: "24h" }
+	);
+
+// counts a failed password and locks the account once the limit is hit
+const registerFailedLogin = async (user) => {
+	const { maxFailedAttempts, lockDurationMs } = getAccountLockoutPolicy();
+	const updated = await User.findByIdAndUpdate(
+		user._id,
+		{ $inc: { failedLoginAttempts: 1 } },
+		{ new: true }
+	);
+
+	if (updated.failedLoginAttempts >= maxFailedAttempts) {
+		await User.updateOne(
+			{ _id: user._id },
+			{ $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockDurationMs) } }
+		);
+	}
+};
+
+const sendVerificationLink = async (user) => {
+	const verifyUrl = process.env.CLIENT_URL + "/verify-email/" + createEmailVerificationToken(user);
+	await sendVerificationEmail(user.email, user.name, verifyUrl);
+};
 
 export const signup = async (req, res) => {
 	try {
@@ -37,20 +84,15 @@ export const signup = async (req, res) => {
 
 		await user.save();
 
-		const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-			expiresIn: "3d",
-		});
-
-		res.cookie("jwt-linkedin", token, {
-			httpOnly: true, // prevent XSS attack
-			maxAge: 3 * 24 * 60 * 60 * 1000,
-			sameSite: "strict", // prevent CSRF attacks,
-			secure: process.env.NODE_ENV === "production", // prevents man-in-the-middle attacks
-		});
+		await startSession(req, res, user);
 
 		res.status(201).json({ message: "User registered successfully" });
 
-		const profileUrl = process.env.CLIENT_URL + "/profile/" + user.username;
+		try {
+			await sendVerificationLink(user);
+		} catch (emailError) {
+			console.error("Error sending verification email:", emailError);
+		}
 	} catch (error) {
 		res.status(500).json({ message: "Internal server error" });
 	}
@@ -60,27 +102,47 @@ export const login = async (req, res) => {
 	try {
 		const { username, password } = req.body;
 
-		const user = await User.findOne({ username });
+		const user = await User.findOne({ username }).select("+failedLoginAttempts +lockUntil");
 		if (!user) {
 			return res.status(400).json({ message: "Invalid credentials" });
 		}
 
+		// a locked account refuses even the right password until the lock runs out
+		if (user.lockUntil && user.lockUntil.getTime() > Date.now()) {
+			return sendTooManyRequests(
+				res,
+				user.lockUntil.getTime() - Date.now(),
+				"Too many failed login attempts, please try again later"
+			);
+		}
+
 		// Check password
 		const isMatch = await bcrypt.compare(password, user.password);
 		if (!isMatch) {
+			await registerFailedLogin(user);
 			return res.status(400).json({ message: "Invalid credentials" });
 		}
 
-		// Create and send token
-		const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-			expiresIn: "3d",
-		});
-		await res.cookie("jwt-linkedin", token, {
-			httpOnly: true,
-			maxAge: 3 * 24 * 60 * 60 * 1000,
-			sameSite: "strict",
-			secure: process.env.NODE_ENV === "production",
-		});
+		if (user.suspendedAt) {
+			return res.status(403).json({
+				message: "Your account has been suspended",
+				reason: user.suspensionReason || null,
+			});
+		}
+
+		if (user.failedLoginAttempts || user.lockUntil) {
+			await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: "" } });
+		}
+
+		if (user.twoFactorEnabled) {
+			await startSession(req, res, user, { twoFactorPending: true });
+			return res.json({
+				message: "Two-factor authentication required",
+				twoFactorRequired: true,
+			});
+		}
+
+		await startSession(req, res, user);
 
 		res.json({ message: "Logged in successfully" });
 	} catch (error) {
@@ -89,11 +151,102 @@ export const login = async (req, res) => {
 	}
 };
 
-export const logout = (req, res) => {
-	res.clearCookie("jwt-linkedin");
+export const logout = async (req, res) => {
+	try {
+		const sessionId = getSessionIdFromRequest(req);
+		if (sessionId && mongoose.isValidObjectId(sessionId)) {
+			await revokeSessions({ _id: sessionId });
+		}
+	} catch (error) {
+		console.error("Error revoking session on logout:", error);
+	}
+
+	clearAuthCookies(res);
 	res.json({ message: "Logged out successfully" });
 };
 
+export const refreshSession = async (req, res) => {
+	try {
+		// the cookies are still needed to finish signing in, so they're left alone
+		if (await isTwoFactorPending(req)) {
+			return res.status(401).json({
+				message: "Unauthorized - Two-factor authentication required",
+				code: TWO_FACTOR_REQUIRED,
+			});
+		}
+
+		const session = await rotateSession(req, res);
+
+		if (!session) {
+			clearAuthCookies(res);
+			return res.status(401).json({ message: "Unauthorized - Session expired" });
+		}
+
+		res.json({ message: "Session refreshed" });
+	} catch (error) {
+		console.error("Error in refreshSession controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const getSessions = async (req, res) => {
+	try {
+		const sessions = await Session.find({
+			user: req.user._id,
+			revokedAt: null,
+			expiresAt: { $gt: new Date() },
+		})
+			.select("userAgent ipAddress lastSeenAt createdAt")
+			.sort({ lastSeenAt: -1 });
+
+		res.json(
+			sessions.map((session) => ({
+				...session.toObject(),
+				current: session._id.toString() === req.session._id.toString(),
+			}))
+		);
+	} catch (error) {
+		console.error("Error in getSessions controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const revokeSession = async (req, res) => {
+	try {
+		const { id } = req.params;
+
+		if (!mongoose.isValidObjectId(id)) {
+			return res.status(404).json({ message: "Session not found" });
+		}
+
+		const result = await revokeSessions({ _id: id, user: req.user._id });
+		if (result.modifiedCount === 0) {
+			return res.status(404).json({ message: "Session not found" });
+		}
+
+		if (id === req.session._id.toString()) {
+			clearAuthCookies(res);
+		}
+
+		res.json({ message: "Session revoked" });
+	} catch (error) {
+		console.error("Error in revokeSession controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const logoutEverywhere = async (req, res) => {
+	try {
+		await revokeSessions({ user: req.user._id });
+
+		clearAuthCookies(res);
+		res.json({ message: "Logged out of all devices" });
+	} catch (error) {
+		console.error("Error in logoutEverywhere controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
 export const getCurrentUser = async (req, res) => {
 	try {
 		res.json(req.user);
@@ -102,3 +255,124 @@ export const getCurrentUser = async (req, res) => {
 		res.status(500).json({ message: "Server error" });
 	}
 };
+
+export const verifyEmail = async (req, res) => {
+	try {
+		let decoded;
+		try {
+			decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+		} catch {
+			return res.status(400).json({ message: "Verification link is invalid or has expired" });
+		}
+
+		if (decoded.purpose !== EMAIL_VERIFICATION_PURPOSE) {
+			return res.status(400).json({ message: "Verification link is invalid or has expired" });
+		}
+
+		const user = await User.findById(decoded.userId);
+		// the link is only valid for the address it was sent to
+		if (!user || user.email !== decoded.email) {
+			return res.status(400).json({ message: "Verification link is invalid or has expired" });
+		}
+
+		if (user.isVerified) {
+			return res.json({ message: "Email already verified" });
+		}
+
+		user.isVerified = true;
+		user.verifiedAt = new Date();
+		await user.save();
+
+		res.json({ message: "Email verified successfully" });
+	} catch (error) {
+		console.error("Error in verifyEmail controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const resendVerificationEmail = async (req, res) => {
+	try {
+		if (req.user.isVerified) {
+			return res.status(400).json({ message: "Email already verified" });
+		}
+
+		await sendVerificationLink(req.user);
+
+		res.json({ message: "Verification email sent" });
+	} catch (error) {
+		console.error("Error in resendVerificationEmail controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const forgotPassword = async (req, res) => {
+	try {
+		const { email } = req.body;
+
+		if (!email) {
+			return res.status(400).json({ message: "Email is required" });
+		}
+
+		const user = await User.findOne({ email });
+
+		if (user) {
+			// only the hash is stored, the raw token lives in the emailed link
+			const resetToken = generateToken();
+			user.resetPasswordToken = hashToken(resetToken);
+			user.resetPasswordExpiresAt = new Date(Date.now() + PASSWORD_RESET_TTL);
+			await user.save();
+
+			try {
+				const resetUrl = process.env.CLIENT_URL + "/reset-password/" + resetToken;
+				await sendPasswordResetEmail(user.email, user.name, resetUrl);
+			} catch (emailError) {
+				console.error("Error sending password reset email:", emailError);
+			}
+		}
+
+		// same answer whether or not the account exists, so emails can't be enumerated
+		res.json({ message: "If an account exists for that email, a reset link has been sent" });
+	} catch (error) {
+		console.error("Error in forgotPassword controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const resetPassword = async (req, res) => {
+	try {
+		const { password } = req.body;
+
+		if (!password || password.length < 6) {
+			return res
+				.status(400)
+				.json({ message: "Password must be at least 6 characters" });
+		}
+
+		const salt = await bcrypt.genSalt(10);
+		const hashedPassword = await bcrypt.hash(password, salt);
+
+		// matching and clearing the token in one update keeps it single-use
+		const user = await User.findOneAndUpdate(
+			{
+				resetPasswordToken: hashToken(req.params.token),
+				resetPasswordExpiresAt: { $gt: new Date() },
+			},
+			{
+				$set: { password: hashedPassword, passwordChangedAt: new Date(), failedLoginAttempts: 0 },
+				$unset: { resetPasswordToken: "", resetPasswordExpiresAt: "", lockUntil: "" },
+			}
+		);
+
+		if (!user) {
+			return res.status(400).json({ message: "Reset link is invalid or has expired" });
+		}
+
+		await revokeSessions({ user: user._id });
+
+		clearAuthCookies(res);
+		res.json({ message: "Password reset successfully" });
+	} catch (error) {
+		console.error("Error in resetPassword controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
@@ -0,0 +1,332 @@
+import mongoose from "mongoose";
+import Comment from "../models/comment.model.js";
+import Post from "../models/post.model.js";
+import Notification from "../models/notification.model.js";
+import { notifyMentions, resolveMentions } from "../lib/mentions.js";
+import { canViewPost, VISIBILITY_FIELDS } from "../lib/visibility.js";
+import { sanitizeMarkdown } from "../lib/markdown.js";
+import { canModerate } from "../lib/roles.js";
+import {
+	buildCursorFilter,
+	buildCursorSort,
+	decodeOffsetCursor,
+	encodeOffsetCursor,
+	parseLimit,
+	readCursor,
+	toPage,
+} from "../lib/pagination.js";
+
+const COMMENT_SORTS = ["newest", "top"];
+const COMMENTS_PAGE_SIZE = 20;
+// replies to a reply of a reply join that reply's level instead of nesting further
+const MAX_COMMENT_DEPTH = 2;
+const COMMENT_AUTHOR_FIELDS = "name username profilePicture headline";
+// what API responses show of a comment; the full list of likers stays private
+const COMMENT_FIELDS = "post user content mentions parent thread depth likeCount editedAt deletedAt createdAt";
+// mentions only need the username, to tell which @names in the text are real users
+const COMMENT_POPULATE = [
+	{ path: "user", select: COMMENT_AUTHOR_FIELDS },
+	{ path: "mentions", select: "username" },
+];
+
+// a post the viewer may not see is as good as missing
+const findVisiblePost = async (req) => {
+	const post = mongoose.isValidObjectId(req.params.id)
+		? await Post.findById(req.params.id).select(VISIBILITY_FIELDS)
+		: null;
+	return post && canViewPost(post, req.user) ? post : null;
+};
+
+// loads the comment a request is about with its post, answering 404 for either
+const findComment = async (req, res) => {
+	const post = await findVisiblePost(req);
+	if (!post) {
+		res.status(404).json({ message: "Post not found" });
+		return null;
+	}
+
+	const comment = mongoose.isValidObjectId(req.params.commentId)
+		? await Comment.findOne({ _id: req.params.commentId, post: post._id, deletedAt: null })
+		: null;
+	if (!comment) {
+		res.status(404).json({ message: "Comment not found" });
+		return null;
+	}
+
+	return { post, comment };
+};
+
+const toCommentResponse = (comment, viewerId) => {
+	const { likes, ...rest } = comment;
+	return {
+		...rest,
+		// a blanked-out comment doesn't say who wrote it
+		user: comment.deletedAt ? null : comment.user,
+		isLiked: likes?.some((id) => id.equals(viewerId)) ?? false,
+	};
+};
+
+// top-level comments come one page at a time, each with its whole thread in chronological order
+export const getPostComments = async (req, res) => {
+	try {
+		const sort = req.query.sort || "newest";
+		if (!COMMENT_SORTS.includes(sort)) {
+			return res.status(400).json({ message: `Sort must be one of: ${COMMENT_SORTS.join(", ")}` });
+		}
+
+		if (!(await findVisiblePost(req))) {
+			return res.status(404).json({ message: "Post not found" });
+		}
+
+		const limit = parseLimit(req.query.limit, { defaultLimit: COMMENTS_PAGE_SIZE });
+		let items;
+		let nextCursor;
+
+		if (sort === "top") {
+			// like counts move around, so "top" pages by position over the comments that
+			// existed when the first page was loaded
+			const page = readCursor(req, res, decodeOffsetCursor);
+			if (!page) {
+				return;
+			}
+
+			const at = page.cursor?.at ?? new Date();
+			const offset = page.cursor?.offset ?? 0;
+			const comments = await Comment.find({ post: req.params.id, parent: null, createdAt: { $lte: at } })
+				.sort({ likeCount: -1, createdAt: -1, _id: -1 })
+				.skip(offset)
+				.limit(limit + 1)
+				.select(`${COMMENT_FIELDS} likes`)
+				.populate(COMMENT_POPULATE)
+				.lean();
+
+			items = comments.slice(0, limit);
+			nextCursor = comments.length > limit ? encodeOffsetCursor({ offset: offset + limit, at }) : null;
+		} else {
+			const page = readCursor(req, res);
+			if (!page) {
+				return;
+			}
+
+			const comments = await Comment.find({ post: req.params.id, parent: null, ...buildCursorFilter(page.cursor) })
+				.sort(buildCursorSort())
+				.limit(limit + 1)
+				.select(`${COMMENT_FIELDS} likes`)
+				.populate(COMMENT_POPULATE)
+				.lean();
+
+			({ items, nextCursor } = toPage(comments, limit));
+		}
+
+		const replies = await Comment.find({ thread: { $in: items.map((comment) => comment._id) } })
+			.sort(buildCursorSort("asc"))
+			.select(`${COMMENT_FIELDS} likes`)
+			.populate(COMMENT_POPULATE)
+			.lean();
+
+		res.status(200).json({
+			comments: items.map((comment) => ({
+				...toCommentResponse(comment, req.user._id),
+				replies: replies
+					.filter((reply) => reply.thread.equals(comment._id))
+					.map((reply) => toCommentResponse(reply, req.user._id)),
+			})),
+			nextCursor,
+		});
+	} catch (error) {
+		console.error("Error in getPostComments controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const createComment = async (req, res) => {
+	try {
+		const postId = req.params.id;
+		const { parentCommentId } = req.body;
+		const content = sanitizeMarkdown(req.body.content);
+		if (typeof content !== "string" || !content.trim()) {
+			return res.status(400).json({ message: "Comment content is required" });
+		}
+
+		const existingPost = await findVisiblePost(req);
+		if (!existingPost) {
+			return res.status(404).json({ message: "Post not found" });
+		}
+
+		const newComment = new Comment({
+			post: postId,
+			user: req.user._id,
+			content,
+			mentions: await resolveMentions(content),
+		});
+		let repliedTo = null;
+
+		if (parentCommentId) {
+			repliedTo = mongoose.isValidObjectId(parentCommentId)
+				? await Comment.findOne({ _id: parentCommentId, post: postId, deletedAt: null })
+				: null;
+			if (!repliedTo) {
+				return res.status(404).json({ message: "Comment not found" });
+			}
+
+			const parent = repliedTo.depth >= MAX_COMMENT_DEPTH ? await Comment.findById(repliedTo.parent) : repliedTo;
+			newComment.parent = parent._id;
+			newComment.thread = parent.thread || parent._id;
+			newComment.depth = parent.depth + 1;
+		}
+
+		await newComment.save();
+
+		const post = await Post.findByIdAndUpdate(postId, { $inc: { commentCount: 1 } }, { new: true }).populate(
+			"author",
+			"name username headline profilePicture"
+		);
+
+		const repliedToId = repliedTo?.user?.toString();
+		if (repliedToId && repliedToId !== req.user._id.toString()) {
+			await new Notification({
+				recipient: repliedTo.user,
+				type: "reply",
+				relatedUser: req.user._id,
+				relatedPost: postId,
+			}).save();
+		}
+
+		// create a notification if the comment owner is not the post owner
+		// (and the post owner wasn't just notified about the reply)
+		if (post.author._id.toString() !== req.user._id.toString() && post.author._id.toString() !== repliedToId) {
+			const newNotification = new Notification({
+				recipient: post.author,
+				type: "comment",
+				relatedUser: req.user._id,
+				relatedPost: postId,
+			});
+
+			await newNotification.save();
+		}
+
+		// whoever was just told about the comment or reply doesn't need a mention on top
+		await notifyMentions({
+			mentions: newComment.mentions,
+			author: req.user._id,
+			post: postId,
+			audience: existingPost,
+			skip: [post.author._id, repliedTo?.user].filter(Boolean),
+		});
+
+		res.status(200).json(post);
+	} catch (error) {
+		console.error("Error in createComment controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const updateComment = async (req, res) => {
+	try {
+		const content = sanitizeMarkdown(req.body.content);
+		if (typeof content !== "string" || !content.trim()) {
+			return res.status(400).json({ message: "Comment content is required" });
+		}
+
+		const found = await findComment(req, res);
+		if (!found) {
+			return;
+		}
+
+		const { post, comment } = found;
+		if (comment.user?.toString() !== req.user._id.toString()) {
+			return res.status(403).json({ message: "You are not authorized to edit this comment" });
+		}
+
+		const previousMentions = [...comment.mentions];
+
+		comment.content = content;
+		comment.mentions = await resolveMentions(content);
+		comment.editedAt = new Date();
+		await comment.save();
+		await notifyMentions({
+			mentions: comment.mentions,
+			previousMentions,
+			author: req.user._id,
+			post: comment.post,
+			audience: post,
+		});
+
+		await comment.populate(COMMENT_POPULATE);
+		res.status(200).json(toCommentResponse(comment.toObject(), req.user._id));
+	} catch (error) {
+		console.error("Error in updateComment controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+// the comment's author can delete it, and so can the author of the post it's on
+export const deleteComment = async (req, res) => {
+	try {
+		const found = await findComment(req, res);
+		if (!found) {
+			return;
+		}
+
+		const { post, comment } = found;
+		const userId = req.user._id.toString();
+		if (comment.user?.toString() !== userId && post.author.toString() !== userId && !canModerate(req.user)) {
+			return res.status(403).json({ message: "You are not authorized to delete this comment" });
+		}
+
+		if (await Comment.exists({ parent: comment._id })) {
+			comment.content = "";
+			comment.mentions = [];
+			comment.deletedAt = new Date();
+			await comment.save();
+		} else {
+			await comment.deleteOne();
+
+			// a blanked-out parent whose last reply just went away has nothing left to show;
+			// it was already taken off the count when it was blanked
+			let parent = comment.parent && (await Comment.findById(comment.parent));
+			while (parent?.deletedAt && !(await Comment.exists({ parent: parent._id }))) {
+				await parent.deleteOne();
+				parent = parent.parent && (await Comment.findById(parent.parent));
+			}
+		}
+
+		await Post.updateOne({ _id: comment.post }, { $inc: { commentCount: -1 } });
+
+		res.status(200).json({ message: "Comment deleted successfully" });
+	} catch (error) {
+		console.error("Error in deleteComment controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const likeComment = async (req, res) => {
+	try {
+		const found = await findComment(req, res);
+		if (!found) {
+			return;
+		}
+
+		const { comment } = found;
+		const userId = req.user._id;
+		// conditional updates, so two quick clicks can't count a like twice
+		const unliked = await Comment.findOneAndUpdate(
+			{ _id: comment._id, likes: userId },
+			{ $pull: { likes: userId }, $inc: { likeCount: -1 } },
+			{ new: true }
+		);
+		const updated =
+			unliked ||
+			(await Comment.findOneAndUpdate(
+				{ _id: comment._id, likes: { $ne: userId } },
+				{ $push: { likes: userId }, $inc: { likeCount: 1 } },
+				{ new: true }
+			));
+
+		// both updates only miss when another request toggled in between
+		res.status(200).json({ likeCount: (updated || comment).likeCount, isLiked: !unliked });
+	} catch (error) {
+		console.error("Error in likeComment controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
@@ -0,0 +1,11 @@
+import { issueCsrfToken } from "../lib/csrf.js";
+
+export const getCsrfToken = (req, res) => {
+	try {
+		res.set("Cache-Control", "no-store");
+		res.json({ csrfToken: issueCsrfToken(req, res) });
+	} catch (error) {
+		console.error("Error in getCsrfToken controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
@@ -0,0 +1,171 @@
+import bcrypt from "bcryptjs";
+import User from "../models/user.model.js";
+import {
+	buildAuthorizationUrl,
+	exchangeCodeForProfile,
+	generatePkcePair,
+	getOAuthProvider,
+} from "../lib/oauth.js";
+import { generateToken, safeEqual } from "../lib/tokens.js";
+import { revokeSessions, startSession } from "../lib/session.js";
+
+const OAUTH_STATE_COOKIE = "oauth-state";
+const OAUTH_STATE_TTL = 10 * 60 * 1000;
+const OAUTH_PATH = "/api/v1/auth/oauth";
+const USERNAME_BASE_LENGTH = 20;
+
+const getRedirectUri = (req, providerName) => {
+	const baseUrl = process.env.OAUTH_CALLBACK_BASE_URL || `${req.protocol}://${req.get("host")}`;
+	return `${baseUrl}${OAUTH_PATH}/${providerName}/callback`;
+};
+
+// the browser lands on these, so failures are reported to the login page instead of as JSON
+const redirectToClient = (res, path) => res.redirect(`${process.env.CLIENT_URL}${path}`);
+
+const redirectWithError = (res, error) => redirectToClient(res, `/login?oauthError=${error}`);
+
+const generateUniqueUsername = async (profile) => {
+	const candidate = profile.username || profile.email.split("@")[0];
+	const base = candidate.toLowerCase().replace(/[^a-z0-9_.-]/g, "").slice(0, USERNAME_BASE_LENGTH) || "user";
+
+	if (!(await User.exists({ username: base }))) {
+		return base;
+	}
+
+	let username;
+	do {
+		username = `${base}-${generateToken(3)}`;
+	} while (await User.exists({ username }));
+
+	return username;
+};
+
+const findOrCreateOAuthUser = async (providerName, profile) => {
+	const linkedUser = await User.findOne({
+		oauthAccounts: { $elemMatch: { provider: providerName, providerId: profile.id } },
+	});
+	if (linkedUser) {
+		return linkedUser;
+	}
+
+	// linking or creating an account needs an email address the provider vouches for
+	if (!profile.email || !profile.emailVerified) {
+		return null;
+	}
+
+	const oauthAccount = { provider: providerName, providerId: profile.id, email: profile.email };
+	const existingUser = await User.findOne({ email: profile.email });
+
+	if (existingUser) {
+		existingUser.oauthAccounts.push(oauthAccount);
+
+		// whoever chose the password of an unverified account never proved they own
+		// this email, so it must not keep working once the real owner links in
+		if (!existingUser.isVerified) {
+			existingUser.isVerified = true;
+			existingUser.verifiedAt = new Date();
+			existingUser.password = await bcrypt.hash(generateToken(), 10);
+			existingUser.passwordChangedAt = new Date();
+			await revokeSessions({ user: existingUser._id });
+		}
+
+		await existingUser.save();
+		return existingUser;
+	}
+
+	const user = new User({
+		name: profile.name || profile.username || profile.email.split("@")[0],
+		username: await generateUniqueUsername(profile),
+		email: profile.email,
+		// social accounts sign in through the provider; this just keeps the field non-guessable
+		password: await bcrypt.hash(generateToken(), 10),
+		isVerified: true,
+		verifiedAt: new Date(),
+		profilePicture: profile.picture,
+		oauthAccounts: [oauthAccount],
+	});
+
+	await user.save();
+	return user;
+};
+
+export const startOAuthLogin = async (req, res) => {
+	try {
+		const provider = getOAuthProvider(req.params.provider);
+		if (!provider) {
+			return redirectWithError(res, "unknown_provider");
+		}
+
+		const state = generateToken(16);
+		const { codeVerifier, codeChallenge } = generatePkcePair();
+
+		// lax, because the provider sends the browser back with a cross-site redirect
+		res.cookie(OAUTH_STATE_COOKIE, `${state}.${codeVerifier}`, {
+			httpOnly: true,
+			maxAge: OAUTH_STATE_TTL,
+			sameSite: "lax",
+			secure: process.env.NODE_ENV === "production",
+			path: OAUTH_PATH,
+		});
+
+		res.redirect(
+			await buildAuthorizationUrl(provider, {
+				redirectUri: getRedirectUri(req, provider.name),
+				state,
+				codeChallenge,
+			})
+		);
+	} catch (error) {
+		console.error("Error in startOAuthLogin controller:", error);
+		redirectWithError(res, "server_error");
+	}
+};
+
+export const handleOAuthCallback = async (req, res) => {
+	try {
+		const provider = getOAuthProvider(req.params.provider);
+		const [expectedState, codeVerifier] = (req.cookies?.[OAUTH_STATE_COOKIE] || "").split(".");
+		const { code, state, error } = req.query;
+
+		res.clearCookie(OAUTH_STATE_COOKIE, { path: OAUTH_PATH });
+
+		if (!provider) {
+			return redirectWithError(res, "unknown_provider");
+		}
+
+		if (error) {
+			return redirectWithError(res, "access_denied");
+		}
+
+		if (!expectedState || !state || !code || !safeEqual(expectedState, state)) {
+			return redirectWithError(res, "invalid_state");
+		}
+
+		const profile = await exchangeCodeForProfile(provider, {
+			code,
+			codeVerifier,
+			redirectUri: getRedirectUri(req, provider.name),
+		});
+
+		const user = await findOrCreateOAuthUser(provider.name, profile);
+		if (!user) {
+			return redirectWithError(res, "no_verified_email");
+		}
+
+		// refused like a password login would be
+		if (user.suspendedAt) {
+			return redirectWithError(res, "suspended");
+		}
+
+		if (user.twoFactorEnabled) {
+			await startSession(req, res, user, { twoFactorPending: true });
+			return redirectToClient(res, "/login?twoFactor=required");
+		}
+
+		await startSession(req, res, user);
+		redirectToClient(res, "/");
+	} catch (error) {
+		console.error("Error in handleOAuthCallback controller:", error);
+		redirectWithError(res, "server_error");
+	}
+};
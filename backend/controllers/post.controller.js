@@ -1,17 +1,267 @@
-import cloudinary from "../lib/cloudinary.js";
+import mongoose from "mongoose";
 import Post from "../models/post.model.js";
 import Notification from "../models/notification.model.js";
+import Comment from "../models/comment.model.js";
+import PostRevision from "../models/postRevision.model.js";
+import Reaction from "../models/reaction.model.js";
+import PollVote from "../models/pollVote.model.js";
+import SavedPost from "../models/savedPost.model.js";
+import User from "../models/user.model.js";
+import {
+	buildCursorFilter,
+	buildCursorSort,
+	decodeOffsetCursor,
+	encodeOffsetCursor,
+	parseLimit,
+	readCursor,
+	toPage,
+} from "../lib/pagination.js";
+import { getFeedRankingWeights, rankPosts } from "../lib/feedRanking.js";
+import { REACTION_TYPES } from "../lib/reactions.js";
+import { extractHashtags, normalizeHashtag } from "../lib/textEntities.js";
+import { sanitizeMarkdown } from "../lib/markdown.js";
+import { notifyMentions, resolveMentions } from "../lib/mentions.js";
+import {
+	buildVisibilityFilter,
+	canViewPost,
+	isPublished,
+	POST_STATUSES,
+	POST_VISIBILITIES,
+	VISIBILITY_FIELDS,
+} from "../lib/visibility.js";
+import { destroyAttachments, uploadAttachments, validateAttachments } from "../lib/media.js";
+import { publishPost } from "../lib/scheduler.js";
+import { isPollClosed, toPollView, validatePoll } from "../lib/polls.js";
+import { canModerate } from "../lib/roles.js";
+
+const FEED_MODES = ["latest", "ranked"];
+const FEED_PAGE_SIZE = 10;
+const REACTIONS_PAGE_SIZE = 20;
+const HASHTAG_PAGE_SIZE = 10;
+const PROFILE_PAGE_SIZE = 10;
+const DRAFTS_PAGE_SIZE = 10;
+const SAVED_PAGE_SIZE = 10;
+const UNPUBLISHED_STATUSES = ["draft", "scheduled"];
+const DAY = 24 * 60 * 60 * 1000;
+
+// the ranked feed scores the most recent posts of the network, not all of history
+const RANKED_CANDIDATE_LIMIT = 200;
+const RANKED_CANDIDATE_MAX_AGE = 14 * DAY;
+const AFFINITY_WINDOW = 90 * DAY;
+
+const FEED_AUTHOR_FIELDS = "name username profilePicture headline";
+// a post with its author and, for reposts, the shared post (null once that is deleted)
+// mentions only need the username, to tell which @names in the text are real users
+const POST_POPULATE = [
+	{ path: "author", select: FEED_AUTHOR_FIELDS },
+	{ path: "mentions", select: "username" },
+	{
+		path: "repostOf",
+		select: "author content attachments poll mentions createdAt editedAt",
+		populate: [
+			{ path: "author", select: FEED_AUTHOR_FIELDS },
+			{ path: "mentions", select: "username" },
+		],
+	},
+];
+
+// groups the viewer's reactions or comments since `since` by the author of the post they were on
+const countInteractionsByAuthor = (Model, viewerId, authorIds, since) =>
+	Model.aggregate([
+		{ $match: { user: viewerId, createdAt: { $gte: since } } },
+		{
+			$lookup: {
+				from: Post.collection.name,
+				localField: "post",
+				foreignField: "_id",
+				pipeline: [{ $project: { author: 1 } }],
+				as: "post",
+			},
+		},
+		{ $unwind: "$post" },
+		{ $match: { "post.author": { $in: authorIds } } },
+		{ $group: { _id: "$post.author", interactions: { $sum: 1 } } },
+	]);
+
+// how many of the viewer's reactions and comments each author received lately
+const getAuthorAffinity = async (viewerId, authorIds, now) => {
+	const since = new Date(now.getTime() - AFFINITY_WINDOW);
+
+	const [reactions, comments] = await Promise.all([
+		countInteractionsByAuthor(Reaction, viewerId, authorIds, since),
+		countInteractionsByAuthor(Comment, viewerId, authorIds, since),
+	]);
+
+	const affinity = new Map();
+	for (const { _id, interactions } of [...reactions, ...comments]) {
+		affinity.set(_id.toString(), (affinity.get(_id.toString()) || 0) + interactions);
+	}
+	return affinity;
+};
+
+// loads the post a request is about, or null when it doesn't exist or the viewer may not see it;
+// both answer the same 404 so that hidden posts don't give themselves away; a `select` always
+// gets the fields it takes to tell
+const findVisiblePost = async (req, select) => {
+	const post = mongoose.isValidObjectId(req.params.id)
+		? await Post.findById(req.params.id).select(select && `${VISIBILITY_FIELDS} ${select}`)
+		: null;
+	return post && canViewPost(post, req.user) ? post : null;
+};
+
+// loads one of the viewer's own drafts or scheduled posts, answering the request itself when it isn't one
+const findOwnUnpublishedPost = async (req, res) => {
+	const post = await findVisiblePost(req);
+	if (!post) {
+		res.status(404).json({ message: "Post not found" });
+		return null;
+	}
+
+	if (post.author.toString() !== req.user._id.toString()) {
+		res.status(403).json({ message: "You are not authorized to change this post" });
+		return null;
+	}
+
+	if (isPublished(post)) {
+		res.status(400).json({ message: "This post is already published" });
+		return null;
+	}
+
+	return post;
+};
+
+// a scheduled post's publishAt, or null unless it's a valid time in the future
+const readPublishAt = (value) => {
+	const publishAt = typeof value === "string" || typeof value === "number" ? new Date(value) : null;
+	return publishAt && publishAt > new Date() ? publishAt : null;
+};
+
+// clients from before posts had attachments send one `image` data URL, or null to remove it
+const readAttachments = ({ attachments, image }) => {
+	if (attachments !== undefined || image === undefined) {
+		return attachments;
+	}
+	return image ? [{ data: image }] : [];
+};
+
+// whether an edit leaves the attachments as they were, alt texts included
+const sameAttachments = (next, current) =>
+	next.length === current.length &&
+	next.every(
+		(attachment, index) =>
+			attachment._id?.toString() === current[index]._id.toString() && attachment.altText === current[index].altText
+	);
+
+// adds the viewer's own reaction (or null) and whether they saved it to each post, and to polls,
+// the shared ones in reposts included, the viewer's vote and the results as far as they may see them yet
+const withViewerState = async (posts, viewerId) => {
+	const postIds = posts.map((post) => post._id);
+	const polls = posts.flatMap((post) => [post, post.repostOf]).filter((post) => post?.poll);
+	const [reactions, votes, saves] = await Promise.all([
+		Reaction.find({ post: { $in: postIds }, user: viewerId }).select("post type").lean(),
+		polls.length
+			? PollVote.find({ post: { $in: polls.map((post) => post._id) }, user: viewerId }).select("post option").lean()
+			: [],
+		SavedPost.find({ post: { $in: postIds }, user: viewerId }).select("post").lean(),
+	]);
+	const typeByPost = new Map(reactions.map((reaction) => [reaction.post.toString(), reaction.type]));
+	const voteByPost = new Map(votes.map((vote) => [vote.post.toString(), vote.option]));
+	const savedPosts = new Set(saves.map((save) => save.post.toString()));
+
+	const withPollView = (post) =>
+		post?.poll ? { ...post, poll: toPollView(post.poll, voteByPost.get(post._id.toString()) ?? null) } : post;
+
+	return posts.map((post) => {
+		const plainPost = post.toObject?.() ?? post;
+		return {
+			...withPollView(plainPost),
+			repostOf: withPollView(plainPost.repostOf),
+			viewerReaction: typeByPost.get(post._id.toString()) ?? null,
+			viewerSaved: savedPosts.has(post._id.toString()),
+		};
+	});
+};
+
+const getLatestFeed = async (req, res, limit) => {
+	const page = readCursor(req, res);
+	if (!page) {
+		return;
+	}
+
+	const posts = await Post.aggregate([
+		{
+			$match: {
+				author: { $in: [...req.user.connections, req.user._id] },
+				...buildVisibilityFilter(req.user),
+				...buildCursorFilter(page.cursor),
+			},
+		},
+		{ $sort: buildCursorSort() },
+		{ $limit: limit + 1 },
+	]);
+
+	await Post.populate(posts, POST_POPULATE);
+
+	const { items, nextCursor } = toPage(posts, limit);
+	res.status(200).json({ posts: await withViewerState(items, req.user._id), nextCursor });
+};
+
+const getRankedFeed = async (req, res, limit) => {
+	const page = readCursor(req, res, decodeOffsetCursor);
+	if (!page) {
+		return;
+	}
+
+	const rankedAt = page.cursor?.at ?? new Date();
+	const offset = page.cursor?.offset ?? 0;
+	const connections = [...req.user.connections];
+
+	// posts made after the first page was ranked would shuffle the later pages
+	const [candidates, affinityByAuthor] = await Promise.all([
+		Post.aggregate([
+			{
+				$match: {
+					author: { $in: [...connections, req.user._id] },
+					...buildVisibilityFilter(req.user),
+					createdAt: { $gt: new Date(rankedAt.getTime() - RANKED_CANDIDATE_MAX_AGE), $lte: rankedAt },
+				},
+			},
+			{ $sort: buildCursorSort() },
+			{ $limit: RANKED_CANDIDATE_LIMIT },
+		]),
+		getAuthorAffinity(req.user._id, connections, rankedAt),
+	]);
+
+	const ranked = rankPosts(candidates, {
+		now: rankedAt.getTime(),
+		affinityByAuthor,
+		weights: getFeedRankingWeights(),
+	});
+	const posts = ranked.slice(offset, offset + limit);
+
+	await Post.populate(posts, POST_POPULATE);
+
+	const nextOffset = offset + limit;
+	res.status(200).json({
+		posts: await withViewerState(posts, req.user._id),
+		nextCursor: nextOffset < ranked.length ? encodeOffsetCursor({ offset: nextOffset, at: rankedAt }) : null,
+	});
+};
 
 export const getFeedPosts = async (req, res) => {
 	try {
-		const posts = await Post.find({
-			author: { $in: [...req.user.connections, req.user._id] },
-		})
-			.populate("author", "name username profilePicture headline")
-			.populate("comments.user", "name profilePicture")
-			.sort({ createdAt: -1 });
+		const mode = req.query.mode || "latest";
+		if (!FEED_MODES.includes(mode)) {
+			return res.status(400).json({ message: `Mode must be one of: ${FEED_MODES.join(", ")}` });
+		}
 
-		res.status(200).json(posts);
+		const limit = parseLimit(req.query.limit, { defaultLimit: FEED_PAGE_SIZE });
+
+		if (mode === "ranked") {
+			await getRankedFeed(req, res, limit);
+		} else {
+			await getLatestFeed(req, res, limit);
+		}
 	} catch (error) {
 		console.error("Error in getFeedPosts controller:", error);
 		res.status(500).json({ message: "Server error" });
@@ -20,24 +270,65 @@ export const getFeedPosts = async (req, res) => {
 
 export const createPost = async (req, res) => {
 	try {
-		const { content, image } = req.body;
-		let newPost;
+		const { visibility = "public", status = "published" } = req.body;
+		if (req.body.content !== undefined && typeof req.body.content !== "string") {
+			return res.status(400).json({ message: "Content must be a string" });
+		}
 
-		if (image) {
-			const imgResult = await cloudinary.uploader.upload(image);
-			newPost = new Post({
-				author: req.user._id,
-				content,
-				image: imgResult.secure_url,
-			});
-		} else {
-			newPost = new Post({
-				author: req.user._id,
-				content,
-			});
+		const content = sanitizeMarkdown(req.body.content);
+		if (!POST_VISIBILITIES.includes(visibility)) {
+			return res.status(400).json({ message: `Visibility must be one of: ${POST_VISIBILITIES.join(", ")}` });
 		}
 
+		if (!POST_STATUSES.includes(status)) {
+			return res.status(400).json({ message: `Status must be one of: ${POST_STATUSES.join(", ")}` });
+		}
+
+		const publishAt = status === "scheduled" ? readPublishAt(req.body.publishAt) : undefined;
+		if (publishAt === null) {
+			return res.status(400).json({ message: "Scheduled posts need a publishAt time in the future" });
+		}
+
+		let poll;
+		if (req.body.poll !== undefined) {
+			if (!content?.trim()) {
+				return res.status(400).json({ message: "A poll needs a question" });
+			}
+
+			const result = validatePoll(req.body.poll, { opensAt: publishAt });
+			if (result.error) {
+				return res.status(400).json({ message: result.error });
+			}
+			poll = result.poll;
+		}
+
+		const { attachments, error } = validateAttachments(readAttachments(req.body) ?? []);
+		if (error) {
+			return res.status(400).json({ message: error });
+		}
+
+		// drafts too, they'd be published as they are
+		if (!content?.trim() && !attachments.length) {
+			return res.status(400).json({ message: "A post needs content or an attachment" });
+		}
+
+		const newPost = new Post({
+			author: req.user._id,
+			content,
+			attachments: await uploadAttachments(attachments),
+			poll,
+			hashtags: extractHashtags(content),
+			mentions: await resolveMentions(content),
+			visibility,
+			status,
+			publishAt,
+		});
+
 		await newPost.save();
+		// drafts tell the people they mention once they're published, see lib/scheduler.js
+		if (isPublished(newPost)) {
+			await notifyMentions({ mentions: newPost.mentions, author: req.user._id, post: newPost._id, audience: newPost });
+		}
 
 		res.status(201).json(newPost);
 	} catch (error) {
@@ -46,6 +337,60 @@ export const createPost = async (req, res) => {
 	}
 };
 
+// shares a post with the reposter's connections, optionally with their own commentary
+export const repostPost = async (req, res) => {
+	try {
+		const { content } = req.body;
+		if (content !== undefined && typeof content !== "string") {
+			return res.status(400).json({ message: "Content must be a string" });
+		}
+
+		const target = await findVisiblePost(req, "author visibility status repostOf");
+		// reposting a repost shares the post it shared
+		const original = target?.repostOf ? await Post.findById(target.repostOf).select("author visibility status") : target;
+		// the author sees their own drafts, but there's nothing to share before they're out
+		if (!original || !isPublished(original)) {
+			return res.status(404).json({ message: "Post not found" });
+		}
+
+		// reposts are public, so sharing anything else would show it to people it wasn't meant for
+		if (original.visibility !== "public") {
+			return res.status(400).json({ message: "Only public posts can be reposted" });
+		}
+
+		const commentary = sanitizeMarkdown(content)?.trim() || undefined;
+		if (!commentary && (await Post.exists({ author: req.user._id, repostOf: original._id, content: null }))) {
+			return res.status(400).json({ message: "You already reposted this post" });
+		}
+
+		const repost = await Post.create({
+			author: req.user._id,
+			content: commentary,
+			hashtags: extractHashtags(commentary),
+			mentions: await resolveMentions(commentary),
+			repostOf: original._id,
+		});
+		await Post.updateOne({ _id: original._id }, { $inc: { repostCount: 1 } });
+		await notifyMentions({ mentions: repost.mentions, author: req.user._id, post: repost._id });
+
+		if (original.author.toString() !== req.user._id.toString()) {
+			await Notification.create({
+				recipient: original.author,
+				type: "repost",
+				relatedUser: req.user._id,
+				relatedPost: original._id,
+			});
+		}
+
+		await repost.populate(POST_POPULATE);
+		const [repostWithReaction] = await withViewerState([repost], req.user._id);
+		res.status(201).json(repostWithReaction);
+	} catch (error) {
+		console.error("Error in repostPost controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
 export const deletePost = async (req, res) => {
 	try {
 		const postId = req.params.id;
@@ -53,25 +398,33 @@ export const deletePost = async (req, res) => {
 
 		const post = await Post.findById(postId);
 
-		if (!post) {
+		if (!post || !canViewPost(post, req.user)) {
 			return res.status(404).json({ message: "Post not found" });
 		}
 
-		// check if the current user is the author of the post
-		if (post.author.toString() !== userId.toString()) {
+		// authors take down their own posts, moderators anyone's
+		if (post.author.toString() !== userId.toString() && !canModerate(req.user)) {
 			return res
 				.status(403)
 				.json({ message: "You are not authorized to delete this post" });
 		}
 
-		// delete the image from cloudinary as well!
-		if (post.image) {
-			await cloudinary.uploader.destroy(
-				post.image.split("/").pop().split(".")[0]
-			);
-		}
+		// delete the attachments from cloudinary as well, including the ones edited away
+		const revisions = await PostRevision.find({ post: postId }).select("attachments");
+		await destroyAttachments([...post.attachments, ...revisions.flatMap((revision) => revision.attachments)]);
 
 		await Post.findByIdAndDelete(postId);
+		await PostRevision.deleteMany({ post: postId });
+		await Comment.deleteMany({ post: postId });
+		await Reaction.deleteMany({ post: postId });
+		await PollVote.deleteMany({ post: postId });
+		await SavedPost.deleteMany({ post: postId });
+
+		// reposts stay around, but say the post they shared is gone
+		await Post.updateMany({ repostOf: postId }, { $set: { originalDeletedAt: new Date() } });
+		if (post.repostOf) {
+			await Post.updateOne({ _id: post.repostOf }, { $inc: { repostCount: -1 } });
+		}
 
 		res.status(200).json({ message: "Post deleted successfully" });
 	} catch (error) {
@@ -79,83 +432,560 @@ export const deletePost = async (req, res) => {
 	}
 };
 
+export const updatePost = async (req, res) => {
+	try {
+		const { content, visibility } = req.body;
+
+		if (content !== undefined && typeof content !== "string") {
+			return res.status(400).json({ message: "Content must be a string" });
+		}
+
+		const post = await findVisiblePost(req);
+		if (!post) {
+			return res.status(404).json({ message: "Post not found" });
+		}
+
+		if (post.author.toString() !== req.user._id.toString()) {
+			return res.status(403).json({ message: "You are not authorized to edit this post" });
+		}
+
+		const published = isPublished(post);
+
+		// polls can be reworked while they're drafts, but votes are cast on the options as published
+		let { poll } = post;
+		if (req.body.poll !== undefined) {
+			if (published) {
+				return res.status(400).json({ message: "A poll can't be changed once it's published" });
+			}
+
+			const result = validatePoll(req.body.poll, { opensAt: post.publishAt });
+			if (result.error) {
+				return res.status(400).json({ message: result.error });
+			}
+			poll = result.poll;
+		}
+
+		if (visibility !== undefined) {
+			if (published) {
+				return res.status(400).json({ message: "Visibility can't be changed once a post is published" });
+			}
+			if (!POST_VISIBILITIES.includes(visibility)) {
+				return res.status(400).json({ message: `Visibility must be one of: ${POST_VISIBILITIES.join(", ")}` });
+			}
+		}
+
+		// leaving `attachments` out keeps them as they are, a list replaces them: `{ _id, altText }`
+		// keeps one of the current ones and `{ data, altText }` uploads a new one
+		const { attachments, error } = validateAttachments(
+			readAttachments(req.body) ?? post.attachments.map(({ _id, altText }) => ({ _id, altText })),
+			post.attachments
+		);
+		if (error) {
+			return res.status(400).json({ message: error });
+		}
+		const nextContent = sanitizeMarkdown(content) ?? post.content;
+
+		if (poll && !nextContent?.trim()) {
+			return res.status(400).json({ message: "A poll needs a question" });
+		}
+
+		// a repost can do without commentary, the shared post is its content
+		if (!nextContent?.trim() && !attachments.length && !post.repostOf) {
+			return res.status(400).json({ message: "A post needs content or an attachment" });
+		}
+
+		const nextVisibility = visibility ?? post.visibility;
+		if (
+			nextContent === post.content &&
+			nextVisibility === post.visibility &&
+			poll === post.poll &&
+			sameAttachments(attachments, post.attachments)
+		) {
+			return res.status(400).json({ message: "Nothing to update" });
+		}
+
+		// drafts are still being written, only edits to published posts are kept as history
+		if (published) {
+			const editedAt = new Date();
+
+			// replaced attachments stay on cloudinary, the history still shows them
+			await PostRevision.create({
+				post: post._id,
+				content: post.content,
+				attachments: post.attachments.map((attachment) => attachment.toObject()),
+				authoredAt: post.editedAt || post.createdAt,
+				replacedAt: editedAt,
+			});
+			post.editedAt = editedAt;
+		}
+
+		const previousMentions = [...post.mentions];
+		const previousAttachments = [...post.attachments];
+
+		post.content = nextContent;
+		post.attachments = await uploadAttachments(attachments);
+		post.hashtags = extractHashtags(nextContent);
+		post.mentions = await resolveMentions(nextContent);
+		post.visibility = nextVisibility;
+		post.poll = poll;
+		await post.save();
+		// nothing but the draft ever showed what it replaced
+		if (!published) {
+			const kept = new Set(post.attachments.map((attachment) => attachment.publicId));
+			await destroyAttachments(previousAttachments.filter((attachment) => !kept.has(attachment.publicId)));
+		}
+		// only people the edit adds are told about it, and only once the post is out
+		if (published) {
+			await notifyMentions({
+				mentions: post.mentions,
+				previousMentions,
+				author: req.user._id,
+				post: post._id,
+				audience: post,
+			});
+		}
+		await post.populate(POST_POPULATE);
+
+		const [updatedPost] = await withViewerState([post], req.user._id);
+		res.status(200).json(updatedPost);
+	} catch (error) {
+		console.error("Error in updatePost controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const getPostHistory = async (req, res) => {
+	try {
+		const post = await findVisiblePost(req, "author visibility content attachments createdAt editedAt");
+		if (!post) {
+			return res.status(404).json({ message: "Post not found" });
+		}
+
+		const revisions = await PostRevision.find({ post: post._id })
+			.select("content attachments authoredAt replacedAt")
+			.sort({ replacedAt: -1, _id: -1 });
+
+		res.status(200).json({
+			current: {
+				content: post.content,
+				attachments: post.attachments,
+				authoredAt: post.editedAt || post.createdAt,
+			},
+			revisions,
+		});
+	} catch (error) {
+		console.error("Error in getPostHistory controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
 export const getPostById = async (req, res) => {
 	try {
-		const postId = req.params.id;
-		const post = await Post.findById(postId)
-			.populate("author", "name username profilePicture headline")
-			.populate("comments.user", "name profilePicture username headline");
+		// comments are loaded separately, see getPostComments
+		const post = mongoose.isValidObjectId(req.params.id)
+			? await Post.findById(req.params.id).populate(POST_POPULATE)
+			: null;
+		if (!post || !canViewPost(post, req.user)) {
+			return res.status(404).json({ message: "Post not found" });
+		}
 
-		res.status(200).json(post);
+		const [postWithReaction] = await withViewerState([post], req.user._id);
+		res.status(200).json(postWithReaction);
 	} catch (error) {
 		console.error("Error in getPostById controller:", error);
 		res.status(500).json({ message: "Server error" });
 	}
 };
 
-export const createComment = async (req, res) => {
+// reacting with the type you already picked takes the reaction back, another type switches it
+export const reactToPost = async (req, res) => {
 	try {
-		const postId = req.params.id;
-		const { content } = req.body;
+		// the old like endpoint posts no body
+		const type = req.body?.type ?? "like";
+		if (!REACTION_TYPES.includes(type)) {
+			return res.status(400).json({ message: `Reaction must be one of: ${REACTION_TYPES.join(", ")}` });
+		}
 
-		const post = await Post.findByIdAndUpdate(
-			postId,
-			{
-				$push: { comments: { user: req.user._id, content } },
-			},
+		const post = await findVisiblePost(req, "author visibility");
+		if (!post) {
+			return res.status(404).json({ message: "Post not found" });
+		}
+
+		const userId = req.user._id;
+		const existing = await Reaction.findOne({ post: post._id, user: userId });
+		const counts = {};
+		let viewerReaction = type;
+
+		if (existing?.type === type) {
+			// only count what this request actually removed, a double click may race it
+			if ((await Reaction.deleteOne({ _id: existing._id, type })).deletedCount) {
+				counts[type] = -1;
+			}
+			viewerReaction = null;
+		} else if (existing) {
+			if ((await Reaction.updateOne({ _id: existing._id, type: existing.type }, { $set: { type } })).modifiedCount) {
+				counts[existing.type] = -1;
+				counts[type] = 1;
+			}
+		} else {
+			const { upsertedCount } = await Reaction.updateOne(
+				{ post: post._id, user: userId },
+				{ $setOnInsert: { type } },
+				{ upsert: true }
+			);
+			if (upsertedCount) {
+				counts[type] = 1;
+			}
+		}
+
+		const updated = Object.keys(counts).length
+			? await Post.findByIdAndUpdate(
+				post._id,
+				{ $inc: Object.fromEntries(Object.entries(counts).map(([name, count]) => [`reactionCounts.${name}`, count])) },
+				{ new: true }
+			).select("reactionCounts")
+			: await Post.findById(post._id).select("reactionCounts");
+
+		if (viewerReaction && post.author.toString() !== userId.toString()) {
+			// switching reactions updates the notification instead of sending another one
+			await Notification.findOneAndUpdate(
+				{ recipient: post.author, type: "reaction", relatedUser: userId, relatedPost: post._id },
+				{ $set: { reactionType: viewerReaction, read: false } },
+				{ upsert: true }
+			);
+		}
+
+		res.status(200).json({ reactionCounts: updated.reactionCounts, viewerReaction });
+	} catch (error) {
+		console.error("Error in reactToPost controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+// who reacted to a post, newest first, optionally only with one reaction type
+export const getPostReactions = async (req, res) => {
+	try {
+		const { type } = req.query;
+		if (type !== undefined && !REACTION_TYPES.includes(type)) {
+			return res.status(400).json({ message: `Reaction must be one of: ${REACTION_TYPES.join(", ")}` });
+		}
+
+		const post = await findVisiblePost(req, "author visibility reactionCounts");
+		if (!post) {
+			return res.status(404).json({ message: "Post not found" });
+		}
+
+		const page = readCursor(req, res);
+		if (!page) {
+			return;
+		}
+
+		const limit = parseLimit(req.query.limit, { defaultLimit: REACTIONS_PAGE_SIZE });
+		const reactions = await Reaction.find({
+			post: post._id,
+			...(type && { type }),
+			...buildCursorFilter(page.cursor),
+		})
+			.sort(buildCursorSort())
+			.limit(limit + 1)
+			.select("user type createdAt")
+			.populate("user", FEED_AUTHOR_FIELDS)
+			.lean();
+
+		const { items, nextCursor } = toPage(reactions, limit);
+		res.status(200).json({ reactions: items, reactionCounts: post.reactionCounts, nextCursor });
+	} catch (error) {
+		console.error("Error in getPostReactions controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+// everyone's posts with a hashtag, newest first
+export const getHashtagPosts = async (req, res) => {
+	try {
+		const tag = normalizeHashtag(req.params.tag);
+		if (!tag) {
+			return res.status(400).json({ message: "Hashtag is required" });
+		}
+
+		const page = readCursor(req, res);
+		if (!page) {
+			return;
+		}
+
+		const limit = parseLimit(req.query.limit, { defaultLimit: HASHTAG_PAGE_SIZE });
+		const posts = await Post.find({
+			hashtags: tag,
+			...buildVisibilityFilter(req.user),
+			...buildCursorFilter(page.cursor),
+		})
+			.sort(buildCursorSort())
+			.limit(limit + 1)
+			.populate(POST_POPULATE)
+			.lean();
+
+		const { items, nextCursor } = toPage(posts, limit);
+		res.status(200).json({ tag, posts: await withViewerState(items, req.user._id), nextCursor });
+	} catch (error) {
+		console.error("Error in getHashtagPosts controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+// the posts on someone's profile, newest first, as far as the viewer may see them
+export const getUserPosts = async (req, res) => {
+	try {
+		const user = await User.findOne({ username: req.params.username }).select("_id");
+		if (!user) {
+			return res.status(404).json({ message: "User not found" });
+		}
+
+		const page = readCursor(req, res);
+		if (!page) {
+			return;
+		}
+
+		const limit = parseLimit(req.query.limit, { defaultLimit: PROFILE_PAGE_SIZE });
+		const posts = await Post.find({
+			author: user._id,
+			...buildVisibilityFilter(req.user),
+			...buildCursorFilter(page.cursor),
+		})
+			.sort(buildCursorSort())
+			.limit(limit + 1)
+			.populate(POST_POPULATE)
+			.lean();
+
+		const { items, nextCursor } = toPage(posts, limit);
+		res.status(200).json({ posts: await withViewerState(items, req.user._id), nextCursor });
+	} catch (error) {
+		console.error("Error in getUserPosts controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+// the viewer's drafts and scheduled posts, newest first, optionally only one of the two
+export const getDraftPosts = async (req, res) => {
+	try {
+		const { status } = req.query;
+		if (status !== undefined && !UNPUBLISHED_STATUSES.includes(status)) {
+			return res.status(400).json({ message: `Status must be one of: ${UNPUBLISHED_STATUSES.join(", ")}` });
+		}
+
+		const page = readCursor(req, res);
+		if (!page) {
+			return;
+		}
+
+		const limit = parseLimit(req.query.limit, { defaultLimit: DRAFTS_PAGE_SIZE });
+		const posts = await Post.find({
+			author: req.user._id,
+			status: status ?? { $in: UNPUBLISHED_STATUSES },
+			...buildCursorFilter(page.cursor),
+		})
+			.sort(buildCursorSort())
+			.limit(limit + 1)
+			.populate(POST_POPULATE)
+			.lean();
+
+		const { items, nextCursor } = toPage(posts, limit);
+		res.status(200).json({ posts: items, nextCursor });
+	} catch (error) {
+		console.error("Error in getDraftPosts controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+// publishes a draft, or a scheduled post ahead of its time, right away
+export const publishPostNow = async (req, res) => {
+	try {
+		const post = await findOwnUnpublishedPost(req, res);
+		if (!post) {
+			return;
+		}
+
+		if (post.poll && isPollClosed(post.poll)) {
+			return res.status(400).json({ message: "The poll's closing time has passed, pick a new one first" });
+		}
+
+		const published = await publishPost(post._id);
+		// the scheduler got there first
+		if (!published) {
+			return res.status(400).json({ message: "This post is already published" });
+		}
+
+		await published.populate(POST_POPULATE);
+		const [publishedPost] = await withViewerState([published], req.user._id);
+		res.status(200).json(publishedPost);
+	} catch (error) {
+		console.error("Error in publishPostNow controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+// schedules a draft, moves a scheduled post to another time or, with a null publishAt, back to the drafts
+export const schedulePost = async (req, res) => {
+	try {
+		const publishAt = req.body.publishAt === null ? null : readPublishAt(req.body.publishAt);
+		if (req.body.publishAt !== null && !publishAt) {
+			return res.status(400).json({ message: "Scheduled posts need a publishAt time in the future" });
+		}
+
+		const post = await findOwnUnpublishedPost(req, res);
+		if (!post) {
+			return;
+		}
+
+		if (publishAt && post.poll && isPollClosed(post.poll, publishAt)) {
+			return res.status(400).json({ message: "The poll would close before the post is published" });
+		}
+
+		// the scheduler only releases posts that are still scheduled, so this can't race it into publishing twice
+		const updated = await Post.findOneAndUpdate(
+			{ _id: post._id, status: { $in: UNPUBLISHED_STATUSES } },
+			publishAt
+				? { $set: { status: "scheduled", publishAt } }
+				: { $set: { status: "draft" }, $unset: { publishAt: "" } },
 			{ new: true }
-		).populate("author", "name email username headline profilePicture");
+		).populate(POST_POPULATE);
+		if (!updated) {
+			return res.status(400).json({ message: "This post is already published" });
+		}
 
-		// create a notification if the comment owner is not the post owner
-		if (post.author._id.toString() !== req.user._id.toString()) {
-			const newNotification = new Notification({
-				recipient: post.author,
-				type: "comment",
-				relatedUser: req.user._id,
-				relatedPost: postId,
-			});
+		res.status(200).json(updated);
+	} catch (error) {
+		console.error("Error in schedulePost controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+// one vote per user, and it can't be taken back or changed
+export const voteInPoll = async (req, res) => {
+	try {
+		const post = await findVisiblePost(req, "author visibility status poll");
+		if (!post) {
+			return res.status(404).json({ message: "Post not found" });
+		}
+
+		if (!post.poll) {
+			return res.status(400).json({ message: "This post is not a poll" });
+		}
 
-			await newNotification.save();
+		if (!isPublished(post)) {
+			return res.status(400).json({ message: "This poll isn't open yet" });
 		}
-		res.status(200).json(post);
+
+		if (isPollClosed(post.poll)) {
+			return res.status(400).json({ message: "This poll is closed" });
+		}
+
+		const option = post.poll.options.find((candidate) => candidate._id.toString() === String(req.body.optionId));
+		if (!option) {
+			return res.status(400).json({ message: "optionId must be one of the poll's options" });
+		}
+
+		// a double click may race this, only the request that inserted the vote counts it
+		const { upsertedCount } = await PollVote.updateOne(
+			{ post: post._id, user: req.user._id },
+			{ $setOnInsert: { option: option._id } },
+			{ upsert: true }
+		);
+		if (!upsertedCount) {
+			return res.status(400).json({ message: "You already voted in this poll" });
+		}
+
+		const updated = await Post.findOneAndUpdate(
+			{ _id: post._id, "poll.options._id": option._id },
+			{ $inc: { "poll.options.$.voteCount": 1 } },
+			{ new: true }
+		).select("poll");
+
+		res.status(200).json({ poll: toPollView(updated.poll, option._id) });
 	} catch (error) {
-		console.error("Error in createComment controller:", error);
+		console.error("Error in voteInPoll controller:", error);
 		res.status(500).json({ message: "Server error" });
 	}
 };
 
-export const likePost = async (req, res) => {
+// bookmarks a post for the viewer's saved list; saving it again changes nothing
+export const savePost = async (req, res) => {
 	try {
-		const postId = req.params.id;
-		const post = await Post.findById(postId);
-		const userId = req.user._id;
+		const post = await findVisiblePost(req, "author visibility status");
+		if (!post || !isPublished(post)) {
+			return res.status(404).json({ message: "Post not found" });
+		}
 
-		if (post.likes.includes(userId)) {
-			// unlike the post
-			post.likes = post.likes.filter(
-				(id) => id.toString() !== userId.toString()
-			);
-		} else {
-			// like the post
-			post.likes.push(userId);
-			// create a notification if the post owner is not the user who liked
-			if (post.author.toString() !== userId.toString()) {
-				const newNotification = new Notification({
-					recipient: post.author,
-					type: "like",
-					relatedUser: userId,
-					relatedPost: postId,
-				});
-
-				await newNotification.save();
+		try {
+			await SavedPost.create({ user: req.user._id, post: post._id });
+		} catch (error) {
+			// already saved, maybe by a double click racing this one
+			if (error.code !== 11000) {
+				throw error;
 			}
 		}
 
-		await post.save();
+		res.status(200).json({ saved: true });
+	} catch (error) {
+		console.error("Error in savePost controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+// works whether or not the post is still there, so stale saves can always be cleared
+export const unsavePost = async (req, res) => {
+	try {
+		if (!mongoose.isValidObjectId(req.params.id)) {
+			return res.status(404).json({ message: "Post not found" });
+		}
+
+		await SavedPost.deleteOne({ user: req.user._id, post: req.params.id });
+		res.status(200).json({ saved: false });
+	} catch (error) {
+		console.error("Error in unsavePost controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+// the viewer's saved posts, newest save first. Saves of posts that are gone or that the viewer
+// may no longer see are dropped from the list as they come up
+export const getSavedPosts = async (req, res) => {
+	try {
+		const page = readCursor(req, res);
+		if (!page) {
+			return;
+		}
+
+		const limit = parseLimit(req.query.limit, { defaultLimit: SAVED_PAGE_SIZE });
+		const saves = [];
+		let cursor = page.cursor;
+		let hasMore = true;
+
+		// dropped saves leave gaps, so read on until the page is full or the list runs out
+		while (hasMore && saves.length <= limit) {
+			const wanted = limit + 1 - saves.length;
+			const batch = await SavedPost.find({ user: req.user._id, ...buildCursorFilter(cursor) })
+				.sort(buildCursorSort())
+				.limit(wanted)
+				.populate({ path: "post", populate: POST_POPULATE });
+			hasMore = batch.length === wanted;
+			cursor = batch[batch.length - 1] ?? cursor;
+
+			const stale = batch.filter((save) => !save.post || !canViewPost(save.post, req.user));
+			if (stale.length) {
+				await SavedPost.deleteMany({ _id: { $in: stale.map((save) => save._id) } });
+			}
+			saves.push(...batch.filter((save) => !stale.includes(save)));
+		}
+
+		const { items, nextCursor } = toPage(saves, limit);
+		const posts = await withViewerState(items.map((save) => save.post), req.user._id);
 
-		res.status(200).json(post);
+		res.status(200).json({
+			posts: posts.map((post, index) => ({ ...post, savedAt: items[index].createdAt })),
+			nextCursor,
+		});
 	} catch (error) {
-		console.error("Error in likePost controller:", error);
+		console.error("Error in getSavedPosts controller:", error);
 		res.status(500).json({ message: "Server error" });
 	}
 };
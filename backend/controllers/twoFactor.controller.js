@@ -0,0 +1,180 @@
+import User from "../models/user.model.js";
+import { buildOtpAuthUri, generateTotpSecret, verifyTotp } from "../lib/totp.js";
+import { decryptSecret, encryptSecret, generateToken, hashToken } from "../lib/tokens.js";
+import { clearAuthCookies, completeTwoFactorChallenge, revokeSessions } from "../lib/session.js";
+
+const TWO_FACTOR_ISSUER = "Auto_Connect";
+const RECOVERY_CODE_COUNT = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const TWO_FACTOR_FIELDS =
+	"+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep";
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+const generateRecoveryCodes = () =>
+	Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+		const code = generateToken(5);
+		return `${code.slice(0, 5)}-${code.slice(5)}`;
+	});
+
+const findUserWithSecrets = (userId) => User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+// accepts either a TOTP code or a recovery code. Recovery codes are consumed and
+// the TOTP time step is remembered, so neither can be replayed.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+	if (code) {
+		const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+		if (step === null || step <= (user.twoFactorLastUsedStep ?? -1)) {
+			return false;
+		}
+
+		user.twoFactorLastUsedStep = step;
+		return true;
+	}
+
+	if (recoveryCode) {
+		const index = user.twoFactorRecoveryCodes.indexOf(hashToken(normalizeRecoveryCode(recoveryCode)));
+		if (index === -1) {
+			return false;
+		}
+
+		user.twoFactorRecoveryCodes.splice(index, 1);
+		return true;
+	}
+
+	return false;
+};
+
+export const setupTwoFactor = async (req, res) => {
+	try {
+		const user = await findUserWithSecrets(req.user._id);
+
+		if (user.twoFactorEnabled) {
+			return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+		}
+
+		const secret = generateTotpSecret();
+		user.twoFactorPendingSecret = encryptSecret(secret);
+		await user.save();
+
+		res.json({
+			secret,
+			otpauthUrl: buildOtpAuthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER }),
+		});
+	} catch (error) {
+		console.error("Error in setupTwoFactor controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const enableTwoFactor = async (req, res) => {
+	try {
+		const user = await findUserWithSecrets(req.user._id);
+
+		if (user.twoFactorEnabled) {
+			return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+		}
+
+		if (!user.twoFactorPendingSecret) {
+			return res.status(400).json({ message: "Start two-factor setup first" });
+		}
+
+		const step = verifyTotp(decryptSecret(user.twoFactorPendingSecret), req.body.code);
+		if (step === null) {
+			return res.status(400).json({ message: "Invalid verification code" });
+		}
+
+		const recoveryCodes = generateRecoveryCodes();
+
+		user.twoFactorEnabled = true;
+		user.twoFactorSecret = user.twoFactorPendingSecret;
+		user.twoFactorPendingSecret = undefined;
+		user.twoFactorLastUsedStep = step;
+		user.twoFactorRecoveryCodes = recoveryCodes.map((recoveryCode) => hashToken(recoveryCode));
+		await user.save();
+
+		// the plain recovery codes are only ever shown here
+		res.json({ message: "Two-factor authentication enabled", recoveryCodes });
+	} catch (error) {
+		console.error("Error in enableTwoFactor controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const disableTwoFactor = async (req, res) => {
+	try {
+		const user = await findUserWithSecrets(req.user._id);
+
+		if (!user.twoFactorEnabled) {
+			return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+		}
+
+		if (!checkSecondFactor(user, req.body)) {
+			return res.status(400).json({ message: "Invalid verification code" });
+		}
+
+		user.twoFactorEnabled = false;
+		user.twoFactorSecret = undefined;
+		user.twoFactorRecoveryCodes = [];
+		user.twoFactorLastUsedStep = undefined;
+		await user.save();
+
+		res.json({ message: "Two-factor authentication disabled" });
+	} catch (error) {
+		console.error("Error in disableTwoFactor controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const regenerateRecoveryCodes = async (req, res) => {
+	try {
+		const user = await findUserWithSecrets(req.user._id);
+
+		if (!user.twoFactorEnabled) {
+			return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+		}
+
+		if (!checkSecondFactor(user, { code: req.body.code })) {
+			return res.status(400).json({ message: "Invalid verification code" });
+		}
+
+		const recoveryCodes = generateRecoveryCodes();
+		user.twoFactorRecoveryCodes = recoveryCodes.map((recoveryCode) => hashToken(recoveryCode));
+		await user.save();
+
+		res.json({ recoveryCodes });
+	} catch (error) {
+		console.error("Error in regenerateRecoveryCodes controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const verifyTwoFactorChallenge = async (req, res) => {
+	try {
+		const user = await findUserWithSecrets(req.user._id);
+		const { session } = req;
+
+		if (!checkSecondFactor(user, req.body)) {
+			session.twoFactorAttempts += 1;
+
+			if (session.twoFactorAttempts >= MAX_CHALLENGE_ATTEMPTS) {
+				await revokeSessions({ _id: session._id });
+				clearAuthCookies(res);
+				return res
+					.status(401)
+					.json({ message: "Too many invalid codes, please sign in again" });
+			}
+
+			await session.save();
+			return res.status(400).json({ message: "Invalid verification code" });
+		}
+
+		await user.save();
+		await completeTwoFactorChallenge(res, session);
+
+		res.json({ message: "Logged in successfully" });
+	} catch (error) {
+		console.error("Error in verifyTwoFactorChallenge controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
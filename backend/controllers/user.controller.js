@@ -1,5 +1,9 @@
 import User from "../models/user.model.js";
 import cloudinary from "../lib/cloudinary.js";
+import { collectUserData, deleteUserAccount } from "../lib/accountData.js";
+import { clearAuthCookies } from "../lib/session.js";
+import { createZip } from "../lib/zip.js";
+import { sanitizeMarkdown } from "../lib/markdown.js";
 
 export const getSuggestedConnections = async (req, res) => {
 	try {
@@ -60,6 +64,11 @@ export const updateProfile = async (req, res) => {
 			}
 		}
 
+		// the About section is Markdown, like posts
+		if (updatedData.about !== undefined) {
+			updatedData.about = sanitizeMarkdown(updatedData.about);
+		}
+
 		if (req.body.profilePicture) {
 			const result = await cloudinary.uploader.upload(req.body.profilePicture);
 			updatedData.profilePicture = result.secure_url;
@@ -80,3 +89,46 @@ export const updateProfile = async (req, res) => {
 		res.status(500).json({ message: "Server error" });
 	}
 };
+
+export const exportMyData = async (req, res) => {
+	try {
+		const data = await collectUserData(req.user._id);
+		const exportedAt = new Date();
+		const filename = `auto-connect-${req.user.username}-${exportedAt.toISOString().slice(0, 10)}`;
+
+		if (req.query.format === "zip") {
+			const files = Object.entries(data).map(([section, content]) => ({
+				name: `${section}.json`,
+				data: JSON.stringify(content, null, 2),
+			}));
+
+			res.attachment(`${filename}.zip`);
+			return res.send(createZip(files, { date: exportedAt }));
+		}
+
+		res.attachment(`${filename}.json`);
+		res.send(JSON.stringify({ exportedAt, ...data }, null, 2));
+	} catch (error) {
+		console.error("Error in exportMyData controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
+
+export const deleteMyAccount = async (req, res) => {
+	try {
+		// typing the username guards against a stray click or a forged request
+		if (req.body.confirmation !== req.user.username) {
+			return res
+				.status(400)
+				.json({ message: "Type your username to confirm account deletion" });
+		}
+
+		await deleteUserAccount(req.user);
+		clearAuthCookies(res);
+
+		res.json({ message: "Account deleted successfully" });
+	} catch (error) {
+		console.error("Error in deleteMyAccount controller:", error);
+		res.status(500).json({ message: "Server error" });
+	}
+};
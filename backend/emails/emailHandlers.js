@@ -0,0 +1,22 @@
+import { sendMail } from "../lib/mailer.js";
+import { createPasswordResetEmailTemplate, createVerificationEmailTemplate } from "./emailTemplates.js";
+
+export const sendVerificationEmail = async (email, name, verifyUrl) => {
+	await sendMail({
+		to: [{ email, name }],
+		subject: "Verify your Auto_Connect email",
+		html: createVerificationEmailTemplate(name, verifyUrl),
+		text: `Hello ${name}, confirm your email address by opening ${verifyUrl}`,
+		category: "email_verification",
+	});
+};
+
+export const sendPasswordResetEmail = async (email, name, resetUrl) => {
+	await sendMail({
+		to: [{ email, name }],
+		subject: "Reset your Auto_Connect password",
+		html: createPasswordResetEmailTemplate(name, resetUrl),
+		text: `Hello ${name}, reset your password by opening ${resetUrl}`,
+		category: "password_reset",
+	});
+};
@@ -0,0 +1,56 @@
+const layout = (title, body) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="UTF-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<title>${title}</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+	<div style="background: linear-gradient(to right, #0077B5, #00A0DC); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+		<h1 style="color: white; margin: 0; font-size: 26px;">${title}</h1>
+	</div>
+	<div style="background-color: #ffffff; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 0 10px rgba(0,0,0,0.1);">
+		${body}
+		<p>Best regards,<br>The Auto_Connect Team</p>
+	</div>
+</body>
+</html>
+`;
+
+const escapeHtml = (value) =>
+	String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+
+const actionButton = (url, label) => `
+		<div style="text-align: center; margin: 30px 0;">
+			<a href="${url}" style="background-color: #0077B5; color: white; padding: 14px 28px; text-decoration: none; border-radius: 30px; font-weight: bold; font-size: 16px;">${label}</a>
+		</div>
+`;
+
+export const createVerificationEmailTemplate = (name, verifyUrl) =>
+	layout(
+		"Verify your email",
+		`
+		<p style="font-size: 18px; color: #0077B5;"><strong>Hello ${escapeHtml(name)},</strong></p>
+		<p>Thanks for joining Auto_Connect! Please confirm your email address so you can start posting and connecting with other professionals.</p>
+		${actionButton(verifyUrl, "Verify email")}
+		<p>This link expires in 24 hours. If you didn't create an account, you can safely ignore this email.</p>
+	`
+	);
+
+export const createPasswordResetEmailTemplate = (name, resetUrl) =>
+	layout(
+		"Reset your password",
+		`
+		<p style="font-size: 18px; color: #0077B5;"><strong>Hello ${escapeHtml(name)},</strong></p>
+		<p>We received a request to reset the password for your Auto_Connect account.</p>
+		${actionButton(resetUrl, "Reset password")}
+		<p>This link expires in 1 hour and can only be used once. Resetting your password signs you out on every device.</p>
+		<p>If you didn't ask for a reset, you can ignore this email and your password will stay the same.</p>
+	`
+	);
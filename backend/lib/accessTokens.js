@@ -0,0 +1,43 @@
+import AccessToken from "../models/accessToken.model.js";
+import { generateToken, hashToken } from "./tokens.js";
+
+// recognisable prefix so leaked tokens are easy to spot (and to grep for)
+const TOKEN_PREFIX = "acp_";
+// how many characters of the token we keep in clear text for display
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+
+export const ACCESS_TOKEN_SCOPES = [
+	"read:profile",
+	"write:profile",
+	"read:posts",
+	"write:posts",
+	"read:connections",
+	"write:connections",
+	"read:notifications",
+	"write:notifications",
+	"contests",
+];
+
+export const createAccessToken = async (userId, { name, scopes, expiresAt }) => {
+	const token = `${TOKEN_PREFIX}${generateToken(20)}`;
+
+	const accessToken = await AccessToken.create({
+		user: userId,
+		name,
+		scopes,
+		expiresAt,
+		tokenHash: hashToken(token),
+		prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+	});
+
+	return { accessToken, token };
+};
+
+export const findActiveAccessToken = async (token) => {
+	if (!token.startsWith(TOKEN_PREFIX)) {
+		return null;
+	}
+
+	const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+	return accessToken?.isActive() ? accessToken : null;
+};
@@ -0,0 +1,180 @@
+import cloudinary from "./cloudinary.js";
+import User from "../models/user.model.js";
+import Post from "../models/post.model.js";
+import ConnectionRequest from "../models/connectionRequest.model.js";
+import Notification from "../models/notification.model.js";
+import Contest from "../models/contest.model.js";
+import Session from "../models/session.model.js";
+import AccessToken from "../models/accessToken.model.js";
+import PostRevision from "../models/postRevision.model.js";
+import Comment from "../models/comment.model.js";
+import Reaction from "../models/reaction.model.js";
+import PollVote from "../models/pollVote.model.js";
+import SavedPost from "../models/savedPost.model.js";
+import { destroyAttachments } from "./media.js";
+
+// the "public id" cloudinary wants is the last path segment without its extension
+const destroyCloudinaryImage = async (url) => {
+	if (!url) {
+		return;
+	}
+
+	try {
+		await cloudinary.uploader.destroy(url.split("/").pop().split(".")[0]);
+	} catch (error) {
+		// an orphaned image is not worth aborting an account deletion over
+		console.error("Error deleting image from cloudinary:", error);
+	}
+};
+
+/**
+ * Gathers everything we store about a user, grouped by section. Each section
+ * becomes its own file in the zipped export.
+ */
+export const collectUserData = async (userId) => {
+	const profile = await User.findById(userId).select("-password").lean();
+
+	const posts = await Post.find({ author: userId }).sort({ createdAt: -1 }).lean();
+
+	const [
+		postRevisions,
+		comments,
+		reactions,
+		pollVotes,
+		savedPosts,
+		connections,
+		connectionRequests,
+		notifications,
+		wishlistedContests,
+	] = await Promise.all([
+		PostRevision.find({ post: { $in: posts.map((post) => post._id) } }).sort({ replacedAt: -1 }).lean(),
+		Comment.find({ user: userId })
+			.select("post content parent createdAt editedAt")
+			.populate("post", "author")
+			.sort({ createdAt: -1 })
+			.lean(),
+		Reaction.find({ user: userId })
+			.select("post type createdAt")
+			.populate("post", "author content")
+			.sort({ createdAt: -1 })
+			.lean(),
+		PollVote.find({ user: userId })
+			.select("post option createdAt")
+			.populate("post", "author content poll.options")
+			.sort({ createdAt: -1 })
+			.lean(),
+		SavedPost.find({ user: userId }).select("post createdAt").sort({ createdAt: -1 }).lean(),
+		User.find({ _id: { $in: profile.connections } }).select("name username headline").lean(),
+		ConnectionRequest.find({ $or: [{ sender: userId }, { recipient: userId }] }).lean(),
+		Notification.find({ recipient: userId }).sort({ createdAt: -1 }).lean(),
+		Contest.find({ _id: { $in: profile.contests } }).lean(),
+	]);
+
+	return {
+		profile,
+		posts,
+		postRevisions,
+		comments: comments.map((comment) => ({
+			_id: comment._id,
+			post: comment.post?._id,
+			postAuthor: comment.post?.author,
+			parent: comment.parent,
+			content: comment.content,
+			createdAt: comment.createdAt,
+			editedAt: comment.editedAt,
+		})),
+		reactions: reactions.map((reaction) => ({
+			post: reaction.post?._id,
+			postAuthor: reaction.post?.author,
+			content: reaction.post?.content,
+			type: reaction.type,
+			createdAt: reaction.createdAt,
+		})),
+		pollVotes: pollVotes.map((vote) => ({
+			post: vote.post?._id,
+			postAuthor: vote.post?.author,
+			question: vote.post?.content,
+			option: vote.post?.poll?.options.find((option) => option._id.equals(vote.option))?.text,
+			createdAt: vote.createdAt,
+		})),
+		savedPosts: savedPosts.map((save) => ({ post: save.post, savedAt: save.createdAt })),
+		connections,
+		connectionRequests,
+		notifications,
+		wishlistedContests,
+	};
+};
+
+/**
+ * Deletes a user and everything that only makes sense with them around. Their
+ * posts go away, their comments on other people's posts stay but lose the author.
+ */
+export const deleteUserAccount = async (user) => {
+	const userId = user._id;
+	const posts = await Post.find({ author: userId }).select("attachments repostOf");
+	const postIds = posts.map((post) => post._id);
+	const revisions = await PostRevision.find({ post: { $in: postIds } }).select("attachments");
+
+	await Promise.all([
+		destroyAttachments([...posts, ...revisions].flatMap((doc) => doc.attachments)),
+		destroyCloudinaryImage(user.profilePicture),
+		destroyCloudinaryImage(user.bannerImg),
+	]);
+
+	await Post.deleteMany({ author: userId });
+	// other people's reposts of these posts stay, but say the original is gone
+	await Post.updateMany({ repostOf: { $in: postIds } }, { $set: { originalDeletedAt: new Date() } });
+	const repostedIds = posts.map((post) => post.repostOf).filter(Boolean);
+	if (repostedIds.length) {
+		await Post.bulkWrite(
+			repostedIds.map((id) => ({ updateOne: { filter: { _id: id }, update: { $inc: { repostCount: -1 } } } }))
+		);
+	}
+	await PostRevision.deleteMany({ post: { $in: postIds } });
+	await Comment.deleteMany({ post: { $in: postIds } });
+	await Reaction.deleteMany({ post: { $in: postIds } });
+	await PollVote.deleteMany({ post: { $in: postIds } });
+	await SavedPost.deleteMany({ post: { $in: postIds } });
+
+	// take the user's reactions off the counts of the posts that stay
+	const reactions = await Reaction.find({ user: userId }).select("post type").lean();
+	if (reactions.length) {
+		await Post.bulkWrite(
+			reactions.map((reaction) => ({
+				updateOne: { filter: { _id: reaction.post }, update: { $inc: { [`reactionCounts.${reaction.type}`]: -1 } } },
+			}))
+		);
+	}
+
+	// and their votes off the polls
+	const votes = await PollVote.find({ user: userId }).select("post option").lean();
+	if (votes.length) {
+		await Post.bulkWrite(
+			votes.map((vote) => ({
+				updateOne: {
+					filter: { _id: vote.post, "poll.options._id": vote.option },
+					update: { $inc: { "poll.options.$.voteCount": -1 } },
+				},
+			}))
+		);
+	}
+
+	await Promise.all([
+		User.updateMany({ connections: userId }, { $pull: { connections: userId } }),
+		Reaction.deleteMany({ user: userId }),
+		PollVote.deleteMany({ user: userId }),
+		SavedPost.deleteMany({ user: userId }),
+		Comment.updateMany({ user: userId }, { $set: { user: null } }),
+		Post.updateMany({ mentions: userId }, { $pull: { mentions: userId } }),
+		Comment.updateMany({ mentions: userId }, { $pull: { mentions: userId } }),
+		Comment.updateMany({ likes: userId }, { $pull: { likes: userId }, $inc: { likeCount: -1 } }),
+		ConnectionRequest.deleteMany({ $or: [{ sender: userId }, { recipient: userId }] }),
+		Notification.deleteMany({
+			$or: [{ recipient: userId }, { relatedUser: userId }, { relatedPost: { $in: postIds } }],
+		}),
+		Session.deleteMany({ user: userId }),
+		AccessToken.deleteMany({ user: userId }),
+	]);
+
+	await User.deleteOne({ _id: userId });
+};
@@ -0,0 +1,152 @@
+// Fenced code blocks in post and comment text, written the Markdown way:
+//
+//     ```cpp
+//     int main() {}
+//     ```
+//
+// The frontend splits them out with the same rules to highlight them, see
+// frontend/src/utils/codeBlocks.js.
+
+// the languages the frontend highlights, anything else is shown as plain code
+export const CODE_LANGUAGES = [
+	"bash",
+	"c",
+	"cpp",
+	"csharp",
+	"go",
+	"java",
+	"javascript",
+	"json",
+	"kotlin",
+	"python",
+	"rust",
+	"sql",
+	"typescript",
+];
+
+const LANGUAGE_ALIASES = {
+	"c++": "cpp",
+	cc: "cpp",
+	"c#": "csharp",
+	cs: "csharp",
+	golang: "go",
+	js: "javascript",
+	jsx: "javascript",
+	kt: "kotlin",
+	py: "python",
+	rs: "rust",
+	sh: "bash",
+	shell: "bash",
+	ts: "typescript",
+	tsx: "typescript",
+};
+
+// up to three spaces of indentation, then three or more backticks and an optional language tag
+const OPENING_FENCE = /^ {0,3}(`{3,})[ \t]*([^`\s]*)[ \t]*$/;
+const CLOSING_FENCE = /^ {0,3}(`{3,})[ \t]*$/;
+// `code` within a line
+export const INLINE_CODE = /`[^`\n]+`/g;
+
+// bidirectional overrides can make code read differently from how it runs ("Trojan Source")
+const BIDI_CONTROLS = /[\u202A-\u202E\u2066-\u2069]/g;
+
+// control characters other than tabs and newlines
+const isControlCharacter = (char) => {
+	const code = char.charCodeAt(0);
+	return (code < 32 && char !== "\t" && char !== "\n") || code === 127;
+};
+
+/**
+ * The canonical name of a fence's language tag, or "" when it's missing or
+ * one we don't know.
+ */
+export const normalizeCodeLanguage = (tag = "") => {
+	const language = tag.toLowerCase();
+	const canonical = LANGUAGE_ALIASES[language] ?? language;
+	return CODE_LANGUAGES.includes(canonical) ? canonical : "";
+};
+
+/**
+ * Splits text into `{ type: "text", text }` and `{ type: "code", language,
+ * code, fence }` parts, in order. A block runs to a closing fence at least as
+ * long as its opening one, or to the end of the text when it isn't closed.
+ */
+export const splitCodeBlocks = (text = "") => {
+	const parts = [];
+	let textLines = [];
+	let block = null;
+
+	for (const line of (text || "").split("\n")) {
+		if (block) {
+			const closing = CLOSING_FENCE.exec(line);
+			if (closing && closing[1].length >= block.fence.length) {
+				parts.push({ type: "code", language: block.language, code: block.lines.join("\n"), fence: block.fence });
+				block = null;
+			} else {
+				block.lines.push(line);
+			}
+			continue;
+		}
+
+		const opening = OPENING_FENCE.exec(line);
+		if (opening) {
+			if (textLines.length) {
+				parts.push({ type: "text", text: textLines.join("\n") });
+				textLines = [];
+			}
+			block = { fence: opening[1], language: opening[2], lines: [] };
+		} else {
+			textLines.push(line);
+		}
+	}
+
+	if (block) {
+		parts.push({ type: "code", language: block.language, code: block.lines.join("\n"), fence: block.fence });
+	} else if (textLines.length) {
+		parts.push({ type: "text", text: textLines.join("\n") });
+	}
+
+	return parts;
+};
+
+/**
+ * A code part of splitCodeBlocks written back as text.
+ */
+export const formatCodeBlock = ({ fence, language, code }) =>
+	code ? `${fence}${language}\n${code}\n${fence}` : `${fence}${language}\n${fence}`;
+
+/**
+ * What gets stored for post and comment text: line endings and control
+ * characters cleaned up, code blocks closed and their language tags reduced
+ * to the ones we know. Anything that isn't a string is returned as it is.
+ */
+export const sanitizeContent = (text) => {
+	if (typeof text !== "string") {
+		return text;
+	}
+
+	const cleaned = Array.from(text.replace(/\r\n?/g, "\n"))
+		.filter((char) => !isControlCharacter(char))
+		.join("");
+	return splitCodeBlocks(cleaned)
+		.map((part) =>
+			part.type === "text"
+				? part.text
+				: formatCodeBlock({
+					fence: part.fence,
+					language: normalizeCodeLanguage(part.language),
+					code: part.code.replace(BIDI_CONTROLS, ""),
+				})
+		)
+		.join("\n");
+};
+
+/**
+ * `text` without its code blocks and inline code, so that `#include` or
+ * `@Override` in a snippet isn't taken for a hashtag or a mention.
+ */
+export const stripCodeBlocks = (text = "") =>
+	splitCodeBlocks(text)
+		.filter((part) => part.type === "text")
+		.map((part) => part.text.replace(INLINE_CODE, " "))
+		.join("\n");
@@ -0,0 +1,38 @@
+import crypto from "crypto";
+import { generateToken, safeEqual } from "./tokens.js";
+
+// Signed double-submit CSRF tokens. The browser holds a random secret in an
+// httpOnly cookie and the client echoes an HMAC of it in a header. A cross-site
+// page can neither read the cookie nor compute the signature, and a cookie
+// planted from a sibling subdomain is useless without the server's key.
+
+export const CSRF_COOKIE = "csrf-secret";
+export const CSRF_HEADER = "x-csrf-token";
+
+const CSRF_SECRET_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// read lazily, dotenv only runs after the module graph has been imported
+const getSigningKey = () => process.env.CSRF_SECRET || process.env.JWT_SECRET;
+
+export const signCsrfSecret = (secret) => crypto.createHmac("sha256", getSigningKey()).update(secret).digest("hex");
+
+export const isValidCsrfToken = (secret, token) =>
+	Boolean(secret && token) && safeEqual(signCsrfSecret(secret), token);
+
+// reuses the browser's current secret so tokens already held by other tabs stay valid
+export const issueCsrfToken = (req, res) => {
+	let secret = req.cookies?.[CSRF_COOKIE];
+
+	if (!secret) {
+		secret = generateToken();
+	}
+
+	res.cookie(CSRF_COOKIE, secret, {
+		httpOnly: true,
+		maxAge: CSRF_SECRET_TTL,
+		sameSite: "strict",
+		secure: process.env.NODE_ENV === "production",
+	});
+
+	return signCsrfSecret(secret);
+};
@@ -0,0 +1,99 @@
+import { totalReactions } from "./reactions.js";
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Knobs for the ranked feed. Each one can be overridden from the environment,
+ * e.g. FEED_RANKING_HALF_LIFE_HOURS=12 or FEED_RANKING_AFFINITY_WEIGHT=0 to
+ * switch a signal off entirely.
+ *
+ * - recencyWeight / halfLifeHours: a post's freshness halves every halfLifeHours
+ * - engagementWeight / commentWeight: reactions plus weighted comments per hour of age
+ * - affinityWeight: how often the viewer reacted to or commented on the author lately
+ * - diversityPenalty: multiplier applied once per post of the same author already placed
+ */
+const DEFAULT_WEIGHTS = {
+	recencyWeight: 1,
+	halfLifeHours: 24,
+	engagementWeight: 1,
+	commentWeight: 2,
+	affinityWeight: 0.5,
+	diversityPenalty: 0.6,
+};
+
+// halfLifeHours -> HALF_LIFE_HOURS
+const toEnvName = (name) => name.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase();
+
+const readNumber = (envName, fallback) => {
+	const value = Number(process.env[envName]);
+	return process.env[envName] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// resolved on every call so env changes (and dotenv loading late) are picked up
+export const getFeedRankingWeights = () =>
+	Object.fromEntries(
+		Object.entries(DEFAULT_WEIGHTS).map(([name, fallback]) => [
+			name,
+			readNumber(`FEED_RANKING_${toEnvName(name)}`, fallback),
+		])
+	);
+
+const ageInHours = (post, now) => Math.max(0, (now - new Date(post.createdAt).getTime()) / HOUR);
+
+/**
+ * Score of a single post, before author diversity is taken into account.
+ * `affinity` is the number of recent interactions of the viewer with the author.
+ */
+export const scorePost = (post, { now = Date.now(), affinity = 0, weights = DEFAULT_WEIGHTS } = {}) => {
+	const age = ageInHours(post, now);
+	const reactions = totalReactions(post.reactionCounts);
+	const comments = post.commentCount ?? 0;
+
+	const recency = weights.halfLifeHours > 0 ? Math.pow(0.5, age / weights.halfLifeHours) : 0;
+	// the +1 keeps a handful of reactions on a minute-old post from exploding
+	const velocity = Math.log1p((reactions + weights.commentWeight * comments) / (age + 1));
+
+	return (
+		weights.recencyWeight * recency +
+		weights.engagementWeight * velocity +
+		weights.affinityWeight * Math.log1p(affinity)
+	);
+};
+
+const authorId = (post) => (post.author?._id ?? post.author).toString();
+
+/**
+ * Orders posts by score, then greedily re-ranks them so every further post by
+ * the same author is discounted by diversityPenalty. One prolific connection
+ * can still show up, just not five times in a row.
+ *
+ * `affinityByAuthor` maps author ids to interaction counts.
+ */
+export const rankPosts = (posts, { now = Date.now(), affinityByAuthor = new Map(), weights = DEFAULT_WEIGHTS } = {}) => {
+	const remaining = posts.map((post) => ({
+		post,
+		author: authorId(post),
+		score: scorePost(post, { now, affinity: affinityByAuthor.get(authorId(post)) || 0, weights }),
+	}));
+	const placedByAuthor = new Map();
+	const ranked = [];
+
+	while (remaining.length > 0) {
+		let bestIndex = 0;
+		let bestScore = -Infinity;
+
+		remaining.forEach((entry, index) => {
+			const adjusted = entry.score * Math.pow(weights.diversityPenalty, placedByAuthor.get(entry.author) || 0);
+			if (adjusted > bestScore) {
+				bestScore = adjusted;
+				bestIndex = index;
+			}
+		});
+
+		const [best] = remaining.splice(bestIndex, 1);
+		placedByAuthor.set(best.author, (placedByAuthor.get(best.author) || 0) + 1);
+		ranked.push(best.post);
+	}
+
+	return ranked;
+};
@@ -0,0 +1,72 @@
+import { MailtrapClient } from "mailtrap";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * A mail transport is any object exposing `send(mail)` which resolves once the
+ * message has been handed off. Mails use the Mailtrap shape:
+ * { from, to: [{ email, name }], subject, html, text, category }
+ */
+
+export const createMailtrapTransport = ({ token } = {}) => {
+	const client = new MailtrapClient({ token });
+
+	return {
+		name: "mailtrap",
+		send: (mail) => client.send(mail),
+	};
+};
+
+// Keeps every message in memory, handy for tests and local development
+export const createMemoryTransport = () => {
+	const outbox = [];
+
+	return {
+		name: "memory",
+		outbox,
+		send: async (mail) => {
+			outbox.push(mail);
+			return { success: true, message_ids: [String(outbox.length)] };
+		},
+		clear: () => {
+			outbox.length = 0;
+		},
+	};
+};
+
+// Wraps a nodemailer-style transporter (e.g. one pointed at a local SMTP server)
+export const createSmtpTransport = (transporter) => ({
+	name: "smtp",
+	send: (mail) =>
+		transporter.sendMail({
+			from: `"${mail.from.name}" <${mail.from.email}>`,
+			to: mail.to.map((recipient) => recipient.email).join(", "),
+			subject: mail.subject,
+			html: mail.html,
+			text: mail.text,
+		}),
+});
+
+export const sender = {
+	email: process.env.EMAIL_FROM || "no-reply@autoconnect.dev",
+	name: process.env.EMAIL_FROM_NAME || "Auto_Connect",
+};
+
+let transport = null;
+
+export const setMailTransport = (newTransport) => {
+	transport = newTransport;
+};
+
+export const getMailTransport = () => {
+	if (!transport) {
+		transport = process.env.MAILTRAP_TOKEN
+			? createMailtrapTransport({ token: process.env.MAILTRAP_TOKEN })
+			: createMemoryTransport();
+	}
+
+	return transport;
+};
+
+export const sendMail = (mail) => getMailTransport().send({ from: sender, ...mail });
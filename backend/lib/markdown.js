@@ -0,0 +1,67 @@
+import { formatCodeBlock, INLINE_CODE, sanitizeContent, splitCodeBlocks } from "./codeBlocks.js";
+
+// Posts, comments and the About section are written in a small Markdown
+// dialect: **bold**, *italics*, `code`, [links](https://example.com), lists,
+// > quotes and fenced code blocks. The frontend renders it with the same rules
+// (frontend/src/utils/markdown.js) and never as HTML. What's stored has `<` and
+// `>` outside code escaped all the same, so no tag survives wherever else the
+// text ends up; the frontend unescapes them to show them. `&` is left alone so
+// that saving an edit again doesn't escape twice.
+
+// the URL may have balanced parentheses of its own, like Wikipedia's do
+const LINK = /\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+// http(s), mailto and paths on this site, but not protocol-relative "//host" ones
+const SAFE_URL = /^(?:https?:\/\/|mailto:|\/(?!\/))/i;
+// the `>` that start a quote, nested ones included
+const QUOTE_MARKERS = /^(?:[ \t]*>)+/;
+const ANGLE_BRACKETS = { "<": "&lt;", ">": "&gt;" };
+
+/**
+ * Whether a link may point at `url`.
+ */
+export const isSafeUrl = (url = "") => SAFE_URL.test(url.trim());
+
+const sanitizeText = (text) => {
+	let previous;
+	let sanitized = text.replace(/[<>]/g, (bracket) => ANGLE_BRACKETS[bracket]);
+	// until nothing changes, so that dropping a link can't put together another one:
+	// "[a[b](javascript:c)](javascript:d)"
+	do {
+		previous = sanitized;
+		// a link to somewhere unsafe keeps only its text
+		sanitized = sanitized.replace(LINK, (link, label, url) => (isSafeUrl(url) ? link : label));
+	} while (sanitized !== previous);
+	return sanitized;
+};
+
+// leaves inline code alone, it's shown as written
+const sanitizeOutsideCode = (text) => {
+	let sanitized = "";
+	let position = 0;
+	for (const match of text.matchAll(INLINE_CODE)) {
+		sanitized += sanitizeText(text.slice(position, match.index)) + match[0];
+		position = match.index + match[0].length;
+	}
+	return sanitized + sanitizeText(text.slice(position));
+};
+
+const sanitizeLine = (line) => {
+	const [markers] = QUOTE_MARKERS.exec(line) ?? [""];
+	return markers + sanitizeOutsideCode(line.slice(markers.length));
+};
+
+/**
+ * What gets stored for Markdown text: sanitizeContent's clean-up, plus links
+ * only to safe URLs and `<` and `>` escaped as `&lt;` and `&gt;`. Code is kept
+ * as written. Anything that isn't a string is returned as it is.
+ */
+export const sanitizeMarkdown = (text) => {
+	const content = sanitizeContent(text);
+	if (typeof content !== "string") {
+		return content;
+	}
+
+	return splitCodeBlocks(content)
+		.map((part) => (part.type === "text" ? part.text.split("\n").map(sanitizeLine).join("\n") : formatCodeBlock(part)))
+		.join("\n");
+};
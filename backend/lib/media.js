@@ -0,0 +1,169 @@
+import cloudinary from "./cloudinary.js";
+
+// Post attachments: a gallery of images, one short video or one PDF document
+// shown as a carousel of its pages. Uploads arrive as base64 data URLs, and
+// their type is read from the file's first bytes, since the MIME type a client
+// declares is only a claim.
+
+export const ATTACHMENT_TYPES = ["image", "video", "document"];
+export const MAX_IMAGES = 6;
+export const MAX_ALT_TEXT_LENGTH = 300;
+
+const MB = 1024 * 1024;
+export const MAX_ATTACHMENT_SIZE = { image: 5 * MB, video: 25 * MB, document: 10 * MB };
+
+const MIME_TYPES = {
+	image: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+	video: ["video/mp4", "video/webm", "video/quicktime"],
+	document: ["application/pdf"],
+};
+
+// cloudinary renders the pages of a PDF uploaded as an image, which is what the carousel shows
+const RESOURCE_TYPES = { image: "image", video: "video", document: "image" };
+
+const startsWith = (buffer, signature, offset = 0) =>
+	buffer.length >= offset + signature.length && buffer.subarray(offset, offset + signature.length).equals(signature);
+
+const ascii = (text) => Buffer.from(text, "latin1");
+
+/**
+ * The MIME type of a file judging by its magic number, or null for anything we
+ * don't accept.
+ */
+export const sniffMimeType = (buffer) => {
+	if (startsWith(buffer, Buffer.from([0xff, 0xd8, 0xff]))) {
+		return "image/jpeg";
+	}
+	if (startsWith(buffer, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+		return "image/png";
+	}
+	if (startsWith(buffer, ascii("GIF87a")) || startsWith(buffer, ascii("GIF89a"))) {
+		return "image/gif";
+	}
+	if (startsWith(buffer, ascii("RIFF")) && startsWith(buffer, ascii("WEBP"), 8)) {
+		return "image/webp";
+	}
+	// MP4 and QuickTime are both ISO media files, told apart by their major brand
+	if (startsWith(buffer, ascii("ftyp"), 4)) {
+		return startsWith(buffer, ascii("qt  "), 8) ? "video/quicktime" : "video/mp4";
+	}
+	if (startsWith(buffer, Buffer.from([0x1a, 0x45, 0xdf, 0xa3]))) {
+		return "video/webm";
+	}
+	if (startsWith(buffer, ascii("%PDF-"))) {
+		return "application/pdf";
+	}
+	return null;
+};
+
+// the decoded bytes of a base64 data URL, or null for anything else
+const readDataUrl = (value) => {
+	if (typeof value !== "string" || !value.startsWith("data:")) {
+		return null;
+	}
+
+	const marker = value.indexOf(";base64,");
+	return marker === -1 ? null : Buffer.from(value.slice(marker + ";base64,".length), "base64");
+};
+
+/**
+ * Checks the attachments a post is created or edited with. Each item is either
+ * a new upload, `{ data, altText }` with `data` a data URL, or one of the
+ * post's `existing` attachments to keep, `{ _id, altText }`. Returns
+ * `{ attachments }` in the order given, ready for uploadAttachments, or
+ * `{ error }` with a message for the client.
+ */
+export const validateAttachments = (items, existing = []) => {
+	if (!Array.isArray(items)) {
+		return { error: "Attachments must be a list" };
+	}
+
+	const attachments = [];
+	for (const [index, item] of items.entries()) {
+		const label = `Attachment ${index + 1}`;
+		const altText = item?.altText ?? "";
+		if (typeof altText !== "string" || altText.length > MAX_ALT_TEXT_LENGTH) {
+			return { error: `${label}: alt text must be text of at most ${MAX_ALT_TEXT_LENGTH} characters` };
+		}
+
+		if (item?._id !== undefined) {
+			const kept = existing.find((attachment) => attachment._id.toString() === String(item._id));
+			if (!kept) {
+				return { error: `${label} is not an attachment of this post` };
+			}
+			attachments.push({ ...(kept.toObject?.() ?? kept), altText: altText.trim() });
+			continue;
+		}
+
+		const buffer = readDataUrl(item?.data);
+		if (!buffer) {
+			return { error: `${label} must be a base64 data URL` };
+		}
+
+		const mimeType = sniffMimeType(buffer);
+		const type = ATTACHMENT_TYPES.find((candidate) => MIME_TYPES[candidate].includes(mimeType));
+		if (!type) {
+			return {
+				error: `${label} must be a JPEG, PNG, GIF or WebP image, an MP4, WebM or QuickTime video or a PDF document`,
+			};
+		}
+
+		if (buffer.length > MAX_ATTACHMENT_SIZE[type]) {
+			return { error: `${label} is too large, ${type}s can be at most ${MAX_ATTACHMENT_SIZE[type] / MB} MB` };
+		}
+
+		attachments.push({ type, mimeType, size: buffer.length, altText: altText.trim(), data: item.data });
+	}
+
+	const types = new Set(attachments.map((attachment) => attachment.type));
+	const limit = types.has("image") ? MAX_IMAGES : 1;
+	if (types.size > 1 || attachments.length > limit) {
+		return { error: `A post can have up to ${MAX_IMAGES} images, one video or one PDF document` };
+	}
+
+	return { attachments };
+};
+
+/**
+ * Uploads the new attachments from validateAttachments to cloudinary and
+ * returns the whole list as it's stored on the post.
+ */
+export const uploadAttachments = (attachments) =>
+	Promise.all(
+		attachments.map(async ({ data, ...attachment }) => {
+			if (!data) {
+				return attachment;
+			}
+
+			const result = await cloudinary.uploader.upload(data, { resource_type: RESOURCE_TYPES[attachment.type] });
+			return {
+				...attachment,
+				url: result.secure_url,
+				publicId: result.public_id,
+				width: result.width,
+				height: result.height,
+				size: result.bytes ?? attachment.size,
+				duration: result.duration,
+				pageCount: result.pages,
+			};
+		})
+	);
+
+/**
+ * Removes attachments from cloudinary. Revisions share attachments with the
+ * post they belong to, so each asset is only destroyed once.
+ */
+export const destroyAttachments = async (attachments) => {
+	const unique = new Map(
+		attachments.filter((attachment) => attachment.publicId).map((attachment) => [attachment.publicId, attachment])
+	);
+
+	for (const attachment of unique.values()) {
+		try {
+			await cloudinary.uploader.destroy(attachment.publicId, { resource_type: RESOURCE_TYPES[attachment.type] });
+		} catch (error) {
+			// an orphaned asset is not worth failing a deletion over
+			console.error("Error deleting attachment from cloudinary:", error);
+		}
+	}
+};
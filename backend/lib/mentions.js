@@ -0,0 +1,40 @@
+import User from "../models/user.model.js";
+import Notification from "../models/notification.model.js";
+import { extractMentions } from "./textEntities.js";
+import { canViewPost } from "./visibility.js";
+
+/**
+ * Ids of the existing users mentioned in `text`. Mentions of usernames that
+ * don't exist are just text.
+ */
+export const resolveMentions = async (text) => {
+	const usernames = extractMentions(text);
+	if (!usernames.length) {
+		return [];
+	}
+
+	const users = await User.find({ username: { $in: usernames } }).select("_id");
+	return users.map((user) => user._id);
+};
+
+/**
+ * Sends a "mention" notification to everyone in `mentions` who wasn't in
+ * `previousMentions` already, leaving out the author and anyone in `skip`
+ * (who is told about the post or comment some other way). `audience` is the
+ * post itself, so that people who may not see it aren't told about it either.
+ */
+export const notifyMentions = async ({ mentions, previousMentions = [], author, post, audience, skip = [] }) => {
+	const alreadyKnown = new Set([...previousMentions, author, ...skip].map((id) => id.toString()));
+	let recipients = mentions.filter((id) => !alreadyKnown.has(id.toString()));
+
+	if (recipients.length && audience && audience.visibility !== "public") {
+		const users = await User.find({ _id: { $in: recipients } }).select("connections");
+		recipients = users.filter((user) => canViewPost(audience, user)).map((user) => user._id);
+	}
+
+	if (recipients.length) {
+		await Notification.insertMany(
+			recipients.map((recipient) => ({ recipient, type: "mention", relatedUser: author, relatedPost: post }))
+		);
+	}
+};
@@ -0,0 +1,177 @@
+import axios from "axios";
+import crypto from "crypto";
+import { URL, URLSearchParams } from "url";
+
+// OAuth2 / OpenID Connect login providers. Every provider exposes the same
+// shape so the controller doesn't care whether it talks to GitHub, a real
+// OIDC issuer or a mock server in tests:
+//   { name, scope, getEndpoints(), getProfile(tokens) }
+// and getProfile resolves to { id, email, emailVerified, name, username, picture }.
+
+const providers = new Map();
+let configuredProvidersLoaded = false;
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+export const generatePkcePair = () => {
+	const codeVerifier = base64url(crypto.randomBytes(32));
+	const codeChallenge = base64url(crypto.createHash("sha256").update(codeVerifier).digest());
+	return { codeVerifier, codeChallenge };
+};
+
+export const createGitHubProvider = ({ clientId, clientSecret }) => ({
+	name: "github",
+	clientId,
+	clientSecret,
+	scope: "read:user user:email",
+	getEndpoints: async () => ({
+		authorizationEndpoint: "https://github.com/login/oauth/authorize",
+		tokenEndpoint: "https://github.com/login/oauth/access_token",
+	}),
+	getProfile: async ({ access_token: accessToken }) => {
+		const headers = { Authorization: `Bearer ${accessToken}`, Accept: "application/vnd.github+json" };
+		const [{ data: profile }, { data: emails }] = await Promise.all([
+			axios.get("https://api.github.com/user", { headers }),
+			axios.get("https://api.github.com/user/emails", { headers }),
+		]);
+
+		// the public profile email may be unverified, so prefer the primary verified one
+		const email = emails.find((entry) => entry.primary && entry.verified) || emails.find((entry) => entry.verified);
+
+		return {
+			id: String(profile.id),
+			email: email?.email || null,
+			emailVerified: Boolean(email),
+			name: profile.name || profile.login,
+			username: profile.login,
+			picture: profile.avatar_url || "",
+		};
+	},
+});
+
+export const createOidcProvider = ({ name, issuer, clientId, clientSecret, scope = "openid email profile" }) => {
+	let discovery = null;
+
+	const getEndpoints = async () => {
+		if (!discovery) {
+			const { data } = await axios.get(new URL(".well-known/openid-configuration", `${issuer.replace(/\/$/, "")}/`).toString());
+			discovery = {
+				authorizationEndpoint: data.authorization_endpoint,
+				tokenEndpoint: data.token_endpoint,
+				userinfoEndpoint: data.userinfo_endpoint,
+			};
+		}
+		return discovery;
+	};
+
+	return {
+		name,
+		clientId,
+		clientSecret,
+		scope,
+		getEndpoints,
+		getProfile: async ({ access_token: accessToken }) => {
+			const { userinfoEndpoint } = await getEndpoints();
+			const { data: claims } = await axios.get(userinfoEndpoint, {
+				headers: { Authorization: `Bearer ${accessToken}` },
+			});
+
+			return {
+				id: String(claims.sub),
+				email: claims.email || null,
+				emailVerified: claims.email_verified === true,
+				name: claims.name || claims.preferred_username || "",
+				username: claims.preferred_username || "",
+				picture: claims.picture || "",
+			};
+		},
+	};
+};
+
+export const registerOAuthProvider = (provider) => {
+	providers.set(provider.name, provider);
+};
+
+export const unregisterOAuthProvider = (name) => {
+	providers.delete(name);
+};
+
+// env-configured providers are registered on first use, since dotenv only
+// runs after the module graph has been imported
+const loadConfiguredProviders = () => {
+	if (configuredProvidersLoaded) {
+		return;
+	}
+	configuredProvidersLoaded = true;
+
+	if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET && !providers.has("github")) {
+		registerOAuthProvider(
+			createGitHubProvider({
+				clientId: process.env.GITHUB_CLIENT_ID,
+				clientSecret: process.env.GITHUB_CLIENT_SECRET,
+			})
+		);
+	}
+
+	const oidcName = process.env.OIDC_PROVIDER_NAME || "oidc";
+	if (process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID && !providers.has(oidcName)) {
+		registerOAuthProvider(
+			createOidcProvider({
+				name: oidcName,
+				issuer: process.env.OIDC_ISSUER,
+				clientId: process.env.OIDC_CLIENT_ID,
+				clientSecret: process.env.OIDC_CLIENT_SECRET,
+			})
+		);
+	}
+};
+
+export const getOAuthProvider = (name) => {
+	loadConfiguredProviders();
+	return providers.get(name) || null;
+};
+
+export const getOAuthProviderNames = () => {
+	loadConfiguredProviders();
+	return [...providers.keys()];
+};
+
+export const buildAuthorizationUrl = async (provider, { redirectUri, state, codeChallenge }) => {
+	const { authorizationEndpoint } = await provider.getEndpoints();
+	const url = new URL(authorizationEndpoint);
+
+	url.search = new URLSearchParams({
+		response_type: "code",
+		client_id: provider.clientId,
+		redirect_uri: redirectUri,
+		scope: provider.scope,
+		state,
+		code_challenge: codeChallenge,
+		code_challenge_method: "S256",
+	}).toString();
+
+	return url.toString();
+};
+
+export const exchangeCodeForProfile = async (provider, { code, codeVerifier, redirectUri }) => {
+	const { tokenEndpoint } = await provider.getEndpoints();
+	const { data: tokens } = await axios.post(
+		tokenEndpoint,
+		new URLSearchParams({
+			grant_type: "authorization_code",
+			code,
+			redirect_uri: redirectUri,
+			client_id: provider.clientId,
+			client_secret: provider.clientSecret,
+			code_verifier: codeVerifier,
+		}).toString(),
+		{ headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" } }
+	);
+
+	// GitHub reports failures with a 200 and an error field
+	if (!tokens.access_token) {
+		throw new Error(`Token exchange failed: ${tokens.error || "no access token returned"}`);
+	}
+
+	return provider.getProfile(tokens);
+};
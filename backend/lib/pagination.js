@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+// Keyset ("cursor") pagination over (createdAt, _id). The _id tie-breaker keeps
+// the order stable when several documents share a timestamp, and unlike
+// skip/limit a page never repeats or drops items when new ones are inserted.
+
+export const parseLimit = (value, { defaultLimit = 10, maxLimit = 50 } = {}) => {
+	const limit = parseInt(value);
+	return Number.isNaN(limit) ? defaultLimit : Math.min(maxLimit, Math.max(1, limit));
+};
+
+export const encodeCursor = (doc) =>
+	Buffer.from(JSON.stringify([new Date(doc.createdAt).toISOString(), doc._id.toString()])).toString("base64url");
+
+// returns null for anything that isn't a cursor we handed out
+export const decodeCursor = (cursor) => {
+	try {
+		const [createdAt, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+		const date = new Date(createdAt);
+
+		if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+			return null;
+		}
+
+		return { createdAt: date, _id: new mongoose.Types.ObjectId(id) };
+	} catch {
+		return null;
+	}
+};
+
+/**
+ * Filter matching everything after `cursor` in the given order. `prefix` points
+ * at the fields when paginating an embedded array, e.g. "comments.".
+ */
+export const buildCursorFilter = (cursor, { order = "desc", prefix = "" } = {}) => {
+	if (!cursor) {
+		return {};
+	}
+
+	const operator = order === "desc" ? "$lt" : "$gt";
+	return {
+		$or: [
+			{ [`${prefix}createdAt`]: { [operator]: cursor.createdAt } },
+			{ [`${prefix}createdAt`]: cursor.createdAt, [`${prefix}_id`]: { [operator]: cursor._id } },
+		],
+	};
+};
+
+export const buildCursorSort = (order = "desc", prefix = "") => {
+	const direction = order === "desc" ? -1 : 1;
+	return { [`${prefix}createdAt`]: direction, [`${prefix}_id`]: direction };
+};
+
+// callers fetch `limit + 1` items; the extra one only tells us whether there's another page
+export const toPage = (items, limit) => {
+	const hasMore = items.length > limit;
+	const pageItems = hasMore ? items.slice(0, limit) : items;
+
+	return {
+		items: pageItems,
+		nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1]) : null,
+	};
+};
+
+// Ranked lists have no stable sort key to seek on, so they page by position
+// instead. `at` pins the moment the ranking was computed, so later pages score
+// the same candidates the same way the first page did.
+export const encodeOffsetCursor = ({ offset, at }) =>
+	Buffer.from(JSON.stringify([offset, new Date(at).toISOString()])).toString("base64url");
+
+export const decodeOffsetCursor = (cursor) => {
+	try {
+		const [offset, at] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+		const date = new Date(at);
+
+		if (!Number.isInteger(offset) || offset < 0 || Number.isNaN(date.getTime())) {
+			return null;
+		}
+
+		return { offset, at: date };
+	} catch {
+		return null;
+	}
+};
+
+// a missing cursor means "first page", a malformed one is the client's mistake;
+// answers the 400 itself and returns null in that case
+export const readCursor = (req, res, decode = decodeCursor) => {
+	if (!req.query.cursor) {
+		return { cursor: null };
+	}
+
+	const cursor = decode(req.query.cursor);
+	if (!cursor) {
+		res.status(400).json({ message: "Invalid cursor" });
+		return null;
+	}
+
+	return { cursor };
+};
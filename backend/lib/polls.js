@@ -0,0 +1,82 @@
+// Polls: a post whose content is the question, with 2 to 4 options and a
+// closing time. Votes live in their own collection, one per user, and each
+// option's voteCount is kept in step with them.
+
+export const MIN_POLL_OPTIONS = 2;
+export const MAX_POLL_OPTIONS = 4;
+export const MAX_POLL_OPTION_LENGTH = 100;
+const DAY = 24 * 60 * 60 * 1000;
+export const MAX_POLL_DURATION = 30 * DAY;
+
+export const isPollClosed = (poll, now = new Date()) => poll.closesAt <= now;
+
+/**
+ * Checks a poll a post is created with, `{ options, closesAt, hideResults }`
+ * with the options as text. `opensAt` is when the post goes out, since a
+ * scheduled poll has to stay open for a while after that. Returns `{ poll }`
+ * ready to store or `{ error }` with a message for the client.
+ */
+export const validatePoll = (input, { opensAt = new Date() } = {}) => {
+	if (typeof input !== "object" || input === null || Array.isArray(input)) {
+		return { error: "Poll must be an object with options and a closing time" };
+	}
+
+	const { options, closesAt, hideResults = false } = input;
+	if (!Array.isArray(options) || options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+		return { error: `A poll needs ${MIN_POLL_OPTIONS} to ${MAX_POLL_OPTIONS} options` };
+	}
+
+	const texts = options.map((option) => (typeof option === "string" ? option.trim() : ""));
+	if (texts.some((text) => !text || text.length > MAX_POLL_OPTION_LENGTH)) {
+		return { error: `Poll options must be text of at most ${MAX_POLL_OPTION_LENGTH} characters` };
+	}
+
+	if (new Set(texts.map((text) => text.toLowerCase())).size !== texts.length) {
+		return { error: "Poll options must be different from each other" };
+	}
+
+	const closingTime = typeof closesAt === "string" || typeof closesAt === "number" ? new Date(closesAt) : null;
+	if (!(closingTime > opensAt)) {
+		return { error: "A poll needs a closing time after it's published" };
+	}
+
+	if (closingTime - opensAt > MAX_POLL_DURATION) {
+		return { error: `A poll can stay open for at most ${MAX_POLL_DURATION / DAY} days` };
+	}
+
+	if (typeof hideResults !== "boolean") {
+		return { error: "hideResults must be true or false" };
+	}
+
+	return {
+		poll: {
+			options: texts.map((text) => ({ text, voteCount: 0 })),
+			closesAt: closingTime,
+			hideResults,
+		},
+	};
+};
+
+/**
+ * A poll the way `viewer` gets to see it: with their vote, and with the
+ * counts left out while the results are hidden from them, which is until they
+ * vote or the poll closes.
+ */
+export const toPollView = (poll, viewerVote = null, now = new Date()) => {
+	const closed = isPollClosed(poll, now);
+	const resultsHidden = poll.hideResults && !viewerVote && !closed;
+
+	return {
+		closesAt: poll.closesAt,
+		hideResults: poll.hideResults,
+		closed,
+		resultsHidden,
+		viewerVote,
+		totalVotes: resultsHidden ? undefined : poll.options.reduce((total, option) => total + option.voteCount, 0),
+		options: poll.options.map((option) => ({
+			_id: option._id,
+			text: option.text,
+			voteCount: resultsHidden ? undefined : option.voteCount,
+		})),
+	};
+};
@@ -0,0 +1,49 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Rate limit policies per route group. `by` lists the buckets a request is
+ * counted in: "ip" and/or "user" (the latter only once protectRoute has run).
+ * Every number can be overridden from the environment, e.g.
+ * RATE_LIMIT_LOGIN_MAX=20 or RATE_LIMIT_POST_CREATE_WINDOW_MS=60000.
+ */
+const DEFAULT_POLICIES = {
+	login: { windowMs: 15 * MINUTE, max: 20, by: ["ip"] },
+	auth: { windowMs: 15 * MINUTE, max: 50, by: ["ip"] },
+	twoFactor: { windowMs: 15 * MINUTE, max: 20, by: ["ip"] },
+	postCreate: { windowMs: HOUR, max: 30, by: ["ip", "user"] },
+	postEdit: { windowMs: HOUR, max: 60, by: ["ip", "user"] },
+	comment: { windowMs: 15 * MINUTE, max: 60, by: ["ip", "user"] },
+	connectionRequest: { windowMs: 24 * HOUR, max: 100, by: ["ip", "user"] },
+	dataExport: { windowMs: HOUR, max: 10, by: ["user"] },
+};
+
+const DEFAULT_ACCOUNT_LOCKOUT = { maxFailedAttempts: 5, lockDurationMs: 15 * MINUTE };
+
+// postCreate -> POST_CREATE
+const toEnvName = (name) => name.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase();
+
+const readNumber = (envName, fallback) => {
+	const value = Number(process.env[envName]);
+	return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// resolved on every call so env changes (and dotenv loading late) are picked up
+export const getRateLimitPolicy = (name) => {
+	const policy = DEFAULT_POLICIES[name];
+	if (!policy) {
+		throw new Error(`Unknown rate limit policy: ${name}`);
+	}
+
+	const prefix = `RATE_LIMIT_${toEnvName(name)}`;
+	return {
+		...policy,
+		windowMs: readNumber(`${prefix}_WINDOW_MS`, policy.windowMs),
+		max: readNumber(`${prefix}_MAX`, policy.max),
+	};
+};
+
+export const getAccountLockoutPolicy = () => ({
+	maxFailedAttempts: readNumber("LOGIN_MAX_FAILED_ATTEMPTS", DEFAULT_ACCOUNT_LOCKOUT.maxFailedAttempts),
+	lockDurationMs: readNumber("LOGIN_LOCK_DURATION_MS", DEFAULT_ACCOUNT_LOCKOUT.lockDurationMs),
+});
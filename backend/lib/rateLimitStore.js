@@ -0,0 +1,60 @@
+/**
+ * A rate limit store is any object exposing
+ *   increment(key, windowMs) -> Promise<{ count, resetAt }>
+ *   reset(key) -> Promise<void>
+ * implementing a fixed window counter. The in-memory store is fine for a single
+ * process; multi-instance deployments should plug in a shared one (e.g. Redis).
+ */
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+export const createMemoryStore = () => {
+	const buckets = new Map();
+
+	// drop expired buckets so one-off keys (IPs) don't pile up forever
+	const sweep = setInterval(() => {
+		const now = Date.now();
+		for (const [key, bucket] of buckets) {
+			if (bucket.resetAt <= now) {
+				buckets.delete(key);
+			}
+		}
+	}, SWEEP_INTERVAL);
+	sweep.unref?.();
+
+	return {
+		name: "memory",
+		increment: async (key, windowMs) => {
+			const now = Date.now();
+			let bucket = buckets.get(key);
+
+			if (!bucket || bucket.resetAt <= now) {
+				bucket = { count: 0, resetAt: now + windowMs };
+				buckets.set(key, bucket);
+			}
+
+			bucket.count += 1;
+			return { count: bucket.count, resetAt: bucket.resetAt };
+		},
+		reset: async (key) => {
+			buckets.delete(key);
+		},
+		clear: () => {
+			buckets.clear();
+		},
+	};
+};
+
+let store = null;
+
+export const setRateLimitStore = (newStore) => {
+	store = newStore;
+};
+
+export const getRateLimitStore = () => {
+	if (!store) {
+		store = createMemoryStore();
+	}
+
+	return store;
+};
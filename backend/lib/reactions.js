@@ -0,0 +1,6 @@
+// The reactions a post can get, in the order the picker shows them. A user has
+// at most one reaction per post; picking another type switches it.
+export const REACTION_TYPES = ["like", "celebrate", "support", "insightful", "curious", "funny"];
+
+export const totalReactions = (reactionCounts = {}) =>
+	Object.values(reactionCounts).reduce((total, count) => total + (count || 0), 0);
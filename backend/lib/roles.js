@@ -0,0 +1,10 @@
+// What a role can do beyond what every user can. Admins manage users, see
+// routes/admin.route.js; moderators and admins both take down posts and
+// comments that break the rules, whoever wrote them.
+
+export const ROLES = ["user", "moderator", "admin"];
+
+/**
+ * Whether `user` may delete other people's posts and comments.
+ */
+export const canModerate = (user) => user.role === "moderator" || user.role === "admin";
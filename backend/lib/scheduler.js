@@ -0,0 +1,102 @@
+import Post from "../models/post.model.js";
+import Notification from "../models/notification.model.js";
+import { notifyMentions } from "./mentions.js";
+
+// Scheduled posts wait in MongoDB with their publishAt and polls with their
+// closesAt, so the schedule lives there rather than in timers: the scheduler
+// polls for what is due, and after a restart its first run picks up whatever
+// came due while the server was down.
+
+export const SCHEDULER_INTERVAL = 30 * 1000;
+
+/**
+ * Publishes a draft or scheduled post now. It's claimed with a single update,
+ * so a post goes out once even when a click on "Publish" races the scheduler
+ * or several servers run one. Returns the published post, or null when it was
+ * published already or is gone.
+ */
+export const publishPost = async (postId, now = new Date()) => {
+	// a post enters the feed as new when it's published, not when it was drafted
+	const post = await Post.findOneAndUpdate(
+		{ _id: postId, status: { $in: ["draft", "scheduled"] } },
+		{ $set: { status: "published", createdAt: now }, $unset: { publishAt: "" } },
+		{ new: true, timestamps: { createdAt: false }, overwriteImmutable: true }
+	);
+	if (!post) {
+		return null;
+	}
+
+	// nobody is told about mentions in a draft until it's out
+	await notifyMentions({ mentions: post.mentions, author: post.author, post: post._id, audience: post });
+	return post;
+};
+
+/**
+ * Publishes every scheduled post whose time has come, oldest schedule first.
+ * Returns how many went out.
+ */
+export const publishDuePosts = async (now = new Date()) => {
+	const due = await Post.find({ status: "scheduled", publishAt: { $lte: now } })
+		.select("_id")
+		.sort({ publishAt: 1 })
+		.lean();
+
+	let published = 0;
+	for (const { _id } of due) {
+		if (await publishPost(_id, now)) {
+			published++;
+		}
+	}
+	return published;
+};
+
+/**
+ * Tells the authors of the polls that have closed since the last run. Votes
+ * stop at closesAt either way, this only marks the poll closed. Returns how
+ * many polls were closed.
+ */
+export const closeDuePolls = async (now = new Date()) => {
+	const due = await Post.find({ "poll.closesAt": { $lte: now }, "poll.closedAt": null, status: { $in: ["published", null] } })
+		.select("_id")
+		.lean();
+
+	let closed = 0;
+	for (const { _id } of due) {
+		// claimed like publishPost, so the author hears about it once
+		const post = await Post.findOneAndUpdate(
+			{ _id, "poll.closedAt": null },
+			{ $set: { "poll.closedAt": now } },
+			{ new: true }
+		).select("author");
+		if (!post) {
+			continue;
+		}
+
+		// the author is the related user too, the notification is about their own poll
+		await Notification.create({ recipient: post.author, type: "pollClosed", relatedUser: post.author, relatedPost: _id });
+		closed++;
+	}
+	return closed;
+};
+
+/**
+ * Runs publishDuePosts and closeDuePolls right away and then every `interval`
+ * ms. Returns a function that stops it.
+ */
+export const startScheduler = ({ interval = SCHEDULER_INTERVAL } = {}) => {
+	const run = async () => {
+		try {
+			await publishDuePosts();
+			await closeDuePolls();
+		} catch (error) {
+			console.error("Error in the post scheduler:", error);
+		}
+	};
+
+	run();
+	const timer = setInterval(run, interval);
+	// the scheduler shouldn't be what keeps the process alive
+	timer.unref?.();
+
+	return () => clearInterval(timer);
+};
@@ -0,0 +1,149 @@
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/session.model.js";
+import { generateToken, hashToken, safeEqual } from "./tokens.js";
+
+export const ACCESS_TOKEN_COOKIE = "jwt-linkedin";
+export const REFRESH_TOKEN_COOKIE = "jwt-linkedin-refresh";
+
+const ACCESS_TOKEN_TTL = 15 * 60 * 1000;
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000;
+const ROTATION_GRACE_PERIOD = 30 * 1000;
+const TWO_FACTOR_CHALLENGE_TTL = 10 * 60 * 1000;
+// the refresh cookie is only ever needed by the auth routes
+const REFRESH_TOKEN_PATH = "/api/v1/auth";
+// the `code` of a 401 for a sign-in that still owes its second factor; clients don't refresh on it
+export const TWO_FACTOR_REQUIRED = "TWO_FACTOR_REQUIRED";
+
+const cookieOptions = (maxAge) => ({
+	httpOnly: true, // prevent XSS attack
+	maxAge,
+	sameSite: "strict", // prevent CSRF attacks,
+	secure: process.env.NODE_ENV === "production", // prevents man-in-the-middle attacks
+});
+
+const setAuthCookies = (res, session, refreshToken) => {
+	const accessToken = jwt.sign(
+		{ userId: session.user, sessionId: session._id },
+		process.env.JWT_SECRET,
+		{ expiresIn: ACCESS_TOKEN_TTL / 1000 }
+	);
+
+	res.cookie(ACCESS_TOKEN_COOKIE, accessToken, cookieOptions(ACCESS_TOKEN_TTL));
+	res.cookie(REFRESH_TOKEN_COOKIE, `${session._id}.${refreshToken}`, {
+		...cookieOptions(REFRESH_TOKEN_TTL),
+		path: REFRESH_TOKEN_PATH,
+	});
+};
+
+export const clearAuthCookies = (res) => {
+	res.clearCookie(ACCESS_TOKEN_COOKIE);
+	res.clearCookie(REFRESH_TOKEN_COOKIE, { path: REFRESH_TOKEN_PATH });
+};
+
+/**
+ * Creates a session for the user and sets the auth cookies on the response.
+ * Sessions started with `twoFactorPending` are short-lived and only good for
+ * completing the two-factor challenge.
+ */
+export const startSession = async (req, res, user, { twoFactorPending = false } = {}) => {
+	const refreshToken = generateToken();
+
+	const session = await Session.create({
+		user: user._id,
+		refreshTokenHash: hashToken(refreshToken),
+		userAgent: req.get("user-agent") || "",
+		ipAddress: req.ip || "",
+		twoFactorPending,
+		expiresAt: new Date(Date.now() + (twoFactorPending ? TWO_FACTOR_CHALLENGE_TTL : REFRESH_TOKEN_TTL)),
+	});
+
+	setAuthCookies(res, session, refreshToken);
+
+	return session;
+};
+
+const parseRefreshCookie = (req) => {
+	const [sessionId, refreshToken] = (req.cookies?.[REFRESH_TOKEN_COOKIE] || "").split(".");
+	return { sessionId, refreshToken };
+};
+
+export const getSessionIdFromRequest = (req) => parseRefreshCookie(req).sessionId;
+
+/**
+ * Swaps the refresh token in the request for a new one and issues a fresh access token.
+ * Presenting an already rotated token outside the grace period is treated as theft
+ * and revokes the whole session.
+ * @returns {Promise<Session|null>} the refreshed session, or null when it can't be refreshed
+ */
+export const rotateSession = async (req, res) => {
+	const { sessionId, refreshToken } = parseRefreshCookie(req);
+
+	if (!sessionId || !refreshToken || !mongoose.isValidObjectId(sessionId)) {
+		return null;
+	}
+
+	const session = await Session.findById(sessionId);
+	if (!session || !session.isActive() || session.twoFactorPending) {
+		return null;
+	}
+
+	const presentedHash = hashToken(refreshToken);
+	const isCurrent = safeEqual(presentedHash, session.refreshTokenHash);
+	const isRecentlyRotated =
+		session.previousRefreshTokenHash &&
+		safeEqual(presentedHash, session.previousRefreshTokenHash) &&
+		Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_PERIOD;
+
+	if (!isCurrent && !isRecentlyRotated) {
+		session.revokedAt = new Date();
+		await session.save();
+		return null;
+	}
+
+	const newRefreshToken = generateToken();
+	session.previousRefreshTokenHash = session.refreshTokenHash;
+	session.refreshTokenHash = hashToken(newRefreshToken);
+	session.rotatedAt = new Date();
+	session.lastSeenAt = new Date();
+	session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+	session.ipAddress = req.ip || session.ipAddress;
+	await session.save();
+
+	setAuthCookies(res, session, newRefreshToken);
+
+	return session;
+};
+
+/**
+ * Whether the refresh cookie in the request belongs to a sign-in that still owes
+ * its second factor. Such a session can't be refreshed, but it isn't over either.
+ */
+export const isTwoFactorPending = async (req) => {
+	const { sessionId, refreshToken } = parseRefreshCookie(req);
+
+	if (!sessionId || !refreshToken || !mongoose.isValidObjectId(sessionId)) {
+		return false;
+	}
+
+	const session = await Session.findById(sessionId);
+	return Boolean(
+		session?.isActive() && session.twoFactorPending && safeEqual(hashToken(refreshToken), session.refreshTokenHash)
+	);
+};
+
+export const completeTwoFactorChallenge = async (res, session) => {
+	const refreshToken = generateToken();
+
+	session.twoFactorPending = false;
+	session.twoFactorAttempts = 0;
+	session.refreshTokenHash = hashToken(refreshToken);
+	session.lastSeenAt = new Date();
+	session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+	await session.save();
+
+	setAuthCookies(res, session, refreshToken);
+};
+
+export const revokeSessions = (filter) =>
+	Session.updateMany({ ...filter, revokedAt: null }, { $set: { revokedAt: new Date() } });
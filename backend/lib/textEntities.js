@@ -0,0 +1,36 @@
+// #hashtags and @mentions in post and comment text. The frontend links them
+// with the same patterns, see frontend/src/utils/textEntities.js. What's in a
+// code block is code, not hashtags and mentions.
+
+import { stripCodeBlocks } from "./codeBlocks.js";
+
+// a tag needs at least one letter, so "#1" in "we're #1" stays plain text
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+// whatever precedes the @ can't be part of a word, which keeps email addresses out
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@.])@([\w.-]+)/gu;
+const MAX_HASHTAG_LENGTH = 50;
+
+const unique = (values) => [...new Set(values)];
+
+/**
+ * Lowercased hashtags of `text` without the leading #, in order of first use.
+ */
+export const extractHashtags = (text = "") =>
+	unique(
+		[...stripCodeBlocks(text || "").matchAll(HASHTAG_PATTERN)]
+			.map(([, , tag]) => tag.toLowerCase())
+			.filter((tag) => tag.length <= MAX_HASHTAG_LENGTH)
+	);
+
+/**
+ * Usernames mentioned in `text` without the leading @. A trailing dot or dash
+ * is punctuation ("thanks @jane.") rather than part of the name.
+ */
+export const extractMentions = (text = "") =>
+	unique(
+		[...stripCodeBlocks(text || "").matchAll(MENTION_PATTERN)]
+			.map(([, , username]) => username.replace(/[.-]+$/, ""))
+			.filter(Boolean)
+	);
+
+export const normalizeHashtag = (tag = "") => tag.replace(/^#/, "").toLowerCase();
@@ -0,0 +1,34 @@
+import crypto from "crypto";
+
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString("hex");
+
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export const safeEqual = (a, b) => {
+	const bufferA = Buffer.from(String(a));
+	const bufferB = Buffer.from(String(b));
+	return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// symmetric encryption for secrets we need to read back later (e.g. TOTP seeds)
+const getEncryptionKey = () =>
+	crypto
+		.createHash("sha256")
+		.update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+		.digest();
+
+export const encryptSecret = (plaintext) => {
+	const iv = crypto.randomBytes(12);
+	const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+	const encrypted = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+
+	return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(".");
+};
+
+export const decryptSecret = (payload) => {
+	const [iv, authTag, encrypted] = payload.split(".").map((part) => Buffer.from(part, "base64"));
+	const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+	decipher.setAuthTag(authTag);
+
+	return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
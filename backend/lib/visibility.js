@@ -0,0 +1,53 @@
+// Who gets to see a post. Posts from before visibility existed have none and
+// count as public. Drafts and scheduled posts are for their author's eyes only
+// until they're published; posts from before drafts existed have no status and
+// count as published.
+
+export const POST_VISIBILITIES = ["public", "connections", "private"];
+export const POST_STATUSES = ["draft", "scheduled", "published"];
+
+const toId = (ref) => (ref?._id ?? ref).toString();
+
+// what canViewPost reads; a post loaded without `status` would pass for a published one
+export const VISIBILITY_FIELDS = "author visibility status";
+
+export const isPublished = (post) => (post.status ?? "published") === "published";
+
+/**
+ * Whether `viewer` (a user with their `connections`) may see `post`. The
+ * author may be populated or just an id.
+ */
+export const canViewPost = (post, viewer) => {
+	const authorId = toId(post.author);
+	if (authorId === viewer._id.toString()) {
+		return true;
+	}
+
+	if (!isPublished(post)) {
+		return false;
+	}
+
+	const visibility = post.visibility ?? "public";
+	if (visibility === "connections") {
+		return viewer.connections.some((id) => id.toString() === authorId);
+	}
+	return visibility === "public";
+};
+
+/**
+ * Query filter for the published posts `viewer` may see, which leaves out
+ * their own drafts too. It's wrapped in an $and so it can be spread next to a
+ * cursor filter, which brings its own $or.
+ */
+export const buildVisibilityFilter = (viewer) => ({
+	$and: [
+		{
+			$or: [
+				{ author: viewer._id },
+				{ visibility: { $in: ["public", null] } },
+				{ visibility: "connections", author: { $in: [...viewer.connections] } },
+			],
+		},
+		{ status: { $in: ["published", null] } },
+	],
+});
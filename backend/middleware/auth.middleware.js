@@ -1,8 +1,72 @@
 import jwt from "jsonwebtoken";
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import { findActiveAccessToken } from "../lib/accessTokens.js";
+import { TWO_FACTOR_REQUIRED } from "../lib/session.js";
+
+// how stale a session's lastSeenAt may get before a request bumps it
+const LAST_SEEN_RESOLUTION = 60 * 1000;
+
+const getBearerToken = (req) => {
+	const [scheme, token] = (req.headers?.authorization || "").split(" ");
+	return scheme?.toLowerCase() === "bearer" && token ? token : null;
+};
+
+// personal access tokens only work on routes that opted in with allowTokenScope
+const authenticateAccessToken = async (req, res, next, token) => {
+	if (!req.tokenScope) {
+		return res.status(403).json({ message: "This endpoint does not accept access tokens" });
+	}
+
+	const accessToken = await findActiveAccessToken(token);
+	if (!accessToken) {
+		return res.status(401).json({ message: "Unauthorized - Invalid access token" });
+	}
+
+	if (!accessToken.scopes.includes(req.tokenScope)) {
+		return res
+			.status(403)
+			.json({ message: `Forbidden - Token is missing the ${req.tokenScope} scope` });
+	}
+
+	const user = await User.findById(accessToken.user).select("-password");
+	if (!user) {
+		return res.status(401).json({ message: "User not found" });
+	}
+
+	if (user.suspendedAt) {
+		return res.status(403).json({
+			message: "Your account has been suspended",
+			reason: user.suspensionReason || null,
+		});
+	}
+
+	if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > LAST_SEEN_RESOLUTION) {
+		accessToken.lastUsedAt = new Date();
+		accessToken.lastUsedIp = req.ip || "";
+		await accessToken.save();
+	}
+
+	req.user = user;
+	req.accessToken = accessToken;
+
+	next();
+};
+
+// marks a route as usable with a personal access token carrying `scope`;
+// must come before protectRoute
+export const allowTokenScope = (scope) => (req, res, next) => {
+	req.tokenScope = scope;
+	next();
+};
 
 export const protectRoute = async (req, res, next) => {
 	try {
+		const bearerToken = getBearerToken(req);
+		if (bearerToken) {
+			return await authenticateAccessToken(req, res, next, bearerToken);
+		}
+
 		const token = req.cookies["jwt-linkedin"];
 
 		if (!token) {
@@ -22,10 +86,109 @@ export const protectRoute = async (req, res, next) => {
 			return res.status(401).json({ message: "User not found" });
 		}
 
+		if (user.suspendedAt) {
+			return res.status(403).json({
+				message: "Your account has been suspended",
+				reason: user.suspensionReason || null,
+			});
+		}
+
+		// tokens issued before the last password reset are no longer valid
+		if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+			return res.status(401).json({ message: "Unauthorized - Session expired" });
+		}
+
+		const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+		if (!session || !session.isActive() || session.user.toString() !== user._id.toString()) {
+			return res.status(401).json({ message: "Unauthorized - Session revoked" });
+		}
+
+		if (session.twoFactorPending) {
+			return res.status(401).json({
+				message: "Unauthorized - Two-factor authentication required",
+				code: TWO_FACTOR_REQUIRED,
+			});
+		}
+
+		if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION) {
+			session.lastSeenAt = new Date();
+			await session.save();
+		}
+
 		req.user = user;
+		req.session = session;
 
 		next();
 	} catch (error) {
+		// an expired or tampered token is a 401 like any other, so the client refreshes the session
+		if (error instanceof jwt.TokenExpiredError) {
+			return res.status(401).json({ message: "Unauthorized - Token expired" });
+		}
+		if (error instanceof jwt.JsonWebTokenError) {
+			return res.status(401).json({ message: "Unauthorized - Invalid Token" });
+		}
+
+		console.error("Error in protectRoute middleware:", error);
 		res.status(500).json({ message: "Internal server error" });
 	}
 };
+
+// use after protectRoute, e.g. router.use(protectRoute, authorize("admin"))
+export const authorize = (...roles) => (req, res, next) => {
+	if (!req.user || !roles.includes(req.user.role)) {
+		return res.status(403).json({ message: "Forbidden - Insufficient permissions" });
+	}
+
+	next();
+};
+
+export const requireVerifiedEmail = (req, res, next) => {
+	if (!req.user.isVerified) {
+		return res
+			.status(403)
+			.json({ message: "Please verify your email address to continue" });
+	}
+
+	next();
+};
+
+// only lets through sessions that passed the password check and still owe a second factor
+export const protectTwoFactorChallenge = async (req, res, next) => {
+	try {
+		const token = req.cookies["jwt-linkedin"];
+
+		if (!token) {
+			return res
+				.status(401)
+				.json({ message: "Unauthorized - No Token Provided" });
+		}
+
+		const decoded = jwt.verify(token, process.env.JWT_SECRET);
+		const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+
+		if (!session || !session.isActive() || !session.twoFactorPending) {
+			return res.status(401).json({ message: "Unauthorized - No pending sign-in" });
+		}
+
+		const user = await User.findById(session.user).select("-password");
+
+		if (!user) {
+			return res.status(401).json({ message: "User not found" });
+		}
+
+		// suspended between the password and the second factor
+		if (user.suspendedAt) {
+			return res.status(403).json({
+				message: "Your account has been suspended",
+				reason: user.suspensionReason || null,
+			});
+		}
+
+		req.user = user;
+		req.session = session;
+
+		next();
+	} catch {
+		res.status(401).json({ message: "Unauthorized - Invalid Token" });
+	}
+};
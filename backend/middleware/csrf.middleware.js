@@ -0,0 +1,21 @@
+import { CSRF_COOKIE, CSRF_HEADER, isValidCsrfToken } from "../lib/csrf.js";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+export const verifyCsrfToken = (req, res, next) => {
+	if (SAFE_METHODS.includes(req.method)) {
+		return next();
+	}
+
+	// bearer-authenticated requests never use the session cookie, and browsers
+	// can't attach an Authorization header to a cross-site request on their own
+	if (/^bearer\s/i.test(req.headers?.authorization || "")) {
+		return next();
+	}
+
+	if (!isValidCsrfToken(req.cookies?.[CSRF_COOKIE], req.headers?.[CSRF_HEADER])) {
+		return res.status(403).json({ message: "Invalid CSRF token", code: "CSRF_TOKEN_INVALID" });
+	}
+
+	next();
+};
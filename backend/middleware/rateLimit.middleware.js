@@ -0,0 +1,37 @@
+import { getRateLimitPolicy } from "../lib/rateLimitPolicies.js";
+import { getRateLimitStore } from "../lib/rateLimitStore.js";
+
+export const sendTooManyRequests = (res, retryAfterMs, message = "Too many requests, please try again later") => {
+	res.set("Retry-After", String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+	return res.status(429).json({ message });
+};
+
+export const rateLimit = (policyName) => {
+	// fail fast on typos when the routes are defined
+	getRateLimitPolicy(policyName);
+
+	return async (req, res, next) => {
+		try {
+			const policy = getRateLimitPolicy(policyName);
+			const store = getRateLimitStore();
+
+			for (const scope of policy.by) {
+				const id = scope === "user" ? req.user?._id : req.ip;
+				if (!id) {
+					continue;
+				}
+
+				const { count, resetAt } = await store.increment(`${policyName}:${scope}:${id}`, policy.windowMs);
+				if (count > policy.max) {
+					return sendTooManyRequests(res, resetAt - Date.now());
+				}
+			}
+
+			next();
+		} catch (error) {
+			// fail open, an unavailable store shouldn't take every write endpoint down with it
+			console.error("Error in rateLimit middleware:", error);
+			next();
+		}
+	};
+};
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+const accessTokenSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+			index: true,
+		},
+		name: { type: String, required: true, trim: true },
+		// only the hash is stored, the token itself is shown once on creation
+		tokenHash: { type: String, required: true, unique: true },
+		prefix: { type: String, required: true },
+		scopes: [{ type: String }],
+		// null means the token never expires
+		expiresAt: { type: Date, default: null },
+		lastUsedAt: { type: Date },
+		lastUsedIp: { type: String },
+		revokedAt: { type: Date },
+	},
+	{ timestamps: true }
+);
+
+accessTokenSchema.methods.isActive = function () {
+	return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const AccessToken = mongoose.model("AccessToken", accessTokenSchema);
+
+export default AccessToken;
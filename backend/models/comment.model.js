@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+const commentSchema = new mongoose.Schema(
+	{
+		post: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Post",
+			required: true,
+		},
+		// null once the author deleted their account
+		user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+		content: { type: String },
+		// the users @mentioned in the content that actually exist
+		mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+		// replies point at the comment they answer and at the top-level comment of their thread
+		parent: { type: mongoose.Schema.Types.ObjectId, ref: "Comment", default: null },
+		thread: { type: mongoose.Schema.Types.ObjectId, ref: "Comment", default: null },
+		depth: { type: Number, default: 0 },
+		likes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+		// kept in step with likes so "most liked" can be sorted on an index
+		likeCount: { type: Number, default: 0 },
+		editedAt: { type: Date },
+		// comments with replies are blanked instead of removed, so the thread stays readable
+		deletedAt: { type: Date },
+	},
+	{ timestamps: true }
+);
+
+// top-level comments of a post, newest or most liked first
+commentSchema.index({ post: 1, parent: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ post: 1, parent: 1, likeCount: -1, createdAt: -1 });
+commentSchema.index({ thread: 1, createdAt: 1 });
+commentSchema.index({ user: 1, createdAt: -1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+
+export default Comment;
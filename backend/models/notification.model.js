@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { REACTION_TYPES } from "../lib/reactions.js";
 
 const notificationSchema = new mongoose.Schema(
 	{
@@ -10,7 +11,7 @@ const notificationSchema = new mongoose.Schema(
 		type: {
 			type: String,
 			required: true,
-			enum: ["like", "comment", "connectionAccepted"],
+			enum: ["like", "reaction", "comment", "reply", "mention", "repost", "connectionAccepted", "pollClosed"],
 		},
 		relatedUser: {
 			type: mongoose.Schema.Types.ObjectId,
@@ -20,6 +21,8 @@ const notificationSchema = new mongoose.Schema(
 			type: mongoose.Schema.Types.ObjectId,
 			ref: "Post",
 		},
+		// which reaction a "reaction" notification is about
+		reactionType: { type: String, enum: REACTION_TYPES },
 		read: {
 			type: Boolean,
 			default: false,
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const pollVoteSchema = new mongoose.Schema(
+	{
+		post: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Post",
+			required: true,
+		},
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		// the _id of one of the post's poll options
+		option: { type: mongoose.Schema.Types.ObjectId, required: true },
+	},
+	{ timestamps: true }
+);
+
+// one vote per user per poll
+pollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+pollVoteSchema.index({ user: 1, createdAt: -1 });
+
+const PollVote = mongoose.model("PollVote", pollVoteSchema);
+
+export default PollVote;
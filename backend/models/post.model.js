@@ -1,22 +1,88 @@
 import mongoose from "mongoose";
+import { REACTION_TYPES } from "../lib/reactions.js";
+import { POST_STATUSES, POST_VISIBILITIES } from "../lib/visibility.js";
+import { ATTACHMENT_TYPES, MAX_ALT_TEXT_LENGTH } from "../lib/media.js";
+import { MAX_POLL_OPTION_LENGTH } from "../lib/polls.js";
 
-const postSchema = new mongoose.Schema(
+// an image, video or PDF document stored on cloudinary; revisions keep their own copies
+export const attachmentSchema = new mongoose.Schema({
+	type: { type: String, enum: ATTACHMENT_TYPES, required: true },
+	url: { type: String, required: true },
+	publicId: { type: String },
+	mimeType: { type: String },
+	width: { type: Number },
+	height: { type: Number },
+	// in bytes
+	size: { type: Number },
+	// videos only, in seconds
+	duration: { type: Number },
+	// documents only
+	pageCount: { type: Number },
+	altText: { type: String, maxlength: MAX_ALT_TEXT_LENGTH, default: "" },
+});
+
+// votes live in their own collection, see lib/polls.js; the counts are kept in step with them
+const pollSchema = new mongoose.Schema(
 	{
-		author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-		content: { type: String },
-		image: { type: String },
-		likes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
-		comments: [
+		options: [
 			{
-				content: { type: String },
-				user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-				createdAt: { type: Date, default: Date.now },
+				text: { type: String, required: true, maxlength: MAX_POLL_OPTION_LENGTH },
+				voteCount: { type: Number, default: 0 },
 			},
 		],
+		closesAt: { type: Date, required: true },
+		// keeps the counts from whoever hasn't voted until the poll closes
+		hideResults: { type: Boolean, default: false },
+		// set by the scheduler once it has told the author the poll closed
+		closedAt: { type: Date },
+	},
+	{ _id: false }
+);
+
+const postSchema = new mongoose.Schema(
+	{
+		author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+		content: { type: String },
+		// a gallery of images, one video or one document, see lib/media.js
+		attachments: [attachmentSchema],
+		// the content is the poll's question
+		poll: { type: pollSchema, default: undefined },
+		// parsed from the content on every save, lowercased and without the #
+		hashtags: [{ type: String }],
+		// the users @mentioned in the content that actually exist
+		mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+		// can change while the post is a draft and is fixed once it's published, reposts count on it
+		visibility: { type: String, enum: POST_VISIBILITIES, default: "public" },
+		// drafts and scheduled posts only show to their author, see lib/scheduler.js for publishing
+		status: { type: String, enum: POST_STATUSES, default: "published" },
+		// when a scheduled post goes out
+		publishAt: { type: Date },
+		// set on every edit; older versions are kept as PostRevisions
+		editedAt: { type: Date },
+		// reactions live in their own collection; these are kept in step for display and ranking
+		reactionCounts: Object.fromEntries(REACTION_TYPES.map((type) => [type, { type: Number, default: 0 }])),
+		// a repost shares another post, with the repost's content as optional commentary
+		repostOf: { type: mongoose.Schema.Types.ObjectId, ref: "Post", default: null },
+		// set on reposts when the post they share is deleted, so they can say so
+		originalDeletedAt: { type: Date },
+		repostCount: { type: Number, default: 0 },
+		// comments live in their own collection; this is kept in step for the feed
+		commentCount: { type: Number, default: 0 },
 	},
 	{ timestamps: true }
 );
 
+// the feed pages through a user's network newest first
+postSchema.index({ author: 1, createdAt: -1, _id: -1 });
+postSchema.index({ hashtags: 1, createdAt: -1, _id: -1 });
+// the author's drafts, and the scheduled posts that are due
+postSchema.index({ author: 1, status: 1, createdAt: -1, _id: -1 });
+postSchema.index({ publishAt: 1 }, { partialFilterExpression: { status: "scheduled" } });
+// the polls the scheduler still has to close
+postSchema.index({ "poll.closesAt": 1 }, { sparse: true });
+// the reposts of a post, when it is deleted or someone reposts it again
+postSchema.index({ repostOf: 1, author: 1 });
+
 const Post = mongoose.model("Post", postSchema);
 
 export default Post;
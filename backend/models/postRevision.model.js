@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+import { attachmentSchema } from "./post.model.js";
+
+// A version of a post that has since been edited away. The current version
+// lives on the post itself.
+const postRevisionSchema = new mongoose.Schema({
+	post: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: "Post",
+		required: true,
+	},
+	content: { type: String },
+	attachments: [attachmentSchema],
+	// when this version was published: the post's creation or a previous edit
+	authoredAt: { type: Date, required: true },
+	// when the edit that replaced it was made
+	replacedAt: { type: Date, default: Date.now },
+});
+
+postRevisionSchema.index({ post: 1, replacedAt: -1 });
+
+const PostRevision = mongoose.model("PostRevision", postRevisionSchema);
+
+export default PostRevision;
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+import { REACTION_TYPES } from "../lib/reactions.js";
+
+const reactionSchema = new mongoose.Schema(
+	{
+		post: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Post",
+			required: true,
+		},
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		type: { type: String, required: true, enum: REACTION_TYPES },
+	},
+	{ timestamps: true }
+);
+
+// one reaction per user per post, and who reacted to a post, newest first
+reactionSchema.index({ post: 1, user: 1 }, { unique: true });
+reactionSchema.index({ post: 1, type: 1, createdAt: -1, _id: -1 });
+reactionSchema.index({ post: 1, createdAt: -1, _id: -1 });
+reactionSchema.index({ user: 1, createdAt: -1 });
+
+const Reaction = mongoose.model("Reaction", reactionSchema);
+
+export default Reaction;
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// a post someone bookmarked to find again later; createdAt is when they saved it
+const savedPostSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		post: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Post",
+			required: true,
+		},
+	},
+	{ timestamps: true }
+);
+
+// a post is saved once per user, and the saved list pages through it newest save first
+savedPostSchema.index({ user: 1, post: 1 }, { unique: true });
+savedPostSchema.index({ user: 1, createdAt: -1, _id: -1 });
+savedPostSchema.index({ post: 1 });
+
+const SavedPost = mongoose.model("SavedPost", savedPostSchema);
+
+export default SavedPost;
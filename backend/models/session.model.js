@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+			index: true,
+		},
+		refreshTokenHash: { type: String, required: true },
+		// the token we rotated away from, accepted for a short grace period so
+		// parallel refreshes from the same browser don't log the user out
+		previousRefreshTokenHash: { type: String },
+		rotatedAt: { type: Date },
+		userAgent: { type: String, default: "" },
+		ipAddress: { type: String, default: "" },
+		lastSeenAt: { type: Date, default: Date.now },
+		expiresAt: { type: Date, required: true },
+		revokedAt: { type: Date },
+		// password checked but the second factor is still outstanding
+		twoFactorPending: { type: Boolean, default: false },
+		twoFactorAttempts: { type: Number, default: 0 },
+	},
+	{ timestamps: true }
+);
+
+// let MongoDB clean up sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+	return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
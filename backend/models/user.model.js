@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { ROLES } from "../lib/roles.js";
 
 const userSchema = new mongoose.Schema(
 	{
@@ -9,6 +10,36 @@ const userSchema = new mongoose.Schema(
 		username: { type: String, required: true, unique: true },
 		email: { type: String, required: true, unique: true },
 		password: { type: String, required: true },
+		role: {
+			type: String,
+			enum: ROLES,
+			default: "user",
+		},
+		suspendedAt: { type: Date },
+		suspensionReason: { type: String },
+		suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+		isVerified: { type: Boolean, default: false },
+		verifiedAt: { type: Date },
+		passwordChangedAt: { type: Date },
+		resetPasswordToken: { type: String, select: false },
+		resetPasswordExpiresAt: { type: Date, select: false },
+		failedLoginAttempts: { type: Number, default: 0, select: false },
+		lockUntil: { type: Date, select: false },
+		twoFactorEnabled: { type: Boolean, default: false },
+		// TOTP seeds are stored encrypted, recovery codes as hashes
+		twoFactorSecret: { type: String, select: false },
+		twoFactorPendingSecret: { type: String, select: false },
+		twoFactorRecoveryCodes: { type: [String], select: false },
+		twoFactorLastUsedStep: { type: Number, select: false },
+		// identities from social login providers (GitHub, OIDC)
+		oauthAccounts: [
+			{
+				provider: { type: String, required: true },
+				providerId: { type: String, required: true },
+				email: String,
+				linkedAt: { type: Date, default: Date.now },
+			},
+		],
 		profilePicture: {
 			type: String,
 			default: "",
@@ -63,6 +94,12 @@ const userSchema = new mongoose.Schema(
 	{ timestamps: true }
 );
 
+// one provider identity can only ever belong to one user
+userSchema.index(
+	{ "oauthAccounts.provider": 1, "oauthAccounts.providerId": 1 },
+	{ unique: true, partialFilterExpression: { "oauthAccounts.providerId": { $exists: true } } }
+);
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
@@ -0,0 +1,14 @@
+import express from "express";
+import { authorize, protectRoute } from "../middleware/auth.middleware.js";
+import { listUsers, suspendUser, unsuspendUser, updateUserRole } from "../controllers/admin.controller.js";
+
+const router = express.Router();
+
+router.use(protectRoute, authorize("admin"));
+
+router.get("/users", listUsers);
+router.put("/users/:id/suspend", suspendUser);
+router.put("/users/:id/unsuspend", unsuspendUser);
+router.put("/users/:id/role", updateUserRole);
+
+export default router;
@@ -1,13 +1,63 @@
 import express from "express";
-import { login, logout, signup, getCurrentUser } from "../controllers/auth.controller.js";
-import { protectRoute } from "../middleware/auth.middleware.js";
+import {
+	login,
+	logout,
+	signup,
+	getCurrentUser,
+	verifyEmail,
+	resendVerificationEmail,
+	forgotPassword,
+	resetPassword,
+	refreshSession,
+	getSessions,
+	revokeSession,
+	logoutEverywhere,
+} from "../controllers/auth.controller.js";
+import { handleOAuthCallback, startOAuthLogin } from "../controllers/oauth.controller.js";
+import {
+	createAccessTokenForUser,
+	getAccessTokens,
+	revokeAccessToken,
+} from "../controllers/accessToken.controller.js";
+import {
+	disableTwoFactor,
+	enableTwoFactor,
+	regenerateRecoveryCodes,
+	setupTwoFactor,
+	verifyTwoFactorChallenge,
+} from "../controllers/twoFactor.controller.js";
+import { allowTokenScope, protectRoute, protectTwoFactorChallenge } from "../middleware/auth.middleware.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
 
 const router = express.Router();
 
-router.post("/signup", signup);
-router.post("/login", login);
+router.post("/signup", rateLimit("auth"), signup);
+router.post("/login", rateLimit("login"), login);
 router.post("/logout", logout);
+router.post("/refresh", refreshSession);
+router.get("/verify/:token", verifyEmail);
+router.post("/verify/resend", protectRoute, rateLimit("auth"), resendVerificationEmail);
+router.post("/forgot-password", rateLimit("auth"), forgotPassword);
+router.post("/reset-password/:token", rateLimit("auth"), resetPassword);
 
-router.get("/me", protectRoute, getCurrentUser);
+router.get("/oauth/:provider", rateLimit("auth"), startOAuthLogin);
+router.get("/oauth/:provider/callback", rateLimit("auth"), handleOAuthCallback);
+
+router.get("/me", allowTokenScope("read:profile"), protectRoute, getCurrentUser);
+
+router.get("/sessions", protectRoute, getSessions);
+router.delete("/sessions", protectRoute, logoutEverywhere);
+router.delete("/sessions/:id", protectRoute, revokeSession);
+
+// token management stays cookie-only, a token can't mint or list tokens
+router.get("/tokens", protectRoute, getAccessTokens);
+router.post("/tokens", protectRoute, createAccessTokenForUser);
+router.delete("/tokens/:id", protectRoute, revokeAccessToken);
+
+router.post("/2fa/verify", rateLimit("twoFactor"), protectTwoFactorChallenge, verifyTwoFactorChallenge);
+router.post("/2fa/setup", protectRoute, setupTwoFactor);
+router.post("/2fa/enable", protectRoute, rateLimit("twoFactor"), enableTwoFactor);
+router.post("/2fa/disable", protectRoute, rateLimit("twoFactor"), disableTwoFactor);
+router.post("/2fa/recovery-codes", protectRoute, rateLimit("twoFactor"), regenerateRecoveryCodes);
 
 export default router;
@@ -7,13 +7,13 @@ import {
 	getCurrentContest,
 	getUserContest,
 } from "../controllers/coding.controller.js";
-import { protectRoute } from "../middleware/auth.middleware.js";
+import { allowTokenScope, protectRoute } from "../middleware/auth.middleware.js";
 const Router = express.Router();
 
-Router.get("/contest", protectRoute, contestData);
-Router.get("/statistics", protectRoute, statisticsData);
-Router.post("/add-contest", protectRoute, addContest);
-Router.delete("/delete-contest/:contest_id", protectRoute, deleteContest);
-Router.get("/get-use-contest", protectRoute, getUserContest);
-Router.get("/getOngoingContest", protectRoute, getCurrentContest);
+Router.get("/contest", allowTokenScope("contests"), protectRoute, contestData);
+Router.get("/statistics", allowTokenScope("contests"), protectRoute, statisticsData);
+Router.post("/add-contest", allowTokenScope("contests"), protectRoute, addContest);
+Router.delete("/delete-contest/:contest_id", allowTokenScope("contests"), protectRoute, deleteContest);
+Router.get("/get-use-contest", allowTokenScope("contests"), protectRoute, getUserContest);
+Router.get("/getOngoingContest", allowTokenScope("contests"), protectRoute, getCurrentContest);
 export default Router;
@@ -1,5 +1,6 @@
 import express from "express";
-import { protectRoute } from "../middleware/auth.middleware.js";
+import { allowTokenScope, protectRoute, requireVerifiedEmail } from "../middleware/auth.middleware.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
 import {
 	acceptConnectionRequest,
 	getConnectionRequests,
@@ -12,12 +13,19 @@ import {
 
 const router = express.Router();
 
-router.post("/request/:userId", protectRoute, sendConnectionRequest);
-router.put("/accept/:requestId", protectRoute, acceptConnectionRequest);
-router.put("/reject/:requestId", protectRoute, rejectConnectionRequest);
-router.get("/requests", protectRoute, getConnectionRequests);
-router.get("/", protectRoute, getUserConnections);
-router.delete("/:userId", protectRoute, removeConnection);
-router.get("/status/:userId", protectRoute, getConnectionStatus);
+router.post(
+	"/request/:userId",
+	allowTokenScope("write:connections"),
+	protectRoute,
+	rateLimit("connectionRequest"),
+	requireVerifiedEmail,
+	sendConnectionRequest
+);
+router.put("/accept/:requestId", allowTokenScope("write:connections"), protectRoute, acceptConnectionRequest);
+router.put("/reject/:requestId", allowTokenScope("write:connections"), protectRoute, rejectConnectionRequest);
+router.get("/requests", allowTokenScope("read:connections"), protectRoute, getConnectionRequests);
+router.get("/", allowTokenScope("read:connections"), protectRoute, getUserConnections);
+router.delete("/:userId", allowTokenScope("write:connections"), protectRoute, removeConnection);
+router.get("/status/:userId", allowTokenScope("read:connections"), protectRoute, getConnectionStatus);
 
 export default router;
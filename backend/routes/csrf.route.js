@@ -0,0 +1,8 @@
+import express from "express";
+import { getCsrfToken } from "../controllers/csrf.controller.js";
+
+const router = express.Router();
+
+router.get("/", getCsrfToken);
+
+export default router;
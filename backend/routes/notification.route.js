@@ -1,5 +1,5 @@
 import express from "express";
-import { protectRoute } from "../middleware/auth.middleware.js";
+import { allowTokenScope, protectRoute } from "../middleware/auth.middleware.js";
 import {
 	deleteNotification,
 	getUserNotifications,
@@ -8,9 +8,9 @@ import {
 
 const router = express.Router();
 
-router.get("/", protectRoute, getUserNotifications);
+router.get("/", allowTokenScope("read:notifications"), protectRoute, getUserNotifications);
 
-router.put("/:id/read", protectRoute, markNotificationAsRead);
-router.delete("/:id", protectRoute, deleteNotification);
+router.put("/:id/read", allowTokenScope("write:notifications"), protectRoute, markNotificationAsRead);
+router.delete("/:id", allowTokenScope("write:notifications"), protectRoute, deleteNotification);
 
 export default router;
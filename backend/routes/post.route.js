@@ -1,21 +1,60 @@
 import express from "express";
-import { protectRoute } from "../middleware/auth.middleware.js";
+import { allowTokenScope, protectRoute, requireVerifiedEmail } from "../middleware/auth.middleware.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
 import {
 	createPost,
 	getFeedPosts,
+	getDraftPosts,
+	getHashtagPosts,
 	deletePost,
 	getPostById,
-	createComment,
-	likePost,
+	getPostHistory,
+	getPostReactions,
+	getUserPosts,
+	updatePost,
+	reactToPost,
+	repostPost,
+	publishPostNow,
+	schedulePost,
+	voteInPoll,
+	savePost,
+	unsavePost,
+	getSavedPosts,
 } from "../controllers/post.controller.js";
+import {
+	createComment,
+	deleteComment,
+	getPostComments,
+	likeComment,
+	updateComment,
+} from "../controllers/comment.controller.js";
 
 const router = express.Router();
 
-router.get("/", protectRoute, getFeedPosts);
-router.post("/create", protectRoute, createPost);
-router.delete("/delete/:id", protectRoute, deletePost);
-router.get("/:id", protectRoute, getPostById);
-router.post("/:id/comment", protectRoute, createComment);
-router.post("/:id/like", protectRoute, likePost);
+router.get("/", allowTokenScope("read:posts"), protectRoute, getFeedPosts);
+router.post("/create", allowTokenScope("write:posts"), protectRoute, rateLimit("postCreate"), requireVerifiedEmail, createPost);
+router.post("/:id/repost", allowTokenScope("write:posts"), protectRoute, rateLimit("postCreate"), requireVerifiedEmail, repostPost);
+router.delete("/delete/:id", allowTokenScope("write:posts"), protectRoute, deletePost);
+router.get("/hashtag/:tag", allowTokenScope("read:posts"), protectRoute, getHashtagPosts);
+router.get("/saved", allowTokenScope("read:posts"), protectRoute, getSavedPosts);
+router.get("/drafts", allowTokenScope("read:posts"), protectRoute, getDraftPosts);
+router.get("/user/:username", allowTokenScope("read:posts"), protectRoute, getUserPosts);
+router.get("/:id", allowTokenScope("read:posts"), protectRoute, getPostById);
+router.put("/:id", allowTokenScope("write:posts"), protectRoute, rateLimit("postEdit"), requireVerifiedEmail, updatePost);
+router.post("/:id/publish", allowTokenScope("write:posts"), protectRoute, requireVerifiedEmail, publishPostNow);
+router.put("/:id/schedule", allowTokenScope("write:posts"), protectRoute, requireVerifiedEmail, schedulePost);
+router.get("/:id/history", allowTokenScope("read:posts"), protectRoute, getPostHistory);
+router.get("/:id/comments", allowTokenScope("read:posts"), protectRoute, getPostComments);
+router.post("/:id/comment", allowTokenScope("write:posts"), protectRoute, rateLimit("comment"), requireVerifiedEmail, createComment);
+router.put("/:id/comments/:commentId", allowTokenScope("write:posts"), protectRoute, rateLimit("comment"), updateComment);
+router.delete("/:id/comments/:commentId", allowTokenScope("write:posts"), protectRoute, deleteComment);
+router.post("/:id/comments/:commentId/like", allowTokenScope("write:posts"), protectRoute, likeComment);
+router.post("/:id/save", allowTokenScope("write:posts"), protectRoute, savePost);
+router.delete("/:id/save", allowTokenScope("write:posts"), protectRoute, unsavePost);
+router.post("/:id/vote", allowTokenScope("write:posts"), protectRoute, voteInPoll);
+router.get("/:id/reactions", allowTokenScope("read:posts"), protectRoute, getPostReactions);
+router.post("/:id/react", allowTokenScope("write:posts"), protectRoute, reactToPost);
+// kept for clients that only know about likes
+router.post("/:id/like", allowTokenScope("write:posts"), protectRoute, reactToPost);
 
 export default router;
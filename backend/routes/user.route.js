@@ -1,12 +1,22 @@
 import express from "express";
-import { protectRoute } from "../middleware/auth.middleware.js";
-import { getSuggestedConnections, getPublicProfile, updateProfile } from "../controllers/user.controller.js";
+import { allowTokenScope, protectRoute } from "../middleware/auth.middleware.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
+import {
+	deleteMyAccount,
+	exportMyData,
+	getSuggestedConnections,
+	getPublicProfile,
+	updateProfile,
+} from "../controllers/user.controller.js";
 
 const router = express.Router();
 
-router.get("/suggestions", protectRoute, getSuggestedConnections);
-router.get("/:username", protectRoute, getPublicProfile);
+router.get("/suggestions", allowTokenScope("read:profile"), protectRoute, getSuggestedConnections);
+// must stay above /:username
+router.get("/me/export", protectRoute, rateLimit("dataExport"), exportMyData);
+router.delete("/me", protectRoute, deleteMyAccount);
+router.get("/:username", allowTokenScope("read:profile"), protectRoute, getPublicProfile);
 
-router.put("/profile", protectRoute, updateProfile);
+router.put("/profile", allowTokenScope("write:profile"), protectRoute, updateProfile);
 
 export default router;
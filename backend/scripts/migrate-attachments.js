@@ -0,0 +1,53 @@
+// Usage: node scripts/migrate-attachments.js
+// Turns the single image still stored on posts and post revisions into an image
+// attachment. Each document is updated on its own and loses its image field in
+// the same write, so the script can be stopped and rerun.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Post from "../models/post.model.js";
+import PostRevision from "../models/postRevision.model.js";
+import { connectDB } from "../lib/db.js";
+
+dotenv.config();
+
+// what cloudinary calls the "public id" is the last path segment without its extension;
+// dimensions and size weren't recorded back then, so they stay unknown
+const toAttachment = (url) => ({
+	_id: new mongoose.Types.ObjectId(),
+	type: "image",
+	url,
+	publicId: url.split("/").pop().split(".")[0],
+	altText: "",
+});
+
+const migrate = async (Model) => {
+	// the schema no longer knows about the image field, so read the raw documents
+	const cursor = Model.collection.find({ image: { $exists: true } }, { projection: { image: 1 } });
+	let migrated = 0;
+
+	for await (const doc of cursor) {
+		await Model.collection.updateOne(
+			{ _id: doc._id },
+			{ $set: { attachments: doc.image ? [toAttachment(doc.image)] : [] }, $unset: { image: "" } }
+		);
+		migrated++;
+	}
+
+	return migrated;
+};
+
+const run = async () => {
+	await connectDB();
+
+	const posts = await migrate(Post);
+	const revisions = await migrate(PostRevision);
+	console.log(`Migrated the images of ${posts} posts and ${revisions} revisions`);
+
+	await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+	console.error("Error migrating attachments:", error);
+	process.exitCode = 1;
+	await mongoose.disconnect();
+});
@@ -0,0 +1,71 @@
+// Usage: node scripts/migrate-comments.js
+// Moves comments that are still embedded in their post into the comments collection
+// and fills in each post's comment count. Posts are migrated one at a time, so the
+// script can be stopped and rerun; comments that already made it across are skipped.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Post from "../models/post.model.js";
+import Comment from "../models/comment.model.js";
+import { connectDB } from "../lib/db.js";
+
+dotenv.config();
+
+const toComment = (post, comment) => ({
+	_id: comment._id,
+	post: post._id,
+	user: comment.user ?? null,
+	content: comment.content ?? "",
+	parent: comment.parent ?? null,
+	thread: comment.thread ?? null,
+	depth: comment.depth ?? 0,
+	likes: [],
+	likeCount: 0,
+	editedAt: comment.editedAt,
+	deletedAt: comment.deletedAt,
+	createdAt: comment.createdAt,
+	updatedAt: comment.updatedAt ?? comment.createdAt,
+});
+
+const run = async () => {
+	await connectDB();
+
+	// the schema no longer knows about the embedded array, so read the raw documents
+	const cursor = Post.collection.find({ comments: { $exists: true } }, { projection: { comments: 1 } });
+	let migratedPosts = 0;
+	let migratedComments = 0;
+
+	for await (const post of cursor) {
+		const comments = post.comments || [];
+		if (comments.length) {
+			const { insertedCount } = await Comment.collection
+				.insertMany(comments.map((comment) => toComment(post, comment)), { ordered: false })
+				.catch((error) => {
+					// duplicate ids mean an earlier run got this far already
+					if (error.code !== 11000 && !error.writeErrors?.every((writeError) => writeError.code === 11000)) {
+						throw error;
+					}
+					return { insertedCount: error.result?.insertedCount ?? 0 };
+				});
+			migratedComments += insertedCount;
+		}
+
+		await Post.collection.updateOne(
+			{ _id: post._id },
+			{
+				$set: { commentCount: comments.filter((comment) => !comment.deletedAt).length },
+				$unset: { comments: "" },
+			}
+		);
+		migratedPosts++;
+	}
+
+	console.log(`Migrated ${migratedComments} comments from ${migratedPosts} posts`);
+
+	await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+	console.error("Error migrating comments:", error);
+	process.exitCode = 1;
+	await mongoose.disconnect();
+});
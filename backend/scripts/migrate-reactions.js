@@ -0,0 +1,64 @@
+// Usage: node scripts/migrate-reactions.js
+// Turns the likes still stored on posts into "like" reactions and fills in each
+// post's reaction counts. Posts are migrated one at a time, so the script can be
+// stopped and rerun; likes that already made it across are skipped.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Post from "../models/post.model.js";
+import Reaction from "../models/reaction.model.js";
+import { connectDB } from "../lib/db.js";
+import { REACTION_TYPES } from "../lib/reactions.js";
+
+dotenv.config();
+
+const run = async () => {
+	await connectDB();
+	// the unique index is what makes reruns skip likes that were already moved
+	await Reaction.syncIndexes();
+
+	// the schema no longer knows about the likes array, so read the raw documents
+	const cursor = Post.collection.find({ likes: { $exists: true } }, { projection: { likes: 1, createdAt: 1 } });
+	let migratedPosts = 0;
+	let migratedLikes = 0;
+
+	for await (const post of cursor) {
+		const likes = post.likes || [];
+		if (likes.length) {
+			// when a like was given isn't known, the post's creation is the best guess
+			const { upsertedCount } = await Reaction.collection.bulkWrite(
+				likes.map((user) => ({
+					updateOne: {
+						filter: { post: post._id, user },
+						update: {
+							$setOnInsert: { type: "like", createdAt: post.createdAt, updatedAt: post.createdAt },
+						},
+						upsert: true,
+					},
+				}))
+			);
+			migratedLikes += upsertedCount;
+		}
+
+		const counts = await Reaction.aggregate([
+			{ $match: { post: post._id } },
+			{ $group: { _id: "$type", count: { $sum: 1 } } },
+		]);
+		const reactionCounts = Object.fromEntries(REACTION_TYPES.map((type) => [type, 0]));
+		for (const { _id, count } of counts) {
+			reactionCounts[_id] = count;
+		}
+
+		await Post.collection.updateOne({ _id: post._id }, { $set: { reactionCounts }, $unset: { likes: "" } });
+		migratedPosts++;
+	}
+
+	console.log(`Migrated ${migratedLikes} likes from ${migratedPosts} posts`);
+
+	await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+	console.error("Error migrating reactions:", error);
+	process.exitCode = 1;
+	await mongoose.disconnect();
+});
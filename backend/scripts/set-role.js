@@ -0,0 +1,32 @@
+// Usage: node scripts/set-role.js <username> <user|moderator|admin>
+// Bootstraps the first admin, since only admins can change roles through the API.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import { connectDB } from "../lib/db.js";
+import { ROLES } from "../lib/roles.js";
+
+dotenv.config();
+
+const [username, role] = process.argv.slice(2);
+
+const run = async () => {
+	if (!username || !ROLES.includes(role)) {
+		console.error(`Usage: node scripts/set-role.js <username> <${ROLES.join("|")}>`);
+		process.exit(1);
+	}
+
+	await connectDB();
+
+	const user = await User.findOneAndUpdate({ username }, { $set: { role } }, { new: true });
+	if (!user) {
+		console.error(`No user named "${username}"`);
+		process.exitCode = 1;
+	} else {
+		console.log(`${user.username} is now ${user.role}`);
+	}
+
+	await mongoose.disconnect();
+};
+
+run();
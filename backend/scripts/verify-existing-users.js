@@ -0,0 +1,31 @@
+// Usage: node scripts/verify-existing-users.js
+// Marks the accounts created before email verification existed as verified.
+// They never got a verification link, and without the flag they couldn't post,
+// comment or connect. Accounts created since have isVerified stored as false
+// and are left alone, so the script can be rerun.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import { connectDB } from "../lib/db.js";
+
+dotenv.config();
+
+const run = async () => {
+	await connectDB();
+
+	// the schema would fill in its default, so read the raw documents; when they
+	// were verified isn't known, the account's creation is the best guess
+	const { modifiedCount } = await User.collection.updateMany({ isVerified: { $exists: false } }, [
+		{ $set: { isVerified: true, verifiedAt: { $ifNull: ["$createdAt", "$$NOW"] } } },
+	]);
+
+	console.log(`Marked ${modifiedCount} existing users as verified`);
+
+	await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+	console.error("Error verifying existing users:", error);
+	process.exitCode = 1;
+	await mongoose.disconnect();
+});
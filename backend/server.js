@@ -11,8 +11,12 @@ import notificationRoutes from "./routes/notification.route.js";
 import connectionRoutes from "./routes/connection.route.js";
 import codingRoutes from "./routes/coding.route.js";
 import healthRoutes from "./routes/health.route.js";
+import adminRoutes from "./routes/admin.route.js";
+import csrfRoutes from "./routes/csrf.route.js";
 
 import { connectDB } from "./lib/db.js";
+import { startScheduler } from "./lib/scheduler.js";
+import { verifyCsrfToken } from "./middleware/csrf.middleware.js";
 
 dotenv.config();
 
@@ -20,6 +24,12 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 const __dirname = path.resolve();
 
+// behind a reverse proxy req.ip (used for rate limiting) must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+	const hops = Number(process.env.TRUST_PROXY);
+	app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 if (process.env.NODE_ENV !== "production") {
 	app.use(
 		cors({
@@ -29,9 +39,16 @@ if (process.env.NODE_ENV !== "production") {
 	);
 }
 
+// post attachments travel as data URLs, a video alone can take up to 25 MB of them,
+// and parsing them here first leaves nothing for the smaller limit below
+app.use("/api/v1/posts", express.json({ limit: "45mb" }));
 app.use(express.json({ limit: "5mb" }));
 app.use(cookieParser());
 
+app.use("/api/v1/csrf-token", csrfRoutes);
+// every state-changing API call needs the token from the route above
+app.use("/api/v1", verifyCsrfToken);
+
 app.use("/api/v1/health", healthRoutes);
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/users", userRoutes);
@@ -39,6 +56,7 @@ app.use("/api/v1/posts", postRoutes);
 app.use("/api/v1/notifications", notificationRoutes);
 app.use("/api/v1/connections", connectionRoutes);
 app.use("/api/v1/coding", codingRoutes);
+app.use("/api/v1/admin", adminRoutes);
 
 if (process.env.NODE_ENV === "production") {
 	app.use(express.static(path.join(__dirname, "/frontend/dist")));
@@ -52,6 +70,8 @@ const startServer = async () => {
 	try {
 		await connectDB();
 		console.log("Database connected successfully");
+		// publishes scheduled posts and closes polls, starting with any that came due while we were down
+		startScheduler();
 		app.listen(PORT, () => {
 			console.log(`Server is listening on PORT ${PORT}`);
 		});
@@ -0,0 +1,87 @@
+import request from 'supertest';
+import express from 'express';
+import User from '../../models/user.model.js';
+import AccessToken from '../../models/accessToken.model.js';
+import {
+  createAccessTokenForUser,
+  getAccessTokens,
+  revokeAccessToken,
+} from '../../controllers/accessToken.controller.js';
+import { hashToken } from '../../lib/tokens.js';
+import { createTestUser } from '../setup.js';
+
+let currentUser;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.get('/auth/tokens', getAccessTokens);
+app.post('/auth/tokens', createAccessTokenForUser);
+app.delete('/auth/tokens/:id', revokeAccessToken);
+
+describe('Access Token Controller', () => {
+  beforeEach(async () => {
+    currentUser = await new User(createTestUser()).save();
+  });
+
+  test('should create a token and only store its hash', async () => {
+    const response = await request(app)
+      .post('/auth/tokens')
+      .send({ name: 'Contest sync', scopes: ['contests', 'read:notifications'], expiresInDays: 30 })
+      .expect(201);
+
+    expect(response.body.token).toMatch(/^acp_[0-9a-f]{40}$/);
+    expect(response.body.prefix).toBe(response.body.token.slice(0, 10));
+    expect(new Date(response.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    const stored = await AccessToken.findById(response.body._id);
+    expect(stored.tokenHash).toBe(hashToken(response.body.token));
+    expect(JSON.stringify(stored)).not.toContain(response.body.token);
+  });
+
+  test('should reject unknown scopes', async () => {
+    const response = await request(app)
+      .post('/auth/tokens')
+      .send({ name: 'Bad', scopes: ['admin'] })
+      .expect(400);
+
+    expect(response.body.message).toMatch(/^Scopes must be chosen from/);
+  });
+
+  test('should reject an out of range expiry', async () => {
+    await request(app)
+      .post('/auth/tokens')
+      .send({ name: 'Forever-ish', scopes: ['contests'], expiresInDays: 1000 })
+      .expect(400);
+  });
+
+  test('should list active tokens without the secret', async () => {
+    await request(app).post('/auth/tokens').send({ name: 'One', scopes: ['contests'] }).expect(201);
+
+    const response = await request(app).get('/auth/tokens').expect(200);
+
+    expect(response.body.scopes).toContain('write:posts');
+    expect(response.body.tokens).toHaveLength(1);
+    expect(response.body.tokens[0].token).toBeUndefined();
+    expect(response.body.tokens[0].expiresAt).toBeNull();
+  });
+
+  test('should revoke a token', async () => {
+    const created = await request(app).post('/auth/tokens').send({ name: 'One', scopes: ['contests'] }).expect(201);
+
+    await request(app).delete(`/auth/tokens/${created.body._id}`).expect(200);
+
+    const stored = await AccessToken.findById(created.body._id);
+    expect(stored.revokedAt).toBeDefined();
+  });
+
+  test("should not revoke another user's token", async () => {
+    const created = await request(app).post('/auth/tokens').send({ name: 'One', scopes: ['contests'] }).expect(201);
+    currentUser = await new User(createTestUser({ username: 'other', email: 'other@example.com' })).save();
+
+    await request(app).delete(`/auth/tokens/${created.body._id}`).expect(404);
+  });
+});
@@ -0,0 +1,126 @@
+import request from 'supertest';
+import express from 'express';
+import User from '../../models/user.model.js';
+import Session from '../../models/session.model.js';
+import {
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  updateUserRole,
+} from '../../controllers/admin.controller.js';
+import { createTestUser, createTestSession } from '../setup.js';
+
+let currentUser;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.get('/admin/users', listUsers);
+app.put('/admin/users/:id/suspend', suspendUser);
+app.put('/admin/users/:id/unsuspend', unsuspendUser);
+app.put('/admin/users/:id/role', updateUserRole);
+
+describe('Admin Controller', () => {
+  let admin;
+  let member;
+
+  beforeEach(async () => {
+    admin = await new User(createTestUser({ username: 'admin', email: 'admin@example.com', role: 'admin' })).save();
+    member = await new User(createTestUser({ name: 'Jane Member', username: 'jane', email: 'jane@example.com' })).save();
+    currentUser = admin;
+  });
+
+  describe('GET /admin/users', () => {
+    test('should list users without sensitive fields', async () => {
+      const response = await request(app).get('/admin/users').expect(200);
+
+      expect(response.body.total).toBe(2);
+      expect(response.body.users[0].password).toBeUndefined();
+    });
+
+    test('should search by name, username or email', async () => {
+      const response = await request(app).get('/admin/users?search=jane').expect(200);
+
+      expect(response.body.users).toHaveLength(1);
+      expect(response.body.users[0].username).toBe('jane');
+    });
+
+    test('should treat search input literally', async () => {
+      const response = await request(app).get('/admin/users?search=.*').expect(200);
+
+      expect(response.body.users).toHaveLength(0);
+    });
+
+    test('should filter by role and status', async () => {
+      await User.updateOne({ _id: member._id }, { suspendedAt: new Date() });
+
+      const byRole = await request(app).get('/admin/users?role=admin').expect(200);
+      const suspended = await request(app).get('/admin/users?status=suspended').expect(200);
+
+      expect(byRole.body.users.map((user) => user.username)).toEqual(['admin']);
+      expect(suspended.body.users.map((user) => user.username)).toEqual(['jane']);
+    });
+  });
+
+  describe('suspension', () => {
+    test('should suspend a user and revoke their sessions', async () => {
+      await createTestSession(member._id);
+
+      const response = await request(app)
+        .put(`/admin/users/${member._id}/suspend`)
+        .send({ reason: 'Spam' })
+        .expect(200);
+
+      expect(response.body.user.suspensionReason).toBe('Spam');
+
+      const session = await Session.findOne({ user: member._id });
+      expect(session.revokedAt).toBeDefined();
+    });
+
+    test('should unsuspend a user', async () => {
+      await User.updateOne({ _id: member._id }, { suspendedAt: new Date(), suspensionReason: 'Spam' });
+
+      await request(app).put(`/admin/users/${member._id}/unsuspend`).expect(200);
+
+      const updated = await User.findById(member._id);
+      expect(updated.suspendedAt).toBeUndefined();
+      expect(updated.suspensionReason).toBeUndefined();
+    });
+
+    test('should not let admins suspend themselves', async () => {
+      const response = await request(app)
+        .put(`/admin/users/${admin._id}/suspend`)
+        .expect(400);
+
+      expect(response.body.message).toBe('You cannot change your own account');
+    });
+
+    test('should return 404 for unknown users', async () => {
+      await request(app).put('/admin/users/not-an-id/suspend').expect(404);
+    });
+  });
+
+  describe('PUT /admin/users/:id/role', () => {
+    test('should change a user role', async () => {
+      await request(app)
+        .put(`/admin/users/${member._id}/role`)
+        .send({ role: 'moderator' })
+        .expect(200);
+
+      const updated = await User.findById(member._id);
+      expect(updated.role).toBe('moderator');
+    });
+
+    test('should reject unknown roles', async () => {
+      const response = await request(app)
+        .put(`/admin/users/${member._id}/role`)
+        .send({ role: 'superuser' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Role must be one of: user, moderator, admin');
+    });
+  });
+});
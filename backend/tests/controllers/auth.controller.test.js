@@ -1,20 +1,37 @@
 import request from 'supertest';
 import express from 'express';
+import cookieParser from 'cookie-parser';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import User from '../../models/user.model.js';
-import { signup, login, logout, getCurrentUser } from '../../controllers/auth.controller.js';
+import Session from '../../models/session.model.js';
+import {
+  signup,
+  login,
+  logout,
+  getCurrentUser,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  refreshSession,
+} from '../../controllers/auth.controller.js';
+import { createMemoryTransport, setMailTransport } from '../../lib/mailer.js';
 import { createTestUser } from '../setup.js';
 
 // Create test app
 const app = express();
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Mock routes for testing
 app.post('/auth/signup', signup);
 app.post('/auth/login', login);
 app.post('/auth/logout', logout);
+app.get('/auth/verify/:token', verifyEmail);
+app.post('/auth/forgot-password', forgotPassword);
+app.post('/auth/reset-password/:token', resetPassword);
+app.post('/auth/refresh', refreshSession);
 app.get('/auth/me', (req, res, next) => {
   // Mock auth middleware for getCurrentUser test
   req.user = { _id: 'test-user-id', name: 'Test User' };
@@ -196,6 +213,50 @@ describe('Auth Controller', () => {
       expect(response.body.message).toBe('Invalid credentials');
     });
 
+    test('should reject login for suspended users', async () => {
+      await User.updateOne({ _id: testUser._id }, { suspendedAt: new Date(), suspensionReason: 'Spam' });
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ username: userData.username, password: userData.password })
+        .expect(403);
+
+      expect(response.body).toEqual({ message: 'Your account has been suspended', reason: 'Spam' });
+    });
+
+    test('should lock the account after repeated failed logins', async () => {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await request(app)
+          .post('/auth/login')
+          .send({ username: userData.username, password: 'wrongpassword' })
+          .expect(400);
+      }
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ username: userData.username, password: userData.password })
+        .expect(429);
+
+      expect(response.body.message).toBe('Too many failed login attempts, please try again later');
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    test('should allow login again once the lock has expired', async () => {
+      await User.updateOne(
+        { _id: testUser._id },
+        { failedLoginAttempts: 3, lockUntil: new Date(Date.now() - 1000) }
+      );
+
+      await request(app)
+        .post('/auth/login')
+        .send({ username: userData.username, password: userData.password })
+        .expect(200);
+
+      const user = await User.findById(testUser._id).select('+failedLoginAttempts +lockUntil');
+      expect(user.failedLoginAttempts).toBe(0);
+      expect(user.lockUntil).toBeUndefined();
+    });
+
     test('should handle database errors gracefully', async () => {
       // Mock User.findOne to throw an error
       const originalFindOne = User.findOne;
@@ -272,6 +333,290 @@ describe('Auth Controller', () => {
     });
   });
 
+  describe('Email verification', () => {
+    let mailTransport;
+
+    beforeEach(() => {
+      mailTransport = createMemoryTransport();
+      setMailTransport(mailTransport);
+    });
+
+    const getTokenFromOutbox = () => {
+      const [mail] = mailTransport.outbox;
+      return mail.text.split('/verify-email/').pop();
+    };
+
+    test('should create unverified users and email a verification link', async () => {
+      const userData = createTestUser();
+
+      await request(app)
+        .post('/auth/signup')
+        .send(userData)
+        .expect(201);
+
+      const createdUser = await User.findOne({ email: userData.email });
+      expect(createdUser.isVerified).toBe(false);
+
+      expect(mailTransport.outbox).toHaveLength(1);
+      expect(mailTransport.outbox[0].to[0].email).toBe(userData.email);
+      expect(mailTransport.outbox[0].text).toContain(`${process.env.CLIENT_URL}/verify-email/`);
+    });
+
+    test('should verify the user with the emailed token', async () => {
+      const userData = createTestUser();
+      await request(app).post('/auth/signup').send(userData).expect(201);
+
+      const response = await request(app)
+        .get(`/auth/verify/${getTokenFromOutbox()}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Email verified successfully');
+
+      const verifiedUser = await User.findOne({ email: userData.email });
+      expect(verifiedUser.isVerified).toBe(true);
+      expect(verifiedUser.verifiedAt).toBeDefined();
+    });
+
+    test('should reject expired verification tokens', async () => {
+      const user = await new User({ ...createTestUser(), password: 'hashedpassword123' }).save();
+      const expiredToken = jwt.sign(
+        { userId: user._id, email: user.email, purpose: 'email-verification' },
+        process.env.JWT_SECRET,
+        { expiresIn: '-1h' }
+      );
+
+      const response = await request(app)
+        .get(`/auth/verify/${expiredToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Verification link is invalid or has expired');
+    });
+
+    test('should reject tokens issued for another purpose', async () => {
+      const user = await new User({ ...createTestUser(), password: 'hashedpassword123' }).save();
+      const sessionToken = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      await request(app)
+        .get(`/auth/verify/${sessionToken}`)
+        .expect(400);
+
+      const unchangedUser = await User.findById(user._id);
+      expect(unchangedUser.isVerified).toBe(false);
+    });
+
+    test('should reject tokens sent to a previous email address', async () => {
+      const userData = createTestUser();
+      await request(app).post('/auth/signup').send(userData).expect(201);
+      await User.updateOne({ email: userData.email }, { email: 'changed@example.com' });
+
+      await request(app)
+        .get(`/auth/verify/${getTokenFromOutbox()}`)
+        .expect(400);
+    });
+  });
+
+  describe('Password reset', () => {
+    let mailTransport;
+    let user;
+    const userData = createTestUser();
+
+    beforeEach(async () => {
+      mailTransport = createMemoryTransport();
+      setMailTransport(mailTransport);
+
+      user = await new User({
+        ...userData,
+        password: await bcrypt.hash(userData.password, 10),
+      }).save();
+    });
+
+    const requestReset = async () => {
+      await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: userData.email })
+        .expect(200);
+
+      return mailTransport.outbox[0].text.split('/reset-password/').pop();
+    };
+
+    test('should email a reset link and store only a hash of the token', async () => {
+      const resetToken = await requestReset();
+
+      const storedUser = await User.findById(user._id).select('+resetPasswordToken +resetPasswordExpiresAt');
+      expect(storedUser.resetPasswordToken).toBeDefined();
+      expect(storedUser.resetPasswordToken).not.toBe(resetToken);
+      expect(storedUser.resetPasswordExpiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should give the same answer for unknown emails', async () => {
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toBe('If an account exists for that email, a reset link has been sent');
+      expect(mailTransport.outbox).toHaveLength(0);
+    });
+
+    test('should reset the password with a valid token', async () => {
+      const resetToken = await requestReset();
+
+      const response = await request(app)
+        .post(`/auth/reset-password/${resetToken}`)
+        .send({ password: 'newpassword123' })
+        .expect(200);
+
+      expect(response.body.message).toBe('Password reset successfully');
+
+      const updatedUser = await User.findById(user._id);
+      expect(await bcrypt.compare('newpassword123', updatedUser.password)).toBe(true);
+      expect(updatedUser.passwordChangedAt).toBeDefined();
+
+      await request(app)
+        .post('/auth/login')
+        .send({ username: userData.username, password: 'newpassword123' })
+        .expect(200);
+    });
+
+    test('should revoke every existing session after a reset', async () => {
+      await request(app)
+        .post('/auth/login')
+        .send({ username: userData.username, password: userData.password })
+        .expect(200);
+      const resetToken = await requestReset();
+
+      await request(app)
+        .post(`/auth/reset-password/${resetToken}`)
+        .send({ password: 'newpassword123' })
+        .expect(200);
+
+      const activeSessions = await Session.countDocuments({ user: user._id, revokedAt: null });
+      expect(activeSessions).toBe(0);
+    });
+
+    test('should only accept a reset token once', async () => {
+      const resetToken = await requestReset();
+
+      await request(app)
+        .post(`/auth/reset-password/${resetToken}`)
+        .send({ password: 'newpassword123' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/auth/reset-password/${resetToken}`)
+        .send({ password: 'anotherpassword' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Reset link is invalid or has expired');
+    });
+
+    test('should reject expired reset tokens', async () => {
+      const resetToken = await requestReset();
+      await User.updateOne({ _id: user._id }, { resetPasswordExpiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post(`/auth/reset-password/${resetToken}`)
+        .send({ password: 'newpassword123' })
+        .expect(400);
+    });
+
+    test('should reject short passwords', async () => {
+      const resetToken = await requestReset();
+
+      const response = await request(app)
+        .post(`/auth/reset-password/${resetToken}`)
+        .send({ password: '123' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Password must be at least 6 characters');
+    });
+  });
+
+  describe('Sessions and refresh tokens', () => {
+    const userData = createTestUser();
+    let user;
+
+    const getCookie = (response, name) =>
+      response.headers['set-cookie'].find((cookie) => cookie.startsWith(`${name}=`)).split(';')[0];
+
+    beforeEach(async () => {
+      user = await new User({
+        ...userData,
+        password: await bcrypt.hash(userData.password, 10),
+      }).save();
+    });
+
+    const loginUser = () =>
+      request(app)
+        .post('/auth/login')
+        .set('User-Agent', 'jest-test-agent')
+        .send({ username: userData.username, password: userData.password })
+        .expect(200);
+
+    test('should create a server-side session on login', async () => {
+      const response = await loginUser();
+
+      const sessions = await Session.find({ user: user._id });
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].userAgent).toBe('jest-test-agent');
+
+      const accessToken = getCookie(response, 'jwt-linkedin').split('=')[1];
+      const decoded = jwt.verify(accessToken, process.env.JWT_SECRET);
+      expect(decoded.sessionId).toBe(sessions[0]._id.toString());
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+
+    test('should rotate the refresh token', async () => {
+      const loginResponse = await loginUser();
+      const refreshCookie = getCookie(loginResponse, 'jwt-linkedin-refresh');
+
+      const response = await request(app)
+        .post('/auth/refresh')
+        .set('Cookie', refreshCookie)
+        .expect(200);
+
+      const rotatedCookie = getCookie(response, 'jwt-linkedin-refresh');
+      expect(rotatedCookie).not.toBe(refreshCookie);
+      expect(getCookie(response, 'jwt-linkedin')).toBeDefined();
+    });
+
+    test('should revoke the session when a rotated refresh token is reused', async () => {
+      const loginResponse = await loginUser();
+      const refreshCookie = getCookie(loginResponse, 'jwt-linkedin-refresh');
+
+      await request(app).post('/auth/refresh').set('Cookie', refreshCookie).expect(200);
+      await Session.updateOne({ user: user._id }, { rotatedAt: new Date(Date.now() - 60 * 1000) });
+
+      await request(app)
+        .post('/auth/refresh')
+        .set('Cookie', refreshCookie)
+        .expect(401);
+
+      const session = await Session.findOne({ user: user._id });
+      expect(session.revokedAt).toBeDefined();
+    });
+
+    test('should reject refresh without a refresh cookie', async () => {
+      const response = await request(app)
+        .post('/auth/refresh')
+        .expect(401);
+
+      expect(response.body.message).toBe('Unauthorized - Session expired');
+    });
+
+    test('should revoke the session on logout', async () => {
+      const loginResponse = await loginUser();
+
+      await request(app)
+        .post('/auth/logout')
+        .set('Cookie', getCookie(loginResponse, 'jwt-linkedin-refresh'))
+        .expect(200);
+
+      const session = await Session.findOne({ user: user._id });
+      expect(session.revokedAt).toBeDefined();
+    });
+  });
+
   describe('Edge Cases and Security Tests', () => {
     test('should sanitize user input on signup', async () => {
       const maliciousData = createTestUser({
@@ -0,0 +1,513 @@
+import request from 'supertest';
+import express from 'express';
+import mongoose from 'mongoose';
+import Post from '../../models/post.model.js';
+import User from '../../models/user.model.js';
+import Comment from '../../models/comment.model.js';
+import Notification from '../../models/notification.model.js';
+import {
+  getPostComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  likeComment,
+} from '../../controllers/comment.controller.js';
+import { createTestUser } from '../setup.js';
+
+const app = express();
+app.use(express.json());
+
+const mockAuth = (req, res, next) => {
+  if (req.headers.testuser) {
+    const userData = JSON.parse(req.headers.testuser);
+    userData._id = new mongoose.Types.ObjectId(userData._id);
+    req.user = userData;
+  }
+  next();
+};
+
+app.get('/posts/:id/comments', mockAuth, getPostComments);
+app.post('/posts/:id/comment', mockAuth, createComment);
+app.put('/posts/:id/comments/:commentId', mockAuth, updateComment);
+app.delete('/posts/:id/comments/:commentId', mockAuth, deleteComment);
+app.post('/posts/:id/comments/:commentId/like', mockAuth, likeComment);
+
+describe('Comment Controller', () => {
+  let postAuthor;
+  let testUser;
+  let thirdUser;
+  let testPost;
+
+  const as = (user) => ({ testUser: JSON.stringify(user) });
+
+  const comment = (user, body) =>
+    request(app)
+      .post(`/posts/${testPost._id}/comment`)
+      .set(as(user))
+      .send(body)
+      .expect(200);
+
+  const findComment = (content) => Comment.findOne({ content });
+
+  beforeEach(async () => {
+    postAuthor = await new User({
+      ...createTestUser({ username: 'author', email: 'author@example.com' }),
+      password: 'hashedpassword123',
+    }).save();
+    testUser = await new User({ ...createTestUser(), password: 'hashedpassword123' }).save();
+    thirdUser = await new User({
+      ...createTestUser({ username: 'third', email: 'third@example.com' }),
+      password: 'hashedpassword123',
+    }).save();
+
+    testPost = await new Post({ author: postAuthor._id, content: 'This is a test post' }).save();
+  });
+
+  describe('POST /posts/:id/comment', () => {
+    test('should store the comment and bump the post comment count', async () => {
+      const response = await comment(testUser, { content: 'Hello' });
+
+      expect(response.body.commentCount).toBe(1);
+      const saved = await findComment('Hello');
+      expect(saved.post).toEqual(testPost._id);
+      expect(saved.user).toEqual(testUser._id);
+      expect(saved.parent).toBeNull();
+      expect(saved.depth).toBe(0);
+    });
+
+    test('should notify the post author', async () => {
+      await comment(testUser, { content: 'Hello' });
+
+      expect(await Notification.countDocuments({ recipient: postAuthor._id, type: 'comment' })).toBe(1);
+    });
+
+    test('should reject empty, blank or non-string content', async () => {
+      for (const content of [undefined, '', '   \n', 42, { text: 'Hi' }]) {
+        const response = await request(app)
+          .post(`/posts/${testPost._id}/comment`)
+          .set(as(testUser))
+          .send({ content })
+          .expect(400);
+
+        expect(response.body.message).toBe('Comment content is required');
+      }
+      expect(await Comment.countDocuments()).toBe(0);
+    });
+
+    test('should not expose the post author\'s email', async () => {
+      const response = await comment(testUser, { content: 'Hello' });
+
+      expect(response.body.author.username).toBe('author');
+      expect(response.body.author.email).toBeUndefined();
+    });
+
+    test('should store code blocks cleaned up', async () => {
+      await comment(testUser, { content: 'Try this\r\n```py\r\nprint(@decorator)' });
+
+      const saved = await findComment('Try this\n```python\nprint(@decorator)\n```');
+      expect(saved).not.toBeNull();
+      expect(saved.mentions).toEqual([]);
+    });
+
+    test('should return 404 for an unknown post', async () => {
+      const response = await request(app)
+        .post('/posts/60d0fe4f5311236168a109ca/comment')
+        .set(as(testUser))
+        .send({ content: 'Hello' })
+        .expect(404);
+
+      expect(response.body.message).toBe('Post not found');
+      expect(await Comment.countDocuments()).toBe(0);
+    });
+
+    test('should nest replies under their parent and thread', async () => {
+      await comment(testUser, { content: 'Top' });
+      const top = await findComment('Top');
+      await comment(thirdUser, { content: 'Reply', parentCommentId: top._id });
+      const reply = await findComment('Reply');
+
+      expect(reply.parent).toEqual(top._id);
+      expect(reply.thread).toEqual(top._id);
+      expect(reply.depth).toBe(1);
+    });
+
+    test('should cap nesting at two levels', async () => {
+      await comment(testUser, { content: 'Top' });
+      const top = await findComment('Top');
+      await comment(thirdUser, { content: 'Level 1', parentCommentId: top._id });
+      const level1 = await findComment('Level 1');
+      await comment(testUser, { content: 'Level 2', parentCommentId: level1._id });
+      const level2 = await findComment('Level 2');
+      await comment(thirdUser, { content: 'Too deep', parentCommentId: level2._id });
+      const tooDeep = await findComment('Too deep');
+
+      expect(level2.depth).toBe(2);
+      expect(tooDeep.depth).toBe(2);
+      expect(tooDeep.parent).toEqual(level1._id);
+      expect(tooDeep.thread).toEqual(top._id);
+    });
+
+    test('should notify the parent comment author about a reply', async () => {
+      await comment(thirdUser, { content: 'Top' });
+      const top = await findComment('Top');
+      await comment(testUser, { content: 'Reply', parentCommentId: top._id });
+
+      const replyNotification = await Notification.findOne({ recipient: thirdUser._id, type: 'reply' });
+      expect(replyNotification).toBeTruthy();
+      expect(replyNotification.relatedUser).toEqual(testUser._id);
+      // the post author still hears about activity on their post
+      expect(await Notification.countDocuments({ recipient: postAuthor._id, type: 'comment' })).toBe(2);
+    });
+
+    test('should only notify the post author once when they are the one replied to', async () => {
+      await comment(postAuthor, { content: 'Top' });
+      const top = await findComment('Top');
+      await comment(testUser, { content: 'Reply', parentCommentId: top._id });
+
+      expect(await Notification.countDocuments({ recipient: postAuthor._id })).toBe(1);
+      expect(await Notification.countDocuments({ recipient: postAuthor._id, type: 'reply' })).toBe(1);
+    });
+
+    test('should notify mentioned users who were not told about the comment otherwise', async () => {
+      await comment(testUser, { content: 'What do @third and @author think?' });
+
+      const saved = await findComment('What do @third and @author think?');
+      expect(saved.mentions).toEqual([thirdUser._id, postAuthor._id]);
+      expect(await Notification.countDocuments({ recipient: thirdUser._id, type: 'mention' })).toBe(1);
+      // the post author already hears about the comment itself
+      expect(await Notification.countDocuments({ recipient: postAuthor._id })).toBe(1);
+    });
+
+    test('should reject a reply to an unknown comment or one on another post', async () => {
+      const otherPost = await new Post({ author: postAuthor._id, content: 'Other' }).save();
+      const elsewhere = await Comment.create({ post: otherPost._id, user: testUser._id, content: 'Elsewhere' });
+
+      for (const parentCommentId of ['60d0fe4f5311236168a109ca', elsewhere._id]) {
+        const response = await request(app)
+          .post(`/posts/${testPost._id}/comment`)
+          .set(as(testUser))
+          .send({ content: 'Reply', parentCommentId })
+          .expect(404);
+
+        expect(response.body.message).toBe('Comment not found');
+      }
+    });
+  });
+
+  describe('GET /posts/:id/comments', () => {
+    beforeEach(async () => {
+      const base = new Date('2024-01-01T00:00:00Z').getTime();
+      await Comment.create(
+        [0, 1, 2].map(i => ({
+          post: testPost._id,
+          user: testUser._id,
+          content: `Comment ${i}`,
+          likeCount: [1, 5, 0][i],
+          createdAt: new Date(base + i * 1000),
+        }))
+      );
+    });
+
+    test('should return comments newest first with the author populated', async () => {
+      const response = await request(app)
+        .get(`/posts/${testPost._id}/comments`)
+        .set(as(testUser))
+        .expect(200);
+
+      expect(response.body.comments.map(c => c.content)).toEqual(['Comment 2', 'Comment 1', 'Comment 0']);
+      expect(response.body.comments[0].user.name).toBe(testUser.name);
+      expect(response.body.comments[0].likes).toBeUndefined();
+      expect(response.body.nextCursor).toBeNull();
+    });
+
+    test('should paginate newest comments with a cursor', async () => {
+      const first = await request(app)
+        .get(`/posts/${testPost._id}/comments?limit=2`)
+        .set(as(testUser))
+        .expect(200);
+
+      expect(first.body.comments.map(c => c.content)).toEqual(['Comment 2', 'Comment 1']);
+
+      const second = await request(app)
+        .get(`/posts/${testPost._id}/comments?limit=2&cursor=${first.body.nextCursor}`)
+        .set(as(testUser))
+        .expect(200);
+
+      expect(second.body.comments.map(c => c.content)).toEqual(['Comment 0']);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    test('should sort by most liked and paginate', async () => {
+      const first = await request(app)
+        .get(`/posts/${testPost._id}/comments?sort=top&limit=2`)
+        .set(as(testUser))
+        .expect(200);
+
+      expect(first.body.comments.map(c => c.content)).toEqual(['Comment 1', 'Comment 0']);
+
+      // a comment posted after the first page doesn't push anything onto the next one
+      await Comment.create({ post: testPost._id, user: testUser._id, content: 'Late' });
+
+      const second = await request(app)
+        .get(`/posts/${testPost._id}/comments?sort=top&limit=2&cursor=${first.body.nextCursor}`)
+        .set(as(testUser))
+        .expect(200);
+
+      expect(second.body.comments.map(c => c.content)).toEqual(['Comment 2']);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    test('should reject an unknown sort or a malformed cursor', async () => {
+      await request(app).get(`/posts/${testPost._id}/comments?sort=oldest`).set(as(testUser)).expect(400);
+      await request(app).get(`/posts/${testPost._id}/comments?cursor=nope`).set(as(testUser)).expect(400);
+    });
+
+    test('should return each top-level comment with its thread', async () => {
+      const top = await findComment('Comment 0');
+      await comment(thirdUser, { content: 'Reply', parentCommentId: top._id });
+
+      const response = await request(app)
+        .get(`/posts/${testPost._id}/comments`)
+        .set(as(testUser))
+        .expect(200);
+
+      expect(response.body.comments).toHaveLength(3);
+      const thread = response.body.comments.find(c => c.content === 'Comment 0');
+      expect(thread.replies.map(c => c.content)).toEqual(['Reply']);
+      expect(thread.replies[0].user.name).toBe(thirdUser.name);
+      expect(response.body.comments.find(c => c.content === 'Comment 1').replies).toEqual([]);
+    });
+
+    test('should return 404 for an unknown post', async () => {
+      await request(app)
+        .get('/posts/60d0fe4f5311236168a109ca/comments')
+        .set(as(testUser))
+        .expect(404);
+    });
+  });
+
+  describe('PUT /posts/:id/comments/:commentId', () => {
+    test('should let the author edit their comment', async () => {
+      await comment(testUser, { content: 'Typo' });
+      const typo = await findComment('Typo');
+
+      const response = await request(app)
+        .put(`/posts/${testPost._id}/comments/${typo._id}`)
+        .set(as(testUser))
+        .send({ content: 'Fixed' })
+        .expect(200);
+
+      expect(response.body.content).toBe('Fixed');
+      expect(response.body.editedAt).toBeDefined();
+      expect(response.body.user.name).toBe(testUser.name);
+    });
+
+    test('should only notify users an edit newly mentions', async () => {
+      await comment(testUser, { content: 'Hi @third' });
+      const hi = await findComment('Hi @third');
+
+      const response = await request(app)
+        .put(`/posts/${testPost._id}/comments/${hi._id}`)
+        .set(as(testUser))
+        .send({ content: 'Hi @third, fixed' })
+        .expect(200);
+
+      expect(response.body.mentions.map(user => user.username)).toEqual(['third']);
+      expect(await Notification.countDocuments({ recipient: thirdUser._id, type: 'mention' })).toBe(1);
+    });
+
+    test('should not let anyone else edit a comment, not even the post author', async () => {
+      await comment(testUser, { content: 'Mine' });
+      const mine = await findComment('Mine');
+
+      const response = await request(app)
+        .put(`/posts/${testPost._id}/comments/${mine._id}`)
+        .set(as(postAuthor))
+        .send({ content: 'Changed' })
+        .expect(403);
+
+      expect(response.body.message).toBe('You are not authorized to edit this comment');
+    });
+
+    test('should reject an empty edit', async () => {
+      await comment(testUser, { content: 'Mine' });
+      const mine = await findComment('Mine');
+
+      await request(app)
+        .put(`/posts/${testPost._id}/comments/${mine._id}`)
+        .set(as(testUser))
+        .send({ content: '   ' })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /posts/:id/comments/:commentId', () => {
+    test('should let the comment author and the post author delete a comment', async () => {
+      await comment(testUser, { content: 'By author' });
+      await comment(thirdUser, { content: 'Abusive' });
+
+      await request(app)
+        .delete(`/posts/${testPost._id}/comments/${(await findComment('By author'))._id}`)
+        .set(as(testUser))
+        .expect(200);
+      await request(app)
+        .delete(`/posts/${testPost._id}/comments/${(await findComment('Abusive'))._id}`)
+        .set(as(postAuthor))
+        .expect(200);
+
+      expect(await Comment.countDocuments({ post: testPost._id })).toBe(0);
+      expect((await Post.findById(testPost._id)).commentCount).toBe(0);
+    });
+
+    test('should not let a third user delete a comment', async () => {
+      await comment(testUser, { content: 'Mine' });
+
+      const response = await request(app)
+        .delete(`/posts/${testPost._id}/comments/${(await findComment('Mine'))._id}`)
+        .set(as(thirdUser))
+        .expect(403);
+
+      expect(response.body.message).toBe('You are not authorized to delete this comment');
+    });
+
+    test('should let a moderator delete anyone\'s comment', async () => {
+      await comment(testUser, { content: 'Spam' });
+
+      await request(app)
+        .delete(`/posts/${testPost._id}/comments/${(await findComment('Spam'))._id}`)
+        .set(as({ ...thirdUser.toObject(), role: 'moderator' }))
+        .expect(200);
+
+      expect(await findComment('Spam')).toBeNull();
+    });
+
+    test('should blank a comment with replies and clean it up with its last reply', async () => {
+      await comment(testUser, { content: 'Top' });
+      const top = await findComment('Top');
+      await comment(thirdUser, { content: 'Reply', parentCommentId: top._id });
+
+      await request(app)
+        .delete(`/posts/${testPost._id}/comments/${top._id}`)
+        .set(as(testUser))
+        .expect(200);
+
+      const blanked = await Comment.findById(top._id);
+      expect(blanked.deletedAt).toBeDefined();
+      expect(blanked.content).toBe('');
+      expect((await Post.findById(testPost._id)).commentCount).toBe(1);
+
+      const listed = await request(app)
+        .get(`/posts/${testPost._id}/comments`)
+        .set(as(testUser))
+        .expect(200);
+      expect(listed.body.comments[0].user).toBeNull();
+
+      await request(app)
+        .delete(`/posts/${testPost._id}/comments/${(await findComment('Reply'))._id}`)
+        .set(as(thirdUser))
+        .expect(200);
+
+      expect(await Comment.countDocuments({ post: testPost._id })).toBe(0);
+      expect((await Post.findById(testPost._id)).commentCount).toBe(0);
+    });
+
+    test('should return 404 for a comment that was already deleted', async () => {
+      await comment(testUser, { content: 'Top' });
+      const top = await findComment('Top');
+      await comment(thirdUser, { content: 'Reply', parentCommentId: top._id });
+
+      await request(app).delete(`/posts/${testPost._id}/comments/${top._id}`).set(as(testUser)).expect(200);
+      const response = await request(app)
+        .delete(`/posts/${testPost._id}/comments/${top._id}`)
+        .set(as(testUser))
+        .expect(404);
+
+      expect(response.body.message).toBe('Comment not found');
+    });
+  });
+
+  describe('POST /posts/:id/comments/:commentId/like', () => {
+    test('should toggle a like and keep the count in step', async () => {
+      await comment(testUser, { content: 'Likeable' });
+      const likeable = await findComment('Likeable');
+      const url = `/posts/${testPost._id}/comments/${likeable._id}/like`;
+
+      const liked = await request(app).post(url).set(as(thirdUser)).expect(200);
+      expect(liked.body).toEqual({ likeCount: 1, isLiked: true });
+
+      const listed = await request(app).get(`/posts/${testPost._id}/comments`).set(as(thirdUser)).expect(200);
+      expect(listed.body.comments[0].isLiked).toBe(true);
+
+      const unliked = await request(app).post(url).set(as(thirdUser)).expect(200);
+      expect(unliked.body).toEqual({ likeCount: 0, isLiked: false });
+    });
+  });
+
+  describe('Visibility', () => {
+    test('should answer 404 for the comments of a post the viewer may not see', async () => {
+      const onlyMe = await new Post({ author: postAuthor._id, content: 'Mine', visibility: 'private' }).save();
+      const hidden = await Comment.create({ post: onlyMe._id, user: postAuthor._id, content: 'Note to self' });
+
+      await request(app).get(`/posts/${onlyMe._id}/comments`).set(as(testUser)).expect(404);
+      await request(app)
+        .post(`/posts/${onlyMe._id}/comment`)
+        .set(as(testUser))
+        .send({ content: 'Peeking' })
+        .expect(404);
+      const response = await request(app)
+        .post(`/posts/${onlyMe._id}/comments/${hidden._id}/like`)
+        .set(as(testUser))
+        .expect(404);
+
+      expect(response.body.message).toBe('Post not found');
+      expect(await Comment.countDocuments({ post: onlyMe._id })).toBe(1);
+    });
+
+    test('should answer 404 for the comments of drafts and scheduled posts to anyone but the author', async () => {
+      const draft = await new Post({ author: postAuthor._id, content: 'Draft @test', status: 'draft' }).save();
+      const scheduled = await new Post({
+        author: postAuthor._id,
+        content: 'Plan',
+        status: 'scheduled',
+        publishAt: new Date(Date.now() + 60 * 60 * 1000),
+      }).save();
+
+      for (const post of [draft, scheduled]) {
+        const own = await Comment.create({ post: post._id, user: postAuthor._id, content: 'Note to self' });
+
+        await request(app).get(`/posts/${post._id}/comments`).set(as(testUser)).expect(404);
+        await request(app)
+          .post(`/posts/${post._id}/comment`)
+          .set(as(testUser))
+          .send({ content: 'Hi @author' })
+          .expect(404);
+        await request(app)
+          .put(`/posts/${post._id}/comments/${own._id}`)
+          .set(as(testUser))
+          .send({ content: 'Changed' })
+          .expect(404);
+        await request(app).delete(`/posts/${post._id}/comments/${own._id}`).set(as(testUser)).expect(404);
+        await request(app).post(`/posts/${post._id}/comments/${own._id}/like`).set(as(testUser)).expect(404);
+        await request(app).get(`/posts/${post._id}/comments`).set(as(postAuthor)).expect(200);
+      }
+
+      expect(await Comment.countDocuments({ post: { $in: [draft._id, scheduled._id] }, user: testUser._id })).toBe(0);
+      expect(await Notification.countDocuments({ recipient: postAuthor._id })).toBe(0);
+    });
+
+    test('should let connections comment on connections-only posts', async () => {
+      const forConnections = await new Post({ author: postAuthor._id, content: 'Network', visibility: 'connections' }).save();
+      testUser.connections = [postAuthor._id];
+
+      await request(app)
+        .post(`/posts/${forConnections._id}/comment`)
+        .set(as(testUser))
+        .send({ content: 'Hello @third' })
+        .expect(200);
+
+      await request(app).get(`/posts/${forConnections._id}/comments`).set(as(thirdUser)).expect(404);
+      // third can't see the post, so isn't told about being mentioned in it
+      expect(await Notification.countDocuments({ type: 'mention', recipient: thirdUser._id })).toBe(0);
+    });
+  });
+});
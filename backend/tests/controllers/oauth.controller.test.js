@@ -0,0 +1,165 @@
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import axios from 'axios';
+import bcrypt from 'bcryptjs';
+import { URL } from 'url';
+import User from '../../models/user.model.js';
+import Session from '../../models/session.model.js';
+import { handleOAuthCallback, startOAuthLogin } from '../../controllers/oauth.controller.js';
+import { createOidcProvider, registerOAuthProvider, unregisterOAuthProvider } from '../../lib/oauth.js';
+import { startMockOidcServer } from '../mocks/oidcServer.js';
+import { createTestUser } from '../setup.js';
+
+const app = express();
+app.use(cookieParser());
+app.get('/api/v1/auth/oauth/:provider', startOAuthLogin);
+app.get('/api/v1/auth/oauth/:provider/callback', handleOAuthCallback);
+
+const DEFAULT_CLAIMS = {
+  sub: 'mock-user-1',
+  email: 'octocat@example.com',
+  email_verified: true,
+  name: 'Octo Cat',
+  preferred_username: 'octocat',
+};
+
+describe('OAuth login', () => {
+  let oidcServer;
+
+  beforeAll(async () => {
+    oidcServer = await startMockOidcServer(DEFAULT_CLAIMS);
+    registerOAuthProvider(createOidcProvider({
+      name: 'mock',
+      issuer: oidcServer.issuer,
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+    }));
+  });
+
+  afterAll(async () => {
+    unregisterOAuthProvider('mock');
+    await oidcServer.close();
+  });
+
+  beforeEach(() => {
+    oidcServer.setClaims(DEFAULT_CLAIMS);
+  });
+
+  // runs the whole redirect dance and returns the final callback response
+  const signInWithProvider = async () => {
+    const startResponse = await request(app).get('/api/v1/auth/oauth/mock').expect(302);
+    const stateCookie = startResponse.headers['set-cookie'][0].split(';')[0];
+
+    const authorizeResponse = await axios.get(startResponse.headers.location, {
+      maxRedirects: 0,
+      validateStatus: (status) => status === 302,
+    });
+    const callbackUrl = new URL(authorizeResponse.headers.location);
+
+    return request(app)
+      .get(callbackUrl.pathname + callbackUrl.search)
+      .set('Cookie', stateCookie);
+  };
+
+  test('should create a verified user on first sign-in', async () => {
+    const response = await signInWithProvider();
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('http://localhost:3000/');
+    expect(response.headers['set-cookie'].some((cookie) => cookie.startsWith('jwt-linkedin='))).toBe(true);
+
+    const user = await User.findOne({ email: 'octocat@example.com' });
+    expect(user.username).toBe('octocat');
+    expect(user.isVerified).toBe(true);
+    expect(user.oauthAccounts[0]).toMatchObject({ provider: 'mock', providerId: 'mock-user-1' });
+  });
+
+  test('should generate a unique username when the preferred one is taken', async () => {
+    await new User(createTestUser({ username: 'octocat', email: 'someone@example.com' })).save();
+
+    await signInWithProvider();
+
+    const user = await User.findOne({ email: 'octocat@example.com' });
+    expect(user.username).toMatch(/^octocat-[0-9a-f]{6}$/);
+  });
+
+  test('should link an existing account by verified email', async () => {
+    const existingUser = await new User(createTestUser({
+      email: 'octocat@example.com',
+      password: await bcrypt.hash('password123', 10),
+      isVerified: true,
+    })).save();
+
+    await signInWithProvider();
+    await signInWithProvider();
+
+    const users = await User.find({ email: 'octocat@example.com' });
+    expect(users).toHaveLength(1);
+    expect(users[0]._id).toEqual(existingUser._id);
+    expect(users[0].oauthAccounts).toHaveLength(1);
+    expect(await bcrypt.compare('password123', users[0].password)).toBe(true);
+  });
+
+  test('should invalidate the password of an unverified account it links to', async () => {
+    await new User(createTestUser({
+      email: 'octocat@example.com',
+      password: await bcrypt.hash('password123', 10),
+    })).save();
+
+    await signInWithProvider();
+
+    const user = await User.findOne({ email: 'octocat@example.com' });
+    expect(user.isVerified).toBe(true);
+    expect(await bcrypt.compare('password123', user.password)).toBe(false);
+  });
+
+  test('should refuse to link or create an account without a verified email', async () => {
+    oidcServer.setClaims({ ...DEFAULT_CLAIMS, email_verified: false });
+
+    const response = await signInWithProvider();
+
+    expect(response.headers.location).toBe('http://localhost:3000/login?oauthError=no_verified_email');
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  test('should not sign in a suspended account', async () => {
+    await new User(createTestUser({
+      email: 'octocat@example.com',
+      isVerified: true,
+      suspendedAt: new Date(),
+      suspensionReason: 'Spam',
+    })).save();
+
+    const response = await signInWithProvider();
+
+    expect(response.headers.location).toBe('http://localhost:3000/login?oauthError=suspended');
+    expect(response.headers['set-cookie'].some((cookie) => cookie.startsWith('jwt-linkedin='))).toBe(false);
+    expect(await Session.countDocuments()).toBe(0);
+  });
+
+  test('should reject a callback with a mismatched state', async () => {
+    const response = await request(app)
+      .get('/api/v1/auth/oauth/mock/callback?code=abc&state=forged')
+      .set('Cookie', 'oauth-state=expected.verifier')
+      .expect(302);
+
+    expect(response.headers.location).toBe('http://localhost:3000/login?oauthError=invalid_state');
+  });
+
+  test('should redirect unknown providers back to login', async () => {
+    const response = await request(app).get('/api/v1/auth/oauth/nope').expect(302);
+
+    expect(response.headers.location).toBe('http://localhost:3000/login?oauthError=unknown_provider');
+  });
+
+  test('should require the second factor for accounts with 2FA', async () => {
+    await new User(createTestUser({ email: 'octocat@example.com', isVerified: true, twoFactorEnabled: true })).save();
+
+    const response = await signInWithProvider();
+
+    expect(response.headers.location).toBe('http://localhost:3000/login?twoFactor=required');
+    const session = await Session.findOne();
+    expect(session.twoFactorPending).toBe(true);
+  });
+});
@@ -0,0 +1,222 @@
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import bcrypt from 'bcryptjs';
+import User from '../../models/user.model.js';
+import Session from '../../models/session.model.js';
+import { login, refreshSession } from '../../controllers/auth.controller.js';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifyTwoFactorChallenge,
+} from '../../controllers/twoFactor.controller.js';
+import { protectRoute, protectTwoFactorChallenge } from '../../middleware/auth.middleware.js';
+import { generateTotp } from '../../lib/totp.js';
+import { encryptSecret } from '../../lib/tokens.js';
+import { createTestUser, createAuthToken, createTestSession } from '../setup.js';
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+
+app.post('/auth/login', login);
+app.post('/auth/refresh', refreshSession);
+app.get('/protected', protectRoute, (req, res) => res.json({ ok: true }));
+app.post('/auth/2fa/verify', protectTwoFactorChallenge, verifyTwoFactorChallenge);
+app.post('/auth/2fa/setup', protectRoute, setupTwoFactor);
+app.post('/auth/2fa/enable', protectRoute, enableTwoFactor);
+app.post('/auth/2fa/disable', protectRoute, disableTwoFactor);
+
+const SECRET = 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP';
+
+const getCookie = (response, name) =>
+  response.headers['set-cookie'].find((cookie) => cookie.startsWith(`${name}=`)).split(';')[0];
+
+describe('Two-factor authentication', () => {
+  const userData = createTestUser();
+  let user;
+
+  beforeEach(async () => {
+    user = await new User({
+      ...userData,
+      password: await bcrypt.hash(userData.password, 10),
+    }).save();
+  });
+
+  describe('enrolment', () => {
+    let authCookie;
+
+    beforeEach(async () => {
+      const session = await createTestSession(user._id);
+      authCookie = `jwt-linkedin=${createAuthToken(user._id, session._id)}`;
+    });
+
+    test('should enable 2FA after confirming a code', async () => {
+      const setupResponse = await request(app)
+        .post('/auth/2fa/setup')
+        .set('Cookie', authCookie)
+        .expect(200);
+
+      expect(setupResponse.body.otpauthUrl).toContain('otpauth://totp/');
+
+      const response = await request(app)
+        .post('/auth/2fa/enable')
+        .set('Cookie', authCookie)
+        .send({ code: generateTotp(setupResponse.body.secret) })
+        .expect(200);
+
+      expect(response.body.recoveryCodes).toHaveLength(10);
+
+      const updatedUser = await User.findById(user._id).select('+twoFactorSecret +twoFactorRecoveryCodes');
+      expect(updatedUser.twoFactorEnabled).toBe(true);
+      expect(updatedUser.twoFactorSecret).not.toContain(setupResponse.body.secret);
+      expect(updatedUser.twoFactorRecoveryCodes).not.toContain(response.body.recoveryCodes[0]);
+    });
+
+    test('should not enable 2FA with a wrong code', async () => {
+      await request(app).post('/auth/2fa/setup').set('Cookie', authCookie).expect(200);
+
+      const response = await request(app)
+        .post('/auth/2fa/enable')
+        .set('Cookie', authCookie)
+        .send({ code: '000000' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid verification code');
+    });
+  });
+
+  describe('login challenge', () => {
+    beforeEach(async () => {
+      await User.updateOne(
+        { _id: user._id },
+        { twoFactorEnabled: true, twoFactorSecret: encryptSecret(SECRET), twoFactorRecoveryCodes: [] }
+      );
+    });
+
+    const startLogin = async () => {
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ username: userData.username, password: userData.password })
+        .expect(200);
+
+      expect(response.body.twoFactorRequired).toBe(true);
+      return getCookie(response, 'jwt-linkedin');
+    };
+
+    test('should not grant access before the second factor', async () => {
+      const pendingCookie = await startLogin();
+
+      const response = await request(app)
+        .get('/protected')
+        .set('Cookie', pendingCookie)
+        .expect(401);
+
+      expect(response.body.message).toBe('Unauthorized - Two-factor authentication required');
+      expect(response.body.code).toBe('TWO_FACTOR_REQUIRED');
+    });
+
+    test('should leave a pending challenge usable when the client tries to refresh', async () => {
+      const loginResponse = await request(app)
+        .post('/auth/login')
+        .send({ username: userData.username, password: userData.password })
+        .expect(200);
+      const cookies = [getCookie(loginResponse, 'jwt-linkedin'), getCookie(loginResponse, 'jwt-linkedin-refresh')];
+
+      const refresh = await request(app).post('/auth/refresh').set('Cookie', cookies).expect(401);
+
+      expect(refresh.body.code).toBe('TWO_FACTOR_REQUIRED');
+      expect(refresh.headers['set-cookie']).toBeUndefined();
+      expect((await Session.findOne({ user: user._id })).revokedAt).toBeFalsy();
+
+      await request(app)
+        .post('/auth/2fa/verify')
+        .set('Cookie', cookies)
+        .send({ code: generateTotp(SECRET) })
+        .expect(200);
+    });
+
+    test('should complete sign-in with a valid code', async () => {
+      const pendingCookie = await startLogin();
+
+      const response = await request(app)
+        .post('/auth/2fa/verify')
+        .set('Cookie', pendingCookie)
+        .send({ code: generateTotp(SECRET) })
+        .expect(200);
+
+      const session = await Session.findOne({ user: user._id });
+      expect(session.twoFactorPending).toBe(false);
+
+      await request(app)
+        .get('/protected')
+        .set('Cookie', getCookie(response, 'jwt-linkedin'))
+        .expect(200);
+    });
+
+    test('should not complete sign-in for a user suspended after the password step', async () => {
+      const pendingCookie = await startLogin();
+      await User.updateOne({ _id: user._id }, { suspendedAt: new Date(), suspensionReason: 'Spam' });
+
+      const response = await request(app)
+        .post('/auth/2fa/verify')
+        .set('Cookie', pendingCookie)
+        .send({ code: generateTotp(SECRET) })
+        .expect(403);
+
+      expect(response.body).toEqual({ message: 'Your account has been suspended', reason: 'Spam' });
+      const session = await Session.findOne({ user: user._id });
+      expect(session.twoFactorPending).toBe(true);
+    });
+
+    test('should not accept the same code twice', async () => {
+      const code = generateTotp(SECRET);
+
+      await request(app).post('/auth/2fa/verify').set('Cookie', await startLogin()).send({ code }).expect(200);
+      await request(app).post('/auth/2fa/verify').set('Cookie', await startLogin()).send({ code }).expect(400);
+    });
+
+    test('should consume recovery codes', async () => {
+      await User.updateOne(
+        { _id: user._id },
+        { twoFactorRecoveryCodes: ['8d969eef6ecad3c29a3a629280e686cf0c3f5d5a86aff3ca12020c923adc6c92'] }
+      );
+
+      await request(app)
+        .post('/auth/2fa/verify')
+        .set('Cookie', await startLogin())
+        .send({ recoveryCode: '123456' })
+        .expect(200);
+
+      const updatedUser = await User.findById(user._id).select('+twoFactorRecoveryCodes');
+      expect(updatedUser.twoFactorRecoveryCodes).toHaveLength(0);
+    });
+
+    test('should revoke the pending session after too many wrong codes', async () => {
+      const pendingCookie = await startLogin();
+
+      for (let attempt = 0; attempt < 4; attempt++) {
+        await request(app).post('/auth/2fa/verify').set('Cookie', pendingCookie).send({ code: '000000' }).expect(400);
+      }
+
+      await request(app).post('/auth/2fa/verify').set('Cookie', pendingCookie).send({ code: '000000' }).expect(401);
+
+      const session = await Session.findOne({ user: user._id });
+      expect(session.revokedAt).toBeDefined();
+    });
+
+    test('should disable 2FA with a valid code', async () => {
+      const session = await createTestSession(user._id);
+
+      await request(app)
+        .post('/auth/2fa/disable')
+        .set('Cookie', `jwt-linkedin=${createAuthToken(user._id, session._id)}`)
+        .send({ code: generateTotp(SECRET) })
+        .expect(200);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.twoFactorEnabled).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import request from 'supertest';
+import express from 'express';
+import User from '../../models/user.model.js';
+import Post from '../../models/post.model.js';
+import Comment from '../../models/comment.model.js';
+import Reaction from '../../models/reaction.model.js';
+import ConnectionRequest from '../../models/connectionRequest.model.js';
+import Notification from '../../models/notification.model.js';
+import Session from '../../models/session.model.js';
+import { deleteMyAccount, exportMyData, updateProfile } from '../../controllers/user.controller.js';
+import { createTestUser, createTestSession } from '../setup.js';
+
+jest.mock('../../lib/cloudinary.js', () => ({
+  uploader: {
+    upload: jest.fn(),
+    destroy: jest.fn().mockResolvedValue({ result: 'ok' }),
+  },
+}));
+
+import cloudinary from '../../lib/cloudinary.js';
+
+let currentUser;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.get('/users/me/export', exportMyData);
+app.delete('/users/me', deleteMyAccount);
+app.put('/users/profile', updateProfile);
+
+describe('Account data', () => {
+  let user;
+  let friend;
+  let ownPost;
+  let friendPost;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    user = await new User(createTestUser({
+      profilePicture: 'https://res.cloudinary.com/demo/image/upload/v1/avatar-id.png',
+    })).save();
+    friend = await new User(createTestUser({
+      username: 'friend',
+      email: 'friend@example.com',
+      connections: [user._id],
+    })).save();
+    user.connections = [friend._id];
+    await user.save();
+
+    ownPost = await Post.create({
+      author: user._id,
+      content: 'My post',
+      attachments: [{
+        type: 'image',
+        url: 'https://res.cloudinary.com/demo/image/upload/v1/post-image-id.jpg',
+        publicId: 'post-image-id',
+      }],
+      reactionCounts: { like: 1 },
+    });
+    friendPost = await Post.create({
+      author: friend._id,
+      content: 'Friend post',
+      reactionCounts: { celebrate: 1 },
+      commentCount: 2,
+    });
+    await Reaction.create({ post: ownPost._id, user: friend._id, type: 'like' });
+    await Reaction.create({ post: friendPost._id, user: user._id, type: 'celebrate' });
+    await Comment.create({ post: friendPost._id, user: user._id, content: 'Nice one', likes: [friend._id], likeCount: 1 });
+    await Comment.create({ post: friendPost._id, user: friend._id, content: 'Thanks', likes: [user._id], likeCount: 1 });
+    await Comment.create({ post: ownPost._id, user: friend._id, content: 'Cool' });
+
+    await ConnectionRequest.create({ sender: user._id, recipient: friend._id });
+    await Notification.create({ recipient: friend._id, type: 'like', relatedUser: user._id, relatedPost: friendPost._id });
+    await Notification.create({ recipient: user._id, type: 'like', relatedUser: friend._id, relatedPost: ownPost._id });
+    await createTestSession(user._id);
+
+    currentUser = await User.findById(user._id).select('-password');
+  });
+
+  describe('GET /users/me/export', () => {
+    test('should export every section as a JSON download', async () => {
+      const response = await request(app).get('/users/me/export').expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="auto-connect-testuser-.*\.json"/);
+
+      const data = JSON.parse(response.text);
+      expect(data.profile.username).toBe('testuser');
+      expect(data.profile.password).toBeUndefined();
+      expect(data.posts).toHaveLength(1);
+      expect(data.comments).toEqual([expect.objectContaining({ content: 'Nice one' })]);
+      expect(data.reactions).toEqual([expect.objectContaining({ content: 'Friend post', type: 'celebrate' })]);
+      expect(data.connections[0].username).toBe('friend');
+      expect(data.connectionRequests).toHaveLength(1);
+      expect(data.notifications).toHaveLength(1);
+      expect(data.wishlistedContests).toEqual([]);
+    });
+
+    test('should export a zip archive on request', async () => {
+      const response = await request(app)
+        .get('/users/me/export?format=zip')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', (chunk) => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.body.readUInt32LE(0)).toBe(0x04034b50);
+      expect(response.body.includes(Buffer.from('profile.json'))).toBe(true);
+    });
+  });
+
+  describe('DELETE /users/me', () => {
+    test('should require the username as confirmation', async () => {
+      const response = await request(app)
+        .delete('/users/me')
+        .send({ confirmation: 'wrong' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Type your username to confirm account deletion');
+      expect(await User.exists({ _id: user._id })).toBeTruthy();
+    });
+
+    test('should delete the account and cascade', async () => {
+      await request(app)
+        .delete('/users/me')
+        .send({ confirmation: 'testuser' })
+        .expect(200);
+
+      expect(await User.exists({ _id: user._id })).toBeNull();
+      expect(await Post.exists({ _id: ownPost._id })).toBeNull();
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('post-image-id', { resource_type: 'image' });
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('avatar-id');
+
+      const updatedFriend = await User.findById(friend._id);
+      expect(updatedFriend.connections).toHaveLength(0);
+
+      const updatedFriendPost = await Post.findById(friendPost._id);
+      expect(updatedFriendPost.reactionCounts.celebrate).toBe(0);
+      expect(await Reaction.countDocuments()).toBe(0);
+
+      const anonymized = await Comment.findOne({ content: 'Nice one' });
+      expect(anonymized.user).toBeNull();
+      expect(anonymized.post).toEqual(friendPost._id);
+      const reply = await Comment.findOne({ content: 'Thanks' });
+      expect(reply.user).toEqual(friend._id);
+      expect(reply.likes).toHaveLength(0);
+      expect(reply.likeCount).toBe(0);
+      expect(await Comment.exists({ content: 'Cool' })).toBeNull();
+
+      expect(await ConnectionRequest.countDocuments()).toBe(0);
+      expect(await Notification.countDocuments()).toBe(0);
+      expect(await Session.countDocuments({ user: user._id })).toBe(0);
+    });
+  });
+
+  describe('PUT /users/profile', () => {
+    test('should store the About section as sanitized Markdown', async () => {
+      const response = await request(app)
+        .put('/users/profile')
+        .send({ about: '**Hi**, see [my site](javascript:alert(1)) <script>alert(1)</script>and `<b>code</b>`' })
+        .expect(200);
+
+      expect(response.body.about).toBe('**Hi**, see my site &lt;script&gt;alert(1)&lt;/script&gt;and `<b>code</b>`');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { normalizeCodeLanguage, sanitizeContent, splitCodeBlocks, stripCodeBlocks } from '../../lib/codeBlocks.js';
+
+describe('code blocks', () => {
+  describe('splitCodeBlocks', () => {
+    test('should split fenced blocks from the text around them', () => {
+      expect(splitCodeBlocks('Look:\n```cpp\nint main() {\n  return 0;\n}\n```\nNeat')).toEqual([
+        { type: 'text', text: 'Look:' },
+        { type: 'code', language: 'cpp', code: 'int main() {\n  return 0;\n}', fence: '```' },
+        { type: 'text', text: 'Neat' },
+      ]);
+    });
+
+    test('should only close a block with a fence at least as long as the opening one', () => {
+      expect(splitCodeBlocks('````md\n```js\nx\n```\n````')).toEqual([
+        { type: 'code', language: 'md', code: '```js\nx\n```', fence: '````' },
+      ]);
+    });
+
+    test('should run an unclosed block to the end of the text', () => {
+      expect(splitCodeBlocks('```\nstill code')).toEqual([
+        { type: 'code', language: '', code: 'still code', fence: '```' },
+      ]);
+    });
+
+    test('should leave inline backticks and text without blocks alone', () => {
+      expect(splitCodeBlocks('use ```x``` here')).toEqual([{ type: 'text', text: 'use ```x``` here' }]);
+    });
+  });
+
+  describe('normalizeCodeLanguage', () => {
+    test('should resolve aliases and drop languages we do not know', () => {
+      expect(normalizeCodeLanguage('C++')).toBe('cpp');
+      expect(normalizeCodeLanguage('py')).toBe('python');
+      expect(normalizeCodeLanguage('java')).toBe('java');
+      expect(normalizeCodeLanguage('"><script>')).toBe('');
+      expect(normalizeCodeLanguage()).toBe('');
+    });
+  });
+
+  describe('sanitizeContent', () => {
+    test('should normalize line endings and drop control characters', () => {
+      expect(sanitizeContent('one\r\ntwo\rthree\u0000\u0007\tfour')).toBe('one\ntwo\nthree\tfour');
+    });
+
+    test('should close open blocks and keep only known language tags', () => {
+      expect(sanitizeContent('```py\nprint(1)')).toBe('```python\nprint(1)\n```');
+      expect(sanitizeContent('```evil\nx\n```\ndone')).toBe('```\nx\n```\ndone');
+    });
+
+    test('should remove bidirectional overrides from code only', () => {
+      expect(sanitizeContent('Hi \u202E\n```js\nif (a\u202E) {}\n```')).toBe('Hi \u202E\n```javascript\nif (a) {}\n```');
+    });
+
+    test('should keep text without blocks as it is', () => {
+      expect(sanitizeContent('Hello\n\n  world ')).toBe('Hello\n\n  world ');
+    });
+
+    test('should pass anything but a string through', () => {
+      expect(sanitizeContent(undefined)).toBeUndefined();
+      expect(sanitizeContent(42)).toBe(42);
+    });
+  });
+
+  describe('stripCodeBlocks', () => {
+    test('should keep only the text outside of code blocks', () => {
+      expect(stripCodeBlocks('Solved it #cpp\n```cpp\n#include <bits/stdc++.h>\n```\nthanks @jane')).toBe(
+        'Solved it #cpp\nthanks @jane'
+      );
+    });
+  });
+});
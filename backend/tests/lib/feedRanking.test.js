@@ -0,0 +1,147 @@
+import { getFeedRankingWeights, rankPosts, scorePost } from '../../lib/feedRanking.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2024-06-01T12:00:00Z').getTime();
+
+const weights = {
+  recencyWeight: 1,
+  halfLifeHours: 24,
+  engagementWeight: 1,
+  commentWeight: 2,
+  affinityWeight: 0.5,
+  diversityPenalty: 0.5,
+};
+
+let nextId = 0;
+const post = ({ author = 'a', hoursAgo = 0, likes = 0, comments = 0 } = {}) => ({
+  _id: `post-${nextId++}`,
+  author: { _id: author },
+  createdAt: new Date(NOW - hoursAgo * HOUR),
+  reactionCounts: { like: likes },
+  commentCount: comments,
+});
+
+describe('feed ranking', () => {
+  describe('scorePost', () => {
+    test('should halve the recency score every half-life', () => {
+      const onlyRecency = { ...weights, engagementWeight: 0, affinityWeight: 0 };
+
+      expect(scorePost(post(), { now: NOW, weights: onlyRecency })).toBeCloseTo(1);
+      expect(scorePost(post({ hoursAgo: 24 }), { now: NOW, weights: onlyRecency })).toBeCloseTo(0.5);
+      expect(scorePost(post({ hoursAgo: 48 }), { now: NOW, weights: onlyRecency })).toBeCloseTo(0.25);
+    });
+
+    test('should reward engagement velocity over raw engagement', () => {
+      const onlyEngagement = { ...weights, recencyWeight: 0, affinityWeight: 0 };
+      const fast = scorePost(post({ hoursAgo: 1, likes: 10 }), { now: NOW, weights: onlyEngagement });
+      const slow = scorePost(post({ hoursAgo: 47, likes: 20 }), { now: NOW, weights: onlyEngagement });
+
+      expect(fast).toBeGreaterThan(slow);
+    });
+
+    test('should weigh comments more than likes', () => {
+      const liked = scorePost(post({ likes: 2 }), { now: NOW, weights });
+      const commented = scorePost(post({ comments: 2 }), { now: NOW, weights });
+
+      expect(commented).toBeGreaterThan(liked);
+    });
+
+    test('should count every reaction type as engagement', () => {
+      const liked = scorePost(post({ likes: 3 }), { now: NOW, weights });
+      const mixed = scorePost(
+        { ...post(), reactionCounts: { like: 1, celebrate: 1, funny: 1 } },
+        { now: NOW, weights }
+      );
+
+      expect(mixed).toBeCloseTo(liked);
+    });
+
+    test('should boost authors the viewer interacts with', () => {
+      const stranger = scorePost(post(), { now: NOW, weights, affinity: 0 });
+      const friend = scorePost(post(), { now: NOW, weights, affinity: 10 });
+
+      expect(friend).toBeGreaterThan(stranger);
+    });
+
+    test('should not count posts from the future as fresher than new ones', () => {
+      expect(scorePost(post({ hoursAgo: -5 }), { now: NOW, weights })).toBeCloseTo(
+        scorePost(post(), { now: NOW, weights })
+      );
+    });
+  });
+
+  describe('rankPosts', () => {
+    test('should put a popular post above a slightly newer quiet one', () => {
+      const quiet = post({ author: 'a', hoursAgo: 1 });
+      const popular = post({ author: 'b', hoursAgo: 3, likes: 30, comments: 5 });
+
+      expect(rankPosts([quiet, popular], { now: NOW, weights })).toEqual([popular, quiet]);
+    });
+
+    test('should keep one prolific author from taking over the top of the feed', () => {
+      const prolific = [0, 1, 2, 3].map((hoursAgo) => post({ author: 'prolific', hoursAgo }));
+      const other = post({ author: 'other', hoursAgo: 6 });
+
+      const ranked = rankPosts([...prolific, other], { now: NOW, weights });
+
+      expect(ranked[0].author._id).toBe('prolific');
+      expect(ranked.slice(0, 3)).toContain(other);
+    });
+
+    test('should rank strictly by score when the diversity penalty is off', () => {
+      const prolific = [0, 1, 2, 3].map((hoursAgo) => post({ author: 'prolific', hoursAgo }));
+      const other = post({ author: 'other', hoursAgo: 6 });
+
+      const ranked = rankPosts([...prolific, other], { now: NOW, weights: { ...weights, diversityPenalty: 1 } });
+
+      expect(ranked[4]).toBe(other);
+    });
+
+    test('should use the affinity map keyed by author id', () => {
+      const a = post({ author: 'a', hoursAgo: 2 });
+      const b = post({ author: 'b', hoursAgo: 2 });
+
+      const ranked = rankPosts([a, b], { now: NOW, weights, affinityByAuthor: new Map([['b', 5]]) });
+
+      expect(ranked).toEqual([b, a]);
+    });
+
+    test('should keep every post exactly once', () => {
+      const posts = Array.from({ length: 20 }, (_, i) => post({ author: `u${i % 3}`, hoursAgo: i, likes: i % 4 }));
+
+      const ranked = rankPosts(posts, { now: NOW, weights });
+
+      expect(ranked).toHaveLength(20);
+      expect(new Set(ranked)).toEqual(new Set(posts));
+    });
+  });
+
+  describe('getFeedRankingWeights', () => {
+    afterEach(() => {
+      delete process.env.FEED_RANKING_HALF_LIFE_HOURS;
+      delete process.env.FEED_RANKING_AFFINITY_WEIGHT;
+      delete process.env.FEED_RANKING_DIVERSITY_PENALTY;
+    });
+
+    test('should read overrides from the environment', () => {
+      process.env.FEED_RANKING_HALF_LIFE_HOURS = '12';
+      process.env.FEED_RANKING_AFFINITY_WEIGHT = '0';
+
+      const resolved = getFeedRankingWeights();
+
+      expect(resolved.halfLifeHours).toBe(12);
+      expect(resolved.affinityWeight).toBe(0);
+      expect(resolved.recencyWeight).toBe(1);
+    });
+
+    test('should ignore invalid overrides', () => {
+      process.env.FEED_RANKING_DIVERSITY_PENALTY = 'lots';
+      process.env.FEED_RANKING_HALF_LIFE_HOURS = '-3';
+
+      const resolved = getFeedRankingWeights();
+
+      expect(resolved.diversityPenalty).toBe(0.6);
+      expect(resolved.halfLifeHours).toBe(24);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { isSafeUrl, sanitizeMarkdown } from '../../lib/markdown.js';
+
+describe('markdown', () => {
+  describe('isSafeUrl', () => {
+    test('should allow web, mail and same-site links', () => {
+      expect(isSafeUrl('https://example.com/a?b=c')).toBe(true);
+      expect(isSafeUrl('HTTP://example.com')).toBe(true);
+      expect(isSafeUrl('mailto:jane@example.com')).toBe(true);
+      expect(isSafeUrl('/profile/jane')).toBe(true);
+    });
+
+    test('should refuse script and other schemes', () => {
+      expect(isSafeUrl('javascript:alert(1)')).toBe(false);
+      expect(isSafeUrl(' JavaScript:alert(1)')).toBe(false);
+      expect(isSafeUrl('data:text/html,<script>')).toBe(false);
+      expect(isSafeUrl('//evil.example.com')).toBe(false);
+      expect(isSafeUrl('vbscript:x')).toBe(false);
+    });
+  });
+
+  describe('sanitizeMarkdown', () => {
+    test('should keep the Markdown we render', () => {
+      const text = '**Bold** and *italics*\n\n- one\n1. two\n> quoted\n[docs](https://en.wikipedia.org/wiki/Foo_(bar))';
+
+      expect(sanitizeMarkdown(text)).toBe(text);
+    });
+
+    test('should keep only the text of links to unsafe places', () => {
+      expect(sanitizeMarkdown('[click me](javascript:alert(1)) or [this](data:text/html,x)')).toBe('click me or this');
+    });
+
+    test('should escape HTML so that no tag survives', () => {
+      expect(sanitizeMarkdown('a<script>alert(1)</script>b')).toBe('a&lt;script&gt;alert(1)&lt;/script&gt;b');
+      expect(sanitizeMarkdown('<img src=x onerror=alert(1)>hi')).toBe('&lt;img src=x onerror=alert(1)&gt;hi');
+      expect(sanitizeMarkdown('<body/onload=alert(1)>')).toBe('&lt;body/onload=alert(1)&gt;');
+      expect(sanitizeMarkdown('<details/open/ontoggle=alert(1)>x')).toBe('&lt;details/open/ontoggle=alert(1)&gt;x');
+      expect(sanitizeMarkdown('<x onclick="a>b" onmouseover=alert(1)>')).toBe('&lt;x onclick="a&gt;b" onmouseover=alert(1)&gt;');
+      expect(sanitizeMarkdown('<p style="background:url(javascript:alert(1))">hi</p>')).toBe(
+        '&lt;p style="background:url(javascript:alert(1))"&gt;hi&lt;/p&gt;'
+      );
+    });
+
+    test('should not escape twice when an edit is saved again', () => {
+      const stored = sanitizeMarkdown('vector<int> & <b>');
+
+      expect(stored).toBe('vector&lt;int&gt; & &lt;b&gt;');
+      expect(sanitizeMarkdown(stored)).toBe(stored);
+    });
+
+    test('should keep quote markers and leave code alone', () => {
+      const text = '> > nested, a -> b\nUse `<script>` tags with care\n```html\n<script>alert(1)</script>\n```';
+
+      expect(sanitizeMarkdown(text)).toBe(
+        '> > nested, a -&gt; b\nUse `<script>` tags with care\n```\n<script>alert(1)</script>\n```'
+      );
+    });
+
+    test('should not put together an unsafe link by dropping another one', () => {
+      expect(sanitizeMarkdown('[a[b](javascript:c)](javascript:d)')).toBe('ab');
+    });
+
+    test('should clean up code blocks like sanitizeContent does', () => {
+      expect(sanitizeMarkdown('hi\r\n```py\r\nx = 1')).toBe('hi\n```python\nx = 1\n```');
+      expect(sanitizeMarkdown(undefined)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import {
+  destroyAttachments,
+  MAX_IMAGES,
+  sniffMimeType,
+  uploadAttachments,
+  validateAttachments,
+} from '../../lib/media.js';
+import cloudinary from '../../lib/cloudinary.js';
+
+jest.mock('../../lib/cloudinary.js', () => ({
+  uploader: {
+    upload: jest.fn(),
+    destroy: jest.fn(),
+  },
+}));
+
+const toDataUrl = (bytes, mimeType = 'application/octet-stream') =>
+  `data:${mimeType};base64,${Buffer.from(bytes).toString('base64')}`;
+
+const PNG = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0];
+const JPEG = [0xff, 0xd8, 0xff, 0xe0, 0, 0];
+const MP4 = [0, 0, 0, 0x18, ...Buffer.from('ftypisom')];
+const PDF = [...Buffer.from('%PDF-1.7\n')];
+
+describe('media', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('sniffMimeType', () => {
+    test('should recognize the accepted formats by their first bytes', () => {
+      expect(sniffMimeType(Buffer.from(PNG))).toBe('image/png');
+      expect(sniffMimeType(Buffer.from(JPEG))).toBe('image/jpeg');
+      expect(sniffMimeType(Buffer.from('GIF89a...'))).toBe('image/gif');
+      expect(sniffMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+      expect(sniffMimeType(Buffer.from(MP4))).toBe('video/mp4');
+      expect(sniffMimeType(Buffer.from([0, 0, 0, 0x14, ...Buffer.from('ftypqt  ')]))).toBe('video/quicktime');
+      expect(sniffMimeType(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0]))).toBe('video/webm');
+      expect(sniffMimeType(Buffer.from(PDF))).toBe('application/pdf');
+    });
+
+    test('should return null for anything else', () => {
+      expect(sniffMimeType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+      expect(sniffMimeType(Buffer.from([0xff]))).toBeNull();
+      expect(sniffMimeType(Buffer.alloc(0))).toBeNull();
+    });
+  });
+
+  describe('validateAttachments', () => {
+    test('should type new uploads by their content rather than the declared MIME type', () => {
+      const { attachments } = validateAttachments([
+        { data: toDataUrl(PNG, 'image/jpeg'), altText: '  A chart  ' },
+      ]);
+
+      expect(attachments).toEqual([
+        { type: 'image', mimeType: 'image/png', size: PNG.length, altText: 'A chart', data: toDataUrl(PNG, 'image/jpeg') },
+      ]);
+    });
+
+    test('should reject files that are not an accepted format', () => {
+      const { error } = validateAttachments([{ data: toDataUrl(Buffer.from('<html>'), 'image/png') }]);
+
+      expect(error).toBe(
+        'Attachment 1 must be a JPEG, PNG, GIF or WebP image, an MP4, WebM or QuickTime video or a PDF document'
+      );
+    });
+
+    test('should reject anything that is not a base64 data URL', () => {
+      expect(validateAttachments([{ data: 'https://example.com/cat.png' }]).error).toBe(
+        'Attachment 1 must be a base64 data URL'
+      );
+      expect(validateAttachments([null]).error).toBe('Attachment 1 must be a base64 data URL');
+      expect(validateAttachments('not a list').error).toBe('Attachments must be a list');
+    });
+
+    test('should reject files over the size limit of their type', () => {
+      const bigImage = Buffer.concat([Buffer.from(PNG), Buffer.alloc(5 * 1024 * 1024)]);
+
+      expect(validateAttachments([{ data: toDataUrl(bigImage) }]).error).toBe(
+        'Attachment 1 is too large, images can be at most 5 MB'
+      );
+    });
+
+    test('should reject overly long alt texts', () => {
+      expect(validateAttachments([{ data: toDataUrl(PNG), altText: 'a'.repeat(301) }]).error).toBe(
+        'Attachment 1: alt text must be text of at most 300 characters'
+      );
+    });
+
+    test('should allow a gallery of images, or a single video or document', () => {
+      const images = Array.from({ length: MAX_IMAGES }, () => ({ data: toDataUrl(JPEG) }));
+
+      expect(validateAttachments(images).error).toBeUndefined();
+      expect(validateAttachments([{ data: toDataUrl(MP4) }]).error).toBeUndefined();
+      expect(validateAttachments([{ data: toDataUrl(PDF) }]).error).toBeUndefined();
+      expect(validateAttachments([]).attachments).toEqual([]);
+    });
+
+    test('should reject too many images, several videos and mixed types', () => {
+      const message = `A post can have up to ${MAX_IMAGES} images, one video or one PDF document`;
+      const images = Array.from({ length: MAX_IMAGES + 1 }, () => ({ data: toDataUrl(JPEG) }));
+
+      expect(validateAttachments(images).error).toBe(message);
+      expect(validateAttachments([{ data: toDataUrl(MP4) }, { data: toDataUrl(MP4) }]).error).toBe(message);
+      expect(validateAttachments([{ data: toDataUrl(JPEG) }, { data: toDataUrl(PDF) }]).error).toBe(message);
+    });
+
+    test('should keep existing attachments referenced by id, with their new alt text', () => {
+      const existing = [
+        { _id: 'a1', type: 'image', url: 'https://cdn.example.com/a1.png', altText: 'Old' },
+        { _id: 'a2', type: 'image', url: 'https://cdn.example.com/a2.png', altText: '' },
+      ];
+
+      const { attachments } = validateAttachments([{ _id: 'a2', altText: 'New' }, { data: toDataUrl(JPEG) }], existing);
+
+      expect(attachments[0]).toEqual({ ...existing[1], altText: 'New' });
+      expect(attachments[1].type).toBe('image');
+      expect(validateAttachments([{ _id: 'a3' }], existing).error).toBe('Attachment 1 is not an attachment of this post');
+    });
+
+    test('should count kept attachments towards the limits', () => {
+      const existing = [{ _id: 'v1', type: 'video', url: 'https://cdn.example.com/v1.mp4' }];
+
+      expect(validateAttachments([{ _id: 'v1' }, { data: toDataUrl(JPEG) }], existing).error).toBeDefined();
+    });
+  });
+
+  describe('uploadAttachments', () => {
+    test('should upload new attachments with their resource type and keep existing ones', async () => {
+      cloudinary.uploader.upload.mockResolvedValue({
+        secure_url: 'https://cdn.example.com/doc.pdf',
+        public_id: 'doc',
+        width: 612,
+        height: 792,
+        bytes: 2048,
+        pages: 3,
+      });
+      const kept = { _id: 'a1', type: 'image', url: 'https://cdn.example.com/a1.png', altText: '' };
+
+      const uploaded = await uploadAttachments([
+        kept,
+        { type: 'document', mimeType: 'application/pdf', size: 2000, altText: 'Slides', data: 'data:...' },
+      ]);
+
+      expect(cloudinary.uploader.upload).toHaveBeenCalledTimes(1);
+      // cloudinary renders PDF pages as images
+      expect(cloudinary.uploader.upload).toHaveBeenCalledWith('data:...', { resource_type: 'image' });
+      expect(uploaded).toEqual([
+        kept,
+        {
+          type: 'document',
+          mimeType: 'application/pdf',
+          url: 'https://cdn.example.com/doc.pdf',
+          publicId: 'doc',
+          width: 612,
+          height: 792,
+          size: 2048,
+          duration: undefined,
+          pageCount: 3,
+          altText: 'Slides',
+        },
+      ]);
+    });
+  });
+
+  describe('destroyAttachments', () => {
+    test('should destroy each stored asset once, with its resource type', async () => {
+      await destroyAttachments([
+        { type: 'video', publicId: 'clip' },
+        { type: 'image', publicId: 'photo' },
+        { type: 'image', publicId: 'photo' },
+        { type: 'image', url: 'https://elsewhere.example.com/legacy.png' },
+      ]);
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledTimes(2);
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('clip', { resource_type: 'video' });
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('photo', { resource_type: 'image' });
+    });
+
+    test('should carry on when an asset cannot be destroyed', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      cloudinary.uploader.destroy.mockRejectedValueOnce(new Error('Cloudinary down'));
+
+      await destroyAttachments([
+        { type: 'image', publicId: 'first' },
+        { type: 'image', publicId: 'second' },
+      ]);
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('second', { resource_type: 'image' });
+      consoleError.mockRestore();
+    });
+  });
+});
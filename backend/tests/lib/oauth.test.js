@@ -0,0 +1,101 @@
+import axios from 'axios';
+import { URL } from 'url';
+import {
+  buildAuthorizationUrl,
+  createOidcProvider,
+  exchangeCodeForProfile,
+  generatePkcePair,
+  getOAuthProvider,
+  registerOAuthProvider,
+  unregisterOAuthProvider,
+} from '../../lib/oauth.js';
+import { startMockOidcServer } from '../mocks/oidcServer.js';
+
+const REDIRECT_URI = 'http://localhost:5000/api/v1/auth/oauth/mock/callback';
+
+describe('OAuth providers', () => {
+  let oidcServer;
+  let provider;
+
+  beforeAll(async () => {
+    oidcServer = await startMockOidcServer({
+      sub: 'user-123',
+      email: 'dev@example.com',
+      email_verified: true,
+      name: 'Dev User',
+      preferred_username: 'devuser',
+    });
+  });
+
+  afterAll(() => oidcServer.close());
+
+  beforeEach(() => {
+    provider = createOidcProvider({
+      name: 'mock',
+      issuer: oidcServer.issuer,
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+    });
+  });
+
+  // follows the mock provider's authorize redirect and returns the code it hands back
+  const authorize = async (codeChallenge) => {
+    const url = await buildAuthorizationUrl(provider, { redirectUri: REDIRECT_URI, state: 'state-1', codeChallenge });
+    const response = await axios.get(url, { maxRedirects: 0, validateStatus: (status) => status === 302 });
+    return new URL(response.headers.location).searchParams;
+  };
+
+  test('should build an authorization URL from discovery', async () => {
+    const url = new URL(await buildAuthorizationUrl(provider, {
+      redirectUri: REDIRECT_URI,
+      state: 'state-1',
+      codeChallenge: 'challenge',
+    }));
+
+    expect(url.origin + url.pathname).toBe(`${oidcServer.issuer}/authorize`);
+    expect(url.searchParams.get('client_id')).toBe('client-id');
+    expect(url.searchParams.get('redirect_uri')).toBe(REDIRECT_URI);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+  });
+
+  test('should exchange a code for a normalized profile', async () => {
+    const { codeVerifier, codeChallenge } = generatePkcePair();
+    const params = await authorize(codeChallenge);
+
+    expect(params.get('state')).toBe('state-1');
+
+    const profile = await exchangeCodeForProfile(provider, {
+      code: params.get('code'),
+      codeVerifier,
+      redirectUri: REDIRECT_URI,
+    });
+
+    expect(profile).toEqual({
+      id: 'user-123',
+      email: 'dev@example.com',
+      emailVerified: true,
+      name: 'Dev User',
+      username: 'devuser',
+      picture: '',
+    });
+  });
+
+  test('should reject a code exchanged with the wrong PKCE verifier', async () => {
+    const { codeChallenge } = generatePkcePair();
+    const params = await authorize(codeChallenge);
+
+    await expect(exchangeCodeForProfile(provider, {
+      code: params.get('code'),
+      codeVerifier: generatePkcePair().codeVerifier,
+      redirectUri: REDIRECT_URI,
+    })).rejects.toThrow();
+  });
+
+  test('should register and look up providers by name', () => {
+    registerOAuthProvider(provider);
+    expect(getOAuthProvider('mock')).toBe(provider);
+
+    unregisterOAuthProvider('mock');
+    expect(getOAuthProvider('mock')).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import {
+  buildCursorFilter,
+  buildCursorSort,
+  decodeCursor,
+  encodeCursor,
+  parseLimit,
+  toPage,
+} from '../../lib/pagination.js';
+
+describe('pagination helpers', () => {
+  const doc = (createdAt) => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(createdAt) });
+
+  test('should round-trip a cursor', () => {
+    const item = doc('2024-05-01T12:00:00Z');
+    const cursor = decodeCursor(encodeCursor(item));
+
+    expect(cursor.createdAt.getTime()).toBe(item.createdAt.getTime());
+    expect(cursor._id.equals(item._id)).toBe(true);
+  });
+
+  test.each(['garbage', Buffer.from('["nope","123"]').toString('base64url'), ''])(
+    'should reject malformed cursor %p',
+    (cursor) => {
+      expect(decodeCursor(cursor)).toBeNull();
+    }
+  );
+
+  test('should clamp the limit', () => {
+    expect(parseLimit(undefined)).toBe(10);
+    expect(parseLimit('abc', { defaultLimit: 5 })).toBe(5);
+    expect(parseLimit('0')).toBe(1);
+    expect(parseLimit('500', { maxLimit: 50 })).toBe(50);
+    expect(parseLimit('20')).toBe(20);
+  });
+
+  test('should build a tie-breaking filter in both directions', () => {
+    const cursor = decodeCursor(encodeCursor(doc('2024-05-01T12:00:00Z')));
+
+    expect(buildCursorFilter(null)).toEqual({});
+    expect(buildCursorFilter(cursor)).toEqual({
+      $or: [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+      ],
+    });
+    expect(buildCursorFilter(cursor, { order: 'asc', prefix: 'comments.' }).$or[1]).toEqual({
+      'comments.createdAt': cursor.createdAt,
+      'comments._id': { $gt: cursor._id },
+    });
+    expect(buildCursorSort('asc', 'comments.')).toEqual({ 'comments.createdAt': 1, 'comments._id': 1 });
+  });
+
+  test('should only return a next cursor when there is another page', () => {
+    const items = [doc('2024-01-03'), doc('2024-01-02'), doc('2024-01-01')];
+
+    const full = toPage(items, 2);
+    expect(full.items).toHaveLength(2);
+    expect(decodeCursor(full.nextCursor)._id.equals(items[1]._id)).toBe(true);
+
+    const last = toPage(items.slice(0, 2), 2);
+    expect(last.items).toHaveLength(2);
+    expect(last.nextCursor).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { isPollClosed, MAX_POLL_DURATION, toPollView, validatePoll } from '../../lib/polls.js';
+
+describe('polls', () => {
+  const now = new Date('2030-01-01T12:00:00Z');
+  const inADay = new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString();
+
+  describe('validatePoll', () => {
+    test('should accept 2 to 4 distinct options and a closing time', () => {
+      const { poll, error } = validatePoll(
+        { options: [' Saturday ', 'Sunday'], closesAt: inADay, hideResults: true },
+        { opensAt: now }
+      );
+
+      expect(error).toBeUndefined();
+      expect(poll).toEqual({
+        options: [{ text: 'Saturday', voteCount: 0 }, { text: 'Sunday', voteCount: 0 }],
+        closesAt: new Date(inADay),
+        hideResults: true,
+      });
+    });
+
+    test('should show results by default', () => {
+      expect(validatePoll({ options: ['A', 'B'], closesAt: inADay }, { opensAt: now }).poll.hideResults).toBe(false);
+    });
+
+    test('should reject too few or too many options', () => {
+      for (const options of [['Only'], ['A', 'B', 'C', 'D', 'E'], undefined]) {
+        expect(validatePoll({ options, closesAt: inADay }, { opensAt: now }).error).toBe('A poll needs 2 to 4 options');
+      }
+    });
+
+    test('should reject empty, overly long or repeated options', () => {
+      expect(validatePoll({ options: ['A', '  '], closesAt: inADay }, { opensAt: now }).error).toBe(
+        'Poll options must be text of at most 100 characters'
+      );
+      expect(validatePoll({ options: ['A', 'x'.repeat(101)], closesAt: inADay }, { opensAt: now }).error).toBe(
+        'Poll options must be text of at most 100 characters'
+      );
+      expect(validatePoll({ options: ['Yes', 'yes'], closesAt: inADay }, { opensAt: now }).error).toBe(
+        'Poll options must be different from each other'
+      );
+    });
+
+    test('should want a closing time after the post goes out and within the longest duration', () => {
+      const tooLate = new Date(now.getTime() + MAX_POLL_DURATION + 1000).toISOString();
+
+      for (const closesAt of [undefined, 'soon', now.toISOString()]) {
+        expect(validatePoll({ options: ['A', 'B'], closesAt }, { opensAt: now }).error).toBe(
+          'A poll needs a closing time after it\'s published'
+        );
+      }
+      expect(validatePoll({ options: ['A', 'B'], closesAt: tooLate }, { opensAt: now }).error).toBe(
+        'A poll can stay open for at most 30 days'
+      );
+    });
+
+    test('should reject anything but an object', () => {
+      expect(validatePoll(['A', 'B']).error).toBe('Poll must be an object with options and a closing time');
+      expect(validatePoll(null).error).toBe('Poll must be an object with options and a closing time');
+    });
+  });
+
+  describe('toPollView', () => {
+    const yes = new mongoose.Types.ObjectId();
+    const no = new mongoose.Types.ObjectId();
+    const poll = (fields = {}) => ({
+      options: [{ _id: yes, text: 'Yes', voteCount: 3 }, { _id: no, text: 'No', voteCount: 1 }],
+      closesAt: new Date(inADay),
+      hideResults: false,
+      ...fields,
+    });
+
+    test('should add up the votes', () => {
+      const view = toPollView(poll(), null, now);
+
+      expect(view.totalVotes).toBe(4);
+      expect(view.options.map(option => option.voteCount)).toEqual([3, 1]);
+      expect(view.closed).toBe(false);
+      expect(view.viewerVote).toBeNull();
+    });
+
+    test('should hide the results until the viewer votes or the poll closes', () => {
+      const hidden = toPollView(poll({ hideResults: true }), null, now);
+      const voted = toPollView(poll({ hideResults: true }), yes, now);
+      const closed = toPollView(poll({ hideResults: true, closesAt: now }), null, now);
+
+      expect(hidden.resultsHidden).toBe(true);
+      expect(hidden.totalVotes).toBeUndefined();
+      expect(hidden.options.map(option => option.voteCount)).toEqual([undefined, undefined]);
+      expect(voted.resultsHidden).toBe(false);
+      expect(voted.totalVotes).toBe(4);
+      expect(closed.resultsHidden).toBe(false);
+      expect(closed.closed).toBe(true);
+    });
+  });
+
+  describe('isPollClosed', () => {
+    test('should close a poll at its closing time', () => {
+      expect(isPollClosed({ closesAt: now }, now)).toBe(true);
+      expect(isPollClosed({ closesAt: new Date(inADay) }, now)).toBe(false);
+    });
+  });
+});
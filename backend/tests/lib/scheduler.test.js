@@ -0,0 +1,117 @@
+import Post from '../../models/post.model.js';
+import User from '../../models/user.model.js';
+import Notification from '../../models/notification.model.js';
+import { closeDuePolls, publishDuePosts, publishPost, startScheduler } from '../../lib/scheduler.js';
+import { createTestUser } from '../setup.js';
+
+describe('post scheduler', () => {
+  let author;
+  let mentioned;
+
+  beforeEach(async () => {
+    author = await new User({ ...createTestUser(), password: 'hashedpassword123' }).save();
+    mentioned = await new User({
+      ...createTestUser({ username: 'mentioned', email: 'mentioned@example.com' }),
+      password: 'hashedpassword123',
+    }).save();
+  });
+
+  const schedule = (publishAt, fields = {}) =>
+    new Post({ author: author._id, content: 'Later', status: 'scheduled', publishAt, ...fields }).save();
+
+  describe('publishPost', () => {
+    test('should publish a draft as a new post and tell the people it mentions', async () => {
+      const draft = await new Post({
+        author: author._id,
+        content: 'Hi @mentioned',
+        mentions: [mentioned._id],
+        status: 'draft',
+        createdAt: new Date('2024-01-01'),
+      }).save();
+      const now = new Date('2030-01-01T12:00:00Z');
+
+      const published = await publishPost(draft._id, now);
+
+      expect(published.status).toBe('published');
+      expect(published.createdAt).toEqual(now);
+      const notifications = await Notification.find({ type: 'mention' });
+      expect(notifications.map(notification => notification.recipient)).toEqual([mentioned._id]);
+    });
+
+    test('should publish a post only once', async () => {
+      const post = await schedule(new Date(Date.now() - 1000), { content: 'Hi @mentioned', mentions: [mentioned._id] });
+
+      const [first, second] = await Promise.all([publishPost(post._id), publishPost(post._id)]);
+
+      expect([first, second].filter(Boolean)).toHaveLength(1);
+      expect(await Notification.countDocuments({ type: 'mention' })).toBe(1);
+      expect((await Post.findById(post._id)).publishAt).toBeUndefined();
+    });
+
+    test('should leave published posts alone', async () => {
+      const post = await new Post({ author: author._id, content: 'Out already' }).save();
+
+      expect(await publishPost(post._id)).toBeNull();
+    });
+  });
+
+  describe('publishDuePosts', () => {
+    test('should publish the scheduled posts that are due, including overdue ones', async () => {
+      const now = new Date();
+      const overdue = await schedule(new Date(now.getTime() - 60 * 60 * 1000));
+      const due = await schedule(now);
+      const later = await schedule(new Date(now.getTime() + 60 * 1000));
+      const draft = await new Post({ author: author._id, content: 'Draft', status: 'draft' }).save();
+
+      expect(await publishDuePosts(now)).toBe(2);
+
+      expect((await Post.findById(overdue._id)).status).toBe('published');
+      expect((await Post.findById(due._id)).status).toBe('published');
+      expect((await Post.findById(later._id)).status).toBe('scheduled');
+      expect((await Post.findById(draft._id)).status).toBe('draft');
+    });
+  });
+
+  describe('closeDuePolls', () => {
+    const poll = closesAt => ({ options: [{ text: 'Yes' }, { text: 'No' }], closesAt });
+
+    test('should tell the author once when their poll closes', async () => {
+      const now = new Date();
+      const closed = await new Post({ author: author._id, content: 'Vote?', poll: poll(now) }).save();
+      const open = await new Post({ author: author._id, content: 'Still open?', poll: poll(new Date(now.getTime() + 60 * 1000)) }).save();
+
+      expect(await closeDuePolls(now)).toBe(1);
+      expect(await closeDuePolls(now)).toBe(0);
+
+      const notifications = await Notification.find({ type: 'pollClosed' });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].recipient).toEqual(author._id);
+      expect(notifications[0].relatedPost).toEqual(closed._id);
+      expect((await Post.findById(closed._id)).poll.closedAt).toEqual(now);
+      expect((await Post.findById(open._id)).poll.closedAt).toBeUndefined();
+    });
+
+    test('should wait for draft polls to be published', async () => {
+      await new Post({ author: author._id, content: 'Vote?', status: 'draft', poll: poll(new Date(Date.now() - 1000)) }).save();
+
+      expect(await closeDuePolls()).toBe(0);
+    });
+  });
+
+  describe('startScheduler', () => {
+    test('should publish what is due as soon as it starts', async () => {
+      const post = await schedule(new Date(Date.now() - 1000));
+
+      const stop = startScheduler({ interval: 60 * 1000 });
+      try {
+        for (let attempt = 0; attempt < 50 && (await Post.findById(post._id)).status !== 'published'; attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+      } finally {
+        stop();
+      }
+
+      expect((await Post.findById(post._id)).status).toBe('published');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { extractHashtags, extractMentions, normalizeHashtag } from '../../lib/textEntities.js';
+
+describe('text entities', () => {
+  describe('extractHashtags', () => {
+    test('should return lowercased unique tags in order of first use', () => {
+      expect(extractHashtags('Loving #React and #NodeJS, #react forever')).toEqual(['react', 'nodejs']);
+    });
+
+    test('should accept letters beyond ASCII, digits and underscores', () => {
+      expect(extractHashtags('#Über #web_3 #2024goals')).toEqual(['über', 'web_3', '2024goals']);
+    });
+
+    test('should ignore tags without a letter and hashes inside words or entities', () => {
+      expect(extractHashtags("we're #1, issue a#b and &#39;")).toEqual([]);
+    });
+
+    test('should ignore what looks like tags in code blocks', () => {
+      expect(extractHashtags('My #cpp solution\n```cpp\n#include <vector>\n#define N 100\n```')).toEqual(['cpp']);
+    });
+
+    test('should ignore what looks like tags in inline code', () => {
+      expect(extractHashtags('Put `#pragma once` on top #tips')).toEqual(['tips']);
+    });
+
+    test('should ignore overly long tags', () => {
+      expect(extractHashtags(`#${'a'.repeat(51)} #ok`)).toEqual(['ok']);
+    });
+
+    test('should handle missing text', () => {
+      expect(extractHashtags(undefined)).toEqual([]);
+      expect(extractHashtags(null)).toEqual([]);
+    });
+  });
+
+  describe('extractMentions', () => {
+    test('should return unique usernames without the @', () => {
+      expect(extractMentions('@jane and @john_doe, also @jane')).toEqual(['jane', 'john_doe']);
+    });
+
+    test('should treat trailing dots and dashes as punctuation', () => {
+      expect(extractMentions('Thanks @jane.doe. Ping @x-y-')).toEqual(['jane.doe', 'x-y']);
+    });
+
+    test('should ignore annotations and decorators in code blocks', () => {
+      expect(extractMentions('cc @jane\n```java\n@Override\npublic String toString() {}\n```')).toEqual(['jane']);
+    });
+
+    test('should not pick up email addresses', () => {
+      expect(extractMentions('write to jane@example.com')).toEqual([]);
+    });
+
+    test('should handle missing text', () => {
+      expect(extractMentions(undefined)).toEqual([]);
+    });
+  });
+
+  describe('normalizeHashtag', () => {
+    test('should drop the hash and lowercase the tag', () => {
+      expect(normalizeHashtag('#JavaScript')).toBe('javascript');
+      expect(normalizeHashtag('javascript')).toBe('javascript');
+    });
+  });
+});
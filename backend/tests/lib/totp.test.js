@@ -0,0 +1,55 @@
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpAuthUri,
+  generateTotp,
+  generateTotpSecret,
+  verifyTotp,
+} from '../../lib/totp.js';
+
+// RFC 6238 appendix B test seed ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  test('should round-trip base32 encoding', () => {
+    const bytes = Buffer.from('hello two-factor');
+    expect(base32Decode(base32Encode(bytes)).equals(bytes)).toBe(true);
+  });
+
+  test('should generate a 160-bit base32 secret', () => {
+    const secret = generateTotpSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+  });
+
+  test.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+  ])('should match the RFC 6238 vector at %i', (seconds, expected) => {
+    expect(generateTotp(RFC_SECRET, { timestamp: seconds * 1000, digits: 8 })).toBe(expected);
+  });
+
+  test('should accept codes from adjacent time steps only', () => {
+    const timestamp = 1700000000000;
+    const previous = generateTotp(RFC_SECRET, { timestamp: timestamp - 30 * 1000 });
+    const stale = generateTotp(RFC_SECRET, { timestamp: timestamp - 90 * 1000 });
+
+    expect(verifyTotp(RFC_SECRET, previous, { timestamp })).toBe(Math.floor(timestamp / 30000) - 1);
+    expect(verifyTotp(RFC_SECRET, stale, { timestamp })).toBeNull();
+  });
+
+  test('should reject malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  test('should build an otpauth URI', () => {
+    const uri = buildOtpAuthUri({ secret: RFC_SECRET, accountName: 'test@example.com', issuer: 'Auto_Connect' });
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Auto_Connect:test%40example\.com\?/);
+    expect(uri).toContain(`secret=${RFC_SECRET}`);
+    expect(uri).toContain('issuer=Auto_Connect');
+  });
+});
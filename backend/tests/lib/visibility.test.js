@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { buildVisibilityFilter, canViewPost, isPublished } from '../../lib/visibility.js';
+
+describe('post visibility', () => {
+  const author = new mongoose.Types.ObjectId();
+  const connection = { _id: new mongoose.Types.ObjectId(), connections: [author] };
+  const stranger = { _id: new mongoose.Types.ObjectId(), connections: [] };
+
+  describe('canViewPost', () => {
+    test('should show public posts to everyone', () => {
+      expect(canViewPost({ author, visibility: 'public' }, stranger)).toBe(true);
+    });
+
+    test('should treat posts without a visibility as public', () => {
+      expect(canViewPost({ author }, stranger)).toBe(true);
+    });
+
+    test('should show connections-only posts to connections only', () => {
+      const post = { author, visibility: 'connections' };
+
+      expect(canViewPost(post, connection)).toBe(true);
+      expect(canViewPost(post, stranger)).toBe(false);
+    });
+
+    test('should show private posts to their author only', () => {
+      const post = { author, visibility: 'private' };
+
+      expect(canViewPost(post, { _id: author, connections: [] })).toBe(true);
+      expect(canViewPost(post, connection)).toBe(false);
+    });
+
+    test('should show drafts and scheduled posts to their author only', () => {
+      for (const status of ['draft', 'scheduled']) {
+        const post = { author, visibility: 'public', status };
+
+        expect(canViewPost(post, { _id: author, connections: [] })).toBe(true);
+        expect(canViewPost(post, connection)).toBe(false);
+        expect(canViewPost(post, stranger)).toBe(false);
+      }
+    });
+
+    test('should accept a populated author and string ids', () => {
+      const post = { author: { _id: author, name: 'Author' }, visibility: 'connections' };
+
+      expect(canViewPost(post, { _id: connection._id.toString(), connections: [author.toString()] })).toBe(true);
+    });
+  });
+
+  describe('buildVisibilityFilter', () => {
+    test('should wrap its conditions in an $and that cursor filters can sit next to', () => {
+      const filter = buildVisibilityFilter(connection);
+
+      expect(Object.keys(filter)).toEqual(['$and']);
+      expect(filter.$and[0].$or).toEqual([
+        { author: connection._id },
+        { visibility: { $in: ['public', null] } },
+        { visibility: 'connections', author: { $in: [author] } },
+      ]);
+    });
+
+    test('should leave out unpublished posts, the viewer\'s own included', () => {
+      expect(buildVisibilityFilter(connection).$and[1]).toEqual({ status: { $in: ['published', null] } });
+    });
+  });
+
+  describe('isPublished', () => {
+    test('should treat posts without a status as published', () => {
+      expect(isPublished({})).toBe(true);
+      expect(isPublished({ status: 'published' })).toBe(true);
+      expect(isPublished({ status: 'draft' })).toBe(false);
+      expect(isPublished({ status: 'scheduled' })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import zlib from 'zlib';
+import { crc32, createZip } from '../../lib/zip.js';
+
+// walks the central directory and inflates every entry back out
+const readZip = (archive) => {
+  const endOffset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = archive.readUInt16LE(endOffset + 10);
+  let offset = archive.readUInt32LE(endOffset + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i++) {
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const checksum = archive.readUInt32LE(offset + 16);
+    const name = archive.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26);
+    const data = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+
+    entries[name] = { data: data.toString('utf8'), checksum };
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+describe('zip', () => {
+  test('should compute the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  test('should round-trip files through the archive', () => {
+    const archive = createZip([
+      { name: 'profile.json', data: JSON.stringify({ name: 'Test User' }) },
+      { name: 'notes/ünïcode.txt', data: 'héllo '.repeat(50) },
+    ]);
+
+    const entries = readZip(archive);
+
+    expect(Object.keys(entries)).toEqual(['profile.json', 'notes/ünïcode.txt']);
+    expect(JSON.parse(entries['profile.json'].data)).toEqual({ name: 'Test User' });
+    expect(entries['notes/ünïcode.txt'].data).toBe('héllo '.repeat(50));
+    expect(entries['profile.json'].checksum).toBe(crc32(Buffer.from(JSON.stringify({ name: 'Test User' }))));
+  });
+
+  test('should produce a valid empty archive', () => {
+    const archive = createZip([]);
+
+    expect(archive).toHaveLength(22);
+    expect(archive.readUInt32LE(0)).toBe(0x06054b50);
+  });
+});
@@ -1,7 +1,8 @@
 import jwt from 'jsonwebtoken';
 import User from '../../models/user.model.js';
-import { protectRoute } from '../../middleware/auth.middleware.js';
-import { createTestUser, createAuthToken } from '../setup.js';
+import { allowTokenScope, authorize, protectRoute, requireVerifiedEmail } from '../../middleware/auth.middleware.js';
+import { createAccessToken } from '../../lib/accessTokens.js';
+import { createTestUser, createAuthToken, createTestSession } from '../setup.js';
 
 // Mock response object
 const mockResponse = () => {
@@ -31,7 +32,8 @@ describe('Auth Middleware', () => {
 
   describe('protectRoute middleware', () => {
     test('should authenticate valid JWT token', async () => {
-      const token = createAuthToken(testUser._id);
+      const session = await createTestSession(testUser._id);
+      const token = createAuthToken(testUser._id, session._id);
       const req = mockRequest({
         cookies: { 'jwt-linkedin': token },
       });
@@ -45,6 +47,76 @@ describe('Auth Middleware', () => {
       expect(req.user._id.toString()).toBe(testUser._id.toString());
       expect(req.user.email).toBe(testUser.email);
       expect(req.user.username).toBe(testUser.username);
+      expect(req.session._id.toString()).toBe(session._id.toString());
+    });
+
+    test('should reject suspended users', async () => {
+      await User.updateOne(
+        { _id: testUser._id },
+        { suspendedAt: new Date(), suspensionReason: 'Spam' }
+      );
+      const session = await createTestSession(testUser._id);
+      const req = mockRequest({
+        cookies: { 'jwt-linkedin': createAuthToken(testUser._id, session._id) },
+      });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await protectRoute(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Your account has been suspended', reason: 'Spam' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject tokens without a session', async () => {
+      const token = createAuthToken(testUser._id);
+      const req = mockRequest({
+        cookies: { 'jwt-linkedin': token },
+      });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await protectRoute(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Unauthorized - Session revoked' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject tokens for a revoked session', async () => {
+      const session = await createTestSession(testUser._id, { revokedAt: new Date() });
+      const token = createAuthToken(testUser._id, session._id);
+      const req = mockRequest({
+        cookies: { 'jwt-linkedin': token },
+      });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await protectRoute(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Unauthorized - Session revoked' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject sessions that belong to another user', async () => {
+      const otherUser = await new User({
+        ...createTestUser({ username: 'other', email: 'other@example.com' }),
+        password: 'hashedpassword123',
+      }).save();
+      const session = await createTestSession(otherUser._id);
+      const token = createAuthToken(testUser._id, session._id);
+      const req = mockRequest({
+        cookies: { 'jwt-linkedin': token },
+      });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await protectRoute(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
     });
 
     test('should reject request without JWT token', async () => {
@@ -69,8 +141,8 @@ describe('Auth Middleware', () => {
 
       await protectRoute(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith({ message: 'Internal server error' });
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Unauthorized - Invalid Token' });
       expect(next).not.toHaveBeenCalled();
       expect(req.user).toBeFalsy();
     });
@@ -91,12 +163,32 @@ describe('Auth Middleware', () => {
 
       await protectRoute(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith({ message: 'Internal server error' });
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Unauthorized - Token expired' });
       expect(next).not.toHaveBeenCalled();
       expect(req.user).toBeFalsy();
     });
 
+    test('should answer 401 once a session\'s access token expires, so the client refreshes it', async () => {
+      const session = await createTestSession(testUser._id);
+      const now = Math.floor(Date.now() / 1000);
+      const expiredToken = jwt.sign(
+        { userId: testUser._id, sessionId: session._id, iat: now - 16 * 60, exp: now - 60 },
+        process.env.JWT_SECRET
+      );
+      const req = mockRequest({
+        cookies: { 'jwt-linkedin': expiredToken },
+      });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await protectRoute(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Unauthorized - Token expired' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
     test('should reject request for non-existent user', async () => {
       // Create token with non-existent user ID
       const nonExistentUserId = '60d0fe4f5311236168a109ca';
@@ -132,8 +224,8 @@ describe('Auth Middleware', () => {
 
       await protectRoute(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith({ message: 'Internal server error' });
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Unauthorized - Invalid Token' });
       expect(next).not.toHaveBeenCalled();
       expect(req.user).toBeFalsy();
     });
@@ -147,8 +239,8 @@ describe('Auth Middleware', () => {
 
       await protectRoute(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith({ message: 'Internal server error' });
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Unauthorized - Invalid Token' });
       expect(next).not.toHaveBeenCalled();
       expect(req.user).toBeFalsy();
     });
@@ -183,7 +275,8 @@ describe('Auth Middleware', () => {
     });
 
     test('should exclude password from user object', async () => {
-      const token = createAuthToken(testUser._id);
+      const session = await createTestSession(testUser._id);
+      const token = createAuthToken(testUser._id, session._id);
       const req = mockRequest({
         cookies: { 'jwt-linkedin': token },
       });
@@ -217,6 +310,28 @@ describe('Auth Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    test('should reject tokens issued before the last password reset', async () => {
+      const token = jwt.sign(
+        { userId: testUser._id, iat: Math.floor(Date.now() / 1000) - 60 },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+      testUser.passwordChangedAt = new Date();
+      await testUser.save();
+
+      const req = mockRequest({
+        cookies: { 'jwt-linkedin': token },
+      });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await protectRoute(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Unauthorized - Session expired' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
     test('should handle empty cookie value', async () => {
       const req = mockRequest({
         cookies: { 'jwt-linkedin': '' },
@@ -281,4 +396,131 @@ describe('Auth Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
   });
-}); 
\ No newline at end of file
+
+  describe('requireVerifiedEmail middleware', () => {
+    test('should allow verified users through', () => {
+      const req = mockRequest({ user: { isVerified: true } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      requireVerifiedEmail(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject unverified users', () => {
+      const req = mockRequest({ user: { isVerified: false } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      requireVerifiedEmail(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Please verify your email address to continue' });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authorize middleware', () => {
+    test('should allow users with a permitted role', () => {
+      const req = mockRequest({ user: { role: 'moderator' } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      authorize('admin', 'moderator')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject users without a permitted role', () => {
+      const req = mockRequest({ user: { role: 'user' } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      authorize('admin')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Forbidden - Insufficient permissions' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject requests that were never authenticated', () => {
+      const res = mockResponse();
+      const next = jest.fn();
+
+      authorize('admin')(mockRequest(), res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('personal access tokens', () => {
+    // runs allowTokenScope and protectRoute the way the routes chain them
+    const runWithScope = async (scope, token) => {
+      const req = mockRequest({ headers: { authorization: `Bearer ${token}` } });
+      const res = mockResponse();
+      const next = jest.fn();
+
+      if (scope) {
+        allowTokenScope(scope)(req, res, () => {});
+      }
+      await protectRoute(req, res, next);
+
+      return { req, res, next };
+    };
+
+    test('should authenticate a token with the required scope', async () => {
+      const { token } = await createAccessToken(testUser._id, { name: 'script', scopes: ['contests'] });
+
+      const { req, next } = await runWithScope('contests', token);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user._id.toString()).toBe(testUser._id.toString());
+      expect(req.accessToken.lastUsedAt).toBeDefined();
+    });
+
+    test('should reject tokens on routes that do not allow them', async () => {
+      const { token } = await createAccessToken(testUser._id, { name: 'script', scopes: ['contests'] });
+
+      const { res, next } = await runWithScope(null, token);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'This endpoint does not accept access tokens' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject tokens without the required scope', async () => {
+      const { token } = await createAccessToken(testUser._id, { name: 'script', scopes: ['read:posts'] });
+
+      const { res } = await runWithScope('write:posts', token);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Forbidden - Token is missing the write:posts scope' });
+    });
+
+    test('should reject expired and revoked tokens', async () => {
+      const expired = await createAccessToken(testUser._id, {
+        name: 'old',
+        scopes: ['contests'],
+        expiresAt: new Date(Date.now() - 1000),
+      });
+      const revoked = await createAccessToken(testUser._id, { name: 'revoked', scopes: ['contests'] });
+      revoked.accessToken.revokedAt = new Date();
+      await revoked.accessToken.save();
+
+      const expiredResult = await runWithScope('contests', expired.token);
+      const revokedResult = await runWithScope('contests', revoked.token);
+
+      expect(expiredResult.res.status).toHaveBeenCalledWith(401);
+      expect(revokedResult.res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should reject unknown tokens', async () => {
+      const { res } = await runWithScope('contests', 'acp_notarealtoken');
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Unauthorized - Invalid access token' });
+    });
+  });
+});
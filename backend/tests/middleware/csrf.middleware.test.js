@@ -0,0 +1,108 @@
+import { verifyCsrfToken } from '../../middleware/csrf.middleware.js';
+import { CSRF_COOKIE, issueCsrfToken, signCsrfSecret } from '../../lib/csrf.js';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.cookie = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  method: 'POST',
+  cookies: {},
+  headers: {},
+  ...overrides,
+});
+
+describe('CSRF protection', () => {
+  const run = (req) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    verifyCsrfToken(req, res, next);
+    return { res, next };
+  };
+
+  describe('issueCsrfToken', () => {
+    test('should set a new secret cookie and return its signature', () => {
+      const res = mockResponse();
+      const token = issueCsrfToken(mockRequest(), res);
+
+      expect(res.cookie).toHaveBeenCalledWith(
+        CSRF_COOKIE,
+        expect.any(String),
+        expect.objectContaining({ httpOnly: true, sameSite: 'strict' })
+      );
+      const secret = res.cookie.mock.calls[0][1];
+      expect(token).toBe(signCsrfSecret(secret));
+      expect(token).not.toBe(secret);
+    });
+
+    test('should keep the existing secret so other tabs stay valid', () => {
+      const res = mockResponse();
+      const token = issueCsrfToken(mockRequest({ cookies: { [CSRF_COOKIE]: 'existing-secret' } }), res);
+
+      expect(res.cookie.mock.calls[0][1]).toBe('existing-secret');
+      expect(token).toBe(signCsrfSecret('existing-secret'));
+    });
+  });
+
+  describe('verifyCsrfToken', () => {
+    test.each(['GET', 'HEAD', 'OPTIONS'])('should let %s requests through without a token', (method) => {
+      const { next } = run(mockRequest({ method }));
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should accept a token matching the secret cookie', () => {
+      const { next } = run(
+        mockRequest({
+          cookies: { [CSRF_COOKIE]: 'secret' },
+          headers: { 'x-csrf-token': signCsrfSecret('secret') },
+        })
+      );
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test.each(['PUT', 'DELETE', 'PATCH', 'POST'])('should reject %s requests without a token', (method) => {
+      const { res, next } = run(mockRequest({ method, cookies: { [CSRF_COOKIE]: 'secret' } }));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid CSRF token', code: 'CSRF_TOKEN_INVALID' });
+    });
+
+    test('should reject a token signed for a different secret', () => {
+      const { res, next } = run(
+        mockRequest({
+          cookies: { [CSRF_COOKIE]: 'secret' },
+          headers: { 'x-csrf-token': signCsrfSecret('attacker-secret') },
+        })
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should reject the raw secret echoed back as the token', () => {
+      const { res } = run(
+        mockRequest({ cookies: { [CSRF_COOKIE]: 'secret' }, headers: { 'x-csrf-token': 'secret' } })
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should reject a token when the secret cookie is missing', () => {
+      const { res } = run(mockRequest({ headers: { 'x-csrf-token': signCsrfSecret('secret') } }));
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should skip bearer-authenticated requests', () => {
+      const { next } = run(mockRequest({ headers: { authorization: 'Bearer acp_abc' } }));
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
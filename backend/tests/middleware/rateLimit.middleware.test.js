@@ -0,0 +1,117 @@
+import { rateLimit } from '../../middleware/rateLimit.middleware.js';
+import { createMemoryStore, setRateLimitStore } from '../../lib/rateLimitStore.js';
+import { getRateLimitPolicy } from '../../lib/rateLimitPolicies.js';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  ip: '10.0.0.1',
+  user: null,
+  ...overrides,
+});
+
+describe('Rate limit middleware', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    setRateLimitStore(store);
+    process.env.RATE_LIMIT_LOGIN_MAX = '3';
+  });
+
+  afterEach(() => {
+    delete process.env.RATE_LIMIT_LOGIN_MAX;
+    delete process.env.RATE_LIMIT_POST_CREATE_MAX;
+  });
+
+  const hit = async (middleware, req) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware(req, res, next);
+    return { res, next };
+  };
+
+  test('should let requests through until the limit is reached', async () => {
+    const limiter = rateLimit('login');
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const { next } = await hit(limiter, mockRequest());
+      expect(next).toHaveBeenCalled();
+    }
+
+    const { res, next } = await hit(limiter, mockRequest());
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '900');
+  });
+
+  test('should count each IP separately', async () => {
+    const limiter = rateLimit('login');
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await hit(limiter, mockRequest());
+    }
+
+    const { next } = await hit(limiter, mockRequest({ ip: '10.0.0.2' }));
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should limit a user across IPs', async () => {
+    process.env.RATE_LIMIT_POST_CREATE_MAX = '2';
+    const limiter = rateLimit('postCreate');
+    const user = { _id: 'user-1' };
+
+    await hit(limiter, mockRequest({ user, ip: '10.0.0.1' }));
+    await hit(limiter, mockRequest({ user, ip: '10.0.0.2' }));
+    const { res } = await hit(limiter, mockRequest({ user, ip: '10.0.0.3' }));
+
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+
+  test('should start a new window once the old one expires', async () => {
+    jest.useFakeTimers();
+    const limiter = rateLimit('login');
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await hit(limiter, mockRequest());
+    }
+
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    const { next } = await hit(limiter, mockRequest());
+
+    expect(next).toHaveBeenCalled();
+    jest.useRealTimers();
+  });
+
+  test('should use a pluggable store', async () => {
+    const customStore = { increment: jest.fn().mockResolvedValue({ count: 99, resetAt: Date.now() + 5000 }) };
+    setRateLimitStore(customStore);
+
+    const { res } = await hit(rateLimit('login'), mockRequest());
+
+    expect(customStore.increment).toHaveBeenCalledWith('login:ip:10.0.0.1', 15 * 60 * 1000);
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '5');
+  });
+
+  test('should fail open when the store errors', async () => {
+    setRateLimitStore({ increment: jest.fn().mockRejectedValue(new Error('store down')) });
+
+    const { next } = await hit(rateLimit('login'), mockRequest());
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should read policy overrides from the environment', () => {
+    process.env.RATE_LIMIT_POST_CREATE_MAX = '7';
+
+    expect(getRateLimitPolicy('postCreate').max).toBe(7);
+    expect(() => getRateLimitPolicy('nope')).toThrow('Unknown rate limit policy');
+  });
+});
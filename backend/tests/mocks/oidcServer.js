@@ -0,0 +1,68 @@
+import express from 'express';
+import crypto from 'crypto';
+import { URL } from 'url';
+
+export const MOCK_ACCESS_TOKEN = 'mock-access-token';
+
+// Minimal OpenID Connect provider for tests: discovery, an authorize endpoint
+// that immediately redirects back with a code, PKCE-checked token exchange and
+// a userinfo endpoint returning whatever claims the test sets.
+export const startMockOidcServer = async (initialClaims = {}) => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const pendingCodes = new Map();
+  let claims = initialClaims;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+    });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const code = crypto.randomBytes(8).toString('hex');
+    pendingCodes.set(code, req.query.code_challenge);
+
+    const redirect = new URL(req.query.redirect_uri);
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', req.query.state);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const codeChallenge = pendingCodes.get(req.body.code);
+    pendingCodes.delete(req.body.code);
+
+    const expected = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (!codeChallenge || codeChallenge !== expected) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    res.json({ access_token: MOCK_ACCESS_TOKEN, token_type: 'Bearer' });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    if (req.get('authorization') !== `Bearer ${MOCK_ACCESS_TOKEN}`) {
+      return res.status(401).end();
+    }
+    res.json(claims);
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  // the routes above only read it once requests come in, after the server listens
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    setClaims: (nextClaims) => {
+      claims = nextClaims;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
@@ -1,6 +1,7 @@
 import { MongoMemoryServer } from 'mongodb-memory-server';
 import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
+import Session from '../models/session.model.js';
 
 let mongoServer;
 
@@ -46,8 +47,17 @@ export const createTestUser = (overrides = {}) => ({
   ...overrides,
 });
 
-export const createAuthToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '1h' });
+export const createAuthToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: '1h' });
+};
+
+export const createTestSession = (userId, overrides = {}) => {
+  return Session.create({
+    user: userId,
+    refreshTokenHash: 'test-refresh-token-hash',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides,
+  });
 };
 
 export const mockCloudinary = {
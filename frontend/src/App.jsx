@@ -4,15 +4,22 @@ import { Loader } from "lucide-react";
 import HomePage from "./pages/HomePage";
 import LoginPage from "./pages/auth/LoginPage";
 import SignUpPage from "./pages/auth/SignUpPage";
+import VerifyEmailPage from "./pages/auth/VerifyEmailPage";
+import ForgotPasswordPage from "./pages/auth/ForgotPasswordPage";
+import ResetPasswordPage from "./pages/auth/ResetPasswordPage";
 import toast, { Toaster } from "react-hot-toast";
 import { useQuery } from "@tanstack/react-query";
 import { axiosInstance } from "./lib/axios";
 import NotificationsPage from "./pages/NotificationsPage";
 import NetworkPage from "./pages/NetworkPage";
 import PostPage from "./pages/PostPage";
+import HashtagPage from "./pages/HashtagPage";
+import DraftsPage from "./pages/DraftsPage";
+import SavedPage from "./pages/SavedPage";
 import ProfilePage from "./pages/ProfilePage";
 import ContestPage from "./pages/ContestPage";
 import WishList from "./components/WishList";
+import AdminPage from "./pages/AdminPage";
 import { ReactQueryDevtools } from "@tanstack/react-query-devtools";
 
 function App() {
@@ -55,6 +62,12 @@ function App() {
 					path="/login"
 					element={!authUser ? <LoginPage /> : <Navigate to={"/"} />}
 				/>
+				<Route
+					path="/forgot-password"
+					element={!authUser ? <ForgotPasswordPage /> : <Navigate to={"/"} />}
+				/>
+				<Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+				<Route path="/verify-email/:token" element={<VerifyEmailPage />} />
 				<Route
 					path="/notifications"
 					element={
@@ -69,6 +82,18 @@ function App() {
 					path="/post/:postId"
 					element={authUser ? <PostPage /> : <Navigate to={"/login"} />}
 				/>
+				<Route
+					path="/hashtag/:tag"
+					element={authUser ? <HashtagPage /> : <Navigate to={"/login"} />}
+				/>
+				<Route
+					path="/drafts"
+					element={authUser ? <DraftsPage /> : <Navigate to={"/login"} />}
+				/>
+				<Route
+					path="/saved"
+					element={authUser ? <SavedPage /> : <Navigate to={"/login"} />}
+				/>
 				<Route
 					path="/profile/:username"
 					element={authUser ? <ProfilePage /> : <Navigate to={"/login"} />}
@@ -81,6 +106,10 @@ function App() {
 					path="/wishlist"
 					element={authUser ? <WishList /> : <Navigate to={"/login"} />}
 				/>
+				<Route
+					path="/admin"
+					element={authUser?.role === "admin" ? <AdminPage /> : <Navigate to={"/"} />}
+				/>
 			</Routes>
 			<Toaster />
 		</Layout>
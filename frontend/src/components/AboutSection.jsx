@@ -1,8 +1,12 @@
 import { useState } from "react";
 
+import { unescapeMarkdown } from "../utils/markdown";
+
+import MarkdownRenderer from "./MarkdownRenderer";
+
 const AboutSection = ({ userData, isOwnProfile, onSave }) => {
 	const [isEditing, setIsEditing] = useState(false);
-	const [about, setAbout] = useState(userData.about || "");
+	const [about, setAbout] = useState(unescapeMarkdown(userData.about));
 
 	const handleSave = () => {
 		setIsEditing(false);
@@ -11,34 +15,33 @@ const AboutSection = ({ userData, isOwnProfile, onSave }) => {
 	return (
 		<div className='bg-white shadow rounded-lg p-6 mb-6'>
 			<h2 className='text-xl font-semibold mb-4'>About</h2>
-			{isOwnProfile && (
+			{isEditing ? (
+				<>
+					<textarea
+						value={about}
+						onChange={(e) => setAbout(e.target.value)}
+						className='w-full p-2 border rounded'
+						rows='4'
+					/>
+					<p className='text-xs text-info'>Supports **bold**, *italics*, `code`, [links](https://example.com), lists and &gt; quotes</p>
+					<button
+						onClick={handleSave}
+						className='mt-2 bg-primary text-white py-2 px-4 rounded hover:bg-primary-dark 
+						transition duration-300'
+					>
+						Save
+					</button>
+				</>
+			) : (
 				<>
-					{isEditing ? (
-						<>
-							<textarea
-								value={about}
-								onChange={(e) => setAbout(e.target.value)}
-								className='w-full p-2 border rounded'
-								rows='4'
-							/>
-							<button
-								onClick={handleSave}
-								className='mt-2 bg-primary text-white py-2 px-4 rounded hover:bg-primary-dark 
-								transition duration-300'
-							>
-								Save
-							</button>
-						</>
-					) : (
-						<>
-							<p>{userData.about}</p>
-							<button
-								onClick={() => setIsEditing(true)}
-								className='mt-2 text-primary hover:text-primary-dark transition duration-300'
-							>
-								Edit
-							</button>
-						</>
+					<MarkdownRenderer text={userData.about} />
+					{isOwnProfile && (
+						<button
+							onClick={() => setIsEditing(true)}
+							className='mt-2 text-primary hover:text-primary-dark transition duration-300'
+						>
+							Edit
+						</button>
 					)}
 				</>
 			)}
@@ -0,0 +1,178 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import toast from "react-hot-toast";
+import { KeyRound, Loader, Plus } from "lucide-react";
+
+import { axiosInstance } from "../lib/axios";
+
+const EXPIRY_OPTIONS = [
+	["7 days", 7],
+	["30 days", 30],
+	["90 days", 90],
+	["1 year", 365],
+	["Never", null],
+];
+
+const AccessTokensSection = () => {
+	const queryClient = useQueryClient();
+	const [isCreating, setIsCreating] = useState(false);
+	const [name, setName] = useState("");
+	const [scopes, setScopes] = useState([]);
+	const [expiresInDays, setExpiresInDays] = useState(30);
+	const [newToken, setNewToken] = useState(null);
+
+	const { data, isLoading } = useQuery({
+		queryKey: ["accessTokens"],
+		queryFn: async () => {
+			const res = await axiosInstance.get("/auth/tokens");
+			return res.data;
+		},
+	});
+
+	const { mutate: createToken, isPending: isSaving } = useMutation({
+		mutationFn: () => axiosInstance.post("/auth/tokens", { name, scopes, expiresInDays }),
+		onSuccess: (res) => {
+			setNewToken(res.data.token);
+			setIsCreating(false);
+			setName("");
+			setScopes([]);
+			queryClient.invalidateQueries({ queryKey: ["accessTokens"] });
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to create token");
+		},
+	});
+
+	const { mutate: revokeToken } = useMutation({
+		mutationFn: (tokenId) => axiosInstance.delete(`/auth/tokens/${tokenId}`),
+		onSuccess: () => {
+			toast.success("Token revoked");
+			queryClient.invalidateQueries({ queryKey: ["accessTokens"] });
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to revoke token");
+		},
+	});
+
+	const toggleScope = (scope) => {
+		setScopes(scopes.includes(scope) ? scopes.filter((s) => s !== scope) : [...scopes, scope]);
+	};
+
+	const handleCreate = (e) => {
+		e.preventDefault();
+		createToken();
+	};
+
+	const copyToken = async () => {
+		await navigator.clipboard.writeText(newToken);
+		toast.success("Token copied");
+	};
+
+	return (
+		<div className="bg-white shadow rounded-lg p-6 mb-6">
+			<div className="flex items-center justify-between mb-4">
+				<h2 className="text-xl font-semibold">Personal access tokens</h2>
+				{!isCreating && (
+					<button onClick={() => setIsCreating(true)} className="text-sm text-primary flex items-center">
+						<Plus size={16} className="mr-1" />
+						New token
+					</button>
+				)}
+			</div>
+
+			<p className="text-sm text-gray-600 mb-4">
+				Use a token to call the API from scripts with an <code>Authorization: Bearer</code> header. It can
+				only do what its scopes allow.
+			</p>
+
+			{newToken && (
+				<div className="mb-4 p-4 bg-yellow-50 rounded">
+					<p className="text-sm mb-2">Copy your new token now, you won&apos;t be able to see it again.</p>
+					<div className="flex items-center gap-2">
+						<code className="text-sm break-all flex-grow">{newToken}</code>
+						<button onClick={copyToken} className="btn btn-sm">
+							Copy
+						</button>
+					</div>
+				</div>
+			)}
+
+			{isCreating && (
+				<form onSubmit={handleCreate} className="border rounded p-4 mb-4 space-y-3">
+					<input
+						type="text"
+						value={name}
+						onChange={(e) => setName(e.target.value)}
+						placeholder="What's this token for?"
+						className="input input-bordered input-sm w-full"
+						required
+					/>
+					<div className="grid grid-cols-2 md:grid-cols-3 gap-1">
+						{data?.scopes.map((scope) => (
+							<label key={scope} className="flex items-center text-sm gap-2">
+								<input
+									type="checkbox"
+									checked={scopes.includes(scope)}
+									onChange={() => toggleScope(scope)}
+									className="checkbox checkbox-sm"
+								/>
+								{scope}
+							</label>
+						))}
+					</div>
+					<select
+						value={expiresInDays ?? ""}
+						onChange={(e) => setExpiresInDays(e.target.value ? Number(e.target.value) : null)}
+						className="select select-bordered select-sm"
+					>
+						{EXPIRY_OPTIONS.map(([label, days]) => (
+							<option key={label} value={days ?? ""}>
+								Expires in {label.toLowerCase()}
+							</option>
+						))}
+					</select>
+					<div className="flex gap-2">
+						<button type="submit" disabled={!name || scopes.length === 0 || isSaving} className="btn btn-primary btn-sm">
+							Create token
+						</button>
+						<button type="button" onClick={() => setIsCreating(false)} className="btn btn-ghost btn-sm">
+							Cancel
+						</button>
+					</div>
+				</form>
+			)}
+
+			{isLoading && <Loader className="animate-spin text-primary" />}
+
+			<ul className="divide-y">
+				{data?.tokens.map((token) => (
+					<li key={token._id} className="flex items-center justify-between py-3">
+						<div className="flex items-center">
+							<KeyRound size={20} className="mr-3 text-gray-500" />
+							<div>
+								<p className="font-semibold">
+									{token.name} <code className="text-xs text-gray-500">{token.prefix}…</code>
+								</p>
+								<p className="text-xs text-gray-500">{token.scopes.join(", ")}</p>
+								<p className="text-xs text-gray-500">
+									{token.lastUsedAt
+										? `Last used ${formatDistanceToNow(new Date(token.lastUsedAt), { addSuffix: true })}`
+										: "Never used"}
+									{" · "}
+									{token.expiresAt
+										? `Expires ${formatDistanceToNow(new Date(token.expiresAt), { addSuffix: true })}`
+										: "Never expires"}
+								</p>
+							</div>
+						</div>
+						<button onClick={() => revokeToken(token._id)} className="text-sm text-red-500 hover:text-red-700">
+							Revoke
+						</button>
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+};
+export default AccessTokensSection;
@@ -0,0 +1,91 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { Download, Trash2 } from "lucide-react";
+
+import { API_BASE_URL, axiosInstance } from "../lib/axios";
+
+const AccountDataSection = ({ username }) => {
+	const queryClient = useQueryClient();
+	const [isDeleting, setIsDeleting] = useState(false);
+	const [confirmation, setConfirmation] = useState("");
+
+	const { mutate: deleteAccount, isPending } = useMutation({
+		mutationFn: () => axiosInstance.delete("/users/me", { data: { confirmation } }),
+		onSuccess: () => {
+			toast.success("Your account has been deleted");
+			queryClient.invalidateQueries({ queryKey: ["authUser"] });
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to delete account");
+		},
+	});
+
+	const handleDelete = (e) => {
+		e.preventDefault();
+		deleteAccount();
+	};
+
+	return (
+		<div className="bg-white shadow rounded-lg p-6 mb-6">
+			<h2 className="text-xl font-semibold mb-4">Your data</h2>
+
+			<p className="text-sm text-gray-600 mb-3">
+				Download a copy of your profile, posts, comments, likes, connections, notifications and contest
+				wishlist.
+			</p>
+			<div className="flex gap-2 mb-6">
+				<a href={`${API_BASE_URL}/users/me/export`} className="btn btn-sm" download>
+					<Download size={16} />
+					JSON
+				</a>
+				<a href={`${API_BASE_URL}/users/me/export?format=zip`} className="btn btn-sm" download>
+					<Download size={16} />
+					ZIP
+				</a>
+			</div>
+
+			{!isDeleting ? (
+				<button onClick={() => setIsDeleting(true)} className="text-sm text-red-500 hover:text-red-700 flex items-center">
+					<Trash2 size={16} className="mr-1" />
+					Delete account
+				</button>
+			) : (
+				<form onSubmit={handleDelete} className="border border-red-200 rounded p-4">
+					<p className="text-sm mb-3">
+						This permanently deletes your account, posts and connections. Comments you left on other
+						posts stay up without your name. Type <span className="font-semibold">{username}</span> to
+						confirm.
+					</p>
+					<div className="flex flex-wrap gap-2">
+						<input
+							type="text"
+							value={confirmation}
+							onChange={(e) => setConfirmation(e.target.value)}
+							className="input input-bordered input-sm"
+							placeholder={username}
+						/>
+						<button
+							type="submit"
+							disabled={confirmation !== username || isPending}
+							className="btn btn-sm btn-error"
+						>
+							Delete my account
+						</button>
+						<button
+							type="button"
+							onClick={() => {
+								setIsDeleting(false);
+								setConfirmation("");
+							}}
+							className="btn btn-sm btn-ghost"
+						>
+							Cancel
+						</button>
+					</div>
+				</form>
+			)}
+		</div>
+	);
+};
+export default AccountDataSection;
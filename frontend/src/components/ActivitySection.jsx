@@ -0,0 +1,50 @@
+import { useInfiniteQuery } from "@tanstack/react-query";
+import { Loader } from "lucide-react";
+
+import { axiosInstance } from "../lib/axios";
+
+import Post from "./Post";
+
+// the posts on a profile, as far as the viewer may see them
+const ActivitySection = ({ username }) => {
+	const { data, fetchNextPage, hasNextPage, isFetchingNextPage, isLoading } = useInfiniteQuery({
+		queryKey: ["posts", "user", username],
+		queryFn: async ({ pageParam }) => {
+			const res = await axiosInstance.get(`/posts/user/${encodeURIComponent(username)}`, {
+				params: { cursor: pageParam },
+			});
+			return res.data;
+		},
+		initialPageParam: undefined,
+		getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+	});
+	const posts = data?.pages.flatMap((page) => page.posts);
+
+	return (
+		<div className="bg-white shadow rounded-lg p-6 mb-6">
+			<h2 className="text-xl font-semibold mb-4">Activity</h2>
+
+			{isLoading && <Loader className="animate-spin text-primary" />}
+
+			{posts?.map((post) => (
+				<Post
+					key={post._id}
+					post={post}
+				/>
+			))}
+
+			{posts?.length === 0 && <p className="text-gray-500">No posts yet</p>}
+
+			{hasNextPage && (
+				<button
+					onClick={() => fetchNextPage()}
+					disabled={isFetchingNextPage}
+					className="text-primary hover:underline text-sm"
+				>
+					{isFetchingNextPage ? "Loading..." : "Show more posts"}
+				</button>
+			)}
+		</div>
+	);
+};
+export default ActivitySection;
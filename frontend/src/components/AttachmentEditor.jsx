@@ -0,0 +1,74 @@
+import { FileText, X } from "lucide-react";
+
+import { MAX_ALT_TEXT_LENGTH } from "../utils/media";
+
+const Preview = ({ attachment }) => {
+	if (attachment.type === "video") {
+		return (
+			<video
+				src={attachment.url}
+				muted
+				className='w-full h-32 object-cover rounded'
+			/>
+		);
+	}
+
+	if (attachment.type === "document") {
+		return (
+			<div className='h-32 flex flex-col items-center justify-center text-info text-sm text-center'>
+				<FileText size={32} />
+				<span className='truncate max-w-full'>{attachment.name || "PDF document"}</span>
+				{attachment.pageCount && <span>{attachment.pageCount} pages</span>}
+			</div>
+		);
+	}
+
+	return (
+		<img
+			src={attachment.url}
+			alt={attachment.altText || "Attachment"}
+			className='w-full h-32 object-cover rounded'
+		/>
+	);
+};
+
+// the attachments of a post being written or edited, each with its alt text
+const AttachmentEditor = ({ attachments, onChange }) => {
+	if (!attachments.length) {
+		return null;
+	}
+
+	const updateAltText = (key, altText) =>
+		onChange(attachments.map((attachment) => (attachment.key === key ? { ...attachment, altText } : attachment)));
+
+	return (
+		<ul className='mt-4 grid grid-cols-2 gap-2'>
+			{attachments.map((attachment) => (
+				<li
+					key={attachment.key}
+					className='relative bg-base-100 rounded-lg p-2'
+				>
+					<Preview attachment={attachment} />
+					<input
+						type='text'
+						value={attachment.altText}
+						onChange={(e) => updateAltText(attachment.key, e.target.value)}
+						maxLength={MAX_ALT_TEXT_LENGTH}
+						placeholder='Alt text, for people using screen readers'
+						aria-label='Alt text'
+						className='mt-2 w-full p-1 text-sm rounded bg-white focus:outline-none'
+					/>
+					<button
+						type='button'
+						onClick={() => onChange(attachments.filter((other) => other.key !== attachment.key))}
+						aria-label='Remove attachment'
+						className='absolute top-3 right-3 bg-white rounded-full p-1 text-info hover:text-red-500'
+					>
+						<X size={16} />
+					</button>
+				</li>
+			))}
+		</ul>
+	);
+};
+export default AttachmentEditor;
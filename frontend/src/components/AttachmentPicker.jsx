@@ -0,0 +1,38 @@
+import toast from "react-hot-toast";
+
+import { ATTACHMENT_ACCEPT, checkAttachments, getAttachmentType, readFileAsDataURL, toDraftAttachment } from "../utils/media";
+
+// adds picked files to a post's attachments, unless the server would turn them down anyway
+const AttachmentPicker = ({ attachments, onChange, className, children }) => {
+	const handleChange = async (e) => {
+		const files = [...e.target.files];
+		// so that picking the same file again after removing it still counts as a change
+		e.target.value = "";
+
+		const error = checkAttachments([
+			...attachments,
+			...files.map((file) => ({ type: getAttachmentType(file.type), size: file.size, name: file.name })),
+		]);
+		if (error) {
+			toast.error(error);
+			return;
+		}
+
+		const added = await Promise.all(files.map(async (file) => toDraftAttachment(file, await readFileAsDataURL(file))));
+		onChange([...attachments, ...added]);
+	};
+
+	return (
+		<label className={className}>
+			{children}
+			<input
+				type='file'
+				accept={ATTACHMENT_ACCEPT}
+				multiple
+				className='hidden'
+				onChange={handleChange}
+			/>
+		</label>
+	);
+};
+export default AttachmentPicker;
@@ -0,0 +1,71 @@
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { Check, Copy } from "lucide-react";
+
+import { getCodeLanguageLabel, highlightCode } from "../utils/codeBlocks";
+
+const TOKEN_CLASSES = {
+	comment: "text-gray-500 italic",
+	keyword: "text-purple-400",
+	string: "text-green-400",
+	number: "text-orange-300",
+	plain: "",
+};
+
+// a highlighted snippet with line numbers and a copy button; `preview` leaves out the button
+const CodeBlock = ({ code, language, preview = false }) => {
+	const [copied, setCopied] = useState(false);
+	const lines = highlightCode(code, language);
+
+	const handleCopy = async () => {
+		try {
+			await navigator.clipboard.writeText(code);
+			setCopied(true);
+			setTimeout(() => setCopied(false), 2000);
+		} catch {
+			toast.error("Couldn't copy the code");
+		}
+	};
+
+	return (
+		<div className="my-2 rounded-lg overflow-hidden bg-gray-900 text-gray-100 text-sm">
+			<div className="flex items-center justify-between px-3 py-1 bg-gray-800 text-xs text-gray-400">
+				<span>{getCodeLanguageLabel(language)}</span>
+				{!preview && (
+					<button
+						type="button"
+						onClick={handleCopy}
+						aria-label="Copy code"
+						className="flex items-center gap-1 hover:text-white"
+					>
+						{copied ? <Check size={14} /> : <Copy size={14} />}
+						{copied ? "Copied" : "Copy"}
+					</button>
+				)}
+			</div>
+			<pre className="overflow-x-auto py-2 font-mono leading-relaxed">
+				<code className="table">
+					{lines.map((line) => (
+						<span
+							key={line.number}
+							className="table-row"
+						>
+							<span className="table-cell select-none pl-3 pr-4 text-right text-gray-500">{line.number}</span>
+							<span className="table-cell pr-3 whitespace-pre">
+								{line.tokens.map((token) => (
+									<span
+										key={token.column}
+										className={TOKEN_CLASSES[token.type]}
+									>
+										{token.text}
+									</span>
+								))}
+							</span>
+						</span>
+					))}
+				</code>
+			</pre>
+		</div>
+	);
+};
+export default CodeBlock;
@@ -0,0 +1,65 @@
+import { useState } from "react";
+
+import { CODE_LANGUAGES, toCodeBlock } from "../utils/codeBlocks";
+
+// writes a code block into the post, `onInsert` gets it as Markdown-style fenced text
+const CodeSnippetForm = ({ onInsert, onCancel }) => {
+	const [language, setLanguage] = useState("cpp");
+	const [code, setCode] = useState("");
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		onInsert(toCodeBlock(code, language));
+	};
+
+	// a tab indents instead of leaving the field
+	const handleKeyDown = (e) => {
+		if (e.key !== "Tab" || e.shiftKey) {
+			return;
+		}
+		e.preventDefault();
+		const { selectionStart, selectionEnd } = e.target;
+		setCode(`${code.slice(0, selectionStart)}\t${code.slice(selectionEnd)}`);
+		requestAnimationFrame(() => e.target.setSelectionRange(selectionStart + 1, selectionStart + 1));
+	};
+
+	return (
+		<form onSubmit={handleSubmit} className='mt-4 p-3 border border-base-200 rounded-lg space-y-2 text-sm'>
+			<div className='flex items-center justify-between'>
+				<span className='font-semibold'>Code snippet</span>
+				<select
+					value={language}
+					onChange={(e) => setLanguage(e.target.value)}
+					aria-label='Language'
+					className='select select-bordered select-sm'
+				>
+					{CODE_LANGUAGES.map((option) => (
+						<option
+							key={option.value}
+							value={option.value}
+						>
+							{option.label}
+						</option>
+					))}
+				</select>
+			</div>
+			<textarea
+				value={code}
+				onChange={(e) => setCode(e.target.value)}
+				onKeyDown={handleKeyDown}
+				placeholder='Paste or write your code'
+				spellCheck={false}
+				className='w-full p-2 rounded-lg bg-gray-900 text-gray-100 font-mono min-h-[120px] focus:outline-none'
+			/>
+			<div className='flex justify-end gap-2'>
+				<button type='button' onClick={onCancel} className='btn btn-ghost btn-sm'>
+					Cancel
+				</button>
+				<button type='submit' disabled={!code.trim()} className='btn btn-primary btn-sm'>
+					Insert
+				</button>
+			</div>
+		</form>
+	);
+};
+export default CodeSnippetForm;
@@ -0,0 +1,221 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { CalendarClock, FilePen, Loader, Paperclip, Pencil, Send, Trash2, Undo2 } from "lucide-react";
+import { formatDistanceToNow } from "date-fns";
+
+import { axiosInstance } from "../lib/axios";
+import { formatScheduledTime } from "../utils/dateUtils";
+import { unescapeMarkdown } from "../utils/markdown";
+import { toAttachmentPayload, toEditableAttachment } from "../utils/media";
+import { getVisibility } from "../utils/visibility";
+
+import AttachmentEditor from "./AttachmentEditor";
+import AttachmentPicker from "./AttachmentPicker";
+import MarkdownRenderer from "./MarkdownRenderer";
+import MentionTextarea from "./MentionTextarea";
+import PostAttachments from "./PostAttachments";
+import PostPoll from "./PostPoll";
+import SchedulePicker from "./SchedulePicker";
+import VisibilitySelect from "./VisibilitySelect";
+
+// one of the viewer's drafts or scheduled posts, which only they can see until it's published
+const DraftPost = ({ post }) => {
+	const [isEditing, setIsEditing] = useState(false);
+	const [isScheduling, setIsScheduling] = useState(false);
+	const [editedContent, setEditedContent] = useState(unescapeMarkdown(post.content));
+	const [editedAttachments, setEditedAttachments] = useState([]);
+	const [editedVisibility, setEditedVisibility] = useState(post.visibility);
+	const [confirmDelete, setConfirmDelete] = useState(false);
+	const isScheduled = post.status === "scheduled";
+	const visibility = getVisibility(post.visibility);
+
+	const queryClient = useQueryClient();
+
+	// every change can move a post between the drafts and the feed
+	const refreshAfter = (successMessage) => ({
+		onSuccess: () => {
+			setIsEditing(false);
+			setIsScheduling(false);
+			queryClient.invalidateQueries({ queryKey: ["drafts"] });
+			queryClient.invalidateQueries({ queryKey: ["posts"] });
+			toast.success(successMessage);
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Something went wrong");
+		},
+	});
+
+	const { mutate: updateDraft, isPending: isUpdating } = useMutation({
+		mutationFn: (changes) => axiosInstance.put(`/posts/${post._id}`, changes),
+		...refreshAfter("Draft updated"),
+	});
+	const { mutate: publishDraft, isPending: isPublishing } = useMutation({
+		mutationFn: () => axiosInstance.post(`/posts/${post._id}/publish`),
+		...refreshAfter("Post published"),
+	});
+	const { mutate: scheduleDraft, isPending: isSchedulingDraft } = useMutation({
+		mutationFn: (publishAt) => axiosInstance.put(`/posts/${post._id}/schedule`, { publishAt }),
+		...refreshAfter(isScheduled ? "Schedule updated" : "Post scheduled"),
+	});
+	const { mutate: unscheduleDraft, isPending: isUnscheduling } = useMutation({
+		mutationFn: () => axiosInstance.put(`/posts/${post._id}/schedule`, { publishAt: null }),
+		...refreshAfter("Moved back to drafts"),
+	});
+	const { mutate: deleteDraft, isPending: isDeleting } = useMutation({
+		mutationFn: () => axiosInstance.delete(`/posts/delete/${post._id}`),
+		...refreshAfter("Draft deleted"),
+	});
+
+	const startEditing = () => {
+		setEditedContent(unescapeMarkdown(post.content));
+		setEditedAttachments((post.attachments ?? []).map(toEditableAttachment));
+		setEditedVisibility(post.visibility);
+		setIsScheduling(false);
+		setIsEditing(true);
+	};
+
+	const handleUpdateDraft = (e) => {
+		e.preventDefault();
+		updateDraft({
+			content: editedContent,
+			attachments: toAttachmentPayload(editedAttachments),
+			visibility: editedVisibility,
+		});
+	};
+
+	// two clicks instead of a blocking confirm dialog
+	const handleDeleteDraft = () => {
+		if (confirmDelete) {
+			deleteDraft();
+		} else {
+			setConfirmDelete(true);
+		}
+	};
+
+	return (
+		<div className='bg-secondary rounded-lg shadow mb-4 p-4'>
+			<div className='flex items-center justify-between mb-4 text-sm text-info'>
+				<p className='flex items-center gap-1'>
+					{isScheduled ? <CalendarClock size={16} /> : <FilePen size={16} />}
+					{isScheduled
+						? `Scheduled for ${formatScheduledTime(post.publishAt)}`
+						: `Draft, saved ${formatDistanceToNow(new Date(post.updatedAt), { addSuffix: true })}`}
+					<span title={visibility.label}>
+						<visibility.Icon
+							size={12}
+							className='inline ml-1 align-[-1px]'
+							aria-label={visibility.label}
+						/>
+					</span>
+				</p>
+				<div className='flex items-center gap-3'>
+					{!isEditing && (
+						<button onClick={startEditing} aria-label='Edit draft' className='hover:text-primary'>
+							<Pencil size={18} />
+						</button>
+					)}
+					<button
+						onClick={handleDeleteDraft}
+						onBlur={() => setConfirmDelete(false)}
+						aria-label='Delete draft'
+						className='flex items-center gap-1 text-red-500 hover:text-red-700'
+					>
+						{isDeleting ? <Loader size={18} className='animate-spin' /> : <Trash2 size={18} />}
+						{confirmDelete && "Click again to delete"}
+					</button>
+				</div>
+			</div>
+
+			{isEditing ? (
+				<form onSubmit={handleUpdateDraft} className='mb-4 space-y-2'>
+					<MentionTextarea
+						className='w-full p-3 rounded-lg bg-base-100 focus:outline-none resize-none min-h-[100px]'
+						value={editedContent}
+						onChange={setEditedContent}
+					/>
+					<AttachmentEditor
+						attachments={editedAttachments}
+						onChange={setEditedAttachments}
+					/>
+					<div className='flex items-center gap-3 text-sm'>
+						<AttachmentPicker
+							attachments={editedAttachments}
+							onChange={setEditedAttachments}
+							className='flex items-center text-info hover:text-primary cursor-pointer'
+						>
+							<Paperclip size={16} className='mr-1' />
+							Add media
+						</AttachmentPicker>
+						<VisibilitySelect
+							value={editedVisibility}
+							onChange={setEditedVisibility}
+							className='flex items-center text-info'
+						/>
+						<div className='flex-grow' />
+						<button type='button' onClick={() => setIsEditing(false)} className='btn btn-ghost btn-sm'>
+							Cancel
+						</button>
+						<button type='submit' disabled={isUpdating} className='btn btn-primary btn-sm'>
+							{isUpdating ? <Loader size={18} className='animate-spin' /> : "Save"}
+						</button>
+					</div>
+				</form>
+			) : (
+				<>
+					{post.content && (
+						<MarkdownRenderer text={post.content} mentions={post.mentions} className='mb-4' />
+					)}
+					<PostPoll
+						post={post}
+						preview
+					/>
+					<PostAttachments
+						attachments={post.attachments}
+						className='mb-4'
+					/>
+				</>
+			)}
+
+			{!isEditing && (
+				<div className='flex items-center gap-4 text-sm text-info'>
+					<button
+						onClick={() => publishDraft()}
+						disabled={isPublishing}
+						className='flex items-center gap-1 hover:text-primary'
+					>
+						{isPublishing ? <Loader size={16} className='animate-spin' /> : <Send size={16} />}
+						Publish now
+					</button>
+					<button
+						onClick={() => setIsScheduling(!isScheduling)}
+						className='flex items-center gap-1 hover:text-primary'
+					>
+						<CalendarClock size={16} />
+						{isScheduled ? "Reschedule" : "Schedule"}
+					</button>
+					{isScheduled && (
+						<button
+							onClick={() => unscheduleDraft()}
+							disabled={isUnscheduling}
+							className='flex items-center gap-1 hover:text-primary'
+						>
+							<Undo2 size={16} />
+							Move to drafts
+						</button>
+					)}
+				</div>
+			)}
+
+			{isScheduling && (
+				<SchedulePicker
+					initialValue={post.publishAt}
+					onSchedule={scheduleDraft}
+					onCancel={() => setIsScheduling(false)}
+					isPending={isSchedulingDraft}
+				/>
+			)}
+		</div>
+	);
+};
+export default DraftPost;
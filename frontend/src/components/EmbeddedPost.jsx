@@ -0,0 +1,47 @@
+import { Link } from "react-router-dom";
+import { formatDistanceToNow } from "date-fns";
+
+import MarkdownRenderer from "./MarkdownRenderer";
+import PostAttachments from "./PostAttachments";
+import PostPoll from "./PostPoll";
+
+// the post a repost shares, or a note that it's gone
+const EmbeddedPost = ({ post }) => {
+	if (!post) {
+		return (
+			<div className="p-3 mb-4 border border-base-200 rounded-lg text-sm italic text-info">
+				This post is no longer available
+			</div>
+		);
+	}
+
+	return (
+		<Link to={`/post/${post._id}`} className="block p-3 mb-4 border border-base-200 rounded-lg hover:bg-base-100">
+			<div className="flex items-center mb-2">
+				<img
+					src={post.author.profilePicture || "/avatar.png"}
+					alt={post.author.name}
+					className="size-8 rounded-full mr-2"
+				/>
+				<div>
+					<p className="font-semibold text-sm">{post.author.name}</p>
+					<p className="text-xs text-info">{formatDistanceToNow(new Date(post.createdAt), { addSuffix: true })}</p>
+				</div>
+			</div>
+			{post.content && (
+				<MarkdownRenderer
+					text={post.content}
+					preview
+					className="mb-2"
+				/>
+			)}
+			{/* votes are cast on the post itself */}
+			<PostPoll
+				post={post}
+				preview
+			/>
+			<PostAttachments attachments={post.attachments} />
+		</Link>
+	);
+};
+export default EmbeddedPost;
@@ -0,0 +1,140 @@
+import { Fragment } from "react";
+import { Link } from "react-router-dom";
+
+import { isSafeUrl, parseMarkdown } from "../utils/markdown";
+import { splitTextEntities } from "../utils/textEntities";
+
+import CodeBlock from "./CodeBlock";
+
+// Markdown text of a post, comment or About section, with hashtags and mentions of real
+// users as links; `mentions` are the users the backend resolved, `@names` of anyone else
+// stay text. `preview` is for text inside a link of its own, it leaves out links and buttons.
+const MarkdownRenderer = ({ text, mentions = [], preview = false, className = "" }) => {
+	const usernames = new Set(mentions.map((user) => user.username));
+
+	const renderEntities = (value, linked) =>
+		splitTextEntities(value).map((entity) => {
+			if (linked && entity.type === "hashtag") {
+				return (
+					<Link
+						key={entity.start}
+						to={`/hashtag/${entity.value.toLowerCase()}`}
+						className="text-primary hover:underline"
+					>
+						{entity.text}
+					</Link>
+				);
+			}
+			if (linked && entity.type === "mention" && usernames.has(entity.value)) {
+				return (
+					<Link
+						key={entity.start}
+						to={`/profile/${entity.value}`}
+						className="text-primary font-semibold hover:underline"
+					>
+						{entity.text}
+					</Link>
+				);
+			}
+			return <Fragment key={entity.start}>{entity.text}</Fragment>;
+		});
+
+	// `linked` is false inside a link already, links don't nest
+	const renderInline = (nodes, linked = !preview) =>
+		nodes.map((node) => {
+			if (node.type === "code") {
+				return (
+					<code
+						key={node.start}
+						className="px-1 rounded bg-base-200 font-mono text-sm"
+					>
+						{node.text}
+					</code>
+				);
+			}
+			if (node.type === "strong") {
+				return <strong key={node.start}>{renderInline(node.children, linked)}</strong>;
+			}
+			if (node.type === "em") {
+				return <em key={node.start}>{renderInline(node.children, linked)}</em>;
+			}
+			if (node.type === "link") {
+				// content written before it was sanitized may still link somewhere unsafe
+				if (!linked || !isSafeUrl(node.href)) {
+					return <Fragment key={node.start}>{renderInline(node.children, false)}</Fragment>;
+				}
+				if (node.href.startsWith("/")) {
+					return (
+						<Link
+							key={node.start}
+							to={node.href}
+							className="text-primary hover:underline"
+						>
+							{renderInline(node.children, false)}
+						</Link>
+					);
+				}
+				return (
+					<a
+						key={node.start}
+						href={node.href}
+						target="_blank"
+						rel="noopener noreferrer"
+						className="text-primary hover:underline"
+					>
+						{renderInline(node.children, false)}
+					</a>
+				);
+			}
+			return <Fragment key={node.start}>{renderEntities(node.text, linked)}</Fragment>;
+		});
+
+	const renderBlocks = (blocks) =>
+		blocks.map((block) => {
+			if (block.type === "code") {
+				return (
+					<CodeBlock
+						key={block.key}
+						code={block.code}
+						language={block.language}
+						preview={preview}
+					/>
+				);
+			}
+			if (block.type === "list") {
+				const ListTag = block.ordered ? "ol" : "ul";
+				return (
+					<ListTag
+						key={block.key}
+						start={block.start}
+						className={`pl-6 ${block.ordered ? "list-decimal" : "list-disc"}`}
+					>
+						{block.items.map((item) => (
+							<li key={item.key}>{renderInline(item.children)}</li>
+						))}
+					</ListTag>
+				);
+			}
+			if (block.type === "quote") {
+				return (
+					<blockquote
+						key={block.key}
+						className="pl-3 border-l-4 border-base-300 text-info space-y-2"
+					>
+						{renderBlocks(block.children)}
+					</blockquote>
+				);
+			}
+			return (
+				<p
+					key={block.key}
+					className="whitespace-pre-wrap break-words"
+				>
+					{renderInline(block.children)}
+				</p>
+			);
+		});
+
+	return <div className={`space-y-2 ${className}`}>{renderBlocks(parseMarkdown(text))}</div>;
+};
+export default MarkdownRenderer;
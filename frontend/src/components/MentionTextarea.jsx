@@ -0,0 +1,105 @@
+import { useQuery } from "@tanstack/react-query";
+import { useRef, useState } from "react";
+
+import { axiosInstance } from "../lib/axios";
+import { getMentionQuery } from "../utils/textEntities";
+
+const MAX_SUGGESTIONS = 5;
+
+// a textarea that suggests the user's connections while they type an @mention
+const MentionTextarea = ({ value, onChange, placeholder, className }) => {
+	const textareaRef = useRef(null);
+	const [mention, setMention] = useState(null);
+	const [activeIndex, setActiveIndex] = useState(0);
+
+	const { data: connections } = useQuery({
+		queryKey: ["connections"],
+		queryFn: () => axiosInstance.get("/connections"),
+		// only loaded once someone starts mentioning
+		enabled: mention !== null,
+	});
+
+	const query = mention?.query.toLowerCase();
+	const suggestions = mention
+		? (connections?.data ?? [])
+			.filter((user) => user.username.toLowerCase().includes(query) || user.name.toLowerCase().includes(query))
+			.slice(0, MAX_SUGGESTIONS)
+		: [];
+
+	const handleChange = (e) => {
+		onChange(e.target.value);
+		setMention(getMentionQuery(e.target.value, e.target.selectionStart));
+		setActiveIndex(0);
+	};
+
+	const insertMention = (user) => {
+		const textarea = textareaRef.current;
+		const before = `${value.slice(0, mention.start)}@${user.username} `;
+		onChange(before + value.slice(textarea.selectionStart));
+		setMention(null);
+
+		// put the caret after the inserted name once React has re-rendered the value
+		requestAnimationFrame(() => {
+			textarea.focus();
+			textarea.setSelectionRange(before.length, before.length);
+		});
+	};
+
+	const handleKeyDown = (e) => {
+		if (!suggestions.length) {
+			return;
+		}
+
+		if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+			e.preventDefault();
+			const step = e.key === "ArrowDown" ? 1 : -1;
+			setActiveIndex((activeIndex + step + suggestions.length) % suggestions.length);
+		} else if (e.key === "Enter" || e.key === "Tab") {
+			e.preventDefault();
+			insertMention(suggestions[activeIndex]);
+		} else if (e.key === "Escape") {
+			setMention(null);
+		}
+	};
+
+	return (
+		<div className="relative w-full">
+			<textarea
+				ref={textareaRef}
+				placeholder={placeholder}
+				value={value}
+				onChange={handleChange}
+				onKeyDown={handleKeyDown}
+				onBlur={() => setMention(null)}
+				className={className}
+			/>
+
+			{suggestions.length > 0 && (
+				<ul className="absolute left-0 right-0 mt-1 bg-white rounded-lg shadow-lg z-20 overflow-hidden">
+					{suggestions.map((user, index) => (
+						<li key={user._id}>
+							<button
+								type="button"
+								// mousedown fires before the textarea loses focus and closes the list
+								onMouseDown={(e) => {
+									e.preventDefault();
+									insertMention(user);
+								}}
+								className={`w-full flex items-center gap-2 px-3 py-2 text-left ${index === activeIndex ? "bg-base-200" : "hover:bg-base-100"}`}
+							>
+								<img
+									src={user.profilePicture || "/avatar.png"}
+									alt={user.name}
+									className="size-6 rounded-full"
+								/>
+								<span className="font-semibold">{user.name}</span>
+								<span className="text-xs text-info">@{user.username}</span>
+							</button>
+						</li>
+					))}
+				</ul>
+			)}
+		</div>
+	);
+};
+export default MentionTextarea;
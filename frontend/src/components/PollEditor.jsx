@@ -0,0 +1,79 @@
+import { Plus, X } from "lucide-react";
+
+import { toDateTimeInputValue } from "../utils/dateUtils";
+import { createPollOption, MAX_POLL_OPTION_LENGTH, MAX_POLL_OPTIONS, MIN_POLL_OPTIONS } from "../utils/polls";
+
+// the options, closing time and result visibility of a poll being written; the post's text is the question
+const PollEditor = ({ poll, onChange, onRemove }) => {
+	const setOption = (id, text) =>
+		onChange({ ...poll, options: poll.options.map((option) => (option.id === id ? { ...option, text } : option)) });
+
+	return (
+		<div className='mt-4 p-3 border border-base-200 rounded-lg space-y-2 text-sm'>
+			<div className='flex items-center justify-between'>
+				<span className='font-semibold'>Poll</span>
+				<button onClick={onRemove} aria-label='Remove poll' className='text-info hover:text-red-500'>
+					<X size={18} />
+				</button>
+			</div>
+
+			{poll.options.map((option, index) => (
+				<div
+					key={option.id}
+					className='flex items-center gap-2'
+				>
+					<input
+						type='text'
+						value={option.text}
+						onChange={(e) => setOption(option.id, e.target.value)}
+						maxLength={MAX_POLL_OPTION_LENGTH}
+						placeholder={`Option ${index + 1}`}
+						className='input input-bordered input-sm w-full'
+					/>
+					{poll.options.length > MIN_POLL_OPTIONS && (
+						<button
+							onClick={() => onChange({ ...poll, options: poll.options.filter(({ id }) => id !== option.id) })}
+							aria-label={`Remove option ${index + 1}`}
+							className='text-info hover:text-red-500'
+						>
+							<X size={16} />
+						</button>
+					)}
+				</div>
+			))}
+
+			{poll.options.length < MAX_POLL_OPTIONS && (
+				<button
+					onClick={() => onChange({ ...poll, options: [...poll.options, createPollOption()] })}
+					className='flex items-center text-primary hover:underline'
+				>
+					<Plus size={16} className='mr-1' />
+					Add option
+				</button>
+			)}
+
+			<div className='flex flex-wrap items-center gap-4 pt-2'>
+				<label className='flex items-center gap-2 text-info'>
+					Closes on
+					<input
+						type='datetime-local'
+						value={poll.closesAt}
+						min={toDateTimeInputValue(new Date())}
+						onChange={(e) => onChange({ ...poll, closesAt: e.target.value })}
+						className='input input-bordered input-sm'
+					/>
+				</label>
+				<label className='flex items-center gap-2 text-info cursor-pointer'>
+					<input
+						type='checkbox'
+						checked={poll.hideResults}
+						onChange={(e) => onChange({ ...poll, hideResults: e.target.checked })}
+						className='checkbox checkbox-sm'
+					/>
+					Hide results until people vote
+				</label>
+			</div>
+		</div>
+	);
+};
+export default PollEditor;
@@ -1,25 +1,78 @@
-import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { useState } from "react";
 import { axiosInstance } from "../lib/axios";
 import toast from "react-hot-toast";
 import { Link, useParams } from "react-router-dom";
-import { Loader, MessageCircle, Send, Share2, ThumbsUp, Trash2 } from "lucide-react";
+import { Bookmark, BookmarkCheck, Code2, Loader, MessageCircle, Paperclip, Pencil, Send, Share2, Trash2 } from "lucide-react";
 import { formatDistanceToNow } from "date-fns";
 
+import { appendCodeBlock } from "../utils/codeBlocks";
+import { unescapeMarkdown } from "../utils/markdown";
+import { canModerate } from "../utils/roles";
+import { getVisibility } from "../utils/visibility";
+import { toAttachmentPayload, toEditableAttachment } from "../utils/media";
+
+import AttachmentEditor from "./AttachmentEditor";
+import AttachmentPicker from "./AttachmentPicker";
+import CodeSnippetForm from "./CodeSnippetForm";
+import MarkdownRenderer from "./MarkdownRenderer";
+import MentionTextarea from "./MentionTextarea";
 import PostAction from "./PostAction";
+import PostAttachments from "./PostAttachments";
+import PostComment from "./PostComment";
+import PostPoll from "./PostPoll";
+import EmbeddedPost from "./EmbeddedPost";
+import PostHistoryModal from "./PostHistoryModal";
+import ReactionPicker from "./ReactionPicker";
+import RepostModal from "./RepostModal";
 
 const Post = ({ post }) => {
 	const { postId } = useParams();
 
 	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
 	const [showComments, setShowComments] = useState(false);
+	const [commentSort, setCommentSort] = useState("newest");
 	const [newComment, setNewComment] = useState("");
-	const [comments, setComments] = useState(post.comments || []);
+	const [isAddingCommentCode, setIsAddingCommentCode] = useState(false);
+	const [isEditing, setIsEditing] = useState(false);
+	const [editedContent, setEditedContent] = useState(unescapeMarkdown(post.content));
+	const [editedAttachments, setEditedAttachments] = useState([]);
+	const [showHistory, setShowHistory] = useState(false);
+	const [showRepost, setShowRepost] = useState(false);
+	// a repost whose original was deleted keeps its commentary but has nothing left to share
+	const isRepost = Boolean(post.repostOf || post.originalDeletedAt);
+	const visibility = getVisibility(post.visibility);
+	// reposts are public, so only public posts can be shared
+	const canShare = isRepost ? Boolean(post.repostOf) : visibility.value === "public";
+	// posts only carry the count; the comments themselves load when opened
+	const commentCount = post.commentCount ?? 0;
 	const isOwner = authUser._id === post.author._id;
-	const isLiked = post.likes.includes(authUser._id);
 
 	const queryClient = useQueryClient();
 
+	const {
+		data: commentPages,
+		fetchNextPage: fetchMoreComments,
+		hasNextPage: hasMoreComments,
+		isFetching: isLoadingComments,
+	} = useInfiniteQuery({
+		queryKey: ["comments", post._id, commentSort],
+		queryFn: async ({ pageParam }) => {
+			const res = await axiosInstance.get(`/posts/${post._id}/comments`, {
+				params: { sort: commentSort, cursor: pageParam },
+			});
+			return res.data;
+		},
+		initialPageParam: undefined,
+		getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+		enabled: showComments,
+	});
+	const comments = commentPages?.pages.flatMap((page) => page.comments) ?? [];
+	const repliesByParent = new Map();
+	for (const reply of comments.flatMap((comment) => comment.replies || [])) {
+		repliesByParent.set(reply.parent, [...(repliesByParent.get(reply.parent) || []), reply]);
+	}
+
 	const { mutate: deletePost, isPending: isDeletingPost } = useMutation({
 		mutationFn: async () => {
 			await axiosInstance.delete(`/posts/delete/${post._id}`);
@@ -33,12 +86,29 @@ const Post = ({ post }) => {
 		},
 	});
 
+	const { mutate: updatePost, isPending: isUpdatingPost } = useMutation({
+		mutationFn: async (changes) => {
+			await axiosInstance.put(`/posts/${post._id}`, changes);
+		},
+		onSuccess: () => {
+			setIsEditing(false);
+			queryClient.invalidateQueries({ queryKey: ["posts"] });
+			queryClient.invalidateQueries({ queryKey: ["post", postId] });
+			queryClient.invalidateQueries({ queryKey: ["postHistory", post._id] });
+			toast.success("Post updated");
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to update post");
+		},
+	});
+
 	const { mutate: createComment, isPending: isAddingComment } = useMutation({
 		mutationFn: async (newComment) => {
 			await axiosInstance.post(`/posts/${post._id}/comment`, { content: newComment });
 		},
 		onSuccess: () => {
 			queryClient.invalidateQueries({ queryKey: ["posts"] });
+			queryClient.invalidateQueries({ queryKey: ["comments", post._id] });
 			toast.success("Comment added successfully");
 		},
 		onError: (err) => {
@@ -46,14 +116,33 @@ const Post = ({ post }) => {
 		},
 	});
 
-	const { mutate: likePost, isPending: isLikingPost } = useMutation({
+	const { mutate: reactToPost, isPending: isReacting } = useMutation({
+		mutationFn: async (type) => {
+			await axiosInstance.post(`/posts/${post._id}/react`, { type });
+		},
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: ["posts"] });
+			queryClient.invalidateQueries({ queryKey: ["post", postId] });
+		},
+	});
+
+	const { mutate: toggleSaved, isPending: isSaving } = useMutation({
 		mutationFn: async () => {
-			await axiosInstance.post(`/posts/${post._id}/like`);
+			if (post.viewerSaved) {
+				await axiosInstance.delete(`/posts/${post._id}/save`);
+			} else {
+				await axiosInstance.post(`/posts/${post._id}/save`);
+			}
 		},
 		onSuccess: () => {
+			toast.success(post.viewerSaved ? "Removed from saved posts" : "Post saved");
+			// the saved list lives under ["posts"] too
 			queryClient.invalidateQueries({ queryKey: ["posts"] });
 			queryClient.invalidateQueries({ queryKey: ["post", postId] });
 		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to save post");
+		},
 	});
 
 	const handleDeletePost = () => {
@@ -61,9 +150,15 @@ const Post = ({ post }) => {
 		deletePost();
 	};
 
-	const handleLikePost = async () => {
-		if (isLikingPost) return;
-		likePost();
+	const startEditing = () => {
+		setEditedContent(unescapeMarkdown(post.content));
+		setEditedAttachments((post.attachments ?? []).map(toEditableAttachment));
+		setIsEditing(true);
+	};
+
+	const handleUpdatePost = (e) => {
+		e.preventDefault();
+		updatePost({ content: editedContent, attachments: toAttachmentPayload(editedAttachments) });
 	};
 
 	const handleAddComment = async (e) => {
@@ -71,18 +166,6 @@ const Post = ({ post }) => {
 		if (newComment.trim()) {
 			createComment(newComment);
 			setNewComment("");
-			setComments([
-				...comments,
-				{
-					content: newComment,
-					user: {
-						_id: authUser._id,
-						name: authUser.name,
-						profilePicture: authUser.profilePicture,
-					},
-					createdAt: new Date(),
-				},
-			]);
 		}
 	};
 
@@ -101,81 +184,187 @@ const Post = ({ post }) => {
 
 						<div>
 							<Link to={`/profile/${post?.author?.username}`}>
-								<h3 className='font-semibold'>{post.author.name}</h3>
+								<h3 className='font-semibold'>
+									{post.author.name}
+									{isRepost && <span className='font-normal text-info'> reposted</span>}
+								</h3>
 							</Link>
 							<p className='text-xs text-info'>{post.author.headline}</p>
 							<p className='text-xs text-info'>
 								{formatDistanceToNow(new Date(post.createdAt), { addSuffix: true })}
+								<span title={visibility.label}>
+									<visibility.Icon
+										size={12}
+										className='inline ml-1 align-[-1px]'
+										aria-label={visibility.label}
+									/>
+								</span>
+								{post.editedAt && (
+									<button onClick={() => setShowHistory(true)} className='ml-1 hover:underline'>
+										· edited
+									</button>
+								)}
 							</p>
 						</div>
 					</div>
-					{isOwner && (
-						<button onClick={handleDeletePost} className='text-red-500 hover:text-red-700'>
-							{isDeletingPost ? <Loader size={18} className='animate-spin' /> : <Trash2 size={18} />}
-						</button>
+					{(isOwner || canModerate(authUser)) && (
+						<div className='flex items-center gap-3'>
+							{isOwner && !isEditing && (
+								<button onClick={startEditing} aria-label='Edit post' className='text-info hover:text-primary'>
+									<Pencil size={18} />
+								</button>
+							)}
+							<button onClick={handleDeletePost} className='text-red-500 hover:text-red-700'>
+								{isDeletingPost ? <Loader size={18} className='animate-spin' /> : <Trash2 size={18} />}
+							</button>
+						</div>
 					)}
 				</div>
-				<p className='mb-4'>{post.content}</p>
-				{post.image && <img src={post.image} alt='Post content' className='rounded-lg w-full mb-4' />}
+				{isEditing ? (
+					<form onSubmit={handleUpdatePost} className='mb-4 space-y-2'>
+						<textarea
+							value={editedContent}
+							onChange={(e) => setEditedContent(e.target.value)}
+							className='w-full p-3 rounded-lg bg-base-100 focus:outline-none resize-none min-h-[100px]'
+						/>
+						<AttachmentEditor
+							attachments={editedAttachments}
+							onChange={setEditedAttachments}
+						/>
+						<div className='flex items-center gap-3 text-sm'>
+							{/* a repost's only content is its commentary */}
+							{!isRepost && (
+								<AttachmentPicker
+									attachments={editedAttachments}
+									onChange={setEditedAttachments}
+									className='flex items-center text-info hover:text-primary cursor-pointer'
+								>
+									<Paperclip size={16} className='mr-1' />
+									Add media
+								</AttachmentPicker>
+							)}
+							<div className='flex-grow' />
+							<button type='button' onClick={() => setIsEditing(false)} className='btn btn-ghost btn-sm'>
+								Cancel
+							</button>
+							<button type='submit' disabled={isUpdatingPost} className='btn btn-primary btn-sm'>
+								{isUpdatingPost ? <Loader size={18} className='animate-spin' /> : "Save"}
+							</button>
+						</div>
+					</form>
+				) : (
+					<>
+						{post.content && (
+							<MarkdownRenderer text={post.content} mentions={post.mentions} className='mb-4' />
+						)}
+						<PostPoll post={post} />
+						{isRepost && <EmbeddedPost post={post.repostOf} />}
+						<PostAttachments
+							attachments={post.attachments}
+							className='mb-4'
+						/>
+					</>
+				)}
 
 				<div className='flex justify-between text-info'>
-					<PostAction
-						icon={<ThumbsUp size={18} className={isLiked ? "text-blue-500  fill-blue-300" : ""} />}
-						text={`Like (${post.likes.length})`}
-						onClick={handleLikePost}
+					<ReactionPicker
+						viewerReaction={post.viewerReaction}
+						reactionCounts={post.reactionCounts}
+						onReact={reactToPost}
+						disabled={isReacting}
 					/>
 
 					<PostAction
 						icon={<MessageCircle size={18} />}
-						text={`Comment (${comments.length})`}
+						text={`Comment (${commentCount})`}
 						onClick={() => setShowComments(!showComments)}
 					/>
-					<PostAction icon={<Share2 size={18} />} text='Share' />
+					<PostAction
+						icon={<Share2 size={18} />}
+						text={post.repostCount ? `Share (${post.repostCount})` : "Share"}
+						onClick={canShare ? () => setShowRepost(true) : undefined}
+					/>
+					<PostAction
+						icon={post.viewerSaved ? <BookmarkCheck size={18} className='text-primary' /> : <Bookmark size={18} />}
+						text={post.viewerSaved ? "Saved" : "Save"}
+						onClick={isSaving ? undefined : () => toggleSaved()}
+					/>
 				</div>
 			</div>
 
 			{showComments && (
 				<div className='px-4 pb-4'>
-					<div className='mb-4 max-h-60 overflow-y-auto'>
+					<div className='flex justify-end gap-2 mb-2 text-xs'>
+						{[
+							["newest", "Newest"],
+							["top", "Top"],
+						].map(([sort, label]) => (
+							<button
+								key={sort}
+								onClick={() => setCommentSort(sort)}
+								className={`px-2 py-1 rounded-full ${commentSort === sort ? "bg-primary text-white" : "text-info hover:bg-base-100"}`}
+							>
+								{label}
+							</button>
+						))}
+					</div>
+					<div className='mb-4 max-h-96 overflow-y-auto'>
 						{comments.map((comment) => (
-							<div key={comment._id} className='mb-2 bg-base-100 p-2 rounded flex items-start'>
-								<img
-									src={comment.user.profilePicture || "/avatar.png"}
-									alt={comment.user.name}
-									className='w-8 h-8 rounded-full mr-2 flex-shrink-0'
-								/>
-								<div className='flex-grow'>
-									<div className='flex items-center mb-1'>
-										<span className='font-semibold mr-2'>{comment.user.name}</span>
-										<span className='text-xs text-info'>
-											{formatDistanceToNow(new Date(comment.createdAt))}
-										</span>
-									</div>
-									<p>{comment.content}</p>
-								</div>
-							</div>
+							<PostComment
+								key={comment._id}
+								comment={comment}
+								post={post}
+								repliesByParent={repliesByParent}
+							/>
 						))}
+						{isLoadingComments && <Loader size={18} className='animate-spin mx-auto' />}
+						{hasMoreComments && !isLoadingComments && (
+							<button onClick={() => fetchMoreComments()} className='text-sm text-primary hover:underline'>
+								Load more comments
+							</button>
+						)}
 					</div>
 
-					<form onSubmit={handleAddComment} className='flex items-center'>
-						<input
-							type='text'
+					<form onSubmit={handleAddComment} className='space-y-2'>
+						<MentionTextarea
 							value={newComment}
-							onChange={(e) => setNewComment(e.target.value)}
+							onChange={setNewComment}
 							placeholder='Add a comment...'
-							className='flex-grow p-2 rounded-l-full bg-base-100 focus:outline-none focus:ring-2 focus:ring-primary'
+							className='w-full p-2 rounded-lg bg-base-100 focus:outline-none focus:ring-2 focus:ring-primary resize-none min-h-[60px]'
 						/>
-
-						<button
-							type='submit'
-							className='bg-primary text-white p-2 rounded-r-full hover:bg-primary-dark transition duration-300'
-							disabled={isAddingComment}
-						>
-							{isAddingComment ? <Loader size={18} className='animate-spin' /> : <Send size={18} />}
-						</button>
+						<div className='flex items-center justify-between'>
+							<button
+								type='button'
+								onClick={() => setIsAddingCommentCode(!isAddingCommentCode)}
+								className='flex items-center text-sm text-info hover:text-primary'
+							>
+								<Code2 size={16} className='mr-1' />
+								Code
+							</button>
+							<button
+								type='submit'
+								className='bg-primary text-white p-2 rounded-full hover:bg-primary-dark transition duration-300'
+								disabled={isAddingComment}
+							>
+								{isAddingComment ? <Loader size={18} className='animate-spin' /> : <Send size={18} />}
+							</button>
+						</div>
 					</form>
+					{/* a form of its own, forms don't nest */}
+					{isAddingCommentCode && (
+						<CodeSnippetForm
+							onInsert={(block) => {
+								setNewComment((current) => appendCodeBlock(current, block));
+								setIsAddingCommentCode(false);
+							}}
+							onCancel={() => setIsAddingCommentCode(false)}
+						/>
+					)}
 				</div>
 			)}
+
+			{showHistory && <PostHistoryModal postId={post._id} onClose={() => setShowHistory(false)} />}
+			{showRepost && <RepostModal post={post} onClose={() => setShowRepost(false)} />}
 		</div>
 	);
 };
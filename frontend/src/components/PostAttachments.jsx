@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { ChevronLeft, ChevronRight, Download } from "lucide-react";
+
+import { getDocumentPageUrl } from "../utils/media";
+
+// a PDF shown one page at a time
+const DocumentCarousel = ({ attachment, className }) => {
+	const [page, setPage] = useState(1);
+	const pageCount = attachment.pageCount || 1;
+	const title = attachment.altText || "Document";
+
+	return (
+		<div className={`border border-base-200 rounded-lg overflow-hidden ${className}`}>
+			<img
+				src={getDocumentPageUrl(attachment.url, page)}
+				alt={`${title}, page ${page} of ${pageCount}`}
+				className='w-full'
+			/>
+			<div className='flex items-center justify-between p-2 text-sm text-info'>
+				<button
+					type='button'
+					onClick={() => setPage(page - 1)}
+					disabled={page === 1}
+					aria-label='Previous page'
+					className='disabled:opacity-30'
+				>
+					<ChevronLeft size={20} />
+				</button>
+				<span>
+					{page} / {pageCount}
+				</span>
+				<a
+					href={attachment.url}
+					target='_blank'
+					rel='noreferrer'
+					aria-label='Download document'
+					className='hover:text-primary'
+				>
+					<Download size={18} />
+				</a>
+				<button
+					type='button'
+					onClick={() => setPage(page + 1)}
+					disabled={page === pageCount}
+					aria-label='Next page'
+					className='disabled:opacity-30'
+				>
+					<ChevronRight size={20} />
+				</button>
+			</div>
+		</div>
+	);
+};
+
+// a post's image gallery, video or document
+const PostAttachments = ({ attachments, className = "" }) => {
+	if (!attachments?.length) {
+		return null;
+	}
+
+	const [first] = attachments;
+	if (first.type === "document") {
+		return (
+			<DocumentCarousel
+				attachment={first}
+				className={className}
+			/>
+		);
+	}
+
+	// videos start muted, so scrolling past one in the feed stays quiet
+	if (first.type === "video") {
+		return (
+			<video
+				src={first.url}
+				controls
+				muted
+				preload='metadata'
+				aria-label={first.altText || "Video"}
+				className={`rounded-lg w-full ${className}`}
+			/>
+		);
+	}
+
+	return (
+		<div className={`grid gap-1 ${attachments.length > 1 ? "grid-cols-2" : ""} ${className}`}>
+			{attachments.map((attachment) => (
+				<img
+					key={attachment._id}
+					src={attachment.url}
+					alt={attachment.altText || "Post image"}
+					width={attachment.width}
+					height={attachment.height}
+					className='rounded-lg w-full h-full object-cover'
+				/>
+			))}
+		</div>
+	);
+};
+export default PostAttachments;
@@ -0,0 +1,263 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { formatDistanceToNow } from "date-fns";
+import { Code2, Loader, Send, ThumbsUp } from "lucide-react";
+
+import { axiosInstance } from "../lib/axios";
+import { appendCodeBlock } from "../utils/codeBlocks";
+import { unescapeMarkdown } from "../utils/markdown";
+import { canModerate } from "../utils/roles";
+
+import CodeSnippetForm from "./CodeSnippetForm";
+import MarkdownRenderer from "./MarkdownRenderer";
+import MentionTextarea from "./MentionTextarea";
+
+// a comment with its replies; `repliesByParent` maps comment ids to their direct replies
+const PostComment = ({ comment, post, repliesByParent }) => {
+	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
+	const queryClient = useQueryClient();
+	const [isReplying, setIsReplying] = useState(false);
+	const [replyContent, setReplyContent] = useState("");
+	const [isEditing, setIsEditing] = useState(false);
+	const [editedContent, setEditedContent] = useState(unescapeMarkdown(comment.content));
+	const [confirmDelete, setConfirmDelete] = useState(false);
+	// the snippet goes into the reply or the edit, whichever is open
+	const [isAddingCode, setIsAddingCode] = useState(false);
+
+	const isDeleted = Boolean(comment.deletedAt);
+	const isCommentAuthor = !isDeleted && comment.user?._id === authUser._id;
+	const canDelete = !isDeleted && (isCommentAuthor || post.author._id === authUser._id || canModerate(authUser));
+	const replies = repliesByParent.get(comment._id) || [];
+
+	const refreshComments = () => {
+		queryClient.invalidateQueries({ queryKey: ["comments", post._id] });
+		queryClient.invalidateQueries({ queryKey: ["posts"] });
+	};
+
+	const { mutate: reply, isPending: isSendingReply } = useMutation({
+		mutationFn: (content) =>
+			axiosInstance.post(`/posts/${post._id}/comment`, { content, parentCommentId: comment._id }),
+		onSuccess: () => {
+			setReplyContent("");
+			setIsReplying(false);
+			setIsAddingCode(false);
+			refreshComments();
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to add reply");
+		},
+	});
+
+	const { mutate: updateComment, isPending: isSaving } = useMutation({
+		mutationFn: (content) => axiosInstance.put(`/posts/${post._id}/comments/${comment._id}`, { content }),
+		onSuccess: () => {
+			setIsEditing(false);
+			setIsAddingCode(false);
+			refreshComments();
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to update comment");
+		},
+	});
+
+	const { mutate: likeComment, isPending: isLiking } = useMutation({
+		mutationFn: () => axiosInstance.post(`/posts/${post._id}/comments/${comment._id}/like`),
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: ["comments", post._id] });
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to like comment");
+		},
+	});
+
+	const { mutate: deleteComment } = useMutation({
+		mutationFn: () => axiosInstance.delete(`/posts/${post._id}/comments/${comment._id}`),
+		onSuccess: () => {
+			toast.success("Comment deleted");
+			refreshComments();
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to delete comment");
+		},
+	});
+
+	const handleReply = (e) => {
+		e.preventDefault();
+		if (replyContent.trim()) {
+			reply(replyContent);
+		}
+	};
+
+	const handleUpdate = (e) => {
+		e.preventDefault();
+		if (editedContent.trim()) {
+			updateComment(editedContent);
+		}
+	};
+
+	const insertCodeBlock = (block) => {
+		const setContent = isEditing ? setEditedContent : setReplyContent;
+		setContent((current) => appendCodeBlock(current, block));
+		setIsAddingCode(false);
+	};
+
+	const codeButton = (
+		<button
+			type="button"
+			onClick={() => setIsAddingCode(!isAddingCode)}
+			aria-label="Add code"
+			className="text-info hover:text-primary"
+		>
+			<Code2 size={16} />
+		</button>
+	);
+
+	const codeForm = isAddingCode && (
+		<CodeSnippetForm
+			onInsert={insertCodeBlock}
+			onCancel={() => setIsAddingCode(false)}
+		/>
+	);
+
+	// two clicks instead of a blocking confirm dialog
+	const handleDelete = () => {
+		if (confirmDelete) {
+			deleteComment();
+		} else {
+			setConfirmDelete(true);
+		}
+	};
+
+	return (
+		<div className="mb-2">
+			<div className="bg-base-100 p-2 rounded flex items-start">
+				<img
+					src={comment.user?.profilePicture || "/avatar.png"}
+					alt={comment.user?.name || "Deleted user"}
+					className="w-8 h-8 rounded-full mr-2 flex-shrink-0"
+				/>
+				<div className="flex-grow">
+					<div className="flex items-center mb-1">
+						{/* the author deleted their account, or the comment itself was deleted */}
+						<span className="font-semibold mr-2">{comment.user?.name || "Deleted user"}</span>
+						<span className="text-xs text-info">
+							{formatDistanceToNow(new Date(comment.createdAt))}
+							{comment.editedAt && " · edited"}
+						</span>
+					</div>
+
+					{isEditing ? (
+						<>
+							<form onSubmit={handleUpdate} className="space-y-1">
+								<MentionTextarea
+									value={editedContent}
+									onChange={setEditedContent}
+									className="w-full p-1 rounded bg-white focus:outline-none focus:ring-2 focus:ring-primary resize-none min-h-[60px]"
+								/>
+								<div className="flex items-center gap-2">
+									{codeButton}
+									<div className="flex-grow" />
+									<button type="submit" disabled={isSaving} className="text-xs text-primary">
+										Save
+									</button>
+									<button
+										type="button"
+										onClick={() => {
+											setIsEditing(false);
+											setIsAddingCode(false);
+										}}
+										className="text-xs text-info"
+									>
+										Cancel
+									</button>
+								</div>
+							</form>
+							{codeForm}
+						</>
+					) : (
+						<div className={isDeleted ? "italic text-info" : ""}>
+							{isDeleted ? "Comment deleted" : <MarkdownRenderer text={comment.content} mentions={comment.mentions} />}
+						</div>
+					)}
+
+					{!isDeleted && !isEditing && (
+						<div className="flex gap-3 mt-1 text-xs text-info">
+							<button
+								onClick={() => likeComment()}
+								disabled={isLiking}
+								className={`flex items-center gap-1 hover:text-primary ${comment.isLiked ? "text-primary" : ""}`}
+							>
+								<ThumbsUp size={12} className={comment.isLiked ? "fill-blue-300" : ""} />
+								{comment.likeCount > 0 && comment.likeCount}
+							</button>
+							<button
+								onClick={() => {
+									setIsReplying(!isReplying);
+									setIsAddingCode(false);
+								}}
+								className="hover:text-primary"
+							>
+								Reply
+							</button>
+							{isCommentAuthor && (
+								<button
+									onClick={() => {
+										setIsEditing(true);
+										setIsAddingCode(false);
+									}}
+									className="hover:text-primary"
+								>
+									Edit
+								</button>
+							)}
+							{canDelete && (
+								<button onClick={handleDelete} onBlur={() => setConfirmDelete(false)} className="hover:text-red-500">
+									{confirmDelete ? "Click again to delete" : "Delete"}
+								</button>
+							)}
+						</div>
+					)}
+				</div>
+			</div>
+
+			{isReplying && !isEditing && (
+				<div className="ml-10 mt-2">
+					<form onSubmit={handleReply} className="space-y-1">
+						<MentionTextarea
+							value={replyContent}
+							onChange={setReplyContent}
+							placeholder={`Reply to ${comment.user?.name || "comment"}...`}
+							className="w-full p-2 rounded-lg bg-base-100 focus:outline-none focus:ring-2 focus:ring-primary resize-none min-h-[60px]"
+						/>
+						<div className="flex items-center justify-between">
+							{codeButton}
+							<button
+								type="submit"
+								className="bg-primary text-white p-2 rounded-full hover:bg-primary-dark transition duration-300"
+								disabled={isSendingReply}
+							>
+								{isSendingReply ? <Loader size={18} className="animate-spin" /> : <Send size={18} />}
+							</button>
+						</div>
+					</form>
+					{codeForm}
+				</div>
+			)}
+
+			{replies.length > 0 && (
+				<div className="ml-10 mt-2 border-l-2 border-base-200 pl-2">
+					{replies.map((replyComment) => (
+						<PostComment
+							key={replyComment._id}
+							comment={replyComment}
+							post={post}
+							repliesByParent={repliesByParent}
+						/>
+					))}
+				</div>
+			)}
+		</div>
+	);
+};
+export default PostComment;
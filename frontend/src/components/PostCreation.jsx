@@ -2,12 +2,33 @@ import { useMutation, useQueryClient } from "@tanstack/react-query";
 import { useState } from "react";
 import { axiosInstance } from "../lib/axios";
 import toast from "react-hot-toast";
-import { Image, Loader } from "lucide-react";
+import { BarChart2, CalendarClock, Code2, Loader, Paperclip } from "lucide-react";
+
+import { appendCodeBlock } from "../utils/codeBlocks";
+import { toAttachmentPayload } from "../utils/media";
+import { createPollDraft, toPollPayload } from "../utils/polls";
+
+import MentionTextarea from "./MentionTextarea";
+import AttachmentEditor from "./AttachmentEditor";
+import AttachmentPicker from "./AttachmentPicker";
+import CodeSnippetForm from "./CodeSnippetForm";
+import PollEditor from "./PollEditor";
+import SchedulePicker from "./SchedulePicker";
+import VisibilitySelect from "./VisibilitySelect";
+
+const CREATED_MESSAGES = {
+	published: "Post created successfully",
+	draft: "Draft saved",
+	scheduled: "Post scheduled",
+};
 
 const PostCreation = ({ user }) => {
 	const [content, setContent] = useState("");
-	const [image, setImage] = useState(null);
-	const [imagePreview, setImagePreview] = useState(null);
+	const [attachments, setAttachments] = useState([]);
+	const [visibility, setVisibility] = useState("public");
+	const [poll, setPoll] = useState(null);
+	const [isScheduling, setIsScheduling] = useState(false);
+	const [isAddingCode, setIsAddingCode] = useState(false);
 
 	const queryClient = useQueryClient();
 
@@ -18,87 +39,141 @@ const PostCreation = ({ user }) => {
 			});
 			return res.data;
 		},
-		onSuccess: () => {
+		onSuccess: (post) => {
 			resetForm();
-			toast.success("Post created successfully");
+			toast.success(CREATED_MESSAGES[post.status ?? "published"]);
 			queryClient.invalidateQueries({ queryKey: ["posts"] });
+			queryClient.invalidateQueries({ queryKey: ["drafts"] });
 		},
 		onError: (err) => {
 			toast.error(err.response.data.message || "Failed to create post");
 		},
 	});
 
-	const handlePostCreation = async () => {
-		try {
-			const postData = { content };
-			if (image) postData.image = await readFileAsDataURL(image);
-
-			createPostMutation(postData);
-		} catch (error) {
-			console.error("Error in handlePostCreation:", error);
-		}
+	// drafts and scheduled posts only show up in the feed once they're published
+	const handlePostCreation = (status = "published", publishAt) => {
+		createPostMutation({
+			content,
+			visibility,
+			attachments: toAttachmentPayload(attachments),
+			poll: poll ? toPollPayload(poll) : undefined,
+			status,
+			publishAt,
+		});
 	};
 
 	const resetForm = () => {
 		setContent("");
-		setImage(null);
-		setImagePreview(null);
+		setAttachments([]);
+		setVisibility("public");
+		setPoll(null);
+		setIsScheduling(false);
+		setIsAddingCode(false);
 	};
 
-	const handleImageChange = (e) => {
-		const file = e.target.files[0];
-		setImage(file);
-		if (file) {
-			readFileAsDataURL(file).then(setImagePreview);
-		} else {
-			setImagePreview(null);
-		}
-	};
-
-	const readFileAsDataURL = (file) => {
-		return new Promise((resolve, reject) => {
-			const reader = new FileReader();
-			reader.onloadend = () => resolve(reader.result);
-			reader.onerror = reject;
-			reader.readAsDataURL(file);
-		});
+	const insertCodeBlock = (block) => {
+		setContent((current) => appendCodeBlock(current, block));
+		setIsAddingCode(false);
 	};
 
 	return (
 		<div className='bg-secondary rounded-lg shadow mb-4 p-4'>
 			<div className='flex space-x-3'>
 				<img src={user.profilePicture || "/avatar.png"} alt={user.name} className='size-12 rounded-full' />
-				<textarea
+				<MentionTextarea
 					placeholder="What's on your mind?"
 					className='w-full p-3 rounded-lg bg-base-100 hover:bg-base-200 focus:bg-base-200 focus:outline-none resize-none transition-colors duration-200 min-h-[100px]'
 					value={content}
-					onChange={(e) => setContent(e.target.value)}
+					onChange={setContent}
 				/>
 			</div>
 
-			{imagePreview && (
-				<div className='mt-4'>
-					<img src={imagePreview} alt='Selected' className='w-full h-auto rounded-lg' />
-				</div>
+			<AttachmentEditor
+				attachments={attachments}
+				onChange={setAttachments}
+			/>
+
+			{isAddingCode && (
+				<CodeSnippetForm
+					onInsert={insertCodeBlock}
+					onCancel={() => setIsAddingCode(false)}
+				/>
+			)}
+
+			{poll && (
+				<PollEditor
+					poll={poll}
+					onChange={setPoll}
+					onRemove={() => setPoll(null)}
+				/>
 			)}
 
 			<div className='flex justify-between items-center mt-4'>
 				<div className='flex space-x-4'>
-					<label className='flex items-center text-info hover:text-info-dark transition-colors duration-200 cursor-pointer'>
-						<Image size={20} className='mr-2' />
-						<span>Photo</span>
-						<input type='file' accept='image/*' className='hidden' onChange={handleImageChange} />
-					</label>
+					<AttachmentPicker
+						attachments={attachments}
+						onChange={setAttachments}
+						className='flex items-center text-info hover:text-info-dark transition-colors duration-200 cursor-pointer'
+					>
+						<Paperclip size={20} className='mr-2' />
+						<span>Media</span>
+					</AttachmentPicker>
+					<button
+						onClick={() => setIsAddingCode(!isAddingCode)}
+						className='flex items-center text-info hover:text-info-dark transition-colors duration-200'
+					>
+						<Code2 size={20} className='mr-2' />
+						<span>Code</span>
+					</button>
+					{!poll && (
+						<button
+							onClick={() => setPoll(createPollDraft())}
+							className='flex items-center text-info hover:text-info-dark transition-colors duration-200'
+						>
+							<BarChart2 size={20} className='mr-2' />
+							<span>Poll</span>
+						</button>
+					)}
+					<VisibilitySelect
+						value={visibility}
+						onChange={setVisibility}
+						className='flex items-center text-info'
+					/>
 				</div>
 
-				<button
-					className='bg-primary text-white rounded-lg px-4 py-2 hover:bg-primary-dark transition-colors duration-200'
-					onClick={handlePostCreation}
-					disabled={isPending}
-				>
-					{isPending ? <Loader className='size-5 animate-spin' /> : "Share"}
-				</button>
+				<div className='flex items-center gap-3'>
+					<button
+						className='text-info hover:text-primary transition-colors duration-200'
+						onClick={() => handlePostCreation("draft")}
+						disabled={isPending}
+					>
+						Save draft
+					</button>
+					<button
+						className='flex items-center text-info hover:text-primary transition-colors duration-200'
+						onClick={() => setIsScheduling(!isScheduling)}
+						disabled={isPending}
+					>
+						<CalendarClock size={20} className='mr-1' />
+						Schedule
+					</button>
+					<button
+						className='bg-primary text-white rounded-lg px-4 py-2 hover:bg-primary-dark transition-colors duration-200'
+						onClick={() => handlePostCreation()}
+						disabled={isPending}
+					>
+						{isPending ? <Loader className='size-5 animate-spin' /> : "Share"}
+					</button>
+				</div>
 			</div>
+
+			{isScheduling && (
+				<SchedulePicker
+					onSchedule={(publishAt) => handlePostCreation("scheduled", publishAt)}
+					onCancel={() => setIsScheduling(false)}
+					isPending={isPending}
+				/>
+			)}
 		</div>
 	);
 };
@@ -0,0 +1,56 @@
+import { useQuery } from "@tanstack/react-query";
+import { format } from "date-fns";
+import { Loader, X } from "lucide-react";
+
+import { axiosInstance } from "../lib/axios";
+import { unescapeMarkdown } from "../utils/markdown";
+
+import PostAttachments from "./PostAttachments";
+
+const Version = ({ label, version }) => (
+	<div className="p-3 bg-base-100 rounded-lg">
+		<p className="text-xs text-info mb-1">
+			{label} · {format(new Date(version.authoredAt), "PPp")}
+		</p>
+		{version.content && <p className="whitespace-pre-wrap">{unescapeMarkdown(version.content)}</p>}
+		<PostAttachments
+			attachments={version.attachments}
+			className="mt-2"
+		/>
+	</div>
+);
+
+const PostHistoryModal = ({ postId, onClose }) => {
+	const { data: history, isLoading } = useQuery({
+		queryKey: ["postHistory", postId],
+		queryFn: async () => {
+			const res = await axiosInstance.get(`/posts/${postId}/history`);
+			return res.data;
+		},
+	});
+
+	return (
+		<div className="fixed inset-0 flex items-center justify-center bg-gray-900 bg-opacity-50 z-50">
+			<div className="bg-white p-6 rounded-lg w-full max-w-lg max-h-[80vh] overflow-hidden flex flex-col">
+				<div className="flex items-center justify-between mb-4">
+					<h2 className="text-xl font-semibold">Edit history</h2>
+					<button onClick={onClose} aria-label="Close" className="text-gray-500 hover:text-gray-700">
+						<X size={20} />
+					</button>
+				</div>
+
+				{isLoading && <Loader className="animate-spin text-primary mx-auto" />}
+
+				{history && (
+					<div className="flex-1 overflow-y-auto space-y-3">
+						<Version label="Current" version={history.current} />
+						{history.revisions.map((revision) => (
+							<Version key={revision._id} label="Earlier version" version={revision} />
+						))}
+					</div>
+				)}
+			</div>
+		</div>
+	);
+};
+export default PostHistoryModal;
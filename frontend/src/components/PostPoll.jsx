@@ -0,0 +1,87 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { CircleCheck } from "lucide-react";
+import { formatDistanceToNow, isPast } from "date-fns";
+
+import { axiosInstance } from "../lib/axios";
+import { formatScheduledTime } from "../utils/dateUtils";
+import { getVotePercentage } from "../utils/polls";
+
+// a poll's options to vote on, or its results once the viewer voted or it closed; the server
+// leaves the counts out while the results are hidden from the viewer. `preview` only lists the options.
+const PostPoll = ({ post, preview = false }) => {
+	const { poll } = post;
+	const queryClient = useQueryClient();
+
+	const { mutate: vote, isPending } = useMutation({
+		mutationFn: (optionId) => axiosInstance.post(`/posts/${post._id}/vote`, { optionId }),
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: ["posts"] });
+			queryClient.invalidateQueries({ queryKey: ["post", post._id] });
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to vote");
+		},
+	});
+
+	if (!poll) {
+		return null;
+	}
+
+	const canVote = !preview && !poll.closed && !poll.viewerVote;
+	const showResults = !preview && !canVote && !poll.resultsHidden;
+
+	return (
+		<div className='mb-4 space-y-2'>
+			{poll.options.map((option) => {
+				if (canVote) {
+					return (
+						<button
+							key={option._id}
+							onClick={() => vote(option._id)}
+							disabled={isPending}
+							className='w-full py-2 px-4 border border-primary text-primary rounded-full font-semibold hover:bg-primary hover:text-white transition-colors'
+						>
+							{option.text}
+						</button>
+					);
+				}
+
+				const percentage = showResults ? getVotePercentage(option, poll.totalVotes) : 0;
+				return (
+					<div
+						key={option._id}
+						className='relative py-2 px-4 border border-base-200 rounded-lg overflow-hidden'
+					>
+						<div
+							className='absolute inset-y-0 left-0 bg-primary/20'
+							style={{ width: `${percentage}%` }}
+						/>
+						<div className='relative flex items-center justify-between'>
+							<span className='flex items-center gap-2'>
+								{option.text}
+								{poll.viewerVote === option._id && <CircleCheck size={16} className='text-primary' aria-label='Your vote' />}
+							</span>
+							{showResults && <span className='font-semibold'>{percentage}%</span>}
+						</div>
+					</div>
+				);
+			})}
+
+			{preview ? (
+				<p className='text-xs text-info'>
+					{isPast(new Date(poll.closesAt)) ? "Closed" : "Closes"} {formatScheduledTime(poll.closesAt)}
+				</p>
+			) : (
+				<p className='text-xs text-info'>
+					{poll.totalVotes !== undefined && `${poll.totalVotes} ${poll.totalVotes === 1 ? "vote" : "votes"} · `}
+					{poll.closed
+						? "Final results"
+						: `Closes ${formatDistanceToNow(new Date(poll.closesAt), { addSuffix: true })}`}
+					{poll.resultsHidden && " · Results show once you vote"}
+				</p>
+			)}
+		</div>
+	);
+};
+export default PostPoll;
@@ -0,0 +1,61 @@
+import { REACTIONS, getReaction } from "../utils/reactions";
+
+// the button reacts with the viewer's current reaction (so a second click takes it back)
+// or a like; hovering or focusing it offers the other types
+const ReactionPicker = ({ viewerReaction, reactionCounts = {}, onReact, disabled }) => {
+	const current = getReaction(viewerReaction);
+	const total = Object.values(reactionCounts).reduce((sum, count) => sum + count, 0);
+	// the two most used reactions give a hint of how the post was received
+	const topReactions = REACTIONS.filter(({ type }) => reactionCounts[type] > 0)
+		.sort((a, b) => reactionCounts[b.type] - reactionCounts[a.type])
+		.slice(0, 2);
+
+	return (
+		<div className='relative group flex items-center'>
+			<div className='absolute bottom-full left-0 mb-2 hidden group-hover:flex group-focus-within:flex gap-1 bg-white shadow-lg rounded-full px-2 py-1 z-10'>
+				{REACTIONS.map(({ type, label, Icon, color }) => (
+					<button
+						key={type}
+						type='button'
+						title={label}
+						aria-label={label}
+						disabled={disabled}
+						onClick={() => onReact(type)}
+						className={`p-1 rounded-full hover:bg-base-200 hover:scale-125 transition-transform ${color}`}
+					>
+						<Icon size={20} />
+					</button>
+				))}
+			</div>
+
+			<button
+				type='button'
+				className={`flex items-center ${viewerReaction ? current.color : ""}`}
+				disabled={disabled}
+				onClick={() => onReact(current.type)}
+			>
+				<span className='mr-1'>
+					<current.Icon size={18} className={viewerReaction ? "fill-current opacity-80" : ""} />
+				</span>
+				<span className='hidden sm:inline'>
+					{current.label} ({total})
+				</span>
+			</button>
+
+			{topReactions.length > 0 && (
+				<span className='flex ml-2'>
+					{topReactions.map(({ type, label, Icon, color }) => (
+						<Icon
+							key={type}
+							size={14}
+							aria-label={label}
+							className={color}
+						/>
+					))}
+				</span>
+			)}
+		</div>
+	);
+};
+
+export default ReactionPicker;
@@ -0,0 +1,65 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { Loader, X } from "lucide-react";
+
+import { axiosInstance } from "../lib/axios";
+
+import EmbeddedPost from "./EmbeddedPost";
+
+// `post` is the post being shared; reposting a repost shares its original
+const RepostModal = ({ post, onClose }) => {
+	const queryClient = useQueryClient();
+	const [content, setContent] = useState("");
+	const original = post.repostOf ?? post;
+
+	const { mutate: repost, isPending } = useMutation({
+		mutationFn: (commentary) => axiosInstance.post(`/posts/${post._id}/repost`, { content: commentary }),
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: ["posts"] });
+			toast.success("Post shared");
+			onClose();
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to share post");
+		},
+	});
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		repost(content);
+	};
+
+	return (
+		<div className="fixed inset-0 flex items-center justify-center bg-gray-900 bg-opacity-50 z-50">
+			<form onSubmit={handleSubmit} className="bg-white p-6 rounded-lg w-full max-w-lg max-h-[80vh] overflow-y-auto">
+				<div className="flex items-center justify-between mb-4">
+					<h2 className="text-xl font-semibold">Share post</h2>
+					<button
+						type="button"
+						onClick={onClose}
+						aria-label="Close"
+						className="text-gray-500 hover:text-gray-700"
+					>
+						<X size={20} />
+					</button>
+				</div>
+
+				<textarea
+					value={content}
+					onChange={(e) => setContent(e.target.value)}
+					placeholder="Add your thoughts (optional)"
+					className="w-full p-3 mb-3 rounded-lg bg-base-100 focus:outline-none resize-none min-h-[80px]"
+				/>
+				<EmbeddedPost post={original} />
+
+				<div className="flex justify-end">
+					<button type="submit" disabled={isPending} className="btn btn-primary btn-sm">
+						{isPending ? <Loader size={18} className="animate-spin" /> : "Repost"}
+					</button>
+				</div>
+			</form>
+		</div>
+	);
+};
+export default RepostModal;
@@ -0,0 +1,45 @@
+import { useState } from "react";
+import { CalendarClock, Loader } from "lucide-react";
+import { addHours, startOfHour } from "date-fns";
+
+import { toDateTimeInputValue } from "../utils/dateUtils";
+
+// picks when a post goes out, by default at the top of the hour after next
+const SchedulePicker = ({ initialValue, onSchedule, onCancel, isPending }) => {
+	const [value, setValue] = useState(() =>
+		toDateTimeInputValue(initialValue ? new Date(initialValue) : startOfHour(addHours(new Date(), 2))),
+	);
+	const publishAt = new Date(value);
+	// the server checks again, the page may have been open for a while
+	const isInFuture = publishAt > new Date();
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		onSchedule(publishAt.toISOString());
+	};
+
+	return (
+		<form onSubmit={handleSubmit} className='flex flex-wrap items-center gap-3 mt-4 text-sm'>
+			<label className='flex items-center gap-2 text-info'>
+				<CalendarClock size={18} />
+				Publish on
+				<input
+					type='datetime-local'
+					value={value}
+					min={toDateTimeInputValue(new Date())}
+					onChange={(e) => setValue(e.target.value)}
+					required
+					className='input input-bordered input-sm'
+				/>
+			</label>
+			<div className='flex-grow' />
+			<button type='button' onClick={onCancel} className='btn btn-ghost btn-sm'>
+				Cancel
+			</button>
+			<button type='submit' disabled={!isInFuture || isPending} className='btn btn-primary btn-sm'>
+				{isPending ? <Loader size={18} className='animate-spin' /> : "Schedule"}
+			</button>
+		</form>
+	);
+};
+export default SchedulePicker;
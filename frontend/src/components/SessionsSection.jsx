@@ -0,0 +1,133 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import toast from "react-hot-toast";
+import { Loader, LogOut, Monitor, Smartphone } from "lucide-react";
+
+import { axiosInstance } from "../lib/axios";
+
+const BROWSERS = [
+	["Edge", /Edg\//],
+	["Opera", /OPR\//],
+	["Chrome", /Chrome\//],
+	["Firefox", /Firefox\//],
+	["Safari", /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+	["Android", /Android/],
+	["iOS", /iPhone|iPad/],
+	["Windows", /Windows/],
+	["macOS", /Mac OS X/],
+	["Linux", /Linux/],
+];
+
+const describeDevice = (userAgent = "") => {
+	const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+	const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+	if (!browser && !os) {
+		return userAgent || "Unknown device";
+	}
+
+	return [browser?.[0], os?.[0]].filter(Boolean).join(" on ");
+};
+
+const SessionsSection = () => {
+	const queryClient = useQueryClient();
+	const [isConfirmingLogout, setIsConfirmingLogout] = useState(false);
+
+	const { data: sessions, isLoading } = useQuery({
+		queryKey: ["sessions"],
+		queryFn: async () => {
+			const res = await axiosInstance.get("/auth/sessions");
+			return res.data;
+		},
+	});
+
+	const { mutate: revokeSession, isPending: isRevoking } = useMutation({
+		mutationFn: (sessionId) => axiosInstance.delete(`/auth/sessions/${sessionId}`),
+		onSuccess: (_res, sessionId) => {
+			toast.success("Device signed out");
+			if (sessions.find((session) => session._id === sessionId)?.current) {
+				queryClient.invalidateQueries({ queryKey: ["authUser"] });
+				return;
+			}
+			queryClient.invalidateQueries({ queryKey: ["sessions"] });
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to sign out device");
+		},
+	});
+
+	const { mutate: logoutEverywhere, isPending: isLoggingOutEverywhere } = useMutation({
+		mutationFn: () => axiosInstance.delete("/auth/sessions"),
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: ["authUser"] });
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to sign out");
+		},
+	});
+
+	// first click asks for confirmation, the second one signs out
+	const handleLogoutEverywhere = () => {
+		if (!isConfirmingLogout) {
+			setIsConfirmingLogout(true);
+			return;
+		}
+		logoutEverywhere();
+	};
+
+	return (
+		<div className="bg-white shadow rounded-lg p-6 mb-6">
+			<div className="flex items-center justify-between mb-4">
+				<h2 className="text-xl font-semibold">Where you&apos;re signed in</h2>
+				<button
+					onClick={handleLogoutEverywhere}
+					disabled={isLoggingOutEverywhere}
+					className="text-sm text-red-500 hover:text-red-700 flex items-center"
+				>
+					<LogOut size={16} className="mr-1" />
+					{isConfirmingLogout ? "Click again to sign out of every device" : "Log out everywhere"}
+				</button>
+			</div>
+
+			{isLoading && <Loader className="animate-spin text-primary" />}
+
+			<ul className="divide-y">
+				{sessions?.map((session) => (
+					<li key={session._id} className="flex items-center justify-between py-3">
+						<div className="flex items-center">
+							{/Mobile|Android|iPhone/.test(session.userAgent) ? (
+								<Smartphone size={24} className="mr-3 text-gray-500" />
+							) : (
+								<Monitor size={24} className="mr-3 text-gray-500" />
+							)}
+							<div>
+								<p className="font-semibold">
+									{describeDevice(session.userAgent)}
+									{session.current && (
+										<span className="ml-2 text-xs text-green-600 font-normal">This device</span>
+									)}
+								</p>
+								<p className="text-xs text-gray-500">
+									{session.ipAddress && `${session.ipAddress} · `}
+									Last active {formatDistanceToNow(new Date(session.lastSeenAt), { addSuffix: true })}
+								</p>
+							</div>
+						</div>
+						<button
+							onClick={() => revokeSession(session._id)}
+							disabled={isRevoking}
+							className="text-sm text-primary hover:text-primary-dark"
+						>
+							Sign out
+						</button>
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+};
+export default SessionsSection;
@@ -1,5 +1,5 @@
 import { Link } from "react-router-dom";
-import { Home, UserPlus, Bell, FileCode2 } from "lucide-react";
+import { Home, UserPlus, Bell, FileCode2, FilePen, Bookmark } from "lucide-react";
 
 export default function Sidebar({ user }) {
 	return (
@@ -48,6 +48,20 @@ export default function Sidebar({ user }) {
 								<Bell className="mr-2" size={20} /> Notifications
 							</Link>
 						</li>
+						<li>
+							<Link
+								to="/drafts"
+								className="flex items-center py-2 px-4 rounded-md hover:bg-primary hover:text-white transition-colors">
+								<FilePen className="mr-2" size={20} /> Drafts
+							</Link>
+						</li>
+						<li>
+							<Link
+								to="/saved"
+								className="flex items-center py-2 px-4 rounded-md hover:bg-primary hover:text-white transition-colors">
+								<Bookmark className="mr-2" size={20} /> Saved
+							</Link>
+						</li>
 						<li>
 							<Link
 								to="/wishlist"
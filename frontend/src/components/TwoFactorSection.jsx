@@ -0,0 +1,161 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { QRCodeSVG } from "qrcode.react";
+import { Loader, ShieldCheck, ShieldOff } from "lucide-react";
+
+import { axiosInstance } from "../lib/axios";
+
+const TwoFactorSection = ({ isEnabled }) => {
+	const queryClient = useQueryClient();
+	const [setup, setSetup] = useState(null);
+	const [code, setCode] = useState("");
+	const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+	const onError = (err) => {
+		toast.error(err.response?.data?.message || "Something went wrong");
+	};
+
+	const { mutate: startSetup, isPending: isStartingSetup } = useMutation({
+		mutationFn: () => axiosInstance.post("/auth/2fa/setup"),
+		onSuccess: (res) => {
+			setSetup(res.data);
+			setCode("");
+		},
+		onError,
+	});
+
+	const { mutate: enableTwoFactor, isPending: isEnabling } = useMutation({
+		mutationFn: (data) => axiosInstance.post("/auth/2fa/enable", data),
+		onSuccess: (res) => {
+			toast.success("Two-factor authentication enabled");
+			setSetup(null);
+			setCode("");
+			setRecoveryCodes(res.data.recoveryCodes);
+			queryClient.invalidateQueries({ queryKey: ["authUser"] });
+		},
+		onError,
+	});
+
+	const { mutate: disableTwoFactor, isPending: isDisabling } = useMutation({
+		mutationFn: (data) => axiosInstance.post("/auth/2fa/disable", data),
+		onSuccess: () => {
+			toast.success("Two-factor authentication disabled");
+			setCode("");
+			setRecoveryCodes(null);
+			queryClient.invalidateQueries({ queryKey: ["authUser"] });
+		},
+		onError,
+	});
+
+	const { mutate: regenerateRecoveryCodes, isPending: isRegenerating } = useMutation({
+		mutationFn: (data) => axiosInstance.post("/auth/2fa/recovery-codes", data),
+		onSuccess: (res) => {
+			setCode("");
+			setRecoveryCodes(res.data.recoveryCodes);
+		},
+		onError,
+	});
+
+	const codeInput = (
+		<input
+			type="text"
+			placeholder="6-digit code"
+			value={code}
+			onChange={(e) => setCode(e.target.value)}
+			className="input input-bordered input-sm w-36"
+			inputMode="numeric"
+			autoComplete="one-time-code"
+		/>
+	);
+
+	return (
+		<div className="bg-white shadow rounded-lg p-6 mb-6">
+			<div className="flex items-center mb-4">
+				{isEnabled ? (
+					<ShieldCheck size={24} className="mr-2 text-green-600" />
+				) : (
+					<ShieldOff size={24} className="mr-2 text-gray-500" />
+				)}
+				<h2 className="text-xl font-semibold">Two-factor authentication</h2>
+			</div>
+
+			{recoveryCodes && (
+				<div className="mb-4 p-4 bg-yellow-50 rounded">
+					<p className="text-sm mb-2">
+						Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose
+						your authenticator app, and they won&apos;t be shown again.
+					</p>
+					<ul className="grid grid-cols-2 gap-1 font-mono text-sm">
+						{recoveryCodes.map((recoveryCode) => (
+							<li key={recoveryCode}>{recoveryCode}</li>
+						))}
+					</ul>
+				</div>
+			)}
+
+			{isEnabled && (
+				<div>
+					<p className="text-sm text-gray-600 mb-3">
+						Signing in requires a code from your authenticator app. Enter a current code to turn it off or to
+						get new recovery codes.
+					</p>
+					<div className="flex flex-wrap items-center gap-2">
+						{codeInput}
+						<button
+							onClick={() => regenerateRecoveryCodes({ code })}
+							disabled={!code || isRegenerating}
+							className="btn btn-sm"
+						>
+							New recovery codes
+						</button>
+						<button
+							onClick={() => disableTwoFactor({ code })}
+							disabled={!code || isDisabling}
+							className="btn btn-sm btn-error btn-outline"
+						>
+							Turn off
+						</button>
+					</div>
+				</div>
+			)}
+
+			{!isEnabled && !setup && (
+				<div className="flex items-center justify-between">
+					<p className="text-sm text-gray-600">
+						Protect your account with a code from an authenticator app when you sign in.
+					</p>
+					<button onClick={() => startSetup()} disabled={isStartingSetup} className="btn btn-primary btn-sm">
+						{isStartingSetup ? <Loader className="size-4 animate-spin" /> : "Set up"}
+					</button>
+				</div>
+			)}
+
+			{!isEnabled && setup && (
+				<div className="flex flex-col sm:flex-row gap-6">
+					<QRCodeSVG value={setup.otpauthUrl} size={160} />
+					<div>
+						<p className="text-sm text-gray-600 mb-2">
+							Scan the QR code with your authenticator app, or enter this key manually:
+						</p>
+						<p className="font-mono text-sm break-all mb-4">{setup.secret}</p>
+						<div className="flex items-center gap-2">
+							{codeInput}
+							<button
+								onClick={() => enableTwoFactor({ code })}
+								disabled={!code || isEnabling}
+								className="btn btn-primary btn-sm"
+							>
+								Turn on
+							</button>
+							<button onClick={() => setSetup(null)} className="btn btn-ghost btn-sm">
+								Cancel
+							</button>
+						</div>
+					</div>
+				</div>
+			)}
+		</div>
+	);
+};
+export default TwoFactorSection;
@@ -0,0 +1,41 @@
+import { useMutation } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { Loader, MailWarning } from "lucide-react";
+
+import { axiosInstance } from "../lib/axios";
+
+const VerifyEmailBanner = ({ user }) => {
+	const { mutate: resendEmail, isPending } = useMutation({
+		mutationFn: () => axiosInstance.post("/auth/verify/resend"),
+		onSuccess: () => {
+			toast.success("Verification email sent");
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Failed to send verification email");
+		},
+	});
+
+	if (!user || user.isVerified) {
+		return null;
+	}
+
+	return (
+		<div className="bg-yellow-50 border border-yellow-300 text-yellow-800 rounded-lg p-4 mb-4 flex items-center justify-between gap-4">
+			<div className="flex items-center gap-3">
+				<MailWarning size={24} className="flex-shrink-0" />
+				<p className="text-sm">
+					Please verify your email address ({user.email}) to start posting and sending connection requests.
+				</p>
+			</div>
+			<button
+				onClick={() => resendEmail()}
+				disabled={isPending}
+				className="btn btn-sm btn-outline whitespace-nowrap"
+			>
+				{isPending ? <Loader size={16} className="animate-spin" /> : "Resend email"}
+			</button>
+		</div>
+	);
+};
+
+export default VerifyEmailBanner;
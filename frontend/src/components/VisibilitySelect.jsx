@@ -0,0 +1,28 @@
+import { getVisibility, VISIBILITIES } from "../utils/visibility";
+
+// who gets to see a post, picked while writing it
+const VisibilitySelect = ({ value, onChange, className }) => {
+	const VisibilityIcon = getVisibility(value).Icon;
+
+	return (
+		<label className={className}>
+			<VisibilityIcon size={20} className='mr-2' />
+			<select
+				value={value}
+				onChange={(e) => onChange(e.target.value)}
+				aria-label='Who can see this post'
+				className='bg-transparent cursor-pointer focus:outline-none'
+			>
+				{VISIBILITIES.map((option) => (
+					<option
+						key={option.value}
+						value={option.value}
+					>
+						{option.label}
+					</option>
+				))}
+			</select>
+		</label>
+	);
+};
+export default VisibilitySelect;
@@ -0,0 +1,63 @@
+import { screen } from '@testing-library/react';
+import MarkdownRenderer from '../MarkdownRenderer';
+import { renderWithProviders } from '../../utils/testUtils';
+
+describe('MarkdownRenderer', () => {
+  test('renders bold, italics, inline code, lists and quotes', () => {
+    const { container } = renderWithProviders(
+      <MarkdownRenderer text={'**Bold** and *italic* with `x_y`\n\n- one\n- two\n\n1. first\n\n> quoted'} />
+    );
+
+    expect(screen.getByText('Bold').tagName).toBe('STRONG');
+    expect(screen.getByText('italic').tagName).toBe('EM');
+    expect(screen.getByText('x_y').tagName).toBe('CODE');
+    expect(container.querySelectorAll('ul li')).toHaveLength(2);
+    expect(container.querySelector('ol li')).toHaveTextContent('first');
+    expect(container.querySelector('blockquote')).toHaveTextContent('quoted');
+  });
+
+  test('opens external links in a new tab without access to the opener', () => {
+    renderWithProviders(<MarkdownRenderer text="See [the docs](https://example.com/docs)" />);
+
+    const link = screen.getByRole('link', { name: 'the docs' });
+    expect(link).toHaveAttribute('href', 'https://example.com/docs');
+    expect(link).toHaveAttribute('target', '_blank');
+    expect(link.getAttribute('rel')).toContain('noopener');
+  });
+
+  test('shows links to unsafe places as text', () => {
+    renderWithProviders(<MarkdownRenderer text="[click me](javascript:alert(1))" />);
+
+    expect(screen.queryByRole('link')).not.toBeInTheDocument();
+    expect(screen.getByText('click me')).toBeInTheDocument();
+  });
+
+  test('shows HTML as text', () => {
+    const { container } = renderWithProviders(<MarkdownRenderer text="<img src=x onerror=alert(1)>" />);
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container).toHaveTextContent('<img src=x onerror=alert(1)>');
+  });
+
+  test('shows the brackets the backend escapes as written, but not inside code', () => {
+    const { container } = renderWithProviders(
+      <MarkdownRenderer text={'vector&lt;int&gt; and `&lt;b&gt;`'} />
+    );
+
+    expect(container).toHaveTextContent('vector<int> and &lt;b&gt;');
+  });
+
+  test('links hashtags and known mentions, but not inside code', () => {
+    renderWithProviders(
+      <MarkdownRenderer
+        text={'#react by @jane\n```cpp\n#include <vector>\n```'}
+        mentions={[{ username: 'jane' }]}
+      />
+    );
+
+    expect(screen.getByRole('link', { name: '#react' })).toHaveAttribute('href', '/hashtag/react');
+    expect(screen.getByRole('link', { name: '@jane' })).toHaveAttribute('href', '/profile/jane');
+    expect(screen.queryByRole('link', { name: /include/ })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Copy code' })).toBeInTheDocument();
+  });
+});
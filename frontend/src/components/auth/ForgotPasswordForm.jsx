@@ -0,0 +1,53 @@
+import { useMutation } from "@tanstack/react-query";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { Loader } from "lucide-react";
+
+import { axiosInstance } from "../../lib/axios";
+
+const ForgotPasswordForm = () => {
+	const [email, setEmail] = useState("");
+	const [isSent, setIsSent] = useState(false);
+
+	const { mutate: forgotPasswordMutation, isPending } = useMutation({
+		mutationFn: (data) => axiosInstance.post("/auth/forgot-password", data),
+		onSuccess: () => {
+			setIsSent(true);
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Something went wrong");
+		},
+	});
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		forgotPasswordMutation({ email });
+	};
+
+	if (isSent) {
+		return (
+			<p className="text-center text-gray-600">
+				If an account exists for <strong>{email}</strong>, you&apos;ll receive an email with a link to reset
+				your password shortly.
+			</p>
+		);
+	}
+
+	return (
+		<form onSubmit={handleSubmit} className="space-y-4 w-full max-w-md">
+			<input
+				type="email"
+				placeholder="Email"
+				value={email}
+				onChange={(e) => setEmail(e.target.value)}
+				className="input input-bordered w-full"
+				required
+			/>
+
+			<button type="submit" disabled={isPending} className="btn btn-primary w-full text-white">
+				{isPending ? <Loader className="size-5 animate-spin" /> : "Send reset link"}
+			</button>
+		</form>
+	);
+};
+export default ForgotPasswordForm;
@@ -1,18 +1,43 @@
 import { useMutation, useQueryClient } from "@tanstack/react-query";
-import { useState } from "react";
-import { axiosInstance } from "../../lib/axios";
+import { useEffect, useState } from "react";
+import { API_BASE_URL, axiosInstance } from "../../lib/axios";
 import toast from "react-hot-toast";
 import { Loader } from "lucide-react";
-import { FaEmpire } from "react-icons/fa";
+import { FaEmpire, FaGithub } from "react-icons/fa";
+import { Link, useSearchParams } from "react-router-dom";
+import TwoFactorChallengeForm from "./TwoFactorChallengeForm";
+
+const OAUTH_ERRORS = {
+	access_denied: "Sign-in was cancelled",
+	no_verified_email: "Your account needs a verified email address to sign in",
+	suspended: "Your account has been suspended",
+	unknown_provider: "That sign-in method isn't available",
+};
 
 const LoginForm = () => {
 	const [username, setUsername] = useState("");
 	const [password, setPassword] = useState("");
+	const [searchParams, setSearchParams] = useSearchParams();
+	// social login redirects here when the account still needs its second factor
+	const [isTwoFactorRequired, setIsTwoFactorRequired] = useState(searchParams.get("twoFactor") === "required");
 	const queryClient = useQueryClient();
 
+	useEffect(() => {
+		const oauthError = searchParams.get("oauthError");
+		if (!oauthError) {
+			return;
+		}
+		toast.error(OAUTH_ERRORS[oauthError] || "Social sign-in failed, please try again");
+		setSearchParams({}, { replace: true });
+	}, [searchParams, setSearchParams]);
+
 	const { mutate: loginMutation, isLoading } = useMutation({
 		mutationFn: (userData) => axiosInstance.post("/auth/login", userData),
-		onSuccess: () => {
+		onSuccess: (res) => {
+			if (res.data.twoFactorRequired) {
+				setIsTwoFactorRequired(true);
+				return;
+			}
 			queryClient.invalidateQueries({ queryKey: ["authUser"] });
 		},
 		onError: (err) => {
@@ -24,6 +49,18 @@ const LoginForm = () => {
 		loginMutation({ username, password });
 	};
 
+	const cancelTwoFactor = () => {
+		setIsTwoFactorRequired(false);
+		setSearchParams({}, { replace: true });
+		setPassword("");
+		// drop the half-finished session on the server
+		axiosInstance.post("/auth/logout").catch(() => {});
+	};
+
+	if (isTwoFactorRequired) {
+		return <TwoFactorChallengeForm onCancel={cancelTwoFactor} />;
+	}
+
 	return (
 		<form onSubmit={handleSubmit} className="space-y-4 w-full max-w-md">
 			<input
@@ -42,10 +79,22 @@ const LoginForm = () => {
 				className="input input-bordered w-full"
 				required
 			/>
+			<div className="text-right">
+				<Link to="/forgot-password" className="text-sm text-blue-600 hover:underline">
+					Forgot password?
+				</Link>
+			</div>
 
 			<button type="submit" className="btn btn-primary w-full">
 				{isLoading ? <Loader className="size-5 animate-spin" /> : "Login"}
 			</button>
+
+			<div className="divider text-sm text-gray-500">or</div>
+
+			<a href={`${API_BASE_URL}/auth/oauth/github`} className="btn btn-outline w-full">
+				<FaGithub className="size-5" />
+				Continue with GitHub
+			</a>
 		</form>
 	);
 };
@@ -0,0 +1,61 @@
+import { useMutation } from "@tanstack/react-query";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import { Loader } from "lucide-react";
+
+import { axiosInstance } from "../../lib/axios";
+
+const ResetPasswordForm = ({ token }) => {
+	const [password, setPassword] = useState("");
+	const [confirmPassword, setConfirmPassword] = useState("");
+	const navigate = useNavigate();
+
+	const { mutate: resetPasswordMutation, isPending } = useMutation({
+		mutationFn: (data) => axiosInstance.post(`/auth/reset-password/${token}`, data),
+		onSuccess: () => {
+			toast.success("Password reset successfully, please sign in");
+			navigate("/login");
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Something went wrong");
+		},
+	});
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		if (password !== confirmPassword) {
+			toast.error("Passwords do not match");
+			return;
+		}
+		resetPasswordMutation({ password });
+	};
+
+	return (
+		<form onSubmit={handleSubmit} className="space-y-4 w-full max-w-md">
+			<input
+				type="password"
+				placeholder="New password (6+ characters)"
+				value={password}
+				onChange={(e) => setPassword(e.target.value)}
+				className="input input-bordered w-full"
+				minLength={6}
+				required
+			/>
+			<input
+				type="password"
+				placeholder="Confirm new password"
+				value={confirmPassword}
+				onChange={(e) => setConfirmPassword(e.target.value)}
+				className="input input-bordered w-full"
+				minLength={6}
+				required
+			/>
+
+			<button type="submit" disabled={isPending} className="btn btn-primary w-full text-white">
+				{isPending ? <Loader className="size-5 animate-spin" /> : "Reset password"}
+			</button>
+		</form>
+	);
+};
+export default ResetPasswordForm;
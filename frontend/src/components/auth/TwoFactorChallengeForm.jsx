@@ -0,0 +1,69 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { Loader } from "lucide-react";
+
+import { axiosInstance } from "../../lib/axios";
+
+const TwoFactorChallengeForm = ({ onCancel }) => {
+	const [code, setCode] = useState("");
+	const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+	const queryClient = useQueryClient();
+
+	const { mutate: verifyChallenge, isPending } = useMutation({
+		mutationFn: (data) => axiosInstance.post("/auth/2fa/verify", data),
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: ["authUser"] });
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Something went wrong");
+			// too many wrong codes ends the pending sign-in
+			if (err.response?.status === 401) {
+				onCancel();
+			}
+		},
+	});
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		verifyChallenge(useRecoveryCode ? { recoveryCode: code } : { code });
+	};
+
+	const toggleRecoveryCode = () => {
+		setUseRecoveryCode(!useRecoveryCode);
+		setCode("");
+	};
+
+	return (
+		<form onSubmit={handleSubmit} className="space-y-4 w-full max-w-md">
+			<p className="text-sm text-gray-600">
+				{useRecoveryCode
+					? "Enter one of the recovery codes you saved when turning on two-factor authentication."
+					: "Enter the 6-digit code from your authenticator app."}
+			</p>
+			<input
+				type="text"
+				placeholder={useRecoveryCode ? "Recovery code" : "123456"}
+				value={code}
+				onChange={(e) => setCode(e.target.value)}
+				className="input input-bordered w-full"
+				inputMode={useRecoveryCode ? "text" : "numeric"}
+				autoComplete="one-time-code"
+				required
+			/>
+			<div className="flex justify-between text-sm">
+				<button type="button" onClick={toggleRecoveryCode} className="text-blue-600 hover:underline">
+					{useRecoveryCode ? "Use authenticator app" : "Use a recovery code"}
+				</button>
+				<button type="button" onClick={onCancel} className="text-gray-500 hover:underline">
+					Back to login
+				</button>
+			</div>
+
+			<button type="submit" className="btn btn-primary w-full" disabled={isPending}>
+				{isPending ? <Loader className="size-5 animate-spin" /> : "Verify"}
+			</button>
+		</form>
+	);
+};
+export default TwoFactorChallengeForm;
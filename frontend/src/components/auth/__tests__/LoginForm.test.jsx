@@ -59,6 +59,13 @@ describe('LoginForm', () => {
     expect(passwordInput).toHaveValue('password123');
   });
 
+  test('links to GitHub sign-in', () => {
+    renderWithProviders(<LoginForm />);
+
+    expect(screen.getByRole('link', { name: /continue with github/i }))
+      .toHaveAttribute('href', '/api/v1/auth/oauth/github');
+  });
+
   // Snapshot Tests
   test('matches snapshot for login form default state', () => {
     const { container } = renderWithProviders(<LoginForm />);
@@ -0,0 +1,38 @@
+import { screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TwoFactorChallengeForm from '../TwoFactorChallengeForm';
+import { renderWithProviders } from '../../../utils/testUtils';
+
+jest.mock('../../../lib/axios');
+
+describe('TwoFactorChallengeForm', () => {
+  test('asks for an authenticator code by default', () => {
+    renderWithProviders(<TwoFactorChallengeForm onCancel={jest.fn()} />);
+
+    const codeInput = screen.getByPlaceholderText('123456');
+    expect(codeInput).toBeRequired();
+    expect(codeInput).toHaveAttribute('autocomplete', 'one-time-code');
+    expect(screen.getByRole('button', { name: /verify/i })).toBeInTheDocument();
+  });
+
+  test('switches to a recovery code', async () => {
+    const user = userEvent.setup();
+    renderWithProviders(<TwoFactorChallengeForm onCancel={jest.fn()} />);
+
+    await user.type(screen.getByPlaceholderText('123456'), '123');
+    await user.click(screen.getByRole('button', { name: /use a recovery code/i }));
+
+    expect(screen.getByPlaceholderText('Recovery code')).toHaveValue('');
+    expect(screen.getByRole('button', { name: /use authenticator app/i })).toBeInTheDocument();
+  });
+
+  test('goes back to the login form', async () => {
+    const user = userEvent.setup();
+    const onCancel = jest.fn();
+    renderWithProviders(<TwoFactorChallengeForm onCancel={onCancel} />);
+
+    await user.click(screen.getByRole('button', { name: /back to login/i }));
+
+    expect(onCancel).toHaveBeenCalled();
+  });
+});
@@ -2,7 +2,7 @@ import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { axiosInstance } from "../../lib/axios";
 import { Link } from "react-router-dom";
 import { FaEmpire } from "react-icons/fa";
-import { Bell, Home, LogOut, User, Users, CalendarRange } from "lucide-react";
+import { Bell, Home, LogOut, User, Users, CalendarRange, ShieldCheck } from "lucide-react";
 
 const Navbar = () => {
 	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
@@ -101,6 +101,16 @@ const Navbar = () => {
 									<span className="text-xs hidden md:block">Contest</span>
 								</Link>
 
+								{/* Admin Link */}
+								{authUser.role === "admin" && (
+									<Link
+										to="/admin"
+										className="text-white flex flex-col items-center hover:text-blue-100 transition duration-300">
+										<ShieldCheck size={18} />
+										<span className="text-xs hidden md:block">Admin</span>
+									</Link>
+								)}
+
 								{/* Logout Button */}
 								<button
 									className="flex items-center space-x-1 text-white hover:text-blue-100 transition duration-300"
@@ -1,6 +1,90 @@
 import axios from "axios";
 
+export const API_BASE_URL = import.meta.env.MODE === "development" ? "http://localhost:5000/api/v1" : "/api/v1";
+
 export const axiosInstance = axios.create({
-	baseURL: import.meta.env.MODE === "development" ? "http://localhost:5000/api/v1" : "/api/v1",
+	baseURL: API_BASE_URL,
 	withCredentials: true,
 });
+
+const SAFE_METHODS = ["get", "head", "options"];
+
+let csrfToken = null;
+let csrfRequest = null;
+
+// the token is bound to an httpOnly cookie, so it's fetched once and reused
+const getCsrfToken = async () => {
+	if (!csrfToken) {
+		csrfRequest =
+			csrfRequest ||
+			axiosInstance.get("/csrf-token").finally(() => {
+				csrfRequest = null;
+			});
+		({ csrfToken } = (await csrfRequest).data);
+	}
+	return csrfToken;
+};
+
+axiosInstance.interceptors.request.use(async (config) => {
+	if (!SAFE_METHODS.includes((config.method || "get").toLowerCase())) {
+		config.headers["X-CSRF-Token"] = await getCsrfToken();
+	}
+	return config;
+});
+
+// the secret cookie may have expired or been cleared: fetch a fresh token and replay once
+axiosInstance.interceptors.response.use(
+	(response) => response,
+	(error) => {
+		const { config, response } = error;
+
+		if (response?.status !== 403 || response.data?.code !== "CSRF_TOKEN_INVALID" || !config || config.retriedAfterCsrf) {
+			return Promise.reject(error);
+		}
+
+		config.retriedAfterCsrf = true;
+		csrfToken = null;
+		return axiosInstance(config);
+	},
+);
+
+// requests that must never trigger a token refresh themselves
+const NO_REFRESH_URLS = ["/auth/refresh", "/auth/login", "/auth/signup", "/auth/logout", "/auth/2fa/verify"];
+// a sign-in waiting for its second factor has nothing to refresh yet, and trying would end it
+const TWO_FACTOR_REQUIRED = "TWO_FACTOR_REQUIRED";
+
+let refreshRequest = null;
+
+// access tokens are short-lived: on a 401, refresh the session once and replay the request
+axiosInstance.interceptors.response.use(
+	(response) => response,
+	async (error) => {
+		const { config, response } = error;
+
+		if (
+			response?.status !== 401 ||
+			response.data?.code === TWO_FACTOR_REQUIRED ||
+			!config ||
+			config.retriedAfterRefresh ||
+			NO_REFRESH_URLS.includes(config.url)
+		) {
+			return Promise.reject(error);
+		}
+
+		config.retriedAfterRefresh = true;
+
+		try {
+			// parallel requests share a single refresh call
+			refreshRequest =
+				refreshRequest ||
+				axiosInstance.post("/auth/refresh").finally(() => {
+					refreshRequest = null;
+				});
+			await refreshRequest;
+		} catch {
+			return Promise.reject(error);
+		}
+
+		return axiosInstance(config);
+	},
+);
@@ -0,0 +1,204 @@
+import { keepPreviousData, useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import toast from "react-hot-toast";
+import { Loader, Search } from "lucide-react";
+
+import { axiosInstance } from "../lib/axios";
+import { ROLES } from "../utils/roles";
+
+const AdminUserRow = ({ user, isSelf }) => {
+	const queryClient = useQueryClient();
+	const [reason, setReason] = useState("");
+
+	const onSuccess = (res) => {
+		toast.success(res.data.message);
+		queryClient.invalidateQueries({ queryKey: ["adminUsers"] });
+	};
+	const onError = (err) => {
+		toast.error(err.response?.data?.message || "Something went wrong");
+	};
+
+	const { mutate: changeRole } = useMutation({
+		mutationFn: (role) => axiosInstance.put(`/admin/users/${user._id}/role`, { role }),
+		onSuccess,
+		onError,
+	});
+
+	const { mutate: toggleSuspension, isPending } = useMutation({
+		mutationFn: () =>
+			user.suspendedAt
+				? axiosInstance.put(`/admin/users/${user._id}/unsuspend`)
+				: axiosInstance.put(`/admin/users/${user._id}/suspend`, { reason }),
+		onSuccess: (res) => {
+			setReason("");
+			onSuccess(res);
+		},
+		onError,
+	});
+
+	return (
+		<tr className={user.suspendedAt ? "bg-red-50" : ""}>
+			<td>
+				<Link to={`/profile/${user.username}`} className="flex items-center">
+					<img src={user.profilePicture || "/avatar.png"} alt={user.name} className="w-8 h-8 rounded-full mr-2" />
+					<div>
+						<p className="font-semibold">{user.name}</p>
+						<p className="text-xs text-gray-500">@{user.username}</p>
+					</div>
+				</Link>
+			</td>
+			<td className="text-sm">{user.email}</td>
+			<td>
+				<select
+					value={user.role}
+					onChange={(e) => changeRole(e.target.value)}
+					disabled={isSelf}
+					className="select select-bordered select-sm"
+				>
+					{ROLES.map((role) => (
+						<option key={role} value={role}>
+							{role}
+						</option>
+					))}
+				</select>
+			</td>
+			<td>
+				{user.suspendedAt ? (
+					<div className="text-sm">
+						<p className="text-red-600 font-semibold">Suspended</p>
+						{user.suspensionReason && <p className="text-xs text-gray-500">{user.suspensionReason}</p>}
+					</div>
+				) : (
+					<input
+						type="text"
+						value={reason}
+						onChange={(e) => setReason(e.target.value)}
+						placeholder="Reason (optional)"
+						disabled={isSelf}
+						className="input input-bordered input-sm w-40"
+					/>
+				)}
+			</td>
+			<td>
+				<button
+					onClick={() => toggleSuspension()}
+					disabled={isSelf || isPending}
+					className={`btn btn-sm ${user.suspendedAt ? "" : "btn-error btn-outline"}`}
+				>
+					{user.suspendedAt ? "Unsuspend" : "Suspend"}
+				</button>
+			</td>
+		</tr>
+	);
+};
+
+const AdminPage = () => {
+	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
+	const [search, setSearch] = useState("");
+	const [filters, setFilters] = useState({ search: "", role: "", status: "", page: 1 });
+
+	const { data, isLoading } = useQuery({
+		queryKey: ["adminUsers", filters],
+		queryFn: async () => {
+			const res = await axiosInstance.get("/admin/users", { params: filters });
+			return res.data;
+		},
+		placeholderData: keepPreviousData,
+	});
+
+	const updateFilters = (changes) => setFilters({ ...filters, ...changes, page: changes.page || 1 });
+
+	const handleSearch = (e) => {
+		e.preventDefault();
+		updateFilters({ search });
+	};
+
+	return (
+		<div className="bg-white rounded-lg shadow p-6">
+			<h1 className="text-2xl font-bold mb-6">User management</h1>
+
+			<div className="flex flex-wrap gap-2 mb-4">
+				<form onSubmit={handleSearch} className="flex gap-2 flex-grow">
+					<input
+						type="text"
+						value={search}
+						onChange={(e) => setSearch(e.target.value)}
+						placeholder="Search by name, username or email"
+						className="input input-bordered input-sm flex-grow"
+					/>
+					<button type="submit" className="btn btn-sm btn-primary" aria-label="Search">
+						<Search size={16} />
+					</button>
+				</form>
+				<select
+					value={filters.role}
+					onChange={(e) => updateFilters({ role: e.target.value })}
+					className="select select-bordered select-sm"
+				>
+					<option value="">All roles</option>
+					{ROLES.map((role) => (
+						<option key={role} value={role}>
+							{role}
+						</option>
+					))}
+				</select>
+				<select
+					value={filters.status}
+					onChange={(e) => updateFilters({ status: e.target.value })}
+					className="select select-bordered select-sm"
+				>
+					<option value="">Any status</option>
+					<option value="active">Active</option>
+					<option value="suspended">Suspended</option>
+				</select>
+			</div>
+
+			{isLoading ? (
+				<Loader className="animate-spin text-primary mx-auto" />
+			) : (
+				<div className="overflow-x-auto">
+					<table className="table">
+						<thead>
+							<tr>
+								<th>User</th>
+								<th>Email</th>
+								<th>Role</th>
+								<th>Status</th>
+								<th />
+							</tr>
+						</thead>
+						<tbody>
+							{data?.users.map((user) => (
+								<AdminUserRow key={user._id} user={user} isSelf={user._id === authUser._id} />
+							))}
+						</tbody>
+					</table>
+				</div>
+			)}
+
+			{data?.pages > 1 && (
+				<div className="flex justify-center items-center gap-2 mt-4">
+					<button
+						onClick={() => updateFilters({ page: filters.page - 1 })}
+						disabled={filters.page <= 1}
+						className="btn btn-sm"
+					>
+						Previous
+					</button>
+					<span className="text-sm">
+						Page {data.page} of {data.pages}
+					</span>
+					<button
+						onClick={() => updateFilters({ page: filters.page + 1 })}
+						disabled={filters.page >= data.pages}
+						className="btn btn-sm"
+					>
+						Next
+					</button>
+				</div>
+			)}
+		</div>
+	);
+};
+export default AdminPage;
@@ -0,0 +1,86 @@
+import { useInfiniteQuery, useQuery } from "@tanstack/react-query";
+import { useState } from "react";
+import { FilePen, Loader } from "lucide-react";
+
+import { axiosInstance } from "../lib/axios";
+import Sidebar from "../components/Sidebar";
+import DraftPost from "../components/DraftPost";
+
+const FILTERS = [
+	{ value: undefined, label: "All" },
+	{ value: "draft", label: "Drafts" },
+	{ value: "scheduled", label: "Scheduled" },
+];
+
+// the viewer's posts that aren't out yet
+const DraftsPage = () => {
+	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
+	const [status, setStatus] = useState(undefined);
+
+	const { data, fetchNextPage, hasNextPage, isFetchingNextPage, isLoading } = useInfiniteQuery({
+		queryKey: ["drafts", status],
+		queryFn: async ({ pageParam }) => {
+			const res = await axiosInstance.get("/posts/drafts", {
+				params: { status, cursor: pageParam },
+			});
+			return res.data;
+		},
+		initialPageParam: undefined,
+		getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+	});
+	const posts = data?.pages.flatMap((page) => page.posts);
+
+	return (
+		<div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+			<div className="hidden lg:block lg:col-span-1">
+				<Sidebar user={authUser} />
+			</div>
+
+			<div className="col-span-1 lg:col-span-3">
+				<div className="bg-secondary rounded-lg shadow p-4 mb-4 flex items-center justify-between">
+					<div className="flex items-center gap-2">
+						<FilePen className="text-primary" />
+						<h1 className="text-2xl font-bold">Drafts</h1>
+					</div>
+					<div className="join">
+						{FILTERS.map((filter) => (
+							<button
+								key={filter.label}
+								onClick={() => setStatus(filter.value)}
+								className={`join-item btn btn-sm ${status === filter.value ? "btn-primary" : "btn-ghost"}`}
+							>
+								{filter.label}
+							</button>
+						))}
+					</div>
+				</div>
+
+				{isLoading && <Loader className="animate-spin text-primary mx-auto" />}
+
+				{posts?.map((post) => (
+					<DraftPost
+						key={post._id}
+						post={post}
+					/>
+				))}
+
+				{hasNextPage && (
+					<button
+						onClick={() => fetchNextPage()}
+						disabled={isFetchingNextPage}
+						className="text-primary hover:underline text-sm"
+					>
+						{isFetchingNextPage ? "Loading..." : "Show more"}
+					</button>
+				)}
+
+				{posts?.length === 0 && (
+					<div className="bg-white rounded-lg shadow p-8 text-center text-gray-600">
+						Nothing waiting to be published. Save a draft or schedule a post from the home page.
+					</div>
+				)}
+			</div>
+		</div>
+	);
+};
+export default DraftsPage;
@@ -0,0 +1,81 @@
+import { useInfiniteQuery, useQuery } from "@tanstack/react-query";
+import { useEffect, useRef } from "react";
+import { useParams } from "react-router-dom";
+import { Hash, Loader } from "lucide-react";
+
+import { axiosInstance } from "../lib/axios";
+import Sidebar from "../components/Sidebar";
+import Post from "../components/Post";
+
+const HashtagPage = () => {
+	const { tag } = useParams();
+	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
+
+	const { data, fetchNextPage, hasNextPage, isFetchingNextPage, isLoading } = useInfiniteQuery({
+		queryKey: ["posts", "hashtag", tag],
+		queryFn: async ({ pageParam }) => {
+			const res = await axiosInstance.get(`/posts/hashtag/${encodeURIComponent(tag)}`, {
+				params: { cursor: pageParam },
+			});
+			return res.data;
+		},
+		initialPageParam: undefined,
+		getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+	});
+	const posts = data?.pages.flatMap((page) => page.posts);
+
+	// same infinite scroll as the home feed
+	const loadMoreRef = useRef(null);
+	useEffect(() => {
+		const sentinel = loadMoreRef.current;
+		if (!sentinel || !hasNextPage) {
+			return;
+		}
+
+		const observer = new IntersectionObserver(
+			([entry]) => {
+				if (entry.isIntersecting && !isFetchingNextPage) {
+					fetchNextPage();
+				}
+			},
+			{ rootMargin: "400px" },
+		);
+		observer.observe(sentinel);
+		return () => observer.disconnect();
+	}, [fetchNextPage, hasNextPage, isFetchingNextPage]);
+
+	return (
+		<div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+			<div className="hidden lg:block lg:col-span-1">
+				<Sidebar user={authUser} />
+			</div>
+
+			<div className="col-span-1 lg:col-span-3">
+				<div className="bg-secondary rounded-lg shadow p-4 mb-4 flex items-center gap-2">
+					<Hash className="text-primary" />
+					<h1 className="text-2xl font-bold">{tag.toLowerCase()}</h1>
+				</div>
+
+				{isLoading && <Loader className="animate-spin text-primary mx-auto" />}
+
+				{posts?.map((post) => (
+					<Post key={post._id} post={post} />
+				))}
+
+				<div ref={loadMoreRef} />
+				{isFetchingNextPage && (
+					<div className="flex justify-center py-4">
+						<Loader className="animate-spin text-primary" />
+					</div>
+				)}
+
+				{posts?.length === 0 && (
+					<div className="bg-white rounded-lg shadow p-8 text-center text-gray-600">
+						No posts with #{tag.toLowerCase()} yet
+					</div>
+				)}
+			</div>
+		</div>
+	);
+};
+export default HashtagPage;
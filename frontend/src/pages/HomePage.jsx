@@ -1,11 +1,13 @@
-import { useQuery } from "@tanstack/react-query";
+import { useInfiniteQuery, useQuery } from "@tanstack/react-query";
+import { useEffect, useRef, useState } from "react";
 import { axiosInstance } from "../lib/axios";
 import Sidebar from "../components/Sidebar";
 import PostCreation from "../components/PostCreation";
 import Post from "../components/Post";
-import { Users } from "lucide-react";
+import { Loader, Users } from "lucide-react";
 import RecommendedUser from "../components/RecommendedUser";
 import CurrentContest from "../components/CurrentContest";
+import VerifyEmailBanner from "../components/VerifyEmailBanner";
 
 const HomePage = () => {
 	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
@@ -16,13 +18,43 @@ const HomePage = () => {
 			return res.data;
 		},
 	});
-	const { data: posts } = useQuery({
-		queryKey: ["posts"],
-		queryFn: async () => {
-			const res = await axiosInstance.get("/posts");
+	const [feedMode, setFeedMode] = useState("latest");
+	const {
+		data: feed,
+		fetchNextPage,
+		hasNextPage,
+		isFetchingNextPage,
+	} = useInfiniteQuery({
+		queryKey: ["posts", feedMode],
+		queryFn: async ({ pageParam }) => {
+			const res = await axiosInstance.get("/posts", { params: { mode: feedMode, cursor: pageParam } });
 			return res.data;
 		},
+		initialPageParam: undefined,
+		getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
 	});
+	const posts = feed?.pages.flatMap((page) => page.posts);
+
+	// load the next page once the end of the feed scrolls into view
+	const loadMoreRef = useRef(null);
+	useEffect(() => {
+		const sentinel = loadMoreRef.current;
+		if (!sentinel || !hasNextPage) {
+			return;
+		}
+
+		const observer = new IntersectionObserver(
+			([entry]) => {
+				if (entry.isIntersecting && !isFetchingNextPage) {
+					fetchNextPage();
+				}
+			},
+			{ rootMargin: "400px" },
+		);
+		observer.observe(sentinel);
+		return () => observer.disconnect();
+	}, [fetchNextPage, hasNextPage, isFetchingNextPage]);
+
 	return (
 		<>
 			<CurrentContest />
@@ -32,12 +64,35 @@ const HomePage = () => {
 				</div>
 
 				<div className="col-span-1 lg:col-span-2 order-first lg:order-none">
+					<VerifyEmailBanner user={authUser} />
 					<PostCreation user={authUser} />
 
+					<div className="flex justify-end gap-2 mb-4 text-sm">
+						{[
+							["latest", "Latest"],
+							["ranked", "Top"],
+						].map(([mode, label]) => (
+							<button
+								key={mode}
+								onClick={() => setFeedMode(mode)}
+								className={`px-3 py-1 rounded-full ${feedMode === mode ? "bg-primary text-white" : "text-info hover:bg-base-100"}`}
+							>
+								{label}
+							</button>
+						))}
+					</div>
+
 					{posts?.map((post) => (
 						<Post key={post._id} post={post} />
 					))}
 
+					<div ref={loadMoreRef} />
+					{isFetchingNextPage && (
+						<div className="flex justify-center py-4">
+							<Loader className="animate-spin text-primary" />
+						</div>
+					)}
+
 					{posts?.length === 0 && (
 						<div className="bg-white rounded-lg shadow p-8 text-center">
 							<div className="mb-6">
@@ -2,9 +2,12 @@ import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { axiosInstance } from "../lib/axios";
 import { toast } from "react-hot-toast";
 import {
+	AtSign,
+	BarChart2,
 	ExternalLink,
 	Eye,
 	MessageSquare,
+	Repeat2,
 	ThumbsUp,
 	Trash2,
 	UserPlus,
@@ -12,6 +15,8 @@ import {
 import { Link } from "react-router-dom";
 import Sidebar from "../components/Sidebar";
 import { formatDistanceToNow } from "date-fns";
+import { unescapeMarkdown } from "../utils/markdown";
+import { getReaction } from "../utils/reactions";
 
 const NotificationsPage = () => {
 	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
@@ -38,15 +43,26 @@ const NotificationsPage = () => {
 		},
 	});
 
-	const renderNotificationIcon = (type) => {
-		switch (type) {
+	const renderNotificationIcon = (notification) => {
+		switch (notification.type) {
 			case "like":
 				return <ThumbsUp className="text-blue-500" />;
+			case "reaction": {
+				const { Icon, color } = getReaction(notification.reactionType);
+				return <Icon className={color} />;
+			}
 
 			case "comment":
+			case "reply":
 				return <MessageSquare className="text-green-500" />;
+			case "repost":
+				return <Repeat2 className="text-teal-500" />;
+			case "mention":
+				return <AtSign className="text-orange-500" />;
 			case "connectionAccepted":
 				return <UserPlus className="text-purple-500" />;
+			case "pollClosed":
+				return <BarChart2 className="text-indigo-500" />;
 			default:
 				return null;
 		}
@@ -60,6 +76,17 @@ const NotificationsPage = () => {
 						<strong>{notification.relatedUser.name}</strong> liked your post
 					</span>
 				);
+			case "reaction":
+				return (
+					<span>
+						<Link
+							to={`/profile/${notification.relatedUser.username}`}
+							className="font-bold">
+							{notification.relatedUser.name}
+						</Link>{" "}
+						{getReaction(notification.reactionType).verb} your post
+					</span>
+				);
 			case "comment":
 				return (
 					<span>
@@ -71,6 +98,39 @@ const NotificationsPage = () => {
 						commented on your post
 					</span>
 				);
+			case "reply":
+				return (
+					<span>
+						<Link
+							to={`/profile/${notification.relatedUser.username}`}
+							className="font-bold">
+							{notification.relatedUser.name}
+						</Link>{" "}
+						replied to your comment
+					</span>
+				);
+			case "repost":
+				return (
+					<span>
+						<Link
+							to={`/profile/${notification.relatedUser.username}`}
+							className="font-bold">
+							{notification.relatedUser.name}
+						</Link>{" "}
+						reposted your post
+					</span>
+				);
+			case "mention":
+				return (
+					<span>
+						<Link
+							to={`/profile/${notification.relatedUser.username}`}
+							className="font-bold">
+							{notification.relatedUser.name}
+						</Link>{" "}
+						mentioned you
+					</span>
+				);
 			case "connectionAccepted":
 				return (
 					<span>
@@ -82,6 +142,9 @@ const NotificationsPage = () => {
 						accepted your connection request
 					</span>
 				);
+			// sent to the poll's author, who is its related user too
+			case "pollClosed":
+				return <span>Your poll has closed, see how people voted</span>;
 			default:
 				return null;
 		}
@@ -89,21 +152,22 @@ const NotificationsPage = () => {
 
 	const renderRelatedPost = (relatedPost) => {
 		if (!relatedPost) return null;
+		const thumbnail = relatedPost.attachments?.find((attachment) => attachment.type === "image");
 
 		return (
 			<Link
 				to={`/post/${relatedPost._id}`}
 				className="mt-2 p-2 bg-gray-50 rounded-md flex items-center space-x-2 hover:bg-gray-100 transition-colors">
-				{relatedPost.image && (
+				{thumbnail && (
 					<img
-						src={relatedPost.image}
+						src={thumbnail.url}
 						alt="Post preview"
 						className="w-10 h-10 object-cover rounded"
 					/>
 				)}
 				<div className="flex-1 overflow-hidden">
 					<p className="text-sm text-gray-600 truncate">
-						{relatedPost.content}
+						{unescapeMarkdown(relatedPost.content)}
 					</p>
 				</div>
 				<ExternalLink size={14} className="text-gray-400" />
@@ -147,7 +211,7 @@ const NotificationsPage = () => {
 											<div>
 												<div className="flex items-center gap-2">
 													<div className="p-1 bg-gray-100 rounded-full">
-														{renderNotificationIcon(notification.type)}
+														{renderNotificationIcon(notification)}
 													</div>
 													<p className="text-sm">
 														{renderNotificationContent(notification)}
@@ -7,6 +7,11 @@ import AboutSection from "../components/AboutSection";
 import ExperienceSection from "../components/ExperienceSection";
 import EducationSection from "../components/EducationSection";
 import SkillsSection from "../components/SkillsSection";
+import ActivitySection from "../components/ActivitySection";
+import SessionsSection from "../components/SessionsSection";
+import TwoFactorSection from "../components/TwoFactorSection";
+import AccountDataSection from "../components/AccountDataSection";
+import AccessTokensSection from "../components/AccessTokensSection";
 import toast from "react-hot-toast";
 
 const ProfilePage = () => {
@@ -48,6 +53,11 @@ const ProfilePage = () => {
 			<ExperienceSection userData={userData} isOwnProfile={isOwnProfile} onSave={handleSave} />
 			<EducationSection userData={userData} isOwnProfile={isOwnProfile} onSave={handleSave} />
 			<SkillsSection userData={userData} isOwnProfile={isOwnProfile} onSave={handleSave} />
+			<ActivitySection username={userData.username} />
+			{isOwnProfile && <TwoFactorSection isEnabled={authUser.twoFactorEnabled} />}
+			{isOwnProfile && <SessionsSection />}
+			{isOwnProfile && <AccessTokensSection />}
+			{isOwnProfile && <AccountDataSection username={authUser.username} />}
 		</div>
 	);
 };
@@ -0,0 +1,65 @@
+import { useInfiniteQuery, useQuery } from "@tanstack/react-query";
+import { Bookmark, Loader } from "lucide-react";
+
+import { axiosInstance } from "../lib/axios";
+import Sidebar from "../components/Sidebar";
+import Post from "../components/Post";
+
+// the posts the viewer saved, the most recently saved first
+const SavedPage = () => {
+	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
+
+	const { data, fetchNextPage, hasNextPage, isFetchingNextPage, isLoading } = useInfiniteQuery({
+		queryKey: ["posts", "saved"],
+		queryFn: async ({ pageParam }) => {
+			const res = await axiosInstance.get("/posts/saved", {
+				params: { cursor: pageParam },
+			});
+			return res.data;
+		},
+		initialPageParam: undefined,
+		getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+	});
+	const posts = data?.pages.flatMap((page) => page.posts);
+
+	return (
+		<div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+			<div className="hidden lg:block lg:col-span-1">
+				<Sidebar user={authUser} />
+			</div>
+
+			<div className="col-span-1 lg:col-span-3">
+				<div className="bg-secondary rounded-lg shadow p-4 mb-4 flex items-center gap-2">
+					<Bookmark className="text-primary" />
+					<h1 className="text-2xl font-bold">Saved posts</h1>
+				</div>
+
+				{isLoading && <Loader className="animate-spin text-primary mx-auto" />}
+
+				{posts?.map((post) => (
+					<Post
+						key={post._id}
+						post={post}
+					/>
+				))}
+
+				{hasNextPage && (
+					<button
+						onClick={() => fetchNextPage()}
+						disabled={isFetchingNextPage}
+						className="text-primary hover:underline text-sm"
+					>
+						{isFetchingNextPage ? "Loading..." : "Show more"}
+					</button>
+				)}
+
+				{posts?.length === 0 && (
+					<div className="bg-white rounded-lg shadow p-8 text-center text-gray-600">
+						No saved posts yet. Save a post to read it later and it will show up here.
+					</div>
+				)}
+			</div>
+		</div>
+	);
+};
+export default SavedPage;
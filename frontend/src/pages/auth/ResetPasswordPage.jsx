@@ -0,0 +1,41 @@
+import { Link, useParams } from "react-router-dom";
+import { FaEmpire } from "react-icons/fa";
+
+import ResetPasswordForm from "../../components/auth/ResetPasswordForm";
+
+const ResetPasswordPage = () => {
+	const { token } = useParams();
+
+	return (
+		<div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+			<div className="sm:mx-auto sm:w-full sm:max-w-md">
+				<div className="flex justify-center items-center w-full px-2 mb-6">
+					<FaEmpire className="h-20 w-auto text-blue-600" />
+					<h2 className="text-3xl font-bold text-gray-900 ml-2">
+						Auto_Connect
+					</h2>
+				</div>
+
+				<h2 className="text-center text-3xl font-extrabold text-gray-900 mb-6">
+					Choose a new password
+				</h2>
+			</div>
+
+			<div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md shadow-md">
+				<div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+					<p className="text-sm text-gray-600 mb-4">
+						Resetting your password signs you out on every device.
+					</p>
+					<ResetPasswordForm token={token} />
+					<div className="mt-6 text-center">
+						<Link to="/login" className="text-sm font-medium text-blue-600 hover:underline">
+							Back to sign in
+						</Link>
+					</div>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default ResetPasswordPage;
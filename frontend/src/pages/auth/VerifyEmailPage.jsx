@@ -0,0 +1,65 @@
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import { CheckCircle, Loader, XCircle } from "lucide-react";
+
+import { axiosInstance } from "../../lib/axios";
+
+const VerifyEmailPage = () => {
+	const { token } = useParams();
+	const queryClient = useQueryClient();
+
+	const { data, isLoading, isError, error } = useQuery({
+		queryKey: ["verifyEmail", token],
+		queryFn: async () => {
+			const res = await axiosInstance.get(`/auth/verify/${token}`);
+			return res.data;
+		},
+		retry: false,
+	});
+
+	useEffect(() => {
+		if (data) {
+			queryClient.invalidateQueries({ queryKey: ["authUser"] });
+		}
+	}, [data, queryClient]);
+
+	return (
+		<div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+			<div className="sm:mx-auto sm:w-full sm:max-w-md bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10 text-center">
+				{isLoading && (
+					<>
+						<Loader className="size-12 animate-spin text-blue-600 mx-auto mb-4" />
+						<p className="text-gray-600">Verifying your email...</p>
+					</>
+				)}
+
+				{data && (
+					<>
+						<CheckCircle className="size-12 text-green-500 mx-auto mb-4" />
+						<h2 className="text-2xl font-bold text-gray-900 mb-2">{data.message}</h2>
+						<p className="text-gray-600 mb-6">You can now post and connect with others.</p>
+						<Link to="/" className="btn btn-primary text-white">
+							Go to your feed
+						</Link>
+					</>
+				)}
+
+				{isError && (
+					<>
+						<XCircle className="size-12 text-red-500 mx-auto mb-4" />
+						<h2 className="text-2xl font-bold text-gray-900 mb-2">Verification failed</h2>
+						<p className="text-gray-600 mb-6">
+							{error.response?.data?.message || "Something went wrong"}
+						</p>
+						<Link to="/" className="btn btn-primary text-white">
+							Back to Auto_Connect
+						</Link>
+					</>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default VerifyEmailPage;
@@ -5,6 +5,13 @@ global.window.dynatrace = {
   sendBizEvent: jest.fn()
 };
 
+// jsdom has no IntersectionObserver, used for infinite scrolling
+global.IntersectionObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
 // Mock CSS imports
 jest.mock('react-big-calendar/lib/css/react-big-calendar.css', () => ({}));
 
@@ -44,6 +51,7 @@ const mockAuthUser = {
   name: 'Test User',
   username: 'testuser',
   email: 'test@example.com',
+  isVerified: true,
   profilePicture: '/avatar.png',
   bannerImg: '/banner.png',
   headline: 'Test Developer',
@@ -57,8 +65,9 @@ const mockPosts = [
     _id: '1',
     content: 'Test post content',
     author: mockAuthUser,
-    likes: [],
-    comments: [],
+    reactionCounts: { like: 0 },
+    viewerReaction: null,
+    commentCount: 0,
     createdAt: new Date().toISOString()
   }
 ];
@@ -119,6 +128,20 @@ jest.mock('@tanstack/react-query', () => ({
       error: null
     };
   },
+  useInfiniteQuery: (options) => {
+    // paginated queries get the same mock data, wrapped in a single page
+    const pages = options?.queryKey?.[0] === 'posts' ? [{ posts: mockPosts, nextCursor: null }] : undefined;
+
+    return {
+      data: pages && { pages, pageParams: [undefined] },
+      fetchNextPage: jest.fn(),
+      hasNextPage: false,
+      isFetching: false,
+      isFetchingNextPage: false,
+      isLoading: false,
+      error: null
+    };
+  },
   useMutation: () => ({
     mutate: jest.fn(),
     isLoading: false,
@@ -135,6 +158,7 @@ jest.mock('@tanstack/react-query', () => ({
 
 // Mock axios instance
 jest.mock('./lib/axios', () => ({
+  API_BASE_URL: '/api/v1',
   axiosInstance: {
     get: jest.fn(),
     post: jest.fn(),
@@ -0,0 +1,282 @@
+// Fenced code blocks, split out with the same rules the backend stores them by
+// (backend/lib/codeBlocks.js), and a small highlighter for the languages it knows.
+
+export const CODE_LANGUAGES = [
+	{ value: "", label: "Plain text" },
+	{ value: "bash", label: "Bash" },
+	{ value: "c", label: "C" },
+	{ value: "cpp", label: "C++" },
+	{ value: "csharp", label: "C#" },
+	{ value: "go", label: "Go" },
+	{ value: "java", label: "Java" },
+	{ value: "javascript", label: "JavaScript" },
+	{ value: "json", label: "JSON" },
+	{ value: "kotlin", label: "Kotlin" },
+	{ value: "python", label: "Python" },
+	{ value: "rust", label: "Rust" },
+	{ value: "sql", label: "SQL" },
+	{ value: "typescript", label: "TypeScript" },
+];
+
+const LANGUAGE_ALIASES = {
+	"c++": "cpp",
+	cc: "cpp",
+	"c#": "csharp",
+	cs: "csharp",
+	golang: "go",
+	js: "javascript",
+	jsx: "javascript",
+	kt: "kotlin",
+	py: "python",
+	rs: "rust",
+	sh: "bash",
+	shell: "bash",
+	ts: "typescript",
+	tsx: "typescript",
+};
+
+const OPENING_FENCE = /^ {0,3}(`{3,})[ \t]*([^`\s]*)[ \t]*$/;
+const CLOSING_FENCE = /^ {0,3}(`{3,})[ \t]*$/;
+
+// the canonical language of a fence's tag, or "" for plain code
+export const normalizeCodeLanguage = (tag = "") => {
+	const language = tag.toLowerCase();
+	const canonical = LANGUAGE_ALIASES[language] ?? language;
+	return CODE_LANGUAGES.some(({ value }) => value && value === canonical) ? canonical : "";
+};
+
+export const getCodeLanguageLabel = (language) =>
+	CODE_LANGUAGES.find(({ value }) => value === normalizeCodeLanguage(language))?.label ?? "Plain text";
+
+/**
+ * Splits text into `{ type: "text", text, start }` and `{ type: "code", language, code, start }`
+ * parts, where `start` is the line the part starts on. An unclosed block runs to the end.
+ */
+export const splitCodeBlocks = (text = "") => {
+	const parts = [];
+	let textLines = [];
+	let textStart = 0;
+	let block = null;
+
+	(text || "").split("\n").forEach((line, index) => {
+		if (block) {
+			const closing = CLOSING_FENCE.exec(line);
+			if (closing && closing[1].length >= block.fence.length) {
+				parts.push({ type: "code", language: block.language, code: block.lines.join("\n"), start: block.start });
+				block = null;
+				textStart = index + 1;
+			} else {
+				block.lines.push(line);
+			}
+			return;
+		}
+
+		const opening = OPENING_FENCE.exec(line);
+		if (!opening) {
+			textLines.push(line);
+			return;
+		}
+		if (textLines.length) {
+			parts.push({ type: "text", text: textLines.join("\n"), start: textStart });
+			textLines = [];
+		}
+		block = { fence: opening[1], language: normalizeCodeLanguage(opening[2]), lines: [], start: index };
+	});
+
+	if (block) {
+		parts.push({ type: "code", language: block.language, code: block.lines.join("\n"), start: block.start });
+	} else if (textLines.length) {
+		parts.push({ type: "text", text: textLines.join("\n"), start: textStart });
+	}
+
+	return parts;
+};
+
+// a fence long enough that nothing in the code closes it early
+export const toCodeBlock = (code, language = "") => {
+	const longestRun = Math.max(2, ...(code.match(/`+/g) ?? []).map((run) => run.length));
+	const fence = "`".repeat(longestRun + 1);
+	return `${fence}${language}\n${code.replace(/\n+$/, "")}\n${fence}`;
+};
+
+// snippets go on a line of their own at the end of what's been written
+export const appendCodeBlock = (text, block) => (text.trim() ? `${text.trimEnd()}\n${block}\n` : `${block}\n`);
+
+const C_COMMENTS = String.raw`\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)`;
+const HASH_COMMENTS = String.raw`#[^\n]*`;
+const DOUBLE_QUOTED = String.raw`"(?:\\.|[^"\\\n])*"?`;
+const SINGLE_QUOTED = String.raw`'(?:\\.|[^'\\\n])*'?`;
+const CHARACTER = String.raw`'(?:\\.|[^'\\\n])'`;
+const TEMPLATE = String.raw`\`(?:\\[\s\S]|[^\`\\])*\`?`;
+const TRIPLE_QUOTED = String.raw`"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)`;
+
+const C_KEYWORDS =
+	"auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while NULL true false";
+const JS_KEYWORDS =
+	"async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield";
+
+const GRAMMARS = {
+	bash: {
+		comments: HASH_COMMENTS,
+		strings: [DOUBLE_QUOTED, String.raw`'[^']*'?`],
+		keywords: "case do done echo elif else esac exit export fi for function if in local read return then until while",
+	},
+	c: {
+		comments: C_COMMENTS,
+		strings: [DOUBLE_QUOTED, CHARACTER],
+		keywords: C_KEYWORDS,
+		directives: true,
+	},
+	cpp: {
+		comments: C_COMMENTS,
+		strings: [DOUBLE_QUOTED, CHARACTER],
+		keywords: `${C_KEYWORDS} bool catch class constexpr delete explicit friend namespace new nullptr operator private protected public template this throw try typename using virtual`,
+		directives: true,
+	},
+	csharp: {
+		comments: C_COMMENTS,
+		strings: [DOUBLE_QUOTED, CHARACTER],
+		keywords:
+			"abstract as async await base bool break case catch char class const continue decimal default do double else enum false finally float for foreach if in int interface internal is long namespace new null object out override private protected public readonly ref return static string struct switch this throw true try using var virtual void while",
+	},
+	go: {
+		comments: C_COMMENTS,
+		strings: [DOUBLE_QUOTED, CHARACTER, String.raw`\`[^\`]*\`?`],
+		keywords:
+			"break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var",
+	},
+	java: {
+		comments: C_COMMENTS,
+		strings: [DOUBLE_QUOTED, CHARACTER],
+		keywords:
+			"abstract boolean break byte case catch char class continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true try var void while",
+	},
+	javascript: {
+		comments: C_COMMENTS,
+		strings: [DOUBLE_QUOTED, SINGLE_QUOTED, TEMPLATE],
+		keywords: JS_KEYWORDS,
+	},
+	json: {
+		strings: [DOUBLE_QUOTED],
+		keywords: "true false null",
+	},
+	kotlin: {
+		comments: C_COMMENTS,
+		strings: [DOUBLE_QUOTED, CHARACTER],
+		keywords:
+			"as break class continue data do else false for fun if import in interface is null object override package private return this throw true try val var when while",
+	},
+	python: {
+		comments: HASH_COMMENTS,
+		strings: [TRIPLE_QUOTED, DOUBLE_QUOTED, SINGLE_QUOTED],
+		keywords:
+			"and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield",
+	},
+	rust: {
+		comments: C_COMMENTS,
+		strings: [DOUBLE_QUOTED, CHARACTER],
+		keywords:
+			"as async await break const continue crate else enum false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while",
+	},
+	sql: {
+		comments: String.raw`--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)`,
+		strings: [SINGLE_QUOTED],
+		keywords:
+			"and as asc by count create delete desc distinct from group having in inner insert into is join left limit not null on or order outer right select set table update values where",
+		caseInsensitive: true,
+	},
+	typescript: {
+		comments: C_COMMENTS,
+		strings: [DOUBLE_QUOTED, SINGLE_QUOTED, TEMPLATE],
+		keywords: `${JS_KEYWORDS} any boolean enum implements interface keyof never number private protected public readonly string type`,
+	},
+};
+
+const NUMBER = String.raw`\b(?:0[xX][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b`;
+const WORD = String.raw`[A-Za-z_$][\w$]*`;
+
+// one pattern per language, built on first use
+const tokenizers = new Map();
+
+const getTokenizer = (language) => {
+	if (!tokenizers.has(language)) {
+		const grammar = GRAMMARS[language];
+		const keywords = grammar.keywords.split(" ");
+		const groups = [
+			grammar.comments && `(?<comment>${grammar.comments})`,
+			grammar.directives && String.raw`(?<directive>(?<=^|\n)[ \t]*#[ \t]*[a-z]+)`,
+			`(?<string>${grammar.strings.join("|")})`,
+			`(?<number>${NUMBER})`,
+			`(?<word>${WORD})`,
+		].filter(Boolean);
+
+		tokenizers.set(language, {
+			pattern: new RegExp(groups.join("|"), "g"),
+			keywords: new Set(grammar.caseInsensitive ? keywords.map((word) => word.toLowerCase()) : keywords),
+			caseInsensitive: grammar.caseInsensitive,
+		});
+	}
+	return tokenizers.get(language);
+};
+
+const tokenize = (code, language) => {
+	if (!GRAMMARS[language]) {
+		return [{ type: "plain", text: code }];
+	}
+
+	const { pattern, keywords, caseInsensitive } = getTokenizer(language);
+	const tokens = [];
+	let position = 0;
+	for (const match of code.matchAll(pattern)) {
+		if (!match[0]) {
+			continue;
+		}
+		if (match.index > position) {
+			tokens.push({ type: "plain", text: code.slice(position, match.index) });
+		}
+
+		const { comment, directive, string, number, word } = match.groups;
+		let type = "plain";
+		if (comment !== undefined) {
+			type = "comment";
+		} else if (directive !== undefined) {
+			type = "keyword";
+		} else if (string !== undefined) {
+			type = "string";
+		} else if (number !== undefined) {
+			type = "number";
+		} else if (word !== undefined && keywords.has(caseInsensitive ? word.toLowerCase() : word)) {
+			type = "keyword";
+		}
+		tokens.push({ type, text: match[0] });
+		position = match.index + match[0].length;
+	}
+	if (position < code.length) {
+		tokens.push({ type: "plain", text: code.slice(position) });
+	}
+
+	return tokens;
+};
+
+/**
+ * The lines of `code` as `{ number, tokens }`, numbered from 1, where each token is
+ * `{ type, text, column }` and type is "comment", "keyword", "string", "number" or
+ * "plain". A token spanning lines, like a block comment, is split between them.
+ */
+export const highlightCode = (code = "", language = "") => {
+	const lines = [{ number: 1, tokens: [] }];
+	let column = 0;
+	for (const token of tokenize(code, normalizeCodeLanguage(language))) {
+		token.text.split("\n").forEach((text, index) => {
+			if (index > 0) {
+				lines.push({ number: lines.length + 1, tokens: [] });
+				column = 0;
+			}
+			if (text) {
+				lines[lines.length - 1].tokens.push({ type: token.type, text, column });
+				column += text.length;
+			}
+		});
+	}
+	return lines;
+};
@@ -4,3 +4,8 @@ export const formatDate = (dateString) => {
 	const date = parseISO(dateString);
 	return isValid(date) ? format(date, "MMM yyyy") : "Present";
 };
+
+// <input type="datetime-local"> takes and gives local times like "2024-05-01T09:30"
+export const toDateTimeInputValue = (date) => format(date, "yyyy-MM-dd'T'HH:mm");
+
+export const formatScheduledTime = (dateString) => format(parseISO(dateString), "MMM d, yyyy 'at' h:mm a");
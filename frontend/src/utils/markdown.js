@@ -0,0 +1,138 @@
+// The Markdown dialect of posts, comments and the About section: **bold**, *italics*,
+// `code`, [links](https://example.com), lists, > quotes and fenced code blocks. The
+// backend stores it sanitized with the same rules (backend/lib/markdown.js), `<` and `>`
+// outside code escaped; it's parsed here into blocks and inline nodes for
+// MarkdownRenderer, never into HTML.
+
+import { splitCodeBlocks } from "./codeBlocks";
+
+// http(s), mailto and paths on this site, but not protocol-relative "//host" ones
+const SAFE_URL = /^(?:https?:\/\/|mailto:|\/(?!\/))/i;
+
+const ESCAPED_ANGLE_BRACKETS = /&(lt|gt);/g;
+
+const LIST_ITEM = /^ {0,3}(?:([-*+])|(\d{1,9})[.)])[ \t]+(.*)$/;
+const QUOTE = /^ {0,3}>[ \t]?(.*)$/;
+
+// the first alternative that matches wins; underscores only count at word boundaries, so snake_case stays text
+const INLINE_PATTERN = new RegExp(
+	[
+		/`(?<code>[^`\n]+)`/.source,
+		/\[(?<label>[^\]\n]+)\]\((?<href>(?:[^()\s]|\([^()\s]*\))+)\)/.source,
+		/\*\*(?<strong>\S(?:[^\n]*?\S)?)\*\*/.source,
+		/(?<![\p{L}\p{N}_])__(?<strongUnderscore>\S(?:[^\n]*?\S)?)__(?![\p{L}\p{N}_])/.source,
+		/\*(?<em>[^*\s](?:[^*\n]*?[^*\s])?)\*/.source,
+		/(?<![\p{L}\p{N}_])_(?<emUnderscore>[^_\s](?:[^_\n]*?[^_\s])?)_(?![\p{L}\p{N}_])/.source,
+	].join("|"),
+	"gu",
+);
+
+/**
+ * Whether a link may point at `url`; links elsewhere are shown as their text.
+ */
+export const isSafeUrl = (url = "") => SAFE_URL.test(url.trim());
+
+/**
+ * Text as it was written, with the `&lt;` and `&gt;` the backend stores for `<` and `>`
+ * turned back; for showing it and for editing it again.
+ */
+export const unescapeMarkdown = (text = "") =>
+	(text || "").replace(ESCAPED_ANGLE_BRACKETS, (entity, name) => (name === "lt" ? "<" : ">"));
+
+/**
+ * Splits a paragraph, list item or quote into inline nodes: `{ type: "text", text }`,
+ * `{ type: "code", text }` and `{ type: "strong" | "em" | "link", children }`, links
+ * with an `href`. Each node has its `start` offset, for keys.
+ */
+export const parseInline = (text, offset = 0) => {
+	const nodes = [];
+	let position = 0;
+	for (const match of text.matchAll(INLINE_PATTERN)) {
+		if (match.index > position) {
+			nodes.push({ type: "text", text: unescapeMarkdown(text.slice(position, match.index)), start: offset + position });
+		}
+
+		const { code, label, href, strong, strongUnderscore, em, emUnderscore } = match.groups;
+		const start = offset + match.index;
+		if (code !== undefined) {
+			nodes.push({ type: "code", text: code, start });
+		} else if (label !== undefined) {
+			nodes.push({ type: "link", href: unescapeMarkdown(href), children: parseInline(label, start + 1), start });
+		} else if (strong !== undefined || strongUnderscore !== undefined) {
+			nodes.push({ type: "strong", children: parseInline(strong ?? strongUnderscore, start + 2), start });
+		} else {
+			nodes.push({ type: "em", children: parseInline(em ?? emUnderscore, start + 1), start });
+		}
+		position = match.index + match[0].length;
+	}
+	if (position < text.length) {
+		nodes.push({ type: "text", text: unescapeMarkdown(text.slice(position)), start: offset + position });
+	}
+
+	return nodes;
+};
+
+// paragraphs, lists and quotes of lines that hold no code blocks; `firstLine` numbers them for keys
+const parseTextBlocks = (lines, firstLine) => {
+	const blocks = [];
+	let current = null;
+
+	lines.forEach((line, index) => {
+		const key = firstLine + index;
+		if (!line.trim()) {
+			current = null;
+			return;
+		}
+
+		const quote = QUOTE.exec(line);
+		if (quote) {
+			if (current?.type !== "quote") {
+				current = { type: "quote", lines: [], key };
+				blocks.push(current);
+			}
+			current.lines.push(quote[1]);
+			return;
+		}
+
+		const item = LIST_ITEM.exec(line);
+		if (item) {
+			const ordered = item[2] !== undefined;
+			if (current?.type !== "list" || current.ordered !== ordered) {
+				current = { type: "list", ordered, start: ordered ? Number(item[2]) : undefined, items: [], key };
+				blocks.push(current);
+			}
+			current.items.push({ children: parseInline(item[3]), key });
+			return;
+		}
+
+		// a line after a list or quote starts a paragraph of its own, one after a paragraph continues it
+		if (current?.type !== "paragraph") {
+			current = { type: "paragraph", lines: [], key };
+			blocks.push(current);
+		}
+		current.lines.push(line);
+	});
+
+	return blocks.map((block) => {
+		if (block.type === "quote") {
+			return { type: "quote", children: parseTextBlocks(block.lines, block.key), key: block.key };
+		}
+		if (block.type === "paragraph") {
+			return { type: "paragraph", children: parseInline(block.lines.join("\n")), key: block.key };
+		}
+		return block;
+	});
+};
+
+/**
+ * Parses `text` into blocks, each with a `key`: `{ type: "code", code, language }`,
+ * `{ type: "paragraph", children }`, `{ type: "list", ordered, start, items: [{ children }] }`
+ * and `{ type: "quote", children: [blocks] }`, where `children` of paragraphs and list
+ * items are inline nodes from parseInline.
+ */
+export const parseMarkdown = (text = "") =>
+	splitCodeBlocks(text || "").flatMap((part) =>
+		part.type === "code"
+			? [{ type: "code", code: part.code, language: part.language, key: part.start }]
+			: parseTextBlocks(part.text.split("\n"), part.start),
+	);
@@ -0,0 +1,79 @@
+// Same limits the backend checks attachments against (backend/lib/media.js);
+// checking here too only saves uploading a file the server would turn down
+export const MAX_IMAGES = 6;
+export const MAX_ALT_TEXT_LENGTH = 300;
+
+const MB = 1024 * 1024;
+const MAX_ATTACHMENT_SIZE = { image: 5 * MB, video: 25 * MB, document: 10 * MB };
+
+const MIME_TYPES = {
+	image: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+	video: ["video/mp4", "video/webm", "video/quicktime"],
+	document: ["application/pdf"],
+};
+
+export const ATTACHMENT_ACCEPT = Object.values(MIME_TYPES).flat().join(",");
+
+export const getAttachmentType = (mimeType) =>
+	Object.keys(MIME_TYPES).find((type) => MIME_TYPES[type].includes(mimeType)) ?? null;
+
+/**
+ * The first problem with a post having `attachments` (each with a `type` and,
+ * when it's a new file, a `size`), or null when they're fine.
+ */
+export const checkAttachments = (attachments) => {
+	if (attachments.some((attachment) => !attachment.type)) {
+		return "Only images, MP4, WebM or QuickTime videos and PDF documents can be attached";
+	}
+
+	const tooLarge = attachments.find((attachment) => attachment.size > MAX_ATTACHMENT_SIZE[attachment.type]);
+	if (tooLarge) {
+		return `${tooLarge.name || "That file"} is too large, ${tooLarge.type}s can be at most ${MAX_ATTACHMENT_SIZE[tooLarge.type] / MB} MB`;
+	}
+
+	const types = new Set(attachments.map((attachment) => attachment.type));
+	const limit = types.has("image") ? MAX_IMAGES : 1;
+	if (types.size > 1 || attachments.length > limit) {
+		return `A post can have up to ${MAX_IMAGES} images, one video or one PDF document`;
+	}
+
+	return null;
+};
+
+export const readFileAsDataURL = (file) =>
+	new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.onloadend = () => resolve(reader.result);
+		reader.onerror = reject;
+		reader.readAsDataURL(file);
+	});
+
+let draftCount = 0;
+
+// an attachment being composed: a new file, not uploaded yet
+export const toDraftAttachment = (file, data) => ({
+	key: `draft-${draftCount++}`,
+	type: getAttachmentType(file.type),
+	name: file.name,
+	url: data,
+	data,
+	altText: "",
+});
+
+// one of a post's stored attachments, while the post is being edited
+export const toEditableAttachment = (attachment) => ({
+	key: attachment._id,
+	_id: attachment._id,
+	type: attachment.type,
+	url: attachment.url,
+	pageCount: attachment.pageCount,
+	altText: attachment.altText ?? "",
+});
+
+// what the API expects: stored attachments by id, new ones as data URLs
+export const toAttachmentPayload = (attachments) =>
+	attachments.map(({ _id, data, altText }) => (_id ? { _id, altText } : { data, altText }));
+
+// cloudinary renders any page of a stored PDF as an image on request
+export const getDocumentPageUrl = (url, page) =>
+	url.replace("/upload/", `/upload/pg_${page}/`).replace(/\.pdf$/i, ".jpg");
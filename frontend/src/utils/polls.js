@@ -0,0 +1,28 @@
+import { addDays } from "date-fns";
+
+import { toDateTimeInputValue } from "./dateUtils";
+
+// same limits as backend/lib/polls.js
+export const MIN_POLL_OPTIONS = 2;
+export const MAX_POLL_OPTIONS = 4;
+export const MAX_POLL_OPTION_LENGTH = 100;
+
+// options being edited carry an id, for React to tell them apart while they're added and removed
+let lastOptionId = 0;
+export const createPollOption = () => ({ id: ++lastOptionId, text: "" });
+
+// a new poll starts with two empty options and runs for a day
+export const createPollDraft = () => ({
+	options: [createPollOption(), createPollOption()],
+	closesAt: toDateTimeInputValue(addDays(new Date(), 1)),
+	hideResults: false,
+});
+
+export const toPollPayload = (poll) => ({
+	options: poll.options.map((option) => option.text),
+	closesAt: new Date(poll.closesAt).toISOString(),
+	hideResults: poll.hideResults,
+});
+
+export const getVotePercentage = (option, totalVotes) =>
+	totalVotes ? Math.round((option.voteCount / totalVotes) * 100) : 0;
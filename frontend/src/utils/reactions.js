@@ -0,0 +1,13 @@
+import { HeartHandshake, Laugh, Lightbulb, PartyPopper, CircleHelp, ThumbsUp } from "lucide-react";
+
+// same order as the backend's REACTION_TYPES
+export const REACTIONS = [
+	{ type: "like", label: "Like", verb: "liked", Icon: ThumbsUp, color: "text-blue-500" },
+	{ type: "celebrate", label: "Celebrate", verb: "celebrated", Icon: PartyPopper, color: "text-green-600" },
+	{ type: "support", label: "Support", verb: "supported", Icon: HeartHandshake, color: "text-purple-500" },
+	{ type: "insightful", label: "Insightful", verb: "found insightful", Icon: Lightbulb, color: "text-yellow-500" },
+	{ type: "curious", label: "Curious", verb: "is curious about", Icon: CircleHelp, color: "text-orange-500" },
+	{ type: "funny", label: "Funny", verb: "found funny", Icon: Laugh, color: "text-pink-500" },
+];
+
+export const getReaction = (type) => REACTIONS.find((reaction) => reaction.type === type) ?? REACTIONS[0];
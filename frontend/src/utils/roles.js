@@ -0,0 +1,5 @@
+// same values as the backend's ROLES, see backend/lib/roles.js
+export const ROLES = ["user", "moderator", "admin"];
+
+// moderators and admins may delete other people's posts and comments
+export const canModerate = (user) => user?.role === "moderator" || user?.role === "admin";
@@ -42,15 +42,9 @@ export const mockPost = {
   _id: '1',
   content: 'This is a test post',
   author: mockUser,
-  likes: ['2', '3'],
-  comments: [
-    {
-      _id: '1',
-      content: 'Great post!',
-      user: mockUser,
-      createdAt: new Date().toISOString()
-    }
-  ],
-  image: 'https://example.com/image.jpg',
+  reactionCounts: { like: 1, celebrate: 1 },
+  viewerReaction: null,
+  commentCount: 1,
+  attachments: [{ _id: 'a1', type: 'image', url: 'https://example.com/image.jpg', altText: 'A test image' }],
   createdAt: new Date().toISOString()
 }; 
\ No newline at end of file
@@ -0,0 +1,41 @@
+// Same patterns the backend uses to store hashtags and mentions (backend/lib/textEntities.js)
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@.])@([\w.-]+)/gu;
+const MAX_HASHTAG_LENGTH = 50;
+
+/**
+ * Splits text into `{ type, text, start }` parts, where type is "text", "hashtag" or
+ * "mention"; hashtag and mention parts also carry the tag or username as `value`.
+ */
+export const splitTextEntities = (text = "") => {
+	const entities = [
+		...[...text.matchAll(HASHTAG_PATTERN)]
+			.filter(([, , tag]) => tag.length <= MAX_HASHTAG_LENGTH)
+			.map(({ index, 1: before, 2: tag }) => ({ type: "hashtag", start: index + before.length, value: tag, text: `#${tag}` })),
+		...[...text.matchAll(MENTION_PATTERN)]
+			.map(({ index, 1: before, 2: name }) => ({ username: name.replace(/[.-]+$/, ""), start: index + before.length }))
+			.filter(({ username }) => username)
+			.map(({ username, start }) => ({ type: "mention", start, value: username, text: `@${username}` })),
+	].sort((a, b) => a.start - b.start);
+
+	const parts = [];
+	let position = 0;
+	for (const entity of entities) {
+		if (entity.start > position) {
+			parts.push({ type: "text", text: text.slice(position, entity.start), start: position });
+		}
+		parts.push(entity);
+		position = entity.start + entity.text.length;
+	}
+	if (position < text.length) {
+		parts.push({ type: "text", text: text.slice(position), start: position });
+	}
+
+	return parts;
+};
+
+// what the user is typing at the caret, if it's the start of a mention
+export const getMentionQuery = (text, caret) => {
+	const match = /(^|[^\p{L}\p{N}_@.])@([\w.-]*)$/u.exec(text.slice(0, caret));
+	return match ? { query: match[2], start: caret - match[2].length - 1 } : null;
+};
@@ -0,0 +1,12 @@
+import { Globe, Lock, Users } from "lucide-react";
+
+// same values as the backend's POST_VISIBILITIES
+export const VISIBILITIES = [
+	{ value: "public", label: "Anyone", Icon: Globe },
+	{ value: "connections", label: "Connections only", Icon: Users },
+	{ value: "private", label: "Only me", Icon: Lock },
+];
+
+// posts from before visibility existed are public
+export const getVisibility = (value) =>
+	VISIBILITIES.find((visibility) => visibility.value === value) ?? VISIBILITIES[0];